@@ -0,0 +1,117 @@
+import { getDateKey, getPeriodRange, parseISODate, resolveAsOf } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a day had any usage
+ * @param {object} day - Day stats ({ cost, tokens })
+ * @returns {boolean}
+ */
+function isActiveDay(day) {
+  return Boolean(day && ((day.tokens || 0) > 0 || (day.cost || 0) > 0));
+}
+
+/**
+ * Get the YYYY-MM-DD key of the day after a day key
+ * @param {string} date - Day key
+ * @returns {string} Next day key
+ */
+function nextDay(date) {
+  return new Date(parseISODate(date).getTime() + DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Compute the current and longest streak of consecutive active days
+ * A streak is still current when the latest active day is today or yesterday,
+ * so it doesn't break before today's first session.
+ * @param {object} byDay - Daily usage keyed by YYYY-MM-DD
+ * @param {string} today - Today's day key
+ * @returns {object} { current, longest, longestEnd } with streak lengths in days
+ */
+export function getStreaks(byDay = {}, today) {
+  const activeDates = Object.keys(byDay).filter((date) => date <= today && isActiveDay(byDay[date])).sort();
+
+  let longest = 0;
+  let longestEnd = null;
+  let run = 0;
+  let previous = null;
+
+  for (const date of activeDates) {
+    run = previous && nextDay(previous) === date ? run + 1 : 1;
+    if (run > longest) {
+      longest = run;
+      longestEnd = date;
+    }
+    previous = date;
+  }
+
+  const yesterday = new Date(parseISODate(today).getTime() - DAY_MS).toISOString().slice(0, 10);
+  const current = previous === today || previous === yesterday ? run : 0;
+
+  return { current, longest, longestEnd };
+}
+
+/**
+ * Compute activity statistics: streaks, active vs calendar days, busiest day
+ * and averages per active and per calendar day
+ * Streaks and the busiest day cover all recorded days; day counts and averages
+ * cover the selected period, counting days without usage as calendar days.
+ * @param {object} data - Internal usage data (not yet filtered by period)
+ * @param {object} periodData - The same data filtered to the period
+ * @param {string|object} period - Any period accepted by getPeriodRange
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone deciding which day "today" is
+ * @param {string|Date} options.asOf - Reference date (default: now)
+ * @returns {object} { currentStreak, longestStreak, activeDays, calendarDays, busiestDay, averagePerActiveDay, averagePerCalendarDay }
+ */
+export function getActivityStats(data, periodData, period = 'all', options = {}) {
+  const timeZone = options.timezone || 'UTC';
+  const referenceDate = resolveAsOf(options.asOf, timeZone) || new Date();
+  const today = getDateKey(referenceDate, timeZone);
+  const byDay = data.byDay || {};
+
+  const { current, longest } = getStreaks(byDay, today);
+
+  let busiestDay = null;
+  for (const [date, day] of Object.entries(byDay)) {
+    if (date > today || !isActiveDay(day)) continue;
+    if (!busiestDay || (day.tokens || 0) > busiestDay.tokens) {
+      busiestDay = { date, tokens: day.tokens || 0, cost: day.cost || 0 };
+    }
+  }
+
+  // Calendar days run from the period start (or the first recorded day) to today
+  const periodDays = Object.entries(periodData.byDay || {}).filter(([date]) => date <= today);
+  const recordedDates = Object.keys(byDay).filter((date) => date <= today).sort();
+  let calendarDays = 0;
+  if (recordedDates.length > 0) {
+    const range = getPeriodRange(period, referenceDate, timeZone);
+    const firstRecorded = parseISODate(recordedDates[0]);
+    const start = range.startDate && range.startDate > firstRecorded ? range.startDate : firstRecorded;
+    const end = Math.min(range.endDate.getTime(), parseISODate(today).getTime());
+    calendarDays = Math.max(Math.floor((end - start.getTime()) / DAY_MS) + 1, 0);
+  }
+
+  const activeDays = periodDays.filter(([, day]) => isActiveDay(day)).length;
+  const tokens = periodDays.reduce((sum, [, day]) => sum + (day.tokens || 0), 0);
+  const cost = periodDays.reduce((sum, [, day]) => sum + (day.cost || 0), 0);
+  const average = (days) => ({
+    tokens: days ? Math.round(tokens / days) : 0,
+    cost: days ? cost / days : 0
+  });
+
+  return {
+    currentStreak: current,
+    longestStreak: longest,
+    activeDays,
+    calendarDays,
+    busiestDay,
+    averagePerActiveDay: average(activeDays),
+    averagePerCalendarDay: average(calendarDays)
+  };
+}
+
+export default {
+  getStreaks,
+  getActivityStats
+};
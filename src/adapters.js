@@ -0,0 +1,745 @@
+/**
+ * Input adapters - convert usage exports from different tools to the internal format
+ *
+ * Each adapter declares `detect(raw)` and `transform(raw, options)`. `raw` is the parsed
+ * JSON of an export, or the file text when it isn't JSON (e.g. CSV). `options.timezone`
+ * decides which day timestamped usage falls on.
+ */
+
+import { getDateKey, parseISODate } from './utils.js';
+
+/**
+ * Token categories tracked per day
+ */
+export const DAY_TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens'];
+
+/**
+ * Create an empty internal data object
+ * @returns {object} Internal data with zeroed totals
+ */
+export function createEmptyData() {
+  return {
+    totalCost: 0,
+    totalInputTokens: 0,
+    totalOutputTokens: 0,
+    totalCacheCreationInputTokens: 0,
+    totalCacheReadInputTokens: 0,
+    byModel: {},
+    byDay: {}
+  };
+}
+
+/**
+ * Add model stats into an accumulator
+ * @param {object} target - Map of model name to stats
+ * @param {string} modelName - Model name
+ * @param {object} stats - Stats to add ({ cost, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens })
+ */
+export function addModelStats(target, modelName, stats) {
+  if (!target[modelName]) {
+    target[modelName] = { cost: 0, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0 };
+  }
+  target[modelName].cost += stats.cost || 0;
+  for (const field of DAY_TOKEN_FIELDS) {
+    target[modelName][field] += stats[field] || 0;
+  }
+}
+
+/**
+ * Read the origin fingerprint embedded in an export, if any
+ * @param {object} rawData - Raw export, optionally with `fingerprint` or `hostname`/`user` (top level or under `meta`)
+ * @returns {string|null} Fingerprint such as "alice@desktop", or null
+ */
+export function getSourceFingerprint(rawData) {
+  if (!rawData || typeof rawData !== 'object') return null;
+  if (rawData.fingerprint) return String(rawData.fingerprint);
+
+  const meta = rawData.meta || rawData;
+  if (!meta.hostname) return null;
+  return meta.user ? `${meta.user}@${meta.hostname}` : String(meta.hostname);
+}
+
+/**
+ * Build internal data from ccusage-style report rows (daily[] or monthly[])
+ * @param {object[]} rows - Report rows with token fields, totalCost and modelBreakdowns
+ * @param {function(object): string} getDate - Returns the YYYY-MM-DD key for a row
+ * @param {object} totals - Report totals{}
+ * @returns {object} Internal data
+ */
+function transformReportRows(rows, getDate, totals) {
+  const byDay = {};
+  const byModel = {};
+
+  for (const row of rows) {
+    const dayEntry = {
+      cost: row.totalCost || 0,
+      tokens: row.totalTokens || 0
+    };
+
+    // Keep per-day detail so period filters don't have to estimate
+    if (row.modelBreakdowns) {
+      for (const field of DAY_TOKEN_FIELDS) {
+        dayEntry[field] = row[field] || 0;
+      }
+      dayEntry.models = {};
+
+      for (const model of row.modelBreakdowns) {
+        addModelStats(dayEntry.models, model.modelName, model);
+        addModelStats(byModel, model.modelName, model);
+      }
+    }
+
+    byDay[getDate(row)] = dayEntry;
+  }
+
+  return {
+    totalCost: totals.totalCost || 0,
+    totalInputTokens: totals.inputTokens || 0,
+    totalOutputTokens: totals.outputTokens || 0,
+    totalCacheCreationInputTokens: totals.cacheCreationTokens || 0,
+    totalCacheReadInputTokens: totals.cacheReadTokens || 0,
+    byModel,
+    byDay
+  };
+}
+
+/**
+ * Copy export metadata (origin fingerprint, export time) onto internal data
+ * @param {object} data - Internal data (mutated)
+ * @param {object} rawData - Raw export
+ * @returns {object} The same data object
+ */
+function withExportMeta(data, rawData) {
+  const fingerprint = getSourceFingerprint(rawData);
+  if (fingerprint) data.fingerprint = fingerprint;
+
+  const exportedAt = rawData.exportedAt || rawData.generatedAt;
+  if (exportedAt) data.exportedAt = exportedAt;
+
+  // Keep fields we don't understand instead of silently dropping them
+  const extra = pickUnknownFields(rawData, REPORT_FIELDS);
+  if (extra) data.extra = extra;
+
+  return data;
+}
+
+/**
+ * Top-level fields of ccusage reports the adapters consume
+ */
+const REPORT_FIELDS = [
+  'daily', 'monthly', 'sessions', 'blocks', 'totals', 'fingerprint', 'meta',
+  'hostname', 'user', 'exportedAt', 'generatedAt', 'tool', 'source'
+];
+
+/**
+ * Collect the fields of a record that an adapter doesn't consume
+ * @param {object} record - Raw record
+ * @param {string[]} knownFields - Fields the adapter reads
+ * @returns {object|undefined} Unknown fields, or undefined if there are none
+ */
+function pickUnknownFields(record, knownFields) {
+  const unknown = Object.entries(record).filter(([key]) => !knownFields.includes(key));
+  return unknown.length > 0 ? Object.fromEntries(unknown) : undefined;
+}
+
+/**
+ * Check whether data is already in the internal format
+ * @param {*} rawData - Parsed input
+ * @returns {boolean}
+ */
+function isInternalFormat(rawData) {
+  return Boolean(rawData) && typeof rawData === 'object' &&
+    rawData.totalCost !== undefined && !rawData.daily && !rawData.monthly;
+}
+
+/**
+ * Transform ccusage raw format to internal format
+ * @param {object} rawData - Raw ccusage data with daily[] and totals{}
+ * @returns {object} Transformed data for internal use
+ */
+export function transformCcusageFormat(rawData) {
+  // If already in internal format, return as-is
+  if (isInternalFormat(rawData)) {
+    return rawData;
+  }
+
+  // Transform from ccusage format (daily[], totals{}) to internal format
+  const data = transformReportRows(rawData.daily || [], (day) => day.date, rawData.totals || {});
+  return withExportMeta(data, rawData);
+}
+
+/**
+ * Transform a ccusage monthly report to internal format
+ * Each month is stored on its first day, so daily charts show one bar per month.
+ * @param {object} rawData - Raw ccusage data with monthly[] and totals{}
+ * @returns {object} Transformed data for internal use
+ */
+export function transformCcusageMonthly(rawData) {
+  const data = transformReportRows(rawData.monthly || [], (month) => `${month.month}-01`, rawData.totals || {});
+  data.granularity = 'month';
+  return withExportMeta(data, rawData);
+}
+
+/**
+ * Session fields consumed by transformCcusageSession
+ */
+const SESSION_FIELDS = [
+  'sessionId', 'projectPath', 'lastActivity', 'totalCost', 'totalTokens',
+  'inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'modelBreakdowns', 'modelsUsed'
+];
+
+/**
+ * Get the day of a session's last activity
+ * Plain YYYY-MM-DD days are already local days; timestamps are converted to
+ * the configured timezone, like block start times and session log entries.
+ * @param {string} lastActivity - YYYY-MM-DD day or ISO timestamp
+ * @param {string} timeZone - IANA timezone for day boundaries
+ * @returns {string|null} YYYY-MM-DD day, or null when there is no valid date
+ */
+function getSessionDay(lastActivity, timeZone) {
+  const value = String(lastActivity || '');
+  if (parseISODate(value)) return value;
+
+  const timestamp = new Date(value);
+  return isNaN(timestamp.getTime()) ? null : getDateKey(timestamp, timeZone);
+}
+
+/**
+ * Transform a ccusage `session --json` report to internal format
+ * A session's usage is attributed to the day of its last activity in the
+ * configured timezone, and to its project in `byProject` / per-day `projects`.
+ * @param {object} rawData - Raw ccusage data with sessions[] and totals{}
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone for day boundaries (default: UTC)
+ * @returns {object} Transformed data for internal use
+ */
+export function transformCcusageSession(rawData, options = {}) {
+  const data = createEmptyData();
+  data.byProject = {};
+  data.sessions = [];
+
+  for (const session of rawData.sessions || []) {
+    const date = getSessionDay(session.lastActivity, options.timezone || 'UTC');
+    if (!date) continue;
+
+    const project = session.projectPath || session.sessionId || 'unknown';
+    const cost = session.totalCost || 0;
+    const tokens = session.totalTokens ??
+      DAY_TOKEN_FIELDS.reduce((sum, field) => sum + (session[field] || 0), 0);
+
+    if (!data.byDay[date]) {
+      data.byDay[date] = { cost: 0, tokens: 0, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, models: {}, projects: {} };
+    }
+    const day = data.byDay[date];
+    day.cost += cost;
+    day.tokens += tokens;
+    for (const field of DAY_TOKEN_FIELDS) {
+      day[field] += session[field] || 0;
+    }
+    for (const model of session.modelBreakdowns || []) {
+      addModelStats(day.models, model.modelName, model);
+      addModelStats(data.byModel, model.modelName, model);
+    }
+
+    for (const target of [data.byProject, day.projects]) {
+      if (!target[project]) target[project] = { cost: 0, tokens: 0 };
+      target[project].cost += cost;
+      target[project].tokens += tokens;
+    }
+
+    const record = { id: session.sessionId, project, lastActivity: date, cost, tokens };
+    const extra = pickUnknownFields(session, SESSION_FIELDS);
+    if (extra) record.extra = extra;
+    data.sessions.push(record);
+  }
+
+  const totals = rawData.totals || {};
+  const days = Object.values(data.byDay);
+  const sumDays = (field) => days.reduce((sum, day) => sum + day[field], 0);
+  data.totalCost = totals.totalCost ?? sumDays('cost');
+  data.totalInputTokens = totals.inputTokens ?? sumDays('inputTokens');
+  data.totalOutputTokens = totals.outputTokens ?? sumDays('outputTokens');
+  data.totalCacheCreationInputTokens = totals.cacheCreationTokens ?? sumDays('cacheCreationTokens');
+  data.totalCacheReadInputTokens = totals.cacheReadTokens ?? sumDays('cacheReadTokens');
+
+  return withExportMeta(data, rawData);
+}
+
+/**
+ * Block fields consumed by transformCcusageBlocks
+ */
+const BLOCK_FIELDS = [
+  'id', 'startTime', 'endTime', 'actualEndTime', 'isActive', 'isGap',
+  'entries', 'tokenCounts', 'totalTokens', 'costUSD', 'models'
+];
+
+/**
+ * Transform a ccusage `blocks --json` report (5-hour billing windows) to internal format
+ * Each block's usage is attributed to the day it started in the configured timezone;
+ * the blocks themselves are kept in `blocks` for active/peak block stats. Gap blocks are skipped.
+ * @param {object} rawData - Raw ccusage data with blocks[]
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone for day boundaries (default: UTC)
+ * @returns {object} Transformed data for internal use
+ */
+export function transformCcusageBlocks(rawData, options = {}) {
+  const data = createEmptyData();
+  data.blocks = [];
+
+  for (const block of rawData.blocks || []) {
+    if (block.isGap || !block.startTime) continue;
+
+    const start = new Date(block.startTime);
+    if (isNaN(start.getTime())) continue;
+    const date = getDateKey(start, options.timezone || 'UTC');
+
+    const counts = block.tokenCounts || {};
+    const stats = {
+      inputTokens: counts.inputTokens || 0,
+      outputTokens: counts.outputTokens || 0,
+      cacheCreationTokens: counts.cacheCreationInputTokens || 0,
+      cacheReadTokens: counts.cacheReadInputTokens || 0
+    };
+    const cost = block.costUSD || 0;
+    const tokens = block.totalTokens ?? DAY_TOKEN_FIELDS.reduce((sum, field) => sum + stats[field], 0);
+
+    data.totalCost += cost;
+    data.totalInputTokens += stats.inputTokens;
+    data.totalOutputTokens += stats.outputTokens;
+    data.totalCacheCreationInputTokens += stats.cacheCreationTokens;
+    data.totalCacheReadInputTokens += stats.cacheReadTokens;
+
+    // Blocks list model names without a per-model split, so days carry no models
+    if (!data.byDay[date]) {
+      data.byDay[date] = { cost: 0, tokens: 0, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, models: {} };
+    }
+    const day = data.byDay[date];
+    day.cost += cost;
+    day.tokens += tokens;
+    for (const field of DAY_TOKEN_FIELDS) {
+      day[field] += stats[field];
+    }
+
+    const record = {
+      id: block.id || start.toISOString(),
+      start: start.toISOString(),
+      date,
+      end: block.endTime || null,
+      active: Boolean(block.isActive),
+      entries: block.entries || 0,
+      cost,
+      tokens,
+      models: block.models || []
+    };
+    const extra = pickUnknownFields(block, BLOCK_FIELDS);
+    if (extra) record.extra = extra;
+    data.blocks.push(record);
+  }
+
+  return withExportMeta(data, rawData);
+}
+
+/**
+ * Column aliases accepted by the generic CSV adapter
+ */
+const CSV_COLUMNS = {
+  date: ['date', 'day'],
+  model: ['model', 'modelname', 'model_name'],
+  inputTokens: ['input', 'input_tokens', 'inputtokens'],
+  outputTokens: ['output', 'output_tokens', 'outputtokens'],
+  cacheCreationTokens: ['cache_creation', 'cache_write', 'cache_creation_tokens', 'cachecreationtokens'],
+  cacheReadTokens: ['cache_read', 'cache_read_tokens', 'cachereadtokens'],
+  cost: ['cost', 'cost_usd', 'totalcost'],
+  tool: ['tool', 'source_tool']
+};
+
+const CSV_REQUIRED = ['date', 'model', 'inputTokens', 'outputTokens'];
+
+/**
+ * Split CSV text into rows of cells (supports double-quoted cells)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cells, blank lines skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    rows.push(cells);
+  }
+
+  return rows;
+}
+
+/**
+ * Map CSV header cells to internal field names
+ * @param {string[]} header - Header row
+ * @returns {object} Map of field name to column index
+ */
+function mapCsvColumns(header) {
+  const columns = {};
+  header.forEach((name, index) => {
+    const normalized = name.toLowerCase().replace(/\s+/g, '_');
+    for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+      if (aliases.includes(normalized) && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    }
+  });
+  return columns;
+}
+
+/**
+ * Check whether text starts with a CSV header naming every required column
+ * @param {string} text - Raw text
+ * @returns {boolean}
+ */
+function hasCsvHeader(text) {
+  const header = parseCsv(text.split(/\r?\n/, 1)[0])[0] || [];
+  const columns = mapCsvColumns(header);
+  return CSV_REQUIRED.every((field) => columns[field] !== undefined);
+}
+
+/**
+ * Validate the rows of a generic CSV export
+ * @param {string} text - CSV content with a header row
+ * @returns {string[]} Errors
+ */
+function validateCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = mapCsvColumns(header || []);
+  const numeric = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'cost']
+    .filter((field) => columns[field] !== undefined);
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    if (!parseISODate(row[columns.date] || '')) {
+      errors.push(`CSV line ${line} has an invalid date ${JSON.stringify(row[columns.date] ?? '')}`);
+    }
+    for (const field of numeric) {
+      const value = row[columns[field]];
+      if (value !== undefined && value !== '' && !Number.isFinite(Number(value))) {
+        errors.push(`CSV line ${line} has a non-numeric ${header[columns[field]]} ${JSON.stringify(value)}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Transform a generic CSV export (date,model,input,output,cost) to internal format
+ * Optional columns: cache_creation, cache_read, tool.
+ * @param {string} text - CSV content with a header row
+ * @returns {object} Transformed data for internal use
+ */
+export function transformCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = mapCsvColumns(header || []);
+  const data = createEmptyData();
+  const number = (row, field) => Number(row[columns[field]]) || 0;
+
+  for (const row of rows) {
+    const date = row[columns.date];
+    if (!date) continue;
+
+    const model = row[columns.model] || 'unknown';
+    const stats = {
+      cost: number(row, 'cost'),
+      inputTokens: number(row, 'inputTokens'),
+      outputTokens: number(row, 'outputTokens'),
+      cacheCreationTokens: number(row, 'cacheCreationTokens'),
+      cacheReadTokens: number(row, 'cacheReadTokens')
+    };
+    const tokens = DAY_TOKEN_FIELDS.reduce((sum, field) => sum + stats[field], 0);
+
+    data.totalCost += stats.cost;
+    data.totalInputTokens += stats.inputTokens;
+    data.totalOutputTokens += stats.outputTokens;
+    data.totalCacheCreationInputTokens += stats.cacheCreationTokens;
+    data.totalCacheReadInputTokens += stats.cacheReadTokens;
+    addModelStats(data.byModel, model, stats);
+
+    if (!data.byDay[date]) {
+      data.byDay[date] = { cost: 0, tokens: 0, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, models: {} };
+    }
+    const day = data.byDay[date];
+    day.cost += stats.cost;
+    day.tokens += tokens;
+    for (const field of DAY_TOKEN_FIELDS) {
+      day[field] += stats[field];
+    }
+    addModelStats(day.models, model, stats);
+
+    // Rows may name the tool they came from
+    if (columns.tool !== undefined && row[columns.tool]) {
+      const tool = row[columns.tool];
+      data.byTool = data.byTool || {};
+      day.tools = day.tools || {};
+      for (const target of [data.byTool, day.tools]) {
+        if (!target[tool]) target[tool] = { cost: 0, tokens: 0 };
+        target[tool].cost += stats.cost;
+        target[tool].tokens += tokens;
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Attribute all of a data object's usage to one tool
+ * @param {object} data - Internal data (mutated)
+ * @param {string} tool - Tool name (e.g. "claude-code")
+ * @returns {object} The same data object
+ */
+export function tagTool(data, tool) {
+  if (!tool || data.byTool) return data;
+
+  const tokens = (data.totalInputTokens || 0) + (data.totalOutputTokens || 0) +
+    (data.totalCacheCreationInputTokens || 0) + (data.totalCacheReadInputTokens || 0);
+
+  data.tool = tool;
+  data.byTool = { [tool]: { cost: data.totalCost || 0, tokens } };
+  for (const day of Object.values(data.byDay || {})) {
+    day.tools = day.tools || { [tool]: { cost: day.cost || 0, tokens: day.tokens || 0 } };
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a ccusage-style export is marked as OpenCode usage
+ * @ccusage/opencode reports share ccusage's daily shape, so only an explicit
+ * `tool` or `source` field tells them apart.
+ * @param {object} rawData - Parsed export
+ * @returns {boolean}
+ */
+function isOpenCodeExport(rawData) {
+  return rawData.tool === 'opencode' || rawData.source === 'opencode';
+}
+
+/**
+ * Validate ccusage report containers
+ * @param {object} rawData - Parsed export
+ * @param {string} key - Report array key ('daily' or 'monthly')
+ * @returns {string[]} Errors
+ */
+function validateReport(rawData, key) {
+  const errors = [];
+  if (rawData[key] && !Array.isArray(rawData[key])) {
+    errors.push(`${key} must be an array`);
+  }
+  if (rawData.totals && typeof rawData.totals !== 'object') {
+    errors.push('totals must be an object');
+  }
+  return errors;
+}
+
+/**
+ * Validate the internal format
+ * @param {object} data - Internal data
+ * @returns {string[]} Errors
+ */
+export function validateInternalFormat(data) {
+  const errors = [];
+
+  if (typeof data.totalCost !== 'number') {
+    errors.push('totalCost must be a number');
+  }
+
+  if (data.byModel && typeof data.byModel !== 'object') {
+    errors.push('byModel must be an object');
+  }
+
+  if (data.byDay && typeof data.byDay !== 'object') {
+    errors.push('byDay must be an object');
+  }
+
+  return errors;
+}
+
+/**
+ * Built-in adapters, checked in order
+ */
+const builtInAdapters = [
+  {
+    name: 'internal',
+    description: 'VibeDashboard internal format (totalCost, byModel, byDay)',
+    tool: null,
+    detect: isInternalFormat,
+    transform: (rawData) => rawData,
+    validate: validateInternalFormat
+  },
+  {
+    name: 'ccusage-opencode',
+    description: '@ccusage/opencode daily report',
+    tool: 'opencode',
+    detect: (rawData) => Boolean(rawData) && Array.isArray(rawData.daily) && isOpenCodeExport(rawData),
+    transform: transformCcusageFormat,
+    validate: (rawData) => validateReport(rawData, 'daily')
+  },
+  {
+    name: 'ccusage-monthly',
+    description: 'ccusage monthly --json report',
+    tool: 'claude-code',
+    detect: (rawData) => Boolean(rawData) && Array.isArray(rawData.monthly),
+    transform: transformCcusageMonthly,
+    validate: (rawData) => validateReport(rawData, 'monthly')
+  },
+  {
+    name: 'ccusage-session',
+    description: 'ccusage session --json report',
+    tool: 'claude-code',
+    detect: (rawData) => Boolean(rawData) && Array.isArray(rawData.sessions),
+    transform: transformCcusageSession,
+    validate: (rawData) => validateReport(rawData, 'sessions')
+  },
+  {
+    name: 'ccusage-blocks',
+    description: 'ccusage blocks --json report (5-hour billing windows)',
+    tool: 'claude-code',
+    detect: (rawData) => Boolean(rawData) && Array.isArray(rawData.blocks),
+    transform: transformCcusageBlocks,
+    validate: (rawData) => validateReport(rawData, 'blocks')
+  },
+  {
+    name: 'ccusage-daily',
+    description: 'ccusage daily --json report',
+    tool: 'claude-code',
+    detect: (rawData) => Boolean(rawData) && typeof rawData === 'object' &&
+      (rawData.daily !== undefined || rawData.totals !== undefined || Object.keys(rawData).length === 0),
+    transform: transformCcusageFormat,
+    validate: (rawData) => validateReport(rawData, 'daily')
+  },
+  {
+    name: 'csv',
+    description: 'Generic CSV (date,model,input,output,cost)',
+    tool: 'other',
+    detect: (rawData) => typeof rawData === 'string' && hasCsvHeader(rawData),
+    transform: transformCsv,
+    validate: validateCsv
+  }
+];
+
+const customAdapters = [];
+
+/**
+ * Register a custom input adapter (checked before the built-ins)
+ * @param {object} adapter - { name, detect(raw), transform(raw, options), tool?, validate?(raw), description? }
+ */
+export function registerAdapter(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.transform !== 'function') {
+    throw new Error('Adapters need a name, a detect(raw) function and a transform(raw) function');
+  }
+  const existing = customAdapters.findIndex((a) => a.name === adapter.name);
+  if (existing !== -1) {
+    customAdapters.splice(existing, 1);
+  }
+  customAdapters.unshift(adapter);
+}
+
+/**
+ * Get all adapters in detection order
+ * @returns {object[]} Adapters
+ */
+export function getAdapters() {
+  return [...customAdapters, ...builtInAdapters];
+}
+
+/**
+ * Find the adapter that understands an input
+ * @param {*} rawData - Parsed JSON or raw text
+ * @returns {object|null} Matching adapter or null
+ */
+export function detectAdapter(rawData) {
+  return getAdapters().find((adapter) => {
+    try {
+      return adapter.detect(rawData);
+    } catch {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Parse file content as JSON, falling back to the raw text for non-JSON formats
+ * Content that starts like JSON (an object or array) must parse, so a
+ * truncated export is reported instead of being read as some text format.
+ * @param {string} content - File content
+ * @returns {*} Parsed JSON or the original text
+ */
+export function parseRawContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    if (/^\s*[[{]/.test(content)) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return content;
+  }
+}
+
+/**
+ * Auto-detect the input format, validate it and transform it to the internal format
+ * @param {*} rawData - Parsed JSON or raw text
+ * @param {object} options - Options passed to the adapter
+ * @param {string} options.timezone - IANA timezone for day boundaries (default: UTC)
+ * @returns {object} Internal data, with `adapter` naming the adapter used
+ */
+export function transformUsageData(rawData, options = {}) {
+  const adapter = detectAdapter(rawData);
+  if (!adapter) {
+    throw new Error('Unrecognized usage data format');
+  }
+
+  const errors = adapter.validate ? adapter.validate(rawData) : [];
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${adapter.name} data: ${errors.join(', ')}`);
+  }
+
+  const data = { ...adapter.transform(rawData, options), adapter: adapter.name };
+  return tagTool(data, adapter.tool);
+}
+
+export default {
+  registerAdapter,
+  getAdapters,
+  detectAdapter,
+  parseRawContent,
+  transformUsageData,
+  transformCcusageFormat,
+  transformCcusageMonthly,
+  transformCcusageSession,
+  transformCcusageBlocks,
+  transformCsv,
+  parseCsv,
+  tagTool
+};
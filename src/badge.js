@@ -0,0 +1,300 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { formatTokens, formatCost, escapeXml, getPeriodLabelKey, getPeriodLabelParams, resolveAsOf } from './utils.js';
+import { t } from './i18n.js';
+import { getTopModel } from './parser.js';
+import { getCurrencyFormat } from './currency.js';
+import { isValidColor } from './themes.js';
+
+/**
+ * Summary values a badge can show
+ */
+export const BADGE_METRICS = ['tokens', 'cost', 'usage', 'topModel', 'streak'];
+
+/**
+ * Badge styles, named after their shields.io counterparts
+ */
+export const BADGE_STYLES = ['flat', 'flat-square', 'for-the-badge'];
+
+/**
+ * Named colors understood by shields.io, so badges look the same either way
+ */
+export const BADGE_COLORS = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellowgreen: '#a4a61d',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  blue: '#007ec6',
+  lightgrey: '#9f9f9f',
+  lightgray: '#9f9f9f',
+  grey: '#555',
+  gray: '#555',
+  success: '#4c1',
+  important: '#fe7d37',
+  critical: '#e05d44',
+  informational: '#007ec6',
+  inactive: '#9f9f9f'
+};
+
+/**
+ * Message color of each metric when none is given
+ */
+const DEFAULT_COLORS = {
+  tokens: 'blue',
+  cost: 'orange',
+  usage: 'blue',
+  topModel: 'informational',
+  streak: 'brightgreen'
+};
+
+/**
+ * Font, height and padding of each style
+ */
+const STYLE_METRICS = {
+  flat: { height: 20, fontSize: 11, padding: 6, radius: 3, gradient: true },
+  'flat-square': { height: 20, fontSize: 11, padding: 6, radius: 0, gradient: false },
+  'for-the-badge': { height: 28, fontSize: 10, padding: 12, radius: 0, gradient: false, letterSpacing: 1.25, bold: true }
+};
+
+const FONT_FAMILY = 'Verdana,Geneva,DejaVu Sans,sans-serif';
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Resolve a badge color to something SVG understands
+ * @param {string} color - shields.io color name, hex with or without "#", or a CSS color
+ * @returns {string|null} Color, or null when it isn't a color
+ */
+export function resolveBadgeColor(color) {
+  if (typeof color !== 'string') return null;
+  const name = color.trim().toLowerCase();
+  if (BADGE_COLORS[name]) return BADGE_COLORS[name];
+  if (HEX_PATTERN.test(name)) return name.startsWith('#') ? name : `#${name}`;
+  return isValidColor(name) ? name : null;
+}
+
+/**
+ * Check badge options
+ * @param {object} options - { metric, style, color, labelColor }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateBadge({ metric, style, color, labelColor } = {}) {
+  const errors = [];
+  if (metric !== undefined && !BADGE_METRICS.includes(metric)) {
+    errors.push(`Badge metric must be one of ${BADGE_METRICS.join(', ')} (got ${JSON.stringify(metric)})`);
+  }
+  if (style !== undefined && !BADGE_STYLES.includes(style)) {
+    errors.push(`Badge style must be one of ${BADGE_STYLES.join(', ')} (got ${JSON.stringify(style)})`);
+  }
+  for (const [key, value] of Object.entries({ color, labelColor })) {
+    if (value !== undefined && !resolveBadgeColor(value)) {
+      errors.push(`Badge ${key} must be a color name like "brightgreen" or a hex color (got ${JSON.stringify(value)})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get the label and message of a badge
+ * The default label names the metric and, unless the period is 'all', the period.
+ * @param {object} data - Processed usage data
+ * @param {string} metric - One of BADGE_METRICS
+ * @param {object} config - Configuration (language, currency, period, timezone, asOf)
+ * @returns {object} { label, message }
+ */
+export function getBadgeValue(data, metric, config = {}) {
+  const language = config.language || 'en';
+  const currencySymbol = getCurrencyFormat(config);
+  const { summary, models, activity } = data;
+  const formatUsage = ({ tokens, cost }) => `${formatTokens(tokens)} / ${formatCost(cost, currencySymbol)}`;
+
+  let message;
+  switch (metric) {
+    case 'cost':
+      message = formatCost(summary.totalCost, currencySymbol);
+      break;
+    case 'usage':
+      message = formatUsage({ tokens: summary.totalTokens, cost: summary.totalCost });
+      break;
+    case 'topModel':
+      message = getTopModel(models)?.shortName || t('badgeNone', language);
+      break;
+    case 'streak':
+      message = t('badgeStreakValue', language, { n: activity?.currentStreak || 0 });
+      break;
+    default:
+      message = formatTokens(summary.totalTokens);
+  }
+
+  // Streaks count up to today whatever the period, so they get no period label
+  const period = config.period || data.period || 'all';
+  let label = t(`badge${metric[0].toUpperCase()}${metric.slice(1)}`, language);
+  if (period !== 'all' && metric !== 'streak') {
+    const timezone = config.timezone || 'UTC';
+    const now = resolveAsOf(config.asOf, timezone) || new Date();
+    label += ` (${t(getPeriodLabelKey(period), language, getPeriodLabelParams(period, now, timezone))})`;
+  }
+
+  return { label, message };
+}
+
+/**
+ * Estimate the rendered width of badge text
+ * Badges have no layout engine to measure text, so widths are approximated
+ * from character classes of the Verdana font shields.io uses.
+ * @param {string} text - Text
+ * @param {object} style - Entry of STYLE_METRICS
+ * @returns {number} Width in pixels
+ */
+function measureText(text, style) {
+  let width = 0;
+  for (const char of text) {
+    if (/[il.,:;|!'`]/.test(char)) width += 3.5;
+    else if (/[fjrtI()[\] ]/.test(char)) width += 4.5;
+    else if (/[mwMW@%]/.test(char)) width += 10.5;
+    else if (/[A-Z0-9$#&~]/.test(char)) width += 7.5;
+    else if (char.charCodeAt(0) > 0x2000) width += 11;
+    else width += 6.5;
+  }
+  width *= style.fontSize / 11;
+  if (style.bold) width *= 1.1;
+  return Math.round(width + (style.letterSpacing || 0) * [...text].length);
+}
+
+/**
+ * Pick a readable text color for a background
+ * @param {string} color - Background color
+ * @returns {string} "#fff", or "#333" on light hex backgrounds
+ */
+function getTextColor(color) {
+  const match = HEX_PATTERN.exec(color);
+  if (!match) return '#fff';
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  // Perceived brightness (ITU-R BT.601)
+  return (r * 299 + g * 587 + b * 114) / 1000 > 170 ? '#333' : '#fff';
+}
+
+/**
+ * Generate a shields-style SVG badge for a summary metric
+ * @param {object} data - Processed usage data
+ * @param {object} options - Badge options
+ * @param {string} options.metric - One of BADGE_METRICS (default 'tokens')
+ * @param {string} options.style - One of BADGE_STYLES (default 'flat')
+ * @param {string} options.label - Left text (default: the metric and period)
+ * @param {string} options.color - Right background (default per metric)
+ * @param {string} options.labelColor - Left background (default grey)
+ * @param {object} config - Configuration (language, currency, period, timezone, asOf)
+ * @returns {string} SVG string
+ */
+export function generateBadge(data, options = {}, config = {}) {
+  const { metric = 'tokens', style: styleName = 'flat' } = options;
+  const style = STYLE_METRICS[styleName] || STYLE_METRICS.flat;
+  const value = getBadgeValue(data, metric, config);
+  const upper = (text) => (styleName === 'for-the-badge' ? text.toUpperCase() : text);
+  const label = upper(options.label ?? value.label);
+  const message = upper(value.message);
+  const color = resolveBadgeColor(options.color ?? DEFAULT_COLORS[metric]) || BADGE_COLORS.blue;
+  const labelColor = resolveBadgeColor(options.labelColor ?? 'grey') || BADGE_COLORS.grey;
+
+  const labelWidth = label ? measureText(label, style) + style.padding * 2 : 0;
+  const messageWidth = measureText(message, style) + style.padding * 2;
+  const width = labelWidth + messageWidth;
+  const { height } = style;
+  const textY = height / 2 + style.fontSize * 0.35;
+  const title = label ? `${label}: ${message}` : message;
+
+  const text = (content, x, fill) => {
+    const attributes = `x="${x}" y="${textY}" fill="${fill}"${style.letterSpacing ? ` letter-spacing="${style.letterSpacing}"` : ''}`;
+    // Flat badges get a faint drop shadow under the text, like shields.io
+    const shadow = style.gradient && fill === '#fff'
+      ? `
+    <text x="${x}" y="${textY + 1}" fill="#010101" fill-opacity=".3">${escapeXml(content)}</text>`
+      : '';
+    return `${shadow}
+    <text ${attributes}>${escapeXml(content)}</text>`;
+  };
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${escapeXml(title)}">
+  <title>${escapeXml(title)}</title>`;
+
+  if (style.gradient) {
+    svg += `
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>`;
+  }
+
+  svg += `
+  <clipPath id="r">
+    <rect width="${width}" height="${height}" rx="${style.radius}" fill="#fff"/>
+  </clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="${height}" fill="${labelColor}"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="${height}" fill="${color}"/>${style.gradient ? `
+    <rect width="${width}" height="${height}" fill="url(#s)"/>` : ''}
+  </g>
+  <g text-anchor="middle" font-family="${FONT_FAMILY}" font-size="${style.fontSize}"${style.bold ? ' font-weight="bold"' : ''}>`;
+
+  if (label) {
+    svg += text(label, labelWidth / 2, getTextColor(labelColor));
+  }
+  svg += text(message, labelWidth + messageWidth / 2, getTextColor(color));
+
+  svg += `
+  </g>
+</svg>`;
+
+  return svg;
+}
+
+/**
+ * Build a shields.io endpoint response for a summary metric
+ * Serve the JSON file and point https://img.shields.io/endpoint?url=... at it
+ * to have shields.io render the badge.
+ * @param {object} data - Processed usage data
+ * @param {object} options - Badge options (see generateBadge)
+ * @param {object} config - Configuration (language, currency, period, timezone, asOf)
+ * @returns {object} Endpoint JSON ({ schemaVersion, label, message, color, labelColor?, style? })
+ */
+export function generateBadgeEndpoint(data, options = {}, config = {}) {
+  const { metric = 'tokens', style } = options;
+  const value = getBadgeValue(data, metric, config);
+  // shields.io takes hex colors without the "#"
+  const toShieldsColor = (color) => {
+    const name = color.trim().toLowerCase();
+    return BADGE_COLORS[name] ? name : name.replace(/^#/, '');
+  };
+
+  const endpoint = {
+    schemaVersion: 1,
+    label: options.label ?? value.label,
+    message: value.message,
+    color: toShieldsColor(options.color ?? DEFAULT_COLORS[metric])
+  };
+  if (options.labelColor) endpoint.labelColor = toShieldsColor(options.labelColor);
+  if (style) endpoint.style = style;
+  return endpoint;
+}
+
+/**
+ * Write a shields.io endpoint response to a JSON file
+ * @param {string} endpointPath - Path to write
+ * @param {object} endpoint - Endpoint JSON (see generateBadgeEndpoint)
+ * @returns {Promise<void>}
+ */
+export async function writeBadgeEndpoint(endpointPath, endpoint) {
+  await mkdir(dirname(endpointPath), { recursive: true });
+  await writeFile(endpointPath, JSON.stringify(endpoint, null, 2) + '\n', 'utf-8');
+}
+
+export default {
+  resolveBadgeColor,
+  validateBadge,
+  getBadgeValue,
+  generateBadge,
+  generateBadgeEndpoint,
+  writeBadgeEndpoint
+};
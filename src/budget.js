@@ -0,0 +1,176 @@
+import { writeFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { getDateKey, getPeriodRange, parseISODate, isDateInRange, resolveAsOf } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Budget periods in display order
+ */
+export const BUDGET_PERIODS = ['monthly', 'weekly'];
+
+/**
+ * Default share of the budget (in percent) at which the warning state starts
+ */
+export const DEFAULT_WARN_AT = 80;
+
+/**
+ * Budget states from best to worst
+ */
+const STATUS_ORDER = ['ok', 'warning', 'over'];
+
+/**
+ * Check a `budget` config entry
+ * @param {object} budget - { monthly?, weekly?, warnAt? }, amounts in the configured currency
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateBudget(budget) {
+  if (budget === null || budget === undefined) return [];
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    return ['budget must be an object like { "monthly": 100 }'];
+  }
+
+  const errors = [];
+  if (!BUDGET_PERIODS.some((period) => budget[period] !== undefined)) {
+    errors.push('budget needs a monthly or weekly amount');
+  }
+  for (const period of BUDGET_PERIODS) {
+    const amount = budget[period];
+    if (amount !== undefined && !(typeof amount === 'number' && amount > 0)) {
+      errors.push(`budget.${period} must be a positive number`);
+    }
+  }
+  if (budget.warnAt !== undefined && !(typeof budget.warnAt === 'number' && budget.warnAt > 0 && budget.warnAt <= 100)) {
+    errors.push('budget.warnAt must be a percentage between 1 and 100');
+  }
+  return errors;
+}
+
+/**
+ * Get the calendar window a budget period covers on a given day
+ * Months run from the 1st, weeks from Monday.
+ * @param {string} period - 'monthly' or 'weekly'
+ * @param {Date} referenceDate - Reference date
+ * @param {string} timeZone - IANA timezone
+ * @returns {object} { startDate, endDate, days, elapsedDays, today } as UTC instants of calendar days
+ */
+function getBudgetWindow(period, referenceDate, timeZone) {
+  const today = parseISODate(getDateKey(referenceDate, timeZone));
+  let startDate;
+  let endDate;
+  let days;
+
+  if (period === 'monthly') {
+    ({ startDate, endDate, days } = getPeriodRange('calendar-month', referenceDate, timeZone));
+  } else {
+    const weekday = (today.getUTCDay() + 6) % 7;
+    startDate = new Date(today.getTime() - weekday * DAY_MS);
+    endDate = new Date(startDate.getTime() + 7 * DAY_MS - 1);
+    days = 7;
+  }
+
+  const elapsedDays = Math.round((today - startDate) / DAY_MS) + 1;
+  return { startDate, endDate, days, elapsedDays, today };
+}
+
+/**
+ * Work out spend against the configured budgets
+ * Spend is summed from `byDay` of the unfiltered data, so the budget doesn't
+ * depend on the selected display period. The monthly projection is the
+ * forecast's month-end cost when a sufficient forecast is given, so the card
+ * shows one figure; otherwise (and for weeks) it is the run rate, the daily
+ * average so far extended to the end of the month or week.
+ * @param {object} data - Internal usage data (not yet filtered by period)
+ * @param {object} budget - { monthly?, weekly?, warnAt? } amounts in the configured currency
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone for day boundaries
+ * @param {string|Date} options.asOf - Reference date (default: now)
+ * @param {object|null} forecast - Result of forecastUsage for the same data (optional)
+ * @returns {object|null} { status, warnAt, periods: [{ period, limit, spent, remaining, percentage, projected, projection, status, from, to }] } or null without a budget
+ */
+export function getBudgetStatus(data, budget, options = {}, forecast = null) {
+  if (!budget || validateBudget(budget).length > 0) return null;
+
+  const timeZone = options.timezone || 'UTC';
+  const referenceDate = resolveAsOf(options.asOf, timeZone);
+  if (!referenceDate) return null;
+  const warnAt = budget.warnAt ?? DEFAULT_WARN_AT;
+
+  const periods = BUDGET_PERIODS.filter((period) => budget[period] !== undefined).map((period) => {
+    const limit = budget[period];
+    const { startDate, endDate, days, elapsedDays, today } = getBudgetWindow(period, referenceDate, timeZone);
+
+    // Days after the reference date don't count yet
+    const spentRange = { startDate, endDate: new Date(today.getTime() + DAY_MS - 1) };
+    let spent = 0;
+    for (const [date, stats] of Object.entries(data.byDay || {})) {
+      if (isDateInRange(date, spentRange)) spent += stats.cost || 0;
+    }
+
+    const percentage = Number(((spent / limit) * 100).toFixed(1));
+    let status = 'ok';
+    if (spent > limit) {
+      status = 'over';
+    } else if (percentage >= warnAt) {
+      status = 'warning';
+    }
+
+    const fromForecast = period === 'monthly' && Boolean(forecast?.sufficient && forecast.month);
+
+    return {
+      period,
+      limit,
+      spent,
+      remaining: Math.max(limit - spent, 0),
+      percentage,
+      projected: fromForecast ? forecast.month.cost : (spent / elapsedDays) * days,
+      projection: fromForecast ? 'forecast' : 'run-rate',
+      status,
+      from: startDate.toISOString().slice(0, 10),
+      to: endDate.toISOString().slice(0, 10)
+    };
+  });
+
+  const status = periods.reduce(
+    (worst, entry) => (STATUS_ORDER.indexOf(entry.status) > STATUS_ORDER.indexOf(worst) ? entry.status : worst),
+    'ok'
+  );
+
+  return { status, warnAt, periods };
+}
+
+/**
+ * Check whether a budget status has reached a level
+ * @param {object|null} budgetStatus - Result of getBudgetStatus
+ * @param {string} level - 'warning' or 'over'
+ * @returns {boolean}
+ */
+export function isBudgetAtLeast(budgetStatus, level) {
+  if (!budgetStatus) return false;
+  return STATUS_ORDER.indexOf(budgetStatus.status) >= STATUS_ORDER.indexOf(level);
+}
+
+/**
+ * Write a machine-readable budget alert (JSON) for CI workflows
+ * @param {string} alertPath - Path of the alert file
+ * @param {object} budgetStatus - Result of getBudgetStatus
+ * @param {object} meta - Extra fields to include (e.g. { currency, asOf })
+ * @returns {Promise<void>}
+ */
+export async function writeBudgetAlert(alertPath, budgetStatus, meta = {}) {
+  const alert = {
+    ...meta,
+    status: budgetStatus.status,
+    warnAt: budgetStatus.warnAt,
+    periods: budgetStatus.periods
+  };
+  await mkdir(dirname(alertPath), { recursive: true });
+  await writeFile(alertPath, JSON.stringify(alert, null, 2) + '\n', 'utf-8');
+}
+
+export default {
+  validateBudget,
+  getBudgetStatus,
+  isBudgetAtLeast,
+  writeBudgetAlert
+};
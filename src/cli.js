@@ -4,8 +4,11 @@ import { Command } from 'commander';
 import { readFile } from 'node:fs/promises';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
-import { generateDashboard } from './index.js';
+import { generateDashboard, generateBadgeFile } from './index.js';
 import { addMarkers, hasMarkers } from './updater.js';
+import { isValidPeriod, PERIODS } from './utils.js';
+import { isBudgetAtLeast } from './budget.js';
+import { getMissingPricing } from './pricing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,6 +34,28 @@ function collectInputs(value, previous) {
   return previous.concat(values);
 }
 
+/**
+ * Read --exchange-rate as a number, or keep it as a path to a rates file
+ * @param {string} value - Option value
+ * @returns {number|string}
+ */
+function parseExchangeRate(value) {
+  const rate = Number(value);
+  return Number.isNaN(rate) ? value : rate;
+}
+
+/**
+ * Describe a period for console output
+ * @param {string|object} period - Named period or { from, to } range
+ * @returns {string}
+ */
+function formatPeriod(period) {
+  if (period && typeof period === 'object') {
+    return `${period.from || 'start'} → ${period.to || 'today'}`;
+  }
+  return period;
+}
+
 async function main() {
   const version = await getVersion();
 
@@ -46,33 +71,68 @@ async function main() {
     .description('Generate dashboard and update README')
     .option('-c, --config <path>', 'Path to config file', './vibe-config.json')
     .option('-i, --input <paths...>', 'Path(s) to ccusage JSON file(s). Can be used multiple times or comma-separated.', collectInputs, [])
+    .option('-d, --input-dir <path>', 'Directory of Claude Code session logs (e.g. ~/.claude/projects)')
     .option('-o, --output <path>', 'Path to README file', './README.md')
     .option('-s, --svg-output <path>', 'Path to save SVG file')
-    .option('--theme <theme>', 'Theme: dark or light')
-    .option('--layout <layout>', 'Layout: card, minimal, or detailed')
+    .option('--theme <theme>', 'Theme name or auto (run "vibe-dashboard themes" to list them)')
+    .option('--dual-theme', 'Write -dark.svg and -light.svg next to --svg-output and embed them with <picture>')
+    .option('--layout <layout>', 'Layout: card, compact, vertical, wide, minimal, detailed, or heatmap')
+    .option('--heatmap-metric <metric>', 'Color the heatmap by tokens or cost')
     .option('--language <lang>', 'Language: en, ko, or ja')
-    .option('--period <period>', 'Time period: day, week, month, or all', 'all')
+    .option('--period <period>', 'Time period: day, week, month, calendar-month, last-month, quarter, year, ytd, last-N-days (e.g. last-90-days), or all', 'all')
+    .option('--from <date>', 'Start of a custom date range (YYYY-MM-DD, overrides --period)')
+    .option('--to <date>', 'End of a custom date range (YYYY-MM-DD, overrides --period)')
+    .option('--as-of <date>', 'Render as of this date (YYYY-MM-DD or ISO timestamp) instead of now')
+    .option('--timezone <tz>', 'IANA timezone for day boundaries and the footer (e.g. Asia/Seoul, default: UTC)')
+    .option('--currency <code>', 'ISO 4217 currency to convert costs to (e.g. KRW, EUR)')
+    .option('--exchange-rate <rate>', 'Units of --currency per USD, or a path to a JSON rates file')
+    .option('--reprice', 'Recompute costs from token counts with the built-in pricing table')
+    .option('--merge-strategy <strategy>', 'How to merge duplicate days from the same origin: sum, max-per-day, or prefer-latest')
+    .option('--history <path>', 'History file to record into and read all-time data from (e.g. ./vibe-history.json)')
+    .option('--fail-on-budget [level]', 'Exit with code 2 when a budget is over (or at "warning" level)')
+    .option('--alert-file <path>', 'Write a JSON budget alert to this file when a budget needs attention')
     .action(async (options) => {
       console.log('🎸 VibeDashboard - Generating dashboard...\n');
 
-      // Handle input paths - use default if none provided
-      let inputPaths = options.input;
-      if (inputPaths.length === 0) {
-        inputPaths = ['./cc.json'];
+      const failLevel = options.failOnBudget === true ? 'over' : options.failOnBudget;
+      if (failLevel && !['warning', 'over'].includes(failLevel)) {
+        console.error('❌ Error: Invalid --fail-on-budget level "' + failLevel + '" (expected warning or over)');
+        process.exit(1);
       }
 
+      // With no -i, generateDashboard falls back to config sources or ./cc.json
+      const inputPaths = options.input;
+
       // Build config overrides from CLI options
       const configOverrides = {};
       if (options.theme) configOverrides.theme = options.theme;
+      if (options.dualTheme) configOverrides.dualTheme = true;
       if (options.layout) configOverrides.layout = options.layout;
+      if (options.heatmapMetric) configOverrides.heatmapMetric = options.heatmapMetric;
       if (options.language) configOverrides.language = options.language;
       if (options.period) configOverrides.period = options.period;
+      if (options.from || options.to) configOverrides.period = { from: options.from, to: options.to };
+
+      if (!isValidPeriod(configOverrides.period)) {
+        console.error('❌ Error: Invalid period ' + JSON.stringify(configOverrides.period) +
+          ' (expected ' + PERIODS.join(', ') + ', last-N-days, or YYYY-MM-DD dates with --from/--to)');
+        process.exit(1);
+      }
+      if (options.timezone) configOverrides.timezone = options.timezone;
+      if (options.mergeStrategy) configOverrides.mergeStrategy = options.mergeStrategy;
+      if (options.reprice) configOverrides.reprice = true;
+      if (options.currency) configOverrides.currency = options.currency.toUpperCase();
+      if (options.exchangeRate) configOverrides.exchangeRate = parseExchangeRate(options.exchangeRate);
 
       const result = await generateDashboard({
         configPath: options.config,
         inputPath: inputPaths.length === 1 ? inputPaths[0] : inputPaths,
+        inputDir: options.inputDir,
         outputPath: options.output,
         svgPath: options.svgOutput,
+        historyPath: options.history,
+        asOf: options.asOf,
+        alertPath: options.alertFile,
         config: Object.keys(configOverrides).length > 0 ? configOverrides : undefined
       });
 
@@ -84,12 +144,118 @@ async function main() {
           if (result.details.sources > 1) {
             console.log(`   📦 Merged ${result.details.sources} sources`);
           }
+          if (result.details.history) {
+            const { path, added, updated, days } = result.details.history;
+            console.log(`   🗄️  History ${path}: ${added} new, ${updated} updated (${days} days recorded)`);
+          }
+          if (result.details.sourceErrors.length > 0) {
+            console.log(`   ⚠️  Skipped ${result.details.sourceErrors.length} unreachable source(s)`);
+          }
           if (result.details.period !== 'all') {
-            console.log(`   📅 Period: ${result.details.period}`);
+            console.log(`   📅 Period: ${formatPeriod(result.details.period)}`);
+          }
+          if (result.details.asOf) {
+            console.log(`   🕰️  As of: ${result.details.asOf}`);
+          }
+          for (const entry of result.details.budget?.periods || []) {
+            const icon = { ok: '💳', warning: '⚠️ ', over: '🚨' }[entry.status];
+            console.log(`   ${icon} ${entry.period} budget: ${entry.percentage}% used ` +
+              `(${entry.spent.toFixed(2)} of ${entry.limit.toFixed(2)}, ${entry.projection === 'forecast' ? 'forecast' : 'run rate'} ${entry.projected.toFixed(2)})`);
+          }
+          if (result.details.pricing?.repriced) {
+            console.log(`   💲 Costs recomputed from token counts (pricing ${result.details.pricing.version})`);
+            for (const entry of result.details.pricing.applied) {
+              console.log(`      ${entry.model}: ${entry.source} prices${entry.from ? ` from ${entry.from}` : ''}`);
+            }
+            const missing = result.details.pricing.missingModels;
+            if (missing.length > 0) {
+              console.log(`   ⚠️  No pricing for ${missing.length} model(s), kept their recorded cost: ${missing.map((model) => model.name).join(', ')}`);
+            }
+          }
+          if (result.details.alert) {
+            console.log('   📝 Budget alert written to ' + result.details.alert);
           }
         }
+
+        if (failLevel && isBudgetAtLeast(result.details?.budget, failLevel)) {
+          console.error(`❌ Budget ${result.details.budget.status === 'over' ? 'exceeded' : 'warning threshold reached'}`);
+          process.exit(2);
+        }
       } else {
         console.error('❌ Error: ' + result.error);
+        for (const { source, error } of result.sourceErrors || []) {
+          console.error(`   - ${source}: ${error}`);
+        }
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('badge')
+    .description('Generate a shields-style badge for one summary metric')
+    .option('-c, --config <path>', 'Path to config file', './vibe-config.json')
+    .option('-i, --input <paths...>', 'Path(s) to ccusage JSON file(s). Can be used multiple times or comma-separated.', collectInputs, [])
+    .option('-d, --input-dir <path>', 'Directory of Claude Code session logs (e.g. ~/.claude/projects)')
+    .option('-o, --output <path>', 'Path to save the SVG badge', './vibe-badge.svg')
+    .option('--endpoint <path>', 'Also write a shields.io endpoint JSON to this path')
+    .option('--no-svg', 'Only write the --endpoint JSON')
+    .option('--metric <metric>', 'Metric: tokens, cost, usage, topModel, or streak', 'tokens')
+    .option('--style <style>', 'Badge style: flat, flat-square, or for-the-badge', 'flat')
+    .option('--label <text>', 'Left-hand text (default: the metric and period)')
+    .option('--color <color>', 'Message color: a shields.io color name or hex (e.g. brightgreen, ff69b4)')
+    .option('--label-color <color>', 'Label color: a shields.io color name or hex')
+    .option('--language <lang>', 'Language: en, ko, or ja')
+    .option('--period <period>', 'Time period: day, week, month, calendar-month, last-month, quarter, year, ytd, last-N-days (e.g. last-90-days), or all', 'all')
+    .option('--from <date>', 'Start of a custom date range (YYYY-MM-DD, overrides --period)')
+    .option('--to <date>', 'End of a custom date range (YYYY-MM-DD, overrides --period)')
+    .option('--as-of <date>', 'Compute the badge as of this date (YYYY-MM-DD or ISO timestamp) instead of now')
+    .option('--timezone <tz>', 'IANA timezone for day boundaries (e.g. Asia/Seoul, default: UTC)')
+    .option('--currency <code>', 'ISO 4217 currency to convert costs to (e.g. KRW, EUR)')
+    .option('--exchange-rate <rate>', 'Units of --currency per USD, or a path to a JSON rates file')
+    .option('--history <path>', 'History file to read all-time data from, without recording into it (e.g. ./vibe-history.json)')
+    .action(async (options) => {
+      const configOverrides = {};
+      if (options.language) configOverrides.language = options.language;
+      if (options.period) configOverrides.period = options.period;
+      if (options.from || options.to) configOverrides.period = { from: options.from, to: options.to };
+
+      if (!isValidPeriod(configOverrides.period)) {
+        console.error('❌ Error: Invalid period ' + JSON.stringify(configOverrides.period) +
+          ' (expected ' + PERIODS.join(', ') + ', last-N-days, or YYYY-MM-DD dates with --from/--to)');
+        process.exit(1);
+      }
+      if (options.timezone) configOverrides.timezone = options.timezone;
+      if (options.currency) configOverrides.currency = options.currency.toUpperCase();
+      if (options.exchangeRate) configOverrides.exchangeRate = parseExchangeRate(options.exchangeRate);
+
+      const inputPaths = options.input;
+      const result = await generateBadgeFile({
+        configPath: options.config,
+        inputPath: inputPaths.length === 1 ? inputPaths[0] : inputPaths,
+        inputDir: options.inputDir,
+        historyPath: options.history,
+        asOf: options.asOf,
+        metric: options.metric,
+        style: options.style,
+        label: options.label,
+        color: options.color,
+        labelColor: options.labelColor,
+        outputPath: options.svg ? options.output : undefined,
+        endpointPath: options.endpoint,
+        config: configOverrides
+      });
+
+      if (result.success) {
+        console.log(`🏷️  ${result.details.label}: ${result.details.value}`);
+        console.log('   📄 ' + result.details.files);
+        if (result.details.sourceErrors.length > 0) {
+          console.log(`   ⚠️  Skipped ${result.details.sourceErrors.length} unreachable source(s)`);
+        }
+      } else {
+        console.error('❌ Error: ' + result.error);
+        for (const { source, error } of result.sourceErrors || []) {
+          console.error(`   - ${source}: ${error}`);
+        }
         process.exit(1);
       }
     });
@@ -121,24 +287,34 @@ async function main() {
 
   program
     .command('validate')
-    .description('Validate ccusage JSON file')
-    .option('-i, --input <path>', 'Path to ccusage JSON file', './cc.json')
+    .description('Validate a usage export (ccusage JSON, OpenCode, CSV or internal format)')
+    .option('-i, --input <path>', 'Path to usage export file', './cc.json')
     .action(async (options) => {
       console.log('🎸 VibeDashboard - Validating input...\n');
 
       try {
         const content = await readFile(options.input, 'utf-8');
-        const data = JSON.parse(content);
+        const { parseRawContent, transformUsageData } = await import('./adapters.js');
+        const rawData = parseRawContent(content);
 
         const { validateData } = await import('./parser.js');
-        const result = validateData(data);
+        const result = validateData(rawData);
 
         if (result.isValid) {
+          const data = transformUsageData(rawData);
           console.log('✅ Input file is valid');
+          console.log('   Format: ' + (result.adapter || 'internal'));
           console.log('\nSummary:');
           console.log('   Total Cost: $' + (data.totalCost || 0).toFixed(2));
           console.log('   Models: ' + Object.keys(data.byModel || {}).length);
           console.log('   Days: ' + Object.keys(data.byDay || {}).length);
+          const missing = getMissingPricing(data.byModel);
+          if (missing.length > 0) {
+            console.log('   Models without pricing: ' + missing.map((model) => model.name).join(', '));
+          }
+          if (data.tool) {
+            console.log('   Tool: ' + data.tool);
+          }
         } else {
           console.error('❌ Validation errors:');
           result.errors.forEach((err) => console.error('   - ' + err));
@@ -154,11 +330,137 @@ async function main() {
       }
     });
 
+  program
+    .command('themes')
+    .description('List available SVG themes and optionally render a preview sheet')
+    .option('-c, --config <path>', 'Path to config file with customThemes', './vibe-config.json')
+    .option('-p, --preview <path>', 'Write an SVG previewing every theme to this path')
+    .action(async (options) => {
+      const { listThemes, validateThemes } = await import('./themes.js');
+      const { generateThemePreview } = await import('./generator.js');
+      const { writeFile } = await import('node:fs/promises');
+
+      try {
+        let customThemes = {};
+        try {
+          customThemes = JSON.parse(await readFile(options.config, 'utf-8')).customThemes || {};
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw new Error(`Failed to load config: ${error.message}`);
+          }
+        }
+
+        const errors = validateThemes(null, customThemes);
+        if (errors.length > 0) {
+          throw new Error(errors.join(', '));
+        }
+
+        console.log('🎨 Available themes:\n');
+        for (const { name, custom } of listThemes(customThemes)) {
+          console.log(`   ${name}${custom ? ' (custom)' : ''}`);
+        }
+        console.log('   auto (follows the viewer\'s light/dark mode)');
+
+        if (options.preview) {
+          await writeFile(options.preview, generateThemePreview(customThemes), 'utf-8');
+          console.log('\n✅ Theme preview written to ' + options.preview);
+        }
+      } catch (error) {
+        console.error('❌ Error: ' + error.message);
+        process.exit(1);
+      }
+    });
+
+  const history = program
+    .command('history')
+    .description('Inspect and maintain the usage history file');
+
+  history
+    .command('show', { isDefault: true })
+    .description('Show recorded days per source')
+    .option('-f, --file <path>', 'Path to history file', './vibe-history.json')
+    .action(async (options) => {
+      const { loadHistory, summarizeHistory } = await import('./history.js');
+      const { formatCost, formatTokens } = await import('./utils.js');
+
+      try {
+        const store = await loadHistory(options.file);
+        const summary = summarizeHistory(store);
+
+        if (summary.length === 0) {
+          console.log('No history recorded in ' + options.file);
+          return;
+        }
+
+        console.log(`🗄️  ${options.file} (updated ${store.updatedAt || 'never'})\n`);
+        for (const entry of summary) {
+          console.log(`   ${entry.source}: ${entry.days} days, ${entry.firstDate} → ${entry.lastDate}, ` +
+            `${formatCost(entry.cost)} / ${formatTokens(entry.tokens)} tokens`);
+        }
+      } catch (error) {
+        console.error('❌ Error: ' + error.message);
+        process.exit(1);
+      }
+    });
+
+  history
+    .command('compact')
+    .description('Drop empty entries and fold renamed sources into another source')
+    .option('-f, --file <path>', 'Path to history file', './vibe-history.json')
+    .option('--merge <from=to...>', 'Fold source "from" into source "to" (can be repeated)', collectInputs, [])
+    .action(async (options) => {
+      const { loadHistory, saveHistory, compactHistory } = await import('./history.js');
+
+      try {
+        const merge = {};
+        for (const pair of options.merge) {
+          const [from, to] = pair.split('=');
+          if (!from || !to) {
+            throw new Error(`Invalid --merge value "${pair}" (expected from=to)`);
+          }
+          merge[from] = to;
+        }
+
+        const store = await loadHistory(options.file);
+        const { removed, merged } = compactHistory(store, { merge });
+        await saveHistory(options.file, store);
+        console.log(`✅ Compacted ${options.file}: removed ${removed} empty entr${removed === 1 ? 'y' : 'ies'}, folded ${merged}`);
+      } catch (error) {
+        console.error('❌ Error: ' + error.message);
+        process.exit(1);
+      }
+    });
+
+  history
+    .command('prune')
+    .description('Remove old days or a whole source from the history')
+    .option('-f, --file <path>', 'Path to history file', './vibe-history.json')
+    .option('--before <date>', 'Remove days before this date (YYYY-MM-DD)')
+    .option('--source <name>', 'Remove every entry of this source')
+    .action(async (options) => {
+      const { loadHistory, saveHistory, pruneHistory } = await import('./history.js');
+
+      try {
+        if (options.before && !/^\d{4}-\d{2}-\d{2}$/.test(options.before)) {
+          throw new Error(`Invalid date "${options.before}" (expected YYYY-MM-DD)`);
+        }
+
+        const store = await loadHistory(options.file);
+        const removed = pruneHistory(store, { before: options.before, source: options.source });
+        await saveHistory(options.file, store);
+        console.log(`✅ Pruned ${removed} entr${removed === 1 ? 'y' : 'ies'} from ${options.file}`);
+      } catch (error) {
+        console.error('❌ Error: ' + error.message);
+        process.exit(1);
+      }
+    });
+
   program
     .command('merge')
     .description('Merge multiple ccusage JSON files into one')
     .option('-i, --input <paths...>', 'Path(s) to ccusage JSON files', collectInputs, [])
     .option('-o, --output <path>', 'Output path for merged JSON', './merged-cc.json')
+    .option('--merge-strategy <strategy>', 'How to merge duplicate days from the same origin: sum, max-per-day, or prefer-latest', 'sum')
     .action(async (options) => {
       console.log('🎸 VibeDashboard - Merging data files...\n');
 
@@ -168,20 +470,18 @@ async function main() {
       }
 
       try {
-        const { mergeUsageData } = await import('./parser.js');
+        const { mergeUsageData, loadUsageFile } = await import('./parser.js');
         const { writeFile } = await import('node:fs/promises');
 
-        const dataArray = await Promise.all(
-          options.input.map(async (path) => {
-            const content = await readFile(path, 'utf-8');
-            return JSON.parse(content);
-          })
-        );
+        const dataArray = await Promise.all(options.input.map((path) => loadUsageFile(path)));
 
-        const merged = mergeUsageData(dataArray);
+        const merged = mergeUsageData(dataArray, { strategy: options.mergeStrategy });
         await writeFile(options.output, JSON.stringify(merged, null, 2), 'utf-8');
 
         console.log(`✅ Merged ${options.input.length} files into ${options.output}`);
+        for (const entry of merged.collapsedDays || []) {
+          console.warn(`   ⚠️  ${entry.date}: ${entry.sources.join(', ')} → kept ${entry.kept}`);
+        }
         console.log('\nMerged summary:');
         console.log('   Total Cost: $' + (merged.totalCost || 0).toFixed(2));
         console.log('   Models: ' + Object.keys(merged.byModel || {}).length);
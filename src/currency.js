@@ -0,0 +1,144 @@
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Currency recorded costs are in
+ */
+export const BASE_CURRENCY = 'USD';
+
+/**
+ * Check whether a string is an ISO 4217 code Intl can format (e.g. "KRW")
+ * @param {string} code - Currency code
+ * @returns {boolean}
+ */
+export function isValidCurrency(code) {
+  if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check the `currency` and `exchangeRate` config entries
+ * @param {string} currency - ISO 4217 code, or null to keep plain `currencySymbol` formatting
+ * @param {number|string} exchangeRate - Units of `currency` per USD, or a path to a JSON file of rates
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateCurrency(currency, exchangeRate) {
+  if (currency === null || currency === undefined) return [];
+  if (!isValidCurrency(currency)) {
+    return [`currency must be an ISO 4217 code like "EUR" (got ${JSON.stringify(currency)})`];
+  }
+
+  if (currency === BASE_CURRENCY && (exchangeRate === null || exchangeRate === undefined)) return [];
+  if (typeof exchangeRate === 'string' && exchangeRate) return [];
+  if (!(typeof exchangeRate === 'number' && exchangeRate > 0)) {
+    return [`exchangeRate must be a positive number of ${currency} per ${BASE_CURRENCY}, or a path to a rates file`];
+  }
+  return [];
+}
+
+/**
+ * Resolve the exchange rate for a currency
+ * A rates file is JSON keyed by currency code, either at the top level
+ * ({ "KRW": 1350 }) or under `rates` as most rate APIs return it.
+ * @param {string} currency - ISO 4217 code
+ * @param {number|string} exchangeRate - Rate, or path to a rates file
+ * @returns {Promise<number>} Units of `currency` per USD (1 without a currency)
+ */
+export async function loadExchangeRate(currency, exchangeRate) {
+  if (!currency || (currency === BASE_CURRENCY && !exchangeRate)) return 1;
+  if (typeof exchangeRate !== 'string') return exchangeRate;
+
+  let rates;
+  try {
+    rates = JSON.parse(await readFile(exchangeRate, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read exchange rates from ${exchangeRate}: ${error.message}`);
+  }
+
+  const rate = rates?.rates?.[currency] ?? rates?.[currency];
+  if (!(typeof rate === 'number' && rate > 0)) {
+    throw new Error(`No ${currency} rate in ${exchangeRate}`);
+  }
+  return rate;
+}
+
+/**
+ * Get the numeric exchange rate of an already resolved config
+ * @param {object} options - Options ({ currency, exchangeRate })
+ * @returns {number} Units of `currency` per USD (1 without a currency)
+ * @throws {Error} When exchangeRate is still a rates file path (see loadExchangeRate)
+ */
+export function getExchangeRate(options = {}) {
+  if (!options.currency || options.exchangeRate === null || options.exchangeRate === undefined) return 1;
+  if (typeof options.exchangeRate !== 'number') {
+    throw new Error('exchangeRate must be resolved to a number first (rates files are read by generateDashboard)');
+  }
+  return options.exchangeRate;
+}
+
+/**
+ * Scale the `cost` of every entry in a map
+ * @param {object} entries - Map of name to stats with `cost`
+ * @param {number} rate - Exchange rate
+ * @returns {object} Converted copy
+ */
+function convertEntries(entries, rate) {
+  return Object.fromEntries(Object.entries(entries).map(([name, stats]) => [name, { ...stats, cost: (stats.cost || 0) * rate }]));
+}
+
+/**
+ * Convert every cost in internal usage data with an exchange rate
+ * Covers totals, models, days (with their models, sources, tools and projects),
+ * source/tool/project totals, sessions and billing blocks.
+ * @param {object} data - Internal usage data with costs in USD
+ * @param {number} rate - Units of the target currency per USD
+ * @returns {object} Converted copy of the data
+ */
+export function convertCosts(data, rate) {
+  if (rate === 1) return data;
+
+  const converted = { ...data, totalCost: (data.totalCost || 0) * rate };
+
+  for (const key of ['byModel', 'bySource', 'byTool', 'byProject']) {
+    if (data[key]) converted[key] = convertEntries(data[key], rate);
+  }
+
+  converted.byDay = Object.fromEntries(Object.entries(data.byDay || {}).map(([date, day]) => {
+    const convertedDay = { ...day, cost: (day.cost || 0) * rate };
+    for (const key of ['models', 'sources', 'tools', 'projects']) {
+      if (day[key]) convertedDay[key] = convertEntries(day[key], rate);
+    }
+    return [date, convertedDay];
+  }));
+
+  for (const key of ['sessions', 'blocks']) {
+    if (data[key]) converted[key] = data[key].map((record) => ({ ...record, cost: (record.cost || 0) * rate }));
+  }
+
+  return converted;
+}
+
+/**
+ * Get the money format to pass to formatCost for a config
+ * Without `currency` this is the plain `currencySymbol`, so existing configs
+ * render as before.
+ * @param {object} config - Configuration ({ currency, currencySymbol, language })
+ * @returns {string|object} Currency symbol, or { code, locale } for Intl formatting
+ */
+export function getCurrencyFormat(config) {
+  if (!config.currency) return config.currencySymbol ?? '$';
+  return { code: config.currency, locale: config.language || 'en' };
+}
+
+export default {
+  isValidCurrency,
+  validateCurrency,
+  loadExchangeRate,
+  getExchangeRate,
+  convertCosts,
+  getCurrencyFormat
+};
@@ -0,0 +1,172 @@
+import { getDateKey, parseISODate, resolveAsOf } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Supported forecast methods
+ */
+export const FORECAST_METHODS = ['linear', 'moving-average'];
+
+/**
+ * Days of history needed before a forecast is shown
+ */
+export const MIN_FORECAST_DAYS = 7;
+
+/**
+ * Default number of recent days the forecast is based on
+ */
+export const DEFAULT_FORECAST_WINDOW = 14;
+
+/**
+ * Check a `forecast` config entry
+ * @param {object|boolean} forecast - true, or { method?, window? }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateForecast(forecast) {
+  if (forecast === null || forecast === undefined || forecast === false || forecast === true) return [];
+  if (typeof forecast !== 'object' || Array.isArray(forecast)) {
+    return ['forecast must be true or an object like { "method": "linear" }'];
+  }
+
+  const errors = [];
+  if (forecast.method !== undefined && !FORECAST_METHODS.includes(forecast.method)) {
+    errors.push(`forecast.method must be one of ${FORECAST_METHODS.join(', ')}`);
+  }
+  if (forecast.window !== undefined && !(Number.isInteger(forecast.window) && forecast.window >= MIN_FORECAST_DAYS)) {
+    errors.push(`forecast.window must be a whole number of at least ${MIN_FORECAST_DAYS} days`);
+  }
+  return errors;
+}
+
+/**
+ * Build a gap-free daily series from the first recorded day up to today
+ * Days without usage count as zero.
+ * @param {Array<object>} dailyUsage - Daily usage ({ date, cost, tokens })
+ * @param {Date} today - Today as a UTC midnight
+ * @returns {Array<object>} [{ date, cost, tokens }] oldest first
+ */
+function buildDailySeries(dailyUsage, today) {
+  const byDate = {};
+  for (const day of dailyUsage) {
+    byDate[day.date] = day;
+  }
+
+  const dates = Object.keys(byDate).sort();
+  const first = dates.length > 0 ? parseISODate(dates[0]) : null;
+  if (!first || first > today) return [];
+
+  const series = [];
+  for (let time = first.getTime(); time <= today.getTime(); time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    series.push({ date, cost: byDate[date]?.cost || 0, tokens: byDate[date]?.tokens || 0 });
+  }
+  return series;
+}
+
+/**
+ * Fit a least-squares line through evenly spaced values
+ * @param {number[]} values - Values for x = 0, 1, 2, ...
+ * @returns {object} { intercept, slope }
+ */
+function fitLine(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  values.forEach((value, x) => {
+    covariance += (x - meanX) * (value - meanY);
+    variance += (x - meanX) ** 2;
+  });
+
+  const slope = variance ? covariance / variance : 0;
+  return { intercept: meanY - slope * meanX, slope };
+}
+
+/**
+ * Project the total of the next days from recent values
+ * @param {number[]} values - Recent daily values, oldest first
+ * @param {string} method - 'linear' or 'moving-average'
+ * @param {number} days - Number of days to project
+ * @returns {number} Projected total (never negative per day)
+ */
+function projectTotal(values, method, days) {
+  if (days <= 0) return 0;
+
+  if (method === 'linear') {
+    const { intercept, slope } = fitLine(values);
+    let total = 0;
+    for (let i = 1; i <= days; i++) {
+      total += Math.max(intercept + slope * (values.length - 1 + i), 0);
+    }
+    return total;
+  }
+
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return average * days;
+}
+
+/**
+ * Forecast end-of-month and end-of-year cost and tokens from daily usage
+ * Actual usage so far is added to a projection of the remaining days, based on
+ * the last `window` days (moving average or linear trend). With fewer than
+ * MIN_FORECAST_DAYS days of history no projection is made.
+ * @param {Array<object>} dailyUsage - Daily usage ({ date, cost, tokens }), any order
+ * @param {object|boolean} forecast - true, or { method?, window? }
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone deciding which day "today" is
+ * @param {string|Date} options.asOf - Reference date (default: now)
+ * @returns {object|null} { estimate, method, window, basedOnDays, sufficient, month, year } or null when disabled
+ */
+export function forecastUsage(dailyUsage, forecast, options = {}) {
+  if (!forecast || validateForecast(forecast).length > 0) return null;
+
+  const settings = forecast === true ? {} : forecast;
+  const method = settings.method || 'moving-average';
+  const window = settings.window || DEFAULT_FORECAST_WINDOW;
+
+  const timeZone = options.timezone || 'UTC';
+  const referenceDate = resolveAsOf(options.asOf, timeZone);
+  if (!referenceDate) return null;
+  const todayKey = getDateKey(referenceDate, timeZone);
+  const today = parseISODate(todayKey);
+
+  const series = buildDailySeries(dailyUsage || [], today);
+  const result = { estimate: true, method, window, basedOnDays: Math.min(series.length, window) };
+  if (series.length < MIN_FORECAST_DAYS) {
+    return { ...result, sufficient: false, month: null, year: null };
+  }
+
+  const recent = series.slice(-window);
+  const project = (to, prefix) => {
+    const remainingDays = Math.round((parseISODate(to) - today) / DAY_MS);
+    const actual = series.filter((day) => day.date.startsWith(prefix));
+    const actualCost = actual.reduce((sum, day) => sum + day.cost, 0);
+    const actualTokens = actual.reduce((sum, day) => sum + day.tokens, 0);
+
+    return {
+      to,
+      remainingDays,
+      actualCost,
+      actualTokens,
+      cost: actualCost + projectTotal(recent.map((day) => day.cost), method, remainingDays),
+      tokens: Math.round(actualTokens + projectTotal(recent.map((day) => day.tokens), method, remainingDays))
+    };
+  };
+
+  const year = today.getUTCFullYear();
+  const monthEnd = new Date(Date.UTC(year, today.getUTCMonth() + 1, 0)).toISOString().slice(0, 10);
+
+  return {
+    ...result,
+    sufficient: true,
+    month: project(monthEnd, todayKey.slice(0, 7)),
+    year: project(`${year}-12-31`, `${year}`)
+  };
+}
+
+export default {
+  validateForecast,
+  forecastUsage
+};
@@ -3,39 +3,46 @@ import {
   formatCost,
   formatDate,
   formatDateTime,
+  formatChange,
+  calculatePercentage,
   generateProgressBar,
   generateBar,
   escapeXml,
-  getPeriodLabelKey
+  estimateTextWidth,
+  fitText,
+  getPeriodLabelKey,
+  getPeriodLabelParams,
+  getPeriodRange,
+  isDateInRange,
+  resolveAsOf
 } from './utils.js';
 import { t } from './i18n.js';
 import { getTopModel } from './parser.js';
+import { MIN_FORECAST_DAYS } from './forecast.js';
+import { getCurrencyFormat } from './currency.js';
+import { resolveWidgets, layoutWidgets, getLayoutWidth } from './layout.js';
+import { AUTO_THEME, getTheme, getAutoTheme, getThemeStyles, inlineColorVariables, listThemes } from './themes.js';
 
 /**
- * Theme definitions for SVG
- */
-const themes = {
-  dark: {
-    background: '#0d1117',
-    border: '#30363d',
-    title: '#c9d1d9',
-    text: '#8b949e',
-    accent: '#58a6ff',
-    barFilled: '#58a6ff',
-    barEmpty: '#21262d',
-    chartBg: '#161b22'
-  },
-  light: {
-    background: '#ffffff',
-    border: '#d0d7de',
-    title: '#24292f',
-    text: '#57606a',
-    accent: '#0969da',
-    barFilled: '#0969da',
-    barEmpty: '#eaeef2',
-    chartBg: '#f6f8fa'
-  }
-};
+ * Heatmap cell size and spacing in pixels
+ */
+const HEATMAP_CELL = 11;
+const HEATMAP_STEP = 14;
+
+/**
+ * Vertical space the heatmap section takes
+ */
+const HEATMAP_HEIGHT = 165;
+
+/**
+ * Opacity of the filled color for heatmap levels 1-4 (level 0 uses barEmpty)
+ */
+const HEATMAP_OPACITY = [0.3, 0.55, 0.8, 1];
+
+/**
+ * Shade characters for heatmap levels 0-4
+ */
+const HEATMAP_SHADES = ['·', '░', '▒', '▓', '█'];
 
 /**
  * Generate complete dashboard output based on layout
@@ -45,7 +52,7 @@ const themes = {
  */
 export function generate(data, config) {
   const markdown = generateMarkdown(data, config);
-  const svg = config.layout === 'minimal' ? null : generateSVG(data, config);
+  const svg = generateSVG(data, config);
 
   return { markdown, svg };
 }
@@ -57,15 +64,23 @@ export function generate(data, config) {
  * @returns {string} Markdown string
  */
 export function generateMarkdown(data, config) {
-  const { summary, models, dailyUsage, sourceCount, period } = data;
-  const { language, currencySymbol, showItems, chartDays, layout } = config;
+  const { summary, models, dailyUsage, sources = [], tools = [], projects = [], blocks = null, cache = null, comparison = null, budget = null, forecast = null, activity = null, heatmap = null, sourceCount, period } = data;
+  const { language, showItems, chartDays, layout, projectLimit = 5, timezone = 'UTC' } = config;
+  const currencySymbol = getCurrencyFormat(config);
   const configPeriod = config.period || period || 'all';
+  const now = resolveAsOf(config.asOf, timezone) || new Date();
+  const showComparison = Boolean(showItems.comparison && comparison);
+  const modelChanges = showComparison ? getModelChanges(comparison) : {};
+  const showBudget = Boolean(showItems.budget && budget);
+  const showForecast = Boolean(showItems.forecast && forecast);
+  const activityRows = activity ? getActivityRows(activity, showItems, currencySymbol, language) : [];
+  const showCache = Boolean(showItems.cache && cache);
 
   const lines = [];
   const topModel = getTopModel(models);
 
   // Title with period indicator
-  const periodLabel = t(getPeriodLabelKey(configPeriod), language);
+  const periodLabel = t(getPeriodLabelKey(configPeriod), language, getPeriodLabelParams(configPeriod, now, timezone));
   const titleSuffix = configPeriod !== 'all' ? ` (${periodLabel})` : '';
   lines.push(`## 🎸 ${t('title', language)}${titleSuffix}`);
 
@@ -76,16 +91,24 @@ export function generateMarkdown(data, config) {
   lines.push('');
 
   // Stats table
-  if (showItems.totalTokens || showItems.totalCost || showItems.dailyAverage || showItems.modelBreakdown) {
+  if (showItems.totalTokens || showItems.totalCost || showItems.dailyAverage || showItems.modelBreakdown || showCache || showBudget || showForecast || activityRows.length > 0) {
     lines.push('| Metric | Value |');
     lines.push('|--------|-------|');
 
     if (showItems.totalTokens) {
-      lines.push(`| 🎯 ${t('totalTokens', language)} | ${formatTokens(summary.totalTokens)} |`);
+      const change = showComparison ? formatChangeSuffix(comparison.tokens.change) : '';
+      lines.push(`| 🎯 ${t('totalTokens', language)} | ${formatTokens(summary.totalTokens)}${change} |`);
     }
 
     if (showItems.totalCost) {
-      lines.push(`| 💰 ${t('totalCost', language)} | ${formatCost(summary.totalCost, currencySymbol)} |`);
+      const change = showComparison ? formatChangeSuffix(comparison.cost.change) : '';
+      lines.push(`| 💰 ${t('totalCost', language)} | ${formatCost(summary.totalCost, currencySymbol)}${change} |`);
+    }
+
+    if (showComparison) {
+      const { previousRange, tokens, cost } = comparison;
+      const range = t('dateRange', language, previousRange);
+      lines.push(`| ↩️ ${t('previousPeriod', language)} | ${formatTokens(tokens.previous)} / ${formatCost(cost.previous, currencySymbol)} (${range}) |`);
     }
 
     if (showItems.dailyAverage) {
@@ -95,14 +118,43 @@ export function generateMarkdown(data, config) {
     }
 
     if (showItems.modelBreakdown && topModel) {
-      lines.push(`| 🤖 ${t('topModel', language)} | ${topModel.shortName} (${topModel.percentage}%) |`);
+      const change = formatChange(modelChanges[topModel.name], 'pp', 0);
+      lines.push(`| 🤖 ${t('topModel', language)} | ${topModel.shortName} (${topModel.percentage}%${change ? `, ${change}` : ''}) |`);
+    }
+
+    if (showItems.toolBreakdown && tools.length > 1) {
+      const split = tools.map((tool) => `${tool.name} ${tool.percentage}%`).join(' · ');
+      lines.push(`| 🧰 ${t('tools', language)} | ${split} |`);
+    }
+
+    if (showItems.billingBlocks && blocks) {
+      lines.push(`| ⏱️ ${t('billingBlocks', language)} | ${formatBlockSummary(blocks, currencySymbol, language)} |`);
+    }
+
+    if (showCache) {
+      lines.push(`| ♻️ ${t('cache', language)} | ${formatCacheSummary(cache, currencySymbol, language)} |`);
+    }
+
+    if (showBudget) {
+      for (const entry of budget.periods) {
+        const bar = generateProgressBar(Math.min(entry.percentage, 100), 10);
+        lines.push(`| 💳 ${t(`${entry.period}Budget`, language)} | ${bar} ${formatBudgetSummary(entry, currencySymbol, language)} |`);
+      }
+    }
+
+    if (showForecast) {
+      lines.push(`| 🔮 ${t('projected', language)} (${t('estimate', language)}) | ${formatForecastSummary(forecast, currencySymbol, language)} |`);
+    }
+
+    for (const row of activityRows) {
+      lines.push(`| ${row.icon} ${row.label} | ${row.value} |`);
     }
 
     lines.push('');
   }
 
-  // Period chart in details/summary
-  const showChart = showItems.periodChart ?? showItems.weeklyChart;  // backward compat
+  // Period chart in details/summary (the heatmap layout shows the heatmap instead)
+  const showChart = layout !== 'heatmap' && (showItems.periodChart ?? showItems.weeklyChart);  // backward compat
   if (showChart && dailyUsage.length > 0) {
     const chartData = dailyUsage.slice(0, chartDays);
     const chart = generateTextChart(chartData, currencySymbol);
@@ -121,16 +173,78 @@ export function generateMarkdown(data, config) {
     lines.push('');
   }
 
+  // Contribution heatmap in details/summary
+  if ((showItems.heatmap || layout === 'heatmap') && heatmap) {
+    lines.push('<details>');
+    lines.push(`<summary>🟩 ${t('heatmap', language)} (${t('heatmapSummary', language, { n: heatmap.activeDays })})</summary>`);
+    lines.push('');
+    lines.push('```');
+    lines.push(generateTextHeatmap(heatmap, language));
+    lines.push('```');
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
   // Model breakdown in details (for detailed layout)
   if (layout === 'detailed' && showItems.modelBreakdown && models.length > 0) {
     lines.push('<details>');
     lines.push(`<summary>🤖 ${t('modelBreakdown', language)}</summary>`);
     lines.push('');
-    lines.push('| Model | Usage | Cost |');
-    lines.push('|-------|-------|------|');
+    lines.push(showComparison ? '| Model | Usage | Cost | Change |' : '| Model | Usage | Cost |');
+    lines.push(showComparison ? '|-------|-------|------|--------|' : '|-------|-------|------|');
     for (const model of models) {
       const bar = generateProgressBar(model.percentage, 10);
-      lines.push(`| ${model.shortName} | ${bar} ${model.percentage}% | ${formatCost(model.cost, currencySymbol)} |`);
+      const change = showComparison ? ` ${formatChange(modelChanges[model.name], 'pp', 0) || '–'} |` : '';
+      lines.push(`| ${model.shortName} | ${bar} ${model.percentage}% | ${formatCost(model.cost, currencySymbol)} |${change}`);
+    }
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  // Per-model cache breakdown in details/summary
+  if (showCache && cache.models.length > 0) {
+    lines.push('<details>');
+    lines.push(`<summary>♻️ ${t('cacheByModel', language)}</summary>`);
+    lines.push('');
+    lines.push('| Model | Hit Ratio | Cache Read | Cache Write | Fresh Input | Saved |');
+    lines.push('|-------|-----------|------------|-------------|-------------|-------|');
+    for (const model of cache.models) {
+      const saved = model.savings === null ? '–' : `~${formatCost(model.savings, currencySymbol)}`;
+      lines.push(`| ${model.shortName} | ${model.hitRatio}% | ${formatTokens(model.cacheRead)} | ${formatTokens(model.cacheCreation)} | ${formatTokens(model.freshInput)} | ${saved} |`);
+    }
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  // Per-source breakdown when multiple sources were merged
+  if (showItems.sourceBreakdown && sources.length > 1) {
+    lines.push('<details>');
+    lines.push(`<summary>📦 ${t('sources', language)}</summary>`);
+    lines.push('');
+    lines.push('| Source | Share | Cost | Tokens |');
+    lines.push('|--------|-------|------|--------|');
+    for (const source of sources) {
+      const bar = generateProgressBar(source.percentage, 10);
+      lines.push(`| ${source.name} | ${bar} ${source.percentage}% | ${formatCost(source.cost, currencySymbol)} | ${formatTokens(source.tokens)} |`);
+    }
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  // Top projects by cost
+  if (showItems.projectBreakdown && projects.length > 0) {
+    lines.push('<details>');
+    lines.push(`<summary>📁 ${t('projects', language)}</summary>`);
+    lines.push('');
+    lines.push('| Project | Share | Cost | Tokens |');
+    lines.push('|---------|-------|------|--------|');
+    for (const project of projects.slice(0, projectLimit)) {
+      const bar = generateProgressBar(project.percentage, 10);
+      lines.push(`| ${project.name} | ${bar} ${project.percentage}% | ${formatCost(project.cost, currencySymbol)} | ${formatTokens(project.tokens)} |`);
     }
     lines.push('');
     lines.push('</details>');
@@ -139,17 +253,48 @@ export function generateMarkdown(data, config) {
 
   // Footer
   if (showItems.lastUpdated) {
-    const updateTime = formatDateTime();
-    lines.push(`<sub>${t('updated', language)}: ${updateTime} • ${t('poweredBy', language)} [VibeDashboard](https://github.com/mjyoo2/VibeDashboard)</sub>`);
+    const updateTime = formatDateTime(now, timezone);
+    const pricingNote = data.pricing?.repriced ? ` • ${t('repricedNote', language, { version: data.pricing.version })}` : '';
+    lines.push(`<sub>${t('updated', language)}: ${updateTime}${pricingNote} • ${t('poweredBy', language)} [VibeDashboard](https://github.com/mjyoo2/VibeDashboard)</sub>`);
   }
 
   return lines.join('\n');
 }
 
+/**
+ * Map model names to their share change in percentage points
+ * @param {object} comparison - Comparison from processData
+ * @returns {object} Map of model name to change (null when there's no previous share)
+ */
+function getModelChanges(comparison) {
+  return Object.fromEntries(comparison.models.map((model) => [model.name, model.change]));
+}
+
+/**
+ * Format a percentage change as a suffix for a stat value
+ * @param {number|null} change - Percentage change
+ * @returns {string} e.g. " (▲ 12.5%)", or an empty string when there is nothing to compare
+ */
+function formatChangeSuffix(change) {
+  const formatted = formatChange(change);
+  return formatted ? ` (${formatted})` : '';
+}
+
+/**
+ * Get the CSS class for a change
+ * @param {number} change - Change amount
+ * @returns {string} 'delta-up', 'delta-down' or 'delta'
+ */
+function getChangeClass(change) {
+  if (change > 0) return 'delta-up';
+  if (change < 0) return 'delta-down';
+  return 'delta';
+}
+
 /**
  * Generate text-based chart for daily usage
  * @param {Array<object>} dailyData - Daily usage data
- * @param {string} currencySymbol - Currency symbol
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
  * @returns {string} Text chart
  */
 export function generateTextChart(dailyData, currencySymbol = '$') {
@@ -170,138 +315,376 @@ export function generateTextChart(dailyData, currencySymbol = '$') {
   return lines.join('\n');
 }
 
+/**
+ * Generate text-based contribution heatmap, one row per weekday
+ * @param {object} heatmap - Heatmap grid from processData
+ * @param {string} language - Language code for weekday names
+ * @returns {string} Text heatmap
+ */
+export function generateTextHeatmap(heatmap, language = 'en') {
+  if (!heatmap || heatmap.weeks.length === 0) return '';
+
+  const labels = getWeekdayLabels(language);
+  const labelWidth = Math.max(...labels.map((label) => label.length));
+
+  const rows = labels.map((label, weekday) => {
+    const cells = heatmap.weeks.map((week) => (week[weekday] ? HEATMAP_SHADES[week[weekday].level] : ' '));
+    return `${label.padEnd(labelWidth)} ${cells.join('')}`.trimEnd();
+  });
+  rows.push(`${' '.repeat(labelWidth)} ${t('less', language)} ${HEATMAP_SHADES.join('')} ${t('more', language)}`);
+
+  return rows.join('\n');
+}
+
+/**
+ * Get short weekday names from Sunday to Saturday
+ * @param {string} language - Language code
+ * @returns {string[]} Weekday labels
+ */
+function getWeekdayLabels(language) {
+  const format = new Intl.DateTimeFormat(language, { weekday: 'short', timeZone: 'UTC' });
+  // 2023-01-01 was a Sunday
+  return Array.from({ length: 7 }, (_, i) => format.format(new Date(Date.UTC(2023, 0, 1 + i))));
+}
+
 /**
  * Generate SVG card
+ * The card is a list of widgets (see resolveWidgets) that are measured and
+ * then placed by layoutWidgets.
  * @param {object} data - Processed usage data
  * @param {object} config - Configuration options
  * @returns {string} SVG string
  */
 export function generateSVG(data, config) {
-  const { summary, models, dailyUsage, sourceCount, period } = data;
-  const { theme: themeName, language, currencySymbol, showItems, chartDays, layout } = config;
-  const configPeriod = config.period || period || 'all';
-
-  const theme = themes[themeName] || themes.dark;
-  const width = 900;
-  const baseHeight = 320;
-  const modelCount = Math.min(models.length, 5);
-  const height = layout === 'detailed' ? baseHeight + 50 : baseHeight + (modelCount * 18);
-  const topModel = getTopModel(models);
-  const periodLabel = t(getPeriodLabelKey(configPeriod), language);
-  const titleSuffix = configPeriod !== 'all' ? ` (${periodLabel})` : '';
+  const { theme: themeName, timezone = 'UTC' } = config;
+  const theme = themeName === AUTO_THEME
+    ? getAutoTheme(config, config.customThemes)
+    : getTheme(themeName, config.customThemes);
 
-  // Calculate period stats (daily, weekly, monthly)
-  const now = new Date();
-  const todayStr = now.toISOString().split('T')[0];
-  const weekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-  const monthAgo = new Date(now - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const context = {
+    data,
+    config,
+    theme,
+    language: config.language,
+    currencySymbol: getCurrencyFormat(config),
+    now: resolveAsOf(config.asOf, timezone) || new Date(),
+    showComparison: Boolean(config.showItems.comparison && data.comparison)
+  };
+  context.periodStats = getPeriodStats(data.dailyUsage, context.now, timezone);
 
-  let dailyTokens = 0, dailyCost = 0;
-  let weeklyTokens = 0, weeklyCost = 0;
-  let monthlyTokens = 0, monthlyCost = 0;
-
-  for (const day of dailyUsage) {
-    if (day.date === todayStr) {
-      dailyTokens += day.tokens;
-      dailyCost += day.cost;
-    }
-    if (day.date >= weekAgo) {
-      weeklyTokens += day.tokens;
-      weeklyCost += day.cost;
-    }
-    if (day.date >= monthAgo) {
-      monthlyTokens += day.tokens;
-      monthlyCost += day.cost;
-    }
-  }
+  const widgets = resolveWidgets(config)
+    .map((widget) => createSVGWidget(widget, context))
+    .filter(Boolean);
+  const { width, height, placements } = layoutWidgets(widgets, { width: getLayoutWidth(config) });
 
   // Build SVG content
   let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-  <style>
-    .title { font: 600 20px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${theme.title}; }
-    .stat-label { font: 400 13px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${theme.text}; }
-    .stat-value { font: 600 18px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${theme.title}; }
-    .stat-value-small { font: 600 14px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${theme.title}; }
-    .section-title { font: 600 14px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${theme.text}; }
-    .model-label { font: 400 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${theme.text}; }
-    .footer { font: 400 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${theme.text}; }
+  <style>${theme.variables ? `
+    ${getThemeStyles(theme)}` : ''}
+    .title { font: 600 20px ${theme.fontFamily}; fill: ${theme.title}; }
+    .stat-label { font: 400 13px ${theme.fontFamily}; fill: ${theme.text}; }
+    .stat-value { font: 600 18px ${theme.fontFamily}; fill: ${theme.title}; }
+    .stat-value-small { font: 600 14px ${theme.fontFamily}; fill: ${theme.title}; }
+    .section-title { font: 600 14px ${theme.fontFamily}; fill: ${theme.text}; }
+    .model-label { font: 400 12px ${theme.fontFamily}; fill: ${theme.text}; }
+    .footer { font: 400 11px ${theme.fontFamily}; fill: ${theme.text}; }
+    .delta { font: 400 11px ${theme.fontFamily}; fill: ${theme.text}; }
+    .delta-up { font: 400 11px ${theme.fontFamily}; fill: ${theme.increase || theme.text}; }
+    .delta-down { font: 400 11px ${theme.fontFamily}; fill: ${theme.decrease || theme.text}; }
   </style>
 
   <!-- Background -->
-  <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="4.5" fill="${theme.background}" stroke="${theme.border}"/>
+  <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="${theme.borderRadius}" fill="${theme.background}"${theme.hideBorder ? '' : ` stroke="${theme.border}"`}/>
+`;
 
-  <!-- Title -->
-  <text x="25" y="35" class="title">🎸 ${escapeXml(t('dashboardTitle', language))}${escapeXml(titleSuffix)}</text>
+  for (const { widget, x, y, width: widgetWidth } of placements) {
+    svg += widget.render(x, y, widgetWidth);
+  }
 
-  <!-- Stats Row -->
-  <g transform="translate(25, 60)">`;
+  svg += `
+</svg>`;
 
-  // Total Tokens
-  if (showItems.totalTokens) {
-    svg += `
-    <g>
-      <text class="stat-label">${escapeXml(t('totalTokens', language))}</text>
-      <text y="22" class="stat-value">${escapeXml(formatTokens(summary.totalTokens))}</text>
-    </g>`;
-  }
+  // Renderers don't resolve var() in fill/stroke attributes, only in styles
+  return theme.variables ? inlineColorVariables(svg) : svg;
+}
 
-  // Total Cost
-  if (showItems.totalCost) {
-    svg += `
-    <g transform="translate(150, 0)">
-      <text class="stat-label">${escapeXml(t('totalCost', language))}</text>
-      <text y="22" class="stat-value">${escapeXml(formatCost(summary.totalCost, currencySymbol))}</text>
-    </g>`;
+/**
+ * Sum tokens and cost of today, this week and this month, using the same day boundaries as --period
+ * @param {Array} dailyUsage - Daily usage data
+ * @param {Date} now - Reference date
+ * @param {string} timezone - IANA timezone
+ * @returns {object} { today, week, month } each { tokens, cost }
+ */
+function getPeriodStats(dailyUsage, now, timezone) {
+  const stats = {};
+  for (const period of ['today', 'week', 'month']) {
+    const range = getPeriodRange(period === 'today' ? 'day' : period, now, timezone);
+    stats[period] = { tokens: 0, cost: 0 };
+    for (const day of dailyUsage) {
+      if (isDateInRange(day.date, range)) {
+        stats[period].tokens += day.tokens;
+        stats[period].cost += day.cost;
+      }
+    }
   }
+  return stats;
+}
 
-  // Today's Usage
-  svg += `
-    <g transform="translate(320, 0)">
-      <text class="stat-label">📅 Today</text>
-      <text y="22" class="stat-value-small">${escapeXml(formatTokens(dailyTokens))} / ${escapeXml(formatCost(dailyCost, currencySymbol))}</text>
-    </g>`;
+/**
+ * Generate a stat tile: a label, a value and an optional note or change line
+ * @param {number} x - X position
+ * @param {number} y - Y position (label baseline)
+ * @param {object} tile - { label, value, valueClass, extra, className }
+ * @returns {string} SVG tile element
+ */
+function generateSVGTile(x, y, { label, value, valueClass = 'stat-value-small', extra = '', className }) {
+  return `
+  <g transform="translate(${x}, ${y})"${className ? ` class="${className}"` : ''}>
+    <text class="stat-label">${escapeXml(label)}</text>
+    <text y="22" class="${valueClass}">${escapeXml(value)}</text>${extra}
+  </g>`;
+}
 
-  // Weekly Usage
-  svg += `
-    <g transform="translate(510, 0)">
-      <text class="stat-label">📊 This Week</text>
-      <text y="22" class="stat-value-small">${escapeXml(formatTokens(weeklyTokens))} / ${escapeXml(formatCost(weeklyCost, currencySymbol))}</text>
-    </g>`;
+/**
+ * Measure a widget of the SVG card
+ * Tiles are inline (flowed into rows); everything else is a block that takes
+ * the full content width, or is flowed like a tile when given a `width`.
+ * Section helpers draw their title on the given y, so blocks render 15px below
+ * the top of their box.
+ * @param {object} widget - Widget from resolveWidgets ({ type, ...options })
+ * @param {object} context - Shared render state ({ data, config, theme, language, currencySymbol, now, showComparison, periodStats })
+ * @returns {object|null} { inline, width, minWidth, height, render(x, y, width) }, or null when there is nothing to show
+ */
+function createSVGWidget(widget, context) {
+  const { data, config, theme, language, currencySymbol, now, showComparison, periodStats } = context;
+  const { summary, models, dailyUsage, sources = [], tools = [], projects = [], blocks = null, cache = null, comparison = null, budget = null, forecast = null, activity = null, heatmap = null, period } = data;
+  const timezone = config.timezone || 'UTC';
+  const tileHeight = 60;
+  const tile = (minWidth, content) => ({
+    inline: true,
+    width: widget.width || minWidth,
+    height: tileHeight,
+    render: (x, y) => generateSVGTile(x, y + 15, content)
+  });
+  const block = (height, render, minWidth = 0) => (widget.width
+    ? { inline: true, width: Math.max(widget.width, minWidth), height, render }
+    : { inline: false, minWidth, height, render });
+  const formatUsage = ({ tokens, cost }) => `${formatTokens(tokens)} / ${formatCost(cost, currencySymbol)}`;
 
-  // Monthly Usage
-  svg += `
-    <g transform="translate(710, 0)">
-      <text class="stat-label">📈 This Month</text>
-      <text y="22" class="stat-value-small">${escapeXml(formatTokens(monthlyTokens))} / ${escapeXml(formatCost(monthlyCost, currencySymbol))}</text>
-    </g>`;
+  switch (widget.type) {
+    case 'title': {
+      const configPeriod = config.period || period || 'all';
+      const periodLabel = t(getPeriodLabelKey(configPeriod), language, getPeriodLabelParams(configPeriod, now, timezone));
+      const titleSuffix = configPeriod !== 'all' ? ` (${periodLabel})` : '';
+      // Narrow layouts can't fit a long period label, so the title is cut to the card
+      return block(45, (x, y, width) => `
+  <!-- Title -->
+  <text x="${x}" y="${y + 35}" class="title">${escapeXml(fitText(`🎸 ${t('dashboardTitle', language)}${titleSuffix}`, width, 20, { bold: true }))}</text>
+`);
+    }
 
-  svg += `
+    case 'totalTokens':
+      return tile(130, {
+        label: t('totalTokens', language),
+        value: formatTokens(summary.totalTokens),
+        valueClass: 'stat-value',
+        extra: showComparison ? generateSVGChange(comparison.tokens.change) : ''
+      });
+
+    case 'totalCost':
+      return tile(140, {
+        label: t('totalCost', language),
+        value: formatCost(summary.totalCost, currencySymbol),
+        valueClass: 'stat-value',
+        extra: showComparison ? generateSVGChange(comparison.cost.change) : ''
+      });
+
+    case 'dailyAverage':
+      return tile(150, { label: `📅 ${t('dailyAverage', language)}`, value: formatUsage(summary.dailyAverage) });
+
+    case 'today':
+      return tile(140, { label: '📅 Today', value: formatUsage(periodStats.today) });
+
+    case 'week':
+      return tile(140, { label: '📊 This Week', value: formatUsage(periodStats.week) });
+
+    case 'month':
+      return tile(140, { label: '📈 This Month', value: formatUsage(periodStats.month) });
+
+    case 'forecast': {
+      // Projected spend (estimate)
+      if (!forecast) return null;
+      const note = forecast.sufficient
+        ? `${t('yearEnd', language)} ~${formatCost(forecast.year.cost, currencySymbol)}`
+        : t('needsMoreDays', language, { n: MIN_FORECAST_DAYS });
+      return tile(155, {
+        label: `🔮 ${t('projected', language)} (${t('estimate', language)})`,
+        value: forecast.sufficient ? `~${formatCost(forecast.month.cost, currencySymbol)}` : '—',
+        extra: `
+    <text y="38" class="delta">${escapeXml(note)}</text>`,
+        className: 'forecast'
+      });
+    }
+
+    case 'chart': {
+      if (dailyUsage.length === 0) return null;
+      const chartHeight = widget.height || 100;
+      const chartData = dailyUsage.slice(0, widget.days || config.chartDays).reverse();
+      return block(chartHeight, (x, y, width) => generateSVGChart(chartData, theme, x, y, width, chartHeight), 200);
+    }
+
+    case 'sparkline': {
+      if (dailyUsage.length === 0) return null;
+      const sparklineHeight = widget.height || 40;
+      const sparklineData = dailyUsage.slice(0, widget.days || config.chartDays).reverse();
+      return block(sparklineHeight + 10, (x, y, width) => generateSVGSparkline(sparklineData, theme, x, y + 5, width, sparklineHeight), 100);
+    }
+
+    case 'heatmap':
+      if (!heatmap) return null;
+      return block(HEATMAP_HEIGHT, (x, y) => generateSVGHeatmap(heatmap, theme, x, y + 15, language), 32 + heatmap.weeks.length * HEATMAP_STEP);
+
+    case 'models': {
+      if (models.length === 0) return null;
+      const shown = models.slice(0, widget.limit || 5);
+      const modelChanges = showComparison ? getModelChanges(comparison) : {};
+      return block(30 + shown.length * 20, (x, y, width) => generateSVGModelBreakdown(shown, theme, x, y + 15, width, currencySymbol, modelChanges), 340);
+    }
+
+    case 'sources':
+    case 'tools':
+    case 'projects': {
+      const breakdowns = {
+        sources: { entries: sources, name: 'Source Breakdown', title: `📦 ${t('sources', language)}`, min: 2 },
+        tools: { entries: tools, name: 'Tool Breakdown', title: `🧰 ${t('tools', language)}`, min: 2 },
+        projects: { entries: projects, name: 'Project Breakdown', title: `📁 ${t('projects', language)}`, min: 1 }
+      };
+      const { entries, name, title, min } = breakdowns[widget.type];
+      if (entries.length < min) return null;
+      const shown = entries.slice(0, widget.limit || (widget.type === 'projects' ? config.projectLimit || 5 : 5));
+      return block(30 + shown.length * 20, (x, y, width) => generateSVGShareBreakdown(name, title, shown, theme, x, y + 15, width, currencySymbol), 340);
+    }
+
+    case 'blocks':
+      if (!blocks) return null;
+      return block(30, (x, y) => `
+  <!-- Billing Blocks -->
+  <g transform="translate(${x}, ${y + 15})">
+    <text class="section-title">⏱️ ${escapeXml(t('billingBlocks', language))}</text>
+    <text x="150" class="model-label">${escapeXml(formatBlockSummary(blocks, currencySymbol, language))}</text>
+  </g>`);
+
+    case 'cache': {
+      if (!cache) return null;
+      const limit = widget.limit || 5;
+      const rows = 1 + Math.min(cache.models.length, limit);
+      return block(30 + rows * 20, (x, y, width) => generateSVGCache(cache, theme, x, y + 15, width, currencySymbol, language, limit), 560);
+    }
+
+    case 'budget':
+      if (!budget) return null;
+      return block(30 + budget.periods.length * 20, (x, y, width) => generateSVGBudget(budget, theme, x, y + 15, width, currencySymbol, language), 460);
+
+    case 'activity': {
+      const rows = activity
+        ? getActivityRows(activity, { streaks: widget.streaks ?? true, activity: widget.activity ?? true }, currencySymbol, language)
+        : [];
+      if (rows.length === 0) return null;
+      return block(8 + rows.length * 22, (x, y, width) => {
+        let section = `
+  <!-- Activity -->
+  <g transform="translate(${x}, ${y + 15})">`;
+        rows.forEach((row, i) => {
+          section += `
+    <g transform="translate(0, ${i * 22})">
+      <text class="section-title">${escapeXml(fitText(`${row.icon} ${row.label}`, 140, 14, { bold: true }))}</text>
+      <text x="150" class="model-label">${escapeXml(fitText(row.value, width - 150, 12))}</text>
+    </g>`;
+        });
+        return `${section}
   </g>`;
+      });
+    }
 
-  // Period Usage Chart
-  const showChart = showItems.periodChart ?? showItems.weeklyChart;  // backward compat
-  if (showChart && dailyUsage.length > 0) {
-    const chartData = dailyUsage.slice(0, chartDays).reverse();
-    svg += generateSVGChart(chartData, theme, 25, 105, 850, 100);
+    case 'footer': {
+      const updateTime = formatDateTime(now, timezone);
+      const pricingNote = data.pricing?.repriced ? ` • ${t('repricedNote', language, { version: data.pricing.version })}` : '';
+      const credit = ' • Powered by VibeDashboard';
+      // The credit is always kept whole; the update time and notes are cut to what's left
+      return block(30, (x, y, width) => {
+        const note = fitText(`${t('updated', language)}: ${updateTime}${pricingNote}`, width - estimateTextWidth(credit, 11), 11);
+        return `
+  <text x="${x}" y="${y + 20}" class="footer">${escapeXml(note)} • Powered by <a href="https://github.com/mjyoo2/VibeDashboard" target="_blank">VibeDashboard</a></text>`;
+      });
+    }
+
+    default:
+      return null;
   }
+}
 
-  // Model Breakdown
-  if (showItems.modelBreakdown && models.length > 0) {
-    const yOffset = showChart ? 220 : 105;
-    svg += generateSVGModelBreakdown(models.slice(0, 5), theme, 25, yOffset, 850, currencySymbol);
+/**
+ * Generate SVG contribution heatmap (weeks as columns, weekdays as rows)
+ * Colors come from the theme: level 0 is barEmpty, higher levels are barFilled
+ * at increasing opacity.
+ * @param {object} heatmap - Heatmap grid from processData
+ * @param {object} theme - Theme colors
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {string} language - Language code
+ * @returns {string} SVG heatmap element
+ */
+function generateSVGHeatmap(heatmap, theme, x, y, language) {
+  const gridX = 32;
+  const gridY = 30;
+  const weekdays = getWeekdayLabels(language);
+  const monthFormat = new Intl.DateTimeFormat(language, { month: 'short', timeZone: 'UTC' });
+  const cellFill = (level) => (level === 0
+    ? `fill="${theme.barEmpty}"`
+    : `fill="${theme.barFilled}" fill-opacity="${HEATMAP_OPACITY[level - 1]}"`);
+
+  let section = `
+  <!-- Contribution Heatmap -->
+  <g transform="translate(${x}, ${y})" class="heatmap heatmap-${heatmap.metric}">
+    <text class="section-title">🟩 ${escapeXml(t('heatmap', language))}</text>
+    <text x="180" class="model-label">${escapeXml(t('heatmapSummary', language, { n: heatmap.activeDays }))}</text>`;
+
+  // Month labels
+  for (const { week, month } of heatmap.months) {
+    const label = monthFormat.format(new Date(`${month}-01T00:00:00Z`));
+    section += `
+    <text x="${gridX + week * HEATMAP_STEP}" y="${gridY - 6}" class="model-label">${escapeXml(label)}</text>`;
   }
 
-  // Footer
-  if (showItems.lastUpdated) {
-    const updateTime = formatDateTime();
-    svg += `
-  <text x="25" y="${height - 20}" class="footer">${escapeXml(t('updated', language))}: ${escapeXml(updateTime)} • Powered by <a href="https://github.com/mjyoo2/VibeDashboard" target="_blank">VibeDashboard</a></text>`;
+  // Weekday labels (Mon, Wed, Fri)
+  for (const weekday of [1, 3, 5]) {
+    section += `
+    <text x="0" y="${gridY + weekday * HEATMAP_STEP + 9}" class="model-label">${escapeXml(weekdays[weekday])}</text>`;
   }
 
-  svg += `
-</svg>`;
+  // Day cells
+  heatmap.weeks.forEach((week, column) => {
+    week.forEach((day, weekday) => {
+      if (!day) return;
+      section += `
+    <rect x="${gridX + column * HEATMAP_STEP}" y="${gridY + weekday * HEATMAP_STEP}" width="${HEATMAP_CELL}" height="${HEATMAP_CELL}" rx="2" ${cellFill(day.level)}/>`;
+    });
+  });
 
-  return svg;
+  // Legend
+  const legendY = gridY + 7 * HEATMAP_STEP + 8;
+  const legendX = gridX + heatmap.weeks.length * HEATMAP_STEP - HEATMAP_OPACITY.length * HEATMAP_STEP - HEATMAP_STEP - 40;
+  section += `
+    <text x="${legendX - 6}" y="${legendY + 9}" text-anchor="end" class="model-label">${escapeXml(t('less', language))}</text>`;
+  for (let level = 0; level <= HEATMAP_OPACITY.length; level++) {
+    section += `
+    <rect x="${legendX + level * HEATMAP_STEP}" y="${legendY}" width="${HEATMAP_CELL}" height="${HEATMAP_CELL}" rx="2" ${cellFill(level)}/>`;
+  }
+  section += `
+    <text x="${legendX + (HEATMAP_OPACITY.length + 1) * HEATMAP_STEP + 2}" y="${legendY + 9}" class="model-label">${escapeXml(t('more', language))}</text>
+  </g>`;
+
+  return section;
 }
 
 /**
@@ -361,6 +744,37 @@ function generateSVGChart(data, theme, x, y, width, height) {
   return chart;
 }
 
+/**
+ * Generate an SVG sparkline of daily tokens (a line over a light area)
+ * @param {Array} data - Daily usage data (chronological order)
+ * @param {object} theme - Theme colors
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} width - Sparkline width
+ * @param {number} height - Sparkline height
+ * @returns {string} SVG sparkline element
+ */
+function generateSVGSparkline(data, theme, x, y, width, height) {
+  if (!data || data.length === 0) return '';
+
+  const maxTokens = Math.max(...data.map((d) => d.tokens));
+  const step = data.length > 1 ? width / (data.length - 1) : 0;
+  const points = data.map((day, i) => {
+    const pointY = maxTokens > 0 ? height - (day.tokens / maxTokens) * height : height;
+    return [Number((i * step).toFixed(1)), Number(pointY.toFixed(1))];
+  });
+  // A single day is drawn as a flat line across
+  if (points.length === 1) points.push([width, points[0][1]]);
+  const line = points.map(([pointX, pointY]) => `${pointX},${pointY}`).join(' ');
+
+  return `
+  <!-- Sparkline -->
+  <g transform="translate(${x}, ${y})" class="sparkline">
+    <polygon points="0,${height} ${line} ${width},${height}" fill="${theme.barFilled}" fill-opacity="0.15"/>
+    <polyline points="${line}" fill="none" stroke="${theme.barFilled}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>
+  </g>`;
+}
+
 /**
  * Generate SVG model breakdown bars
  * @param {Array} models - Model data
@@ -368,10 +782,11 @@ function generateSVGChart(data, theme, x, y, width, height) {
  * @param {number} x - X position
  * @param {number} y - Y position
  * @param {number} width - Total width
- * @param {string} currencySymbol - Currency symbol
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {object} changes - Map of model name to share change in percentage points (optional)
  * @returns {string} SVG model breakdown element
  */
-function generateSVGModelBreakdown(models, theme, x, y, width, currencySymbol) {
+function generateSVGModelBreakdown(models, theme, x, y, width, currencySymbol, changes = {}) {
   if (!models || models.length === 0) return '';
 
   const barWidth = width - 180;
@@ -385,12 +800,15 @@ function generateSVGModelBreakdown(models, theme, x, y, width, currencySymbol) {
   models.forEach((model, i) => {
     const rowY = 18 + i * rowHeight;
     const filledWidth = (model.percentage / 100) * barWidth;
+    const details = ` ${model.percentage}% (${formatCost(model.cost, currencySymbol)})`;
+    const change = formatChange(changes[model.name], 'pp', 0);
+    const name = fitText(model.shortName, width - barWidth - 10 - estimateTextWidth(`${details} ${change || ''}`, 12), 12);
 
     breakdown += `
     <g transform="translate(0, ${rowY})">
       <rect x="0" y="2" width="${barWidth}" height="10" rx="3" fill="${theme.barEmpty}"/>
       <rect x="0" y="2" width="${filledWidth}" height="10" rx="3" fill="${theme.barFilled}"/>
-      <text x="${barWidth + 10}" y="11" class="model-label">${escapeXml(model.shortName)} ${model.percentage}% (${escapeXml(formatCost(model.cost, currencySymbol))})</text>
+      <text x="${barWidth + 10}" y="11" class="model-label">${escapeXml(name + details)}${generateSVGModelChange(changes[model.name])}</text>
     </g>`;
   });
 
@@ -400,9 +818,336 @@ function generateSVGModelBreakdown(models, theme, x, y, width, currencySymbol) {
   return breakdown;
 }
 
+/**
+ * Generate the change line shown under a stat value
+ * @param {number|null} change - Percentage change
+ * @returns {string} SVG text element, or an empty string when there is nothing to compare
+ */
+function generateSVGChange(change) {
+  const formatted = formatChange(change);
+  if (!formatted) return '';
+  return `
+      <text y="38" class="${getChangeClass(change)}">${escapeXml(formatted)}</text>`;
+}
+
+/**
+ * Generate the share change appended to a model label
+ * @param {number|null} change - Share change in percentage points
+ * @returns {string} SVG tspan element, or an empty string when there is nothing to compare
+ */
+function generateSVGModelChange(change) {
+  const formatted = formatChange(change, 'pp', 0);
+  if (!formatted) return '';
+  return ` <tspan class="${getChangeClass(change)}">${escapeXml(formatted)}</tspan>`;
+}
+
+/**
+ * Generate SVG share bars for a per-source, per-tool or per-project breakdown
+ * @param {string} name - Section name used in the SVG comment
+ * @param {string} title - Section title
+ * @param {Array} entries - Breakdown data ({ name, cost, tokens, percentage })
+ * @param {object} theme - Theme colors
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} width - Total width
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @returns {string} SVG breakdown element
+ */
+function generateSVGShareBreakdown(name, title, entries, theme, x, y, width, currencySymbol) {
+  if (!entries || entries.length === 0) return '';
+
+  const barWidth = width - 260;
+  const rowHeight = 20;
+
+  let breakdown = `
+  <!-- ${name} -->
+  <g transform="translate(${x}, ${y})">
+    <text class="section-title">${escapeXml(title)}</text>`;
+
+  entries.forEach((entry, i) => {
+    const rowY = 18 + i * rowHeight;
+    const filledWidth = (entry.percentage / 100) * barWidth;
+    // Long project and source names are cut so the figures stay on the card
+    const details = ` ${entry.percentage}% (${formatCost(entry.cost, currencySymbol)} · ${formatTokens(entry.tokens)})`;
+    const label = fitText(entry.name, width - barWidth - 10 - estimateTextWidth(details, 12), 12);
+
+    breakdown += `
+    <g transform="translate(0, ${rowY})">
+      <rect x="0" y="2" width="${barWidth}" height="10" rx="3" fill="${theme.barEmpty}"/>
+      <rect x="0" y="2" width="${filledWidth}" height="10" rx="3" fill="${theme.accent}"/>
+      <text x="${barWidth + 10}" y="11" class="model-label">${escapeXml(label + details)}</text>
+    </g>`;
+  });
+
+  breakdown += `
+  </g>`;
+
+  return breakdown;
+}
+
+/**
+ * Describe billing block stats in one line (count, peak block, active block)
+ * @param {object} blocks - Block stats from processData
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {string} language - Language code
+ * @returns {string} Summary such as "12 blocks · Peak 1.2M / $8.40 · Active 300K / $2.10"
+ */
+function formatBlockSummary(blocks, currencySymbol, language) {
+  const parts = [
+    t('blockCount', language, { n: blocks.count }),
+    `${t('peakBlock', language)} ${formatTokens(blocks.peak.tokens)} / ${formatCost(blocks.peak.cost, currencySymbol)}`
+  ];
+  if (blocks.active) {
+    parts.push(`${t('activeBlock', language)} ${formatTokens(blocks.active.tokens)} / ${formatCost(blocks.active.cost, currencySymbol)}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Describe cache usage in one line (hit ratio, cached vs fresh input, savings)
+ * @param {object} cache - Cache stats from processData
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {string} language - Language code
+ * @returns {string} Summary such as "58.3% hit ratio · 63M cached / 45M fresh input · ~$170.10 saved"
+ */
+function formatCacheSummary(cache, currencySymbol, language) {
+  const parts = [
+    t('cacheHitRatio', language, { percentage: cache.hitRatio }),
+    t('cacheSplit', language, { read: formatTokens(cache.cacheRead), fresh: formatTokens(cache.freshInput) })
+  ];
+  if (cache.savings !== null) {
+    parts.push(t('cacheSaved', language, { value: formatCost(cache.savings, currencySymbol) }));
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Describe one budget period in a line
+ * @param {object} entry - Budget period from getBudgetStatus
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {string} language - Language code
+ * @returns {string} Summary such as "80% · $80.00 / $100.00 · Run rate $120.00 ⚠️"
+ */
+function formatBudgetSummary(entry, currencySymbol, language) {
+  const icon = { ok: '', warning: ' ⚠️', over: ' 🚨' }[entry.status];
+  // Forecast projections are estimates and read like the forecast row
+  const projection = entry.projection === 'forecast'
+    ? `${t('projected', language)} ~${formatCost(entry.projected, currencySymbol)}`
+    : `${t('runRate', language)} ${formatCost(entry.projected, currencySymbol)}`;
+  return `${entry.percentage}% · ${formatCost(entry.spent, currencySymbol)} / ${formatCost(entry.limit, currencySymbol)} · ` +
+    `${projection}${icon}`;
+}
+
+/**
+ * Describe a forecast in a line
+ * @param {object} forecast - Forecast from processData
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {string} language - Language code
+ * @returns {string} Summary such as "Month end ~$120.00 / ~12M · Year end ~$1,400.00 / ~140M"
+ */
+function formatForecastSummary(forecast, currencySymbol, language) {
+  if (!forecast.sufficient) {
+    return t('needsMoreDays', language, { n: MIN_FORECAST_DAYS });
+  }
+  const { month, year } = forecast;
+  return `${t('monthEnd', language)} ~${formatCost(month.cost, currencySymbol)} / ~${formatTokens(month.tokens)} · ` +
+    `${t('yearEnd', language)} ~${formatCost(year.cost, currencySymbol)} / ~${formatTokens(year.tokens)}`;
+}
+
+/**
+ * Build the streak and activity rows enabled in showItems
+ * @param {object} activity - Activity stats from processData
+ * @param {object} showItems - showItems config
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {string} language - Language code
+ * @returns {Array<object>} Rows of { icon, label, value }
+ */
+function getActivityRows(activity, showItems, currencySymbol, language) {
+  const rows = [];
+
+  if (showItems.streaks) {
+    rows.push({
+      icon: '🔥',
+      label: t('streak', language),
+      value: t('streakValue', language, { n: activity.currentStreak, longest: activity.longestStreak })
+    });
+  }
+
+  if (showItems.activity) {
+    const { activeDays, calendarDays, busiestDay, averagePerActiveDay, averagePerCalendarDay } = activity;
+    rows.push({
+      icon: '🗓️',
+      label: t('activeDays', language),
+      value: t('activeDaysValue', language, { active: activeDays, total: calendarDays, percentage: calculatePercentage(activeDays, calendarDays) })
+    });
+    if (busiestDay) {
+      rows.push({
+        icon: '🏆',
+        label: t('busiestDay', language),
+        value: `${busiestDay.date} · ${formatTokens(busiestDay.tokens)} / ${formatCost(busiestDay.cost, currencySymbol)}`
+      });
+    }
+    const perDay = (average) => `${formatTokens(average.tokens)} / ${formatCost(average.cost, currencySymbol)}`;
+    rows.push({
+      icon: '⚖️',
+      label: t('perDay', language),
+      value: `${t('perActiveDay', language, { value: perDay(averagePerActiveDay) })} · ${t('perCalendarDay', language, { value: perDay(averagePerCalendarDay) })}`
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Generate SVG cache section: a cached vs fresh input bar and per-model hit ratios
+ * @param {object} cache - Cache stats from processData
+ * @param {object} theme - Theme colors
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} width - Total width
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {string} language - Language code
+ * @param {number} limit - Models shown below the total
+ * @returns {string} SVG cache element
+ */
+function generateSVGCache(cache, theme, x, y, width, currencySymbol, language, limit = 5) {
+  const barWidth = width - 440;
+  const rowHeight = 20;
+  const rows = [
+    { label: formatCacheSummary(cache, currencySymbol, language), percentage: cache.hitRatio },
+    ...cache.models.slice(0, limit).map((model) => ({
+      label: `${model.shortName} ${t('cacheHitRatio', language, { percentage: model.hitRatio })}${model.savings === null ? '' : ` · ${t('cacheSaved', language, { value: formatCost(model.savings, currencySymbol) })}`}`,
+      percentage: model.hitRatio
+    }))
+  ];
+
+  let section = `
+  <!-- Cache -->
+  <g transform="translate(${x}, ${y})">
+    <text class="section-title">♻️ ${escapeXml(t('cache', language))}</text>`;
+
+  rows.forEach((row, i) => {
+    const rowY = 18 + i * rowHeight;
+    section += `
+    <g transform="translate(0, ${rowY})">
+      <rect x="0" y="2" width="${barWidth}" height="10" rx="3" fill="${theme.barEmpty}"/>
+      <rect x="0" y="2" width="${(row.percentage / 100) * barWidth}" height="10" rx="3" fill="${i === 0 ? theme.barFilled : theme.accent}"/>
+      <text x="${barWidth + 10}" y="11" class="model-label">${escapeXml(row.label)}</text>
+    </g>`;
+  });
+
+  section += `
+  </g>`;
+
+  return section;
+}
+
+/**
+ * Generate SVG budget progress bars
+ * @param {object} budget - Budget status from processData
+ * @param {object} theme - Theme colors
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} width - Total width
+ * @param {string|object} currencySymbol - Currency symbol or format (see formatCost)
+ * @param {string} language - Language code
+ * @returns {string} SVG budget element
+ */
+function generateSVGBudget(budget, theme, x, y, width, currencySymbol, language) {
+  const barWidth = width - 360;
+  const rowHeight = 20;
+  const fills = { ok: theme.barFilled, warning: theme.warning || theme.barFilled, over: theme.danger || theme.barFilled };
+
+  let section = `
+  <!-- Budget -->
+  <g transform="translate(${x}, ${y})">
+    <text class="section-title">💳 ${escapeXml(t('budget', language))}</text>`;
+
+  budget.periods.forEach((entry, i) => {
+    const rowY = 18 + i * rowHeight;
+    const filledWidth = (Math.min(entry.percentage, 100) / 100) * barWidth;
+    const label = `${t(`${entry.period}Budget`, language)} ${formatBudgetSummary(entry, currencySymbol, language)}`;
+
+    section += `
+    <g transform="translate(0, ${rowY})" class="budget-${entry.status}">
+      <rect x="0" y="2" width="${barWidth}" height="10" rx="3" fill="${theme.barEmpty}"/>
+      <rect x="0" y="2" width="${filledWidth}" height="10" rx="3" fill="${fills[entry.status]}"/>
+      <text x="${barWidth + 10}" y="11" class="model-label">${escapeXml(label)}</text>
+    </g>`;
+  });
+
+  section += `
+  </g>`;
+
+  return section;
+}
+
+/**
+ * Sample bar heights (0-1) drawn in every theme preview tile
+ */
+const PREVIEW_BARS = [0.45, 0.7, 0.3, 0.9, 0.6, 1, 0.55];
+
+/**
+ * Generate one SVG sheet previewing every available theme
+ * Each theme gets a small tile with its title, text, chart, share bar and
+ * change colors, laid out in rows of three.
+ * @param {object} customThemes - Map of theme name to custom theme definition (see validateThemes)
+ * @returns {string} SVG string
+ */
+export function generateThemePreview(customThemes = {}) {
+  const entries = listThemes(customThemes);
+  const columns = 3;
+  const tileWidth = 280;
+  const tileHeight = 130;
+  const gap = 15;
+  const rows = Math.ceil(entries.length / columns);
+  const width = columns * tileWidth + (columns + 1) * gap;
+  const height = rows * tileHeight + (rows + 1) * gap;
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+
+  entries.forEach(({ name, custom }, i) => {
+    const theme = getTheme(name, customThemes);
+    const x = gap + (i % columns) * (tileWidth + gap);
+    const y = gap + Math.floor(i / columns) * (tileHeight + gap);
+    const barWidth = 28;
+
+    svg += `
+
+  <!-- Theme: ${escapeXml(name)} -->
+  <g transform="translate(${x}, ${y})" font-family="${escapeXml(theme.fontFamily)}">
+    <rect x="0.5" y="0.5" width="${tileWidth - 1}" height="${tileHeight - 1}" rx="${theme.borderRadius}" fill="${theme.background}"${theme.hideBorder ? '' : ` stroke="${theme.border}"`}/>
+    <text x="15" y="28" font-size="15" font-weight="600" fill="${theme.title}">${escapeXml(name)}</text>
+    <text x="${tileWidth - 15}" y="28" font-size="11" text-anchor="end" fill="${theme.text}">${custom ? 'custom' : 'built-in'}</text>
+    <text x="15" y="48" font-size="12" fill="${theme.text}">1.2M tokens · $12.34</text>
+    <text x="${tileWidth - 15}" y="48" font-size="11" text-anchor="end"><tspan fill="${theme.increase}">▲ 12%</tspan> <tspan fill="${theme.decrease}">▼ 4%</tspan></text>
+    <rect x="15" y="58" width="${tileWidth - 30}" height="40" rx="4" fill="${theme.chartBg}"/>`;
+
+    PREVIEW_BARS.forEach((value, bar) => {
+      const barHeight = value * 30;
+      svg += `
+    <rect x="${25 + bar * (barWidth + 5)}" y="${93 - barHeight}" width="${barWidth}" height="${barHeight}" rx="3" fill="${theme.barFilled}"/>`;
+    });
+
+    svg += `
+    <rect x="15" y="108" width="170" height="10" rx="3" fill="${theme.barEmpty}"/>
+    <rect x="15" y="108" width="102" height="10" rx="3" fill="${theme.accent}"/>
+    <circle cx="${tileWidth - 45}" cy="113" r="5" fill="${theme.warning}"/>
+    <circle cx="${tileWidth - 25}" cy="113" r="5" fill="${theme.danger}"/>
+  </g>`;
+  });
+
+  svg += `
+</svg>`;
+
+  return svg;
+}
+
 export default {
   generate,
   generateMarkdown,
   generateSVG,
-  generateTextChart
+  generateTextChart,
+  generateTextHeatmap,
+  generateThemePreview
 };
@@ -0,0 +1,128 @@
+import { getDateKey, parseISODate, resolveAsOf } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Values the heatmap can be colored by
+ */
+export const HEATMAP_METRICS = ['tokens', 'cost'];
+
+/**
+ * Number of days the heatmap covers, ending today
+ */
+export const HEATMAP_DAYS = 365;
+
+/**
+ * Number of color levels, including level 0 for days without usage
+ */
+export const HEATMAP_LEVELS = 5;
+
+/**
+ * Check a `heatmapMetric` config entry
+ * @param {string} metric - 'tokens' or 'cost'
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateHeatmapMetric(metric) {
+  if (metric === null || metric === undefined || HEATMAP_METRICS.includes(metric)) return [];
+  return [`heatmapMetric must be one of ${HEATMAP_METRICS.join(', ')}`];
+}
+
+/**
+ * Get the upper bounds of the non-empty levels from quantiles of the values
+ * Level 1 covers values up to the first bound, level 2 up to the second and so
+ * on; the last level takes everything above. Zero values are left out, so a few
+ * busy days don't push every other day into the lowest level.
+ * @param {number[]} values - Daily values
+ * @param {number} levels - Number of levels including level 0
+ * @returns {number[]} levels - 2 ascending bounds (empty without usage)
+ */
+export function getQuantileThresholds(values, levels = HEATMAP_LEVELS) {
+  const sorted = values.filter((value) => value > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  const bounds = [];
+  for (let i = 1; i < levels - 1; i++) {
+    bounds.push(sorted[Math.floor((i / (levels - 1)) * (sorted.length - 1))]);
+  }
+  return bounds;
+}
+
+/**
+ * Get the color level of a value
+ * @param {number} value - Daily value
+ * @param {number[]} thresholds - Result of getQuantileThresholds
+ * @returns {number} Level from 0 (no usage) to HEATMAP_LEVELS - 1
+ */
+export function getHeatmapLevel(value, thresholds) {
+  if (!(value > 0)) return 0;
+  const index = thresholds.findIndex((bound) => value <= bound);
+  return index === -1 ? thresholds.length + 1 : index + 1;
+}
+
+/**
+ * Build a GitHub-style contribution grid of the last HEATMAP_DAYS days
+ * Columns are weeks starting on Sunday and rows are weekdays (0 = Sunday).
+ * Cells outside the covered days are null. Days come from `byDay` of the
+ * unfiltered data, so the grid doesn't depend on the selected display period.
+ * @param {object} data - Internal usage data (not yet filtered by period)
+ * @param {object} options - Options
+ * @param {string} options.heatmapMetric - 'tokens' (default) or 'cost'
+ * @param {string} options.timezone - IANA timezone deciding which day "today" is
+ * @param {string|Date} options.asOf - Reference date (default: now)
+ * @returns {object|null} { metric, from, to, thresholds, max, activeDays, weeks, months } or null for an invalid asOf
+ */
+export function buildHeatmap(data, options = {}) {
+  const metric = HEATMAP_METRICS.includes(options.heatmapMetric) ? options.heatmapMetric : 'tokens';
+  const timeZone = options.timezone || 'UTC';
+  const referenceDate = resolveAsOf(options.asOf, timeZone);
+  if (!referenceDate) return null;
+
+  const today = parseISODate(getDateKey(referenceDate, timeZone));
+  const first = new Date(today.getTime() - (HEATMAP_DAYS - 1) * DAY_MS);
+  const gridStart = new Date(first.getTime() - first.getUTCDay() * DAY_MS);
+  const byDay = data.byDay || {};
+
+  const days = [];
+  for (let time = first.getTime(); time <= today.getTime(); time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    days.push({ date, value: byDay[date]?.[metric] || 0 });
+  }
+
+  const thresholds = getQuantileThresholds(days.map((day) => day.value));
+  const weeks = [];
+  for (const day of days) {
+    const offset = Math.round((parseISODate(day.date) - gridStart) / DAY_MS);
+    const week = Math.floor(offset / 7);
+    if (!weeks[week]) weeks[week] = new Array(7).fill(null);
+    weeks[week][offset % 7] = { ...day, level: getHeatmapLevel(day.value, thresholds) };
+  }
+
+  // Label a week when its first covered day starts a new month
+  const months = [];
+  weeks.forEach((week, index) => {
+    const month = week.find(Boolean).date.slice(0, 7);
+    if (months.length === 0 || months[months.length - 1].month !== month) {
+      months.push({ week: index, month });
+    }
+  });
+  // Drop a leading partial month whose label would run into the next one
+  if (months.length > 1 && months[1].week - months[0].week < 3) months.shift();
+
+  return {
+    metric,
+    from: days[0].date,
+    to: days[days.length - 1].date,
+    thresholds,
+    max: Math.max(...days.map((day) => day.value)),
+    activeDays: days.filter((day) => day.value > 0).length,
+    weeks,
+    months
+  };
+}
+
+export default {
+  validateHeatmapMetric,
+  getQuantileThresholds,
+  getHeatmapLevel,
+  buildHeatmap
+};
@@ -0,0 +1,316 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createEmptyData, DAY_TOKEN_FIELDS } from './adapters.js';
+import { summarizeDays, hasDayDetail } from './parser.js';
+
+export const HISTORY_VERSION = 1;
+
+/**
+ * Source metadata kept in the history so reloaded data keeps its attribution
+ */
+const HISTORY_META_FIELDS = ['tool', 'fingerprint', 'adapter', 'exportedAt'];
+
+/**
+ * Create an empty history store
+ * @returns {object} { version, updatedAt, sources, days }
+ */
+export function createHistory() {
+  return { version: HISTORY_VERSION, updatedAt: null, sources: {}, days: {} };
+}
+
+/**
+ * Load a history file, or start a new one if it doesn't exist yet
+ * @param {string} historyPath - Path to the history file (e.g. ./vibe-history.json)
+ * @returns {Promise<object>} History store
+ */
+export async function loadHistory(historyPath) {
+  let content;
+  try {
+    content = await readFile(historyPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createHistory();
+    }
+    throw error;
+  }
+
+  let history;
+  try {
+    history = JSON.parse(content);
+  } catch {
+    throw new Error(`History file is not valid JSON: ${historyPath}`);
+  }
+
+  if (!history || typeof history !== 'object' || typeof history.days !== 'object') {
+    throw new Error(`Not a history file: ${historyPath}`);
+  }
+  if (history.version > HISTORY_VERSION) {
+    throw new Error(`History file version ${history.version} is newer than supported (${HISTORY_VERSION})`);
+  }
+
+  return { ...createHistory(), ...history };
+}
+
+/**
+ * Write a history store to disk
+ * @param {string} historyPath - Path to the history file
+ * @param {object} history - History store
+ * @returns {Promise<void>}
+ */
+export async function saveHistory(historyPath, history) {
+  await mkdir(dirname(historyPath), { recursive: true });
+  await writeFile(historyPath, JSON.stringify(history, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Check whether a new day entry should replace the recorded one
+ * Exports only lose days over time, so the larger figure is kept; on a tie the
+ * newer entry wins.
+ * @param {object|undefined} recorded - Entry already in the history
+ * @param {object} incoming - Entry from the latest export
+ * @returns {boolean}
+ */
+function shouldReplace(recorded, incoming) {
+  if (!recorded) return true;
+  if ((incoming.tokens || 0) !== (recorded.tokens || 0)) {
+    return (incoming.tokens || 0) > (recorded.tokens || 0);
+  }
+  return (incoming.cost || 0) >= (recorded.cost || 0);
+}
+
+/**
+ * Give a day without detail a token and model split estimated from its source
+ * Legacy exports only split tokens and models for the whole export, so the
+ * day's tokens are shared out like the export's token categories and its cost
+ * like the export's model costs. The day is marked `estimated`, so it keeps
+ * the export's models without being taken for measured detail.
+ * @param {object} day - byDay entry
+ * @param {object} data - Internal data the day belongs to
+ * @returns {object} The estimated day, or the day unchanged when it has detail or the source has no split either
+ */
+function splitDay(day, data) {
+  const totals = {
+    inputTokens: data.totalInputTokens || 0,
+    outputTokens: data.totalOutputTokens || 0,
+    cacheCreationTokens: data.totalCacheCreationInputTokens || 0,
+    cacheReadTokens: data.totalCacheReadInputTokens || 0
+  };
+  const totalTokens = Object.values(totals).reduce((sum, tokens) => sum + tokens, 0);
+  const models = Object.entries(data.byModel || {});
+  if (hasDayDetail(day) || models.length === 0 || !totalTokens) return day;
+
+  const tokenRatio = (day.tokens || 0) / totalTokens;
+  const costRatio = data.totalCost ? (day.cost || 0) / data.totalCost : 0;
+  const split = { ...day, estimated: true, models: {} };
+  for (const field of DAY_TOKEN_FIELDS) {
+    split[field] = Math.round(totals[field] * tokenRatio);
+  }
+  for (const [model, stats] of models) {
+    split.models[model] = { cost: (stats.cost || 0) * costRatio };
+    for (const field of DAY_TOKEN_FIELDS) {
+      split.models[model][field] = Math.round((stats[field] || 0) * tokenRatio);
+    }
+  }
+  return split;
+}
+
+/**
+ * Record loaded usage into the history, keyed by date and source
+ * Days without a token and model split get one estimated from their source
+ * (marked `estimated`), so the history keeps both after the export has dropped the day.
+ * @param {object} history - History store (mutated)
+ * @param {object[]} dataArray - Internal data objects, each tagged with `source`
+ * @param {object} options - Options
+ * @param {Date} options.now - Time of recording (default: now)
+ * @returns {object} { added, updated } day counts
+ */
+export function recordUsage(history, dataArray, options = {}) {
+  const recordedAt = (options.now || new Date()).toISOString();
+  let added = 0;
+  let updated = 0;
+
+  dataArray.forEach((data, index) => {
+    const source = data.source || `source-${index + 1}`;
+
+    for (const [date, day] of Object.entries(data.byDay || {})) {
+      // The source is the key, so per-day source attribution is redundant
+      const entry = splitDay({ ...day }, data);
+      delete entry.sources;
+
+      history.days[date] = history.days[date] || {};
+      const recorded = history.days[date][source];
+      if (!shouldReplace(recorded, entry)) continue;
+
+      if (!recorded) {
+        added++;
+      } else if (recorded.tokens !== entry.tokens || recorded.cost !== entry.cost) {
+        updated++;
+      }
+      history.days[date][source] = entry;
+    }
+
+    const meta = { ...history.sources[source], lastRecordedAt: recordedAt };
+    for (const field of HISTORY_META_FIELDS) {
+      if (data[field] !== undefined) meta[field] = data[field];
+    }
+    history.sources[source] = meta;
+  });
+
+  history.updatedAt = recordedAt;
+  return { added, updated };
+}
+
+/**
+ * Rebuild one internal data object per source from the history
+ * @param {object} history - History store
+ * @returns {object[]} Internal data objects, ready for mergeUsageData
+ */
+export function historyToData(history) {
+  const bySource = {};
+
+  for (const date of Object.keys(history.days).sort()) {
+    for (const [source, entry] of Object.entries(history.days[date])) {
+      bySource[source] = bySource[source] || {};
+      bySource[source][date] = { ...entry };
+    }
+  }
+
+  return Object.entries(bySource).map(([source, byDay]) => {
+    const data = { ...createEmptyData(), ...summarizeDays(byDay), byDay, source };
+
+    // Days recorded without a token split still count towards the total, in no category
+    const unsplitTokens = Object.values(byDay)
+      .filter((day) => typeof day.inputTokens !== 'number')
+      .reduce((sum, day) => sum + (day.tokens || 0), 0);
+    if (unsplitTokens > 0) data.totalUnsplitTokens = unsplitTokens;
+
+    for (const field of HISTORY_META_FIELDS) {
+      const value = history.sources[source]?.[field];
+      if (value !== undefined) data[field] = value;
+    }
+    return data;
+  });
+}
+
+/**
+ * Summarize a history store per source
+ * @param {object} history - History store
+ * @returns {object[]} [{ source, days, firstDate, lastDate, cost, tokens, lastRecordedAt }] sorted by cost
+ */
+export function summarizeHistory(history) {
+  const summary = {};
+
+  for (const date of Object.keys(history.days).sort()) {
+    for (const [source, entry] of Object.entries(history.days[date])) {
+      if (!summary[source]) {
+        summary[source] = {
+          source,
+          days: 0,
+          firstDate: date,
+          lastDate: date,
+          cost: 0,
+          tokens: 0,
+          lastRecordedAt: history.sources[source]?.lastRecordedAt || null
+        };
+      }
+      const stats = summary[source];
+      stats.days++;
+      stats.lastDate = date;
+      stats.cost += entry.cost || 0;
+      stats.tokens += entry.tokens || 0;
+    }
+  }
+
+  return Object.values(summary).sort((a, b) => b.cost - a.cost);
+}
+
+/**
+ * Compact a history store
+ * Drops empty entries and dates, sorts dates, and optionally folds renamed
+ * sources into another source (keeping the larger entry per day).
+ * @param {object} history - History store (mutated)
+ * @param {object} options - Options
+ * @param {object} options.merge - Map of old source name to the source it should be folded into
+ * @returns {object} { removed, merged } entry counts
+ */
+export function compactHistory(history, options = {}) {
+  const merge = options.merge || {};
+  let removed = 0;
+  let merged = 0;
+  const days = {};
+
+  for (const date of Object.keys(history.days).sort()) {
+    const entries = {};
+
+    for (const [source, entry] of Object.entries(history.days[date])) {
+      if (!entry || (!entry.cost && !entry.tokens)) {
+        removed++;
+        continue;
+      }
+
+      const target = merge[source] || source;
+      if (target !== source) merged++;
+      if (shouldReplace(entries[target], entry)) {
+        entries[target] = entry;
+      }
+    }
+
+    if (Object.keys(entries).length > 0) {
+      days[date] = entries;
+    }
+  }
+
+  history.days = days;
+  for (const [source, target] of Object.entries(merge)) {
+    if (history.sources[source] && !history.sources[target]) {
+      history.sources[target] = history.sources[source];
+    }
+    delete history.sources[source];
+  }
+  return { removed, merged };
+}
+
+/**
+ * Remove days or sources from a history store
+ * @param {object} history - History store (mutated)
+ * @param {object} options - Options
+ * @param {string} options.before - Remove days before this YYYY-MM-DD date
+ * @param {string} options.source - Remove every entry of this source
+ * @returns {number} Number of removed entries
+ */
+export function pruneHistory(history, options = {}) {
+  const { before, source } = options;
+  if (!before && !source) {
+    throw new Error('Nothing to prune: pass a date (before) or a source');
+  }
+
+  let removed = 0;
+  for (const [date, entries] of Object.entries(history.days)) {
+    if (before && date < before) {
+      removed += Object.keys(entries).length;
+      delete history.days[date];
+      continue;
+    }
+    if (source && entries[source]) {
+      delete entries[source];
+      removed++;
+      if (Object.keys(entries).length === 0) delete history.days[date];
+    }
+  }
+
+  if (source) {
+    delete history.sources[source];
+  }
+  return removed;
+}
+
+export default {
+  createHistory,
+  loadHistory,
+  saveHistory,
+  recordUsage,
+  historyToData,
+  summarizeHistory,
+  compactHistory,
+  pruneHistory
+};
@@ -22,9 +22,66 @@ const translations = {
     thisMonth: 'This Month',
     allTime: 'All Time',
     periodUsage: '{period} Usage',
+    calendarMonth: 'This Calendar Month',
+    lastMonth: 'Last Month',
+    thisQuarter: 'Q{q} {year}',
+    thisYear: '{year}',
+    yearToDate: 'Year to Date',
+    lastNDays: 'Last {n} Days',
+    dateRange: '{from} – {to}',
+    sinceDate: 'Since {from}',
+    untilDate: 'Until {to}',
     // Multi-source labels
     sources: 'Sources',
-    mergedFrom: 'Merged from {n} sources'
+    mergedFrom: 'Merged from {n} sources',
+    tools: 'Tools',
+    // Billing block labels
+    billingBlocks: 'Billing Blocks',
+    blockCount: '{n} blocks',
+    peakBlock: 'Peak',
+    activeBlock: 'Active',
+    projects: 'Projects',
+    previousPeriod: 'Previous Period',
+    // Budget labels
+    budget: 'Budget',
+    monthlyBudget: 'Monthly Budget',
+    weeklyBudget: 'Weekly Budget',
+    projected: 'Projected',
+    runRate: 'Run rate',
+    // Forecast labels
+    estimate: 'estimate',
+    monthEnd: 'Month end',
+    yearEnd: 'Year end',
+    needsMoreDays: 'Needs {n}+ days of data',
+    // Activity labels
+    streak: 'Streak',
+    streakValue: '{n} days (longest {longest})',
+    activeDays: 'Active Days',
+    activeDaysValue: '{active} / {total} days ({percentage}%)',
+    busiestDay: 'Busiest Day',
+    perDay: 'Per Day',
+    perActiveDay: '{value} per active day',
+    perCalendarDay: '{value} per calendar day',
+    // Heatmap labels
+    heatmap: 'Activity Heatmap',
+    heatmapSummary: '{n} active days in the last year',
+    less: 'Less',
+    more: 'More',
+    // Cache labels
+    cache: 'Cache',
+    cacheByModel: 'Cache by Model',
+    cacheHitRatio: '{percentage}% hit ratio',
+    cacheSplit: '{read} cached / {fresh} fresh input',
+    cacheSaved: '~{value} saved',
+    repricedNote: 'Costs at API list prices ({version})',
+    // Badge labels
+    badgeTokens: 'tokens',
+    badgeCost: 'cost',
+    badgeUsage: 'usage',
+    badgeTopModel: 'top model',
+    badgeStreak: 'streak',
+    badgeStreakValue: '{n} days',
+    badgeNone: 'none'
   },
   ko: {
     title: 'Vibe 코딩 통계',
@@ -45,9 +102,66 @@ const translations = {
     thisMonth: '이번 달',
     allTime: '전체 기간',
     periodUsage: '{period} 사용량',
+    calendarMonth: '달력 기준 이번 달',
+    lastMonth: '지난달',
+    thisQuarter: '{year}년 {q}분기',
+    thisYear: '{year}년',
+    yearToDate: '올해 누적',
+    lastNDays: '최근 {n}일',
+    dateRange: '{from} ~ {to}',
+    sinceDate: '{from} 이후',
+    untilDate: '{to}까지',
     // Multi-source labels
     sources: '소스',
-    mergedFrom: '{n}개 소스에서 병합됨'
+    mergedFrom: '{n}개 소스에서 병합됨',
+    tools: '도구',
+    // Billing block labels
+    billingBlocks: '빌링 블록',
+    blockCount: '{n}개 블록',
+    peakBlock: '최대',
+    activeBlock: '진행 중',
+    projects: '프로젝트',
+    previousPeriod: '이전 기간',
+    // Budget labels
+    budget: '예산',
+    monthlyBudget: '월 예산',
+    weeklyBudget: '주 예산',
+    projected: '예상',
+    runRate: '현재 추세',
+    // Forecast labels
+    estimate: '추정',
+    monthEnd: '월말',
+    yearEnd: '연말',
+    needsMoreDays: '{n}일 이상의 데이터 필요',
+    // Activity labels
+    streak: '연속 사용',
+    streakValue: '{n}일 (최장 {longest}일)',
+    activeDays: '활동일',
+    activeDaysValue: '{active} / {total}일 ({percentage}%)',
+    busiestDay: '최다 사용일',
+    perDay: '일별',
+    perActiveDay: '활동일당 {value}',
+    perCalendarDay: '달력일당 {value}',
+    // Heatmap labels
+    heatmap: '활동 히트맵',
+    heatmapSummary: '최근 1년 중 {n}일 활동',
+    less: '적음',
+    more: '많음',
+    // Cache labels
+    cache: '캐시',
+    cacheByModel: '모델별 캐시',
+    cacheHitRatio: '적중률 {percentage}%',
+    cacheSplit: '캐시 {read} / 신규 입력 {fresh}',
+    cacheSaved: '약 {value} 절약',
+    repricedNote: 'API 정가 기준 비용 ({version})',
+    // Badge labels
+    badgeTokens: '토큰',
+    badgeCost: '비용',
+    badgeUsage: '사용량',
+    badgeTopModel: '주요 모델',
+    badgeStreak: '연속 사용',
+    badgeStreakValue: '{n}일',
+    badgeNone: '없음'
   },
   ja: {
     title: 'Vibe コーディング統計',
@@ -68,9 +182,66 @@ const translations = {
     thisMonth: '今月',
     allTime: '全期間',
     periodUsage: '{period}の使用量',
+    calendarMonth: '今月・暦月',
+    lastMonth: '先月',
+    thisQuarter: '{year}年 第{q}四半期',
+    thisYear: '{year}年',
+    yearToDate: '年初来',
+    lastNDays: '過去{n}日間',
+    dateRange: '{from}〜{to}',
+    sinceDate: '{from}以降',
+    untilDate: '{to}まで',
     // Multi-source labels
     sources: 'ソース',
-    mergedFrom: '{n}ソースから統合'
+    mergedFrom: '{n}ソースから統合',
+    tools: 'ツール',
+    // Billing block labels
+    billingBlocks: '課金ブロック',
+    blockCount: '{n}ブロック',
+    peakBlock: 'ピーク',
+    activeBlock: '進行中',
+    projects: 'プロジェクト',
+    previousPeriod: '前期間',
+    // Budget labels
+    budget: '予算',
+    monthlyBudget: '月間予算',
+    weeklyBudget: '週間予算',
+    projected: '予測',
+    runRate: '現在のペース',
+    // Forecast labels
+    estimate: '推定',
+    monthEnd: '月末',
+    yearEnd: '年末',
+    needsMoreDays: '{n}日以上のデータが必要',
+    // Activity labels
+    streak: '連続日数',
+    streakValue: '{n}日 (最長 {longest}日)',
+    activeDays: '稼働日',
+    activeDaysValue: '{active} / {total}日 ({percentage}%)',
+    busiestDay: '最多使用日',
+    perDay: '1日あたり',
+    perActiveDay: '稼働日あたり {value}',
+    perCalendarDay: '暦日あたり {value}',
+    // Heatmap labels
+    heatmap: 'アクティビティヒートマップ',
+    heatmapSummary: '過去1年間で{n}日アクティブ',
+    less: '少',
+    more: '多',
+    // Cache labels
+    cache: 'キャッシュ',
+    cacheByModel: 'モデル別キャッシュ',
+    cacheHitRatio: 'ヒット率 {percentage}%',
+    cacheSplit: 'キャッシュ {read} / 新規入力 {fresh}',
+    cacheSaved: '約{value}節約',
+    repricedNote: 'API定価で算出したコスト ({version})',
+    // Badge labels
+    badgeTokens: 'トークン',
+    badgeCost: 'コスト',
+    badgeUsage: '使用量',
+    badgeTopModel: '主要モデル',
+    badgeStreak: '連続日数',
+    badgeStreakValue: '{n}日',
+    badgeNone: 'なし'
   }
 };
 
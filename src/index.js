@@ -1,69 +1,75 @@
 import { readFile } from 'node:fs/promises';
-import { parseUsageData, parseMultipleUsageData, processData, validateData, mergeUsageData, filterByPeriod } from './parser.js';
+import {
+  processData,
+  validateData,
+  mergeUsageData,
+  loadUsageFile
+} from './parser.js';
+import { parseSessionLogs } from './transcripts.js';
+import { resolveSources } from './sources.js';
+import { loadHistory, saveHistory, recordUsage, historyToData } from './history.js';
+import { validateBudget, writeBudgetAlert } from './budget.js';
+import { validateForecast } from './forecast.js';
+import { validateHeatmapMetric } from './heatmap.js';
+import { validatePricing } from './pricing.js';
+import { validateCurrency, loadExchangeRate, BASE_CURRENCY } from './currency.js';
+import { validateThemes, validateThemePair } from './themes.js';
+import { validateLayout, validateWidth, validateWidgets } from './layout.js';
+import { validateBadge, generateBadge, generateBadgeEndpoint, writeBadgeEndpoint } from './badge.js';
 import { generate } from './generator.js';
-import { updateReadme, writeSVG } from './updater.js';
-import { mergeConfig } from './utils.js';
+import { updateReadme, writeSVG, getThemeVariantPath, generatePictureTag } from './updater.js';
+import { mergeConfig, isValidPeriod, isValidTimeZone, resolveAsOf } from './utils.js';
 
 /**
  * Main generate function - orchestrates the entire dashboard generation
  * @param {object} options - Generation options
  * @param {string} options.configPath - Path to config file (optional)
- * @param {string|string[]} options.inputPath - Path(s) to cc.json file(s)
+ * @param {string|string[]} options.inputPath - Path(s) to cc.json file(s) (default ./cc.json when no other input is given)
+ * @param {string} options.inputDir - Directory of Claude Code session logs (optional)
  * @param {string} options.outputPath - Path to README.md file
  * @param {string} options.svgPath - Path to save SVG file (optional)
+ * @param {string} options.historyPath - History file to record into and read from (optional, overrides config.history)
+ * @param {string|Date} options.asOf - Reference date to render as of (optional, overrides config.asOf)
+ * @param {string} options.alertPath - Write a JSON budget alert here when a budget is at its warning level or over (optional)
  * @param {object} options.config - Direct config object (optional, overrides configPath)
  * @returns {Promise<object>} Result with success status and details
  */
 export async function generateDashboard(options) {
-  const { configPath, inputPath, outputPath, svgPath, config: directConfig } = options;
+  const { outputPath, svgPath, alertPath } = options;
 
-  // Load and merge config
-  let config;
-  try {
-    config = await loadConfig(configPath, directConfig);
-  } catch (error) {
-    return { success: false, error: `Config error: ${error.message}` };
+  const prepared = await prepareConfig(options);
+  if (prepared.error) {
+    return { success: false, error: prepared.error };
   }
+  const { config } = prepared;
+  const timezone = config.timezone || 'UTC';
 
-  // Parse input data (supports single file or multiple files)
-  let data;
-  try {
-    const inputPaths = Array.isArray(inputPath) ? inputPath : [inputPath];
-
-    if (inputPaths.length === 1) {
-      data = await parseUsageData(inputPaths[0]);
-    } else {
-      data = await parseMultipleUsageData(inputPaths);
-    }
-
-    // Apply period filter from config
-    if (config.period && config.period !== 'all') {
-      const filteredRaw = filterByPeriod(data.raw, config.period);
-      data = processData(filteredRaw, config.period);
-      data.sourceCount = inputPaths.length > 1 ? inputPaths.length : undefined;
-    }
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return { success: false, error: `Input file not found: ${error.path || inputPath}` };
-    }
-    return { success: false, error: `Failed to parse input: ${error.message}` };
-  }
-
-  // Validate data
-  const validation = validateData(data.raw);
-  if (!validation.isValid) {
-    return { success: false, error: `Invalid data: ${validation.errors.join(', ')}` };
+  const loaded = await loadDashboardData(config, options);
+  if (loaded.error) {
+    return { success: false, error: loaded.error, sourceErrors: loaded.sourceErrors };
   }
+  const { data, sourceCount, collapsedDays, sourceErrors, history } = loaded;
 
   // Generate output
   const { markdown, svg } = generate(data, config);
 
+  // In dual theme mode the SVG is rendered once per color mode
+  const svgFiles = [];
+  if (svgPath && svg && config.dualTheme) {
+    for (const variant of ['dark', 'light']) {
+      const theme = config[`${variant}Theme`] || variant;
+      svgFiles.push({ path: getThemeVariantPath(svgPath, variant), svg: generate(data, { ...config, theme }).svg });
+    }
+  } else if (svgPath && svg) {
+    svgFiles.push({ path: svgPath, svg });
+  }
+
   // Determine what to put in README: image tag if SVG path provided, otherwise markdown
   let readmeContent;
-  if (svgPath && svg) {
-    // Use relative path for the image
-    const svgFileName = svgPath.split('/').pop().split('\\').pop();
-    readmeContent = `![Vibe Dashboard](./${svgFileName})`;
+  if (svgFiles.length > 0) {
+    // Use relative paths for the images
+    const [first, second] = svgFiles.map((file) => `./${file.path.split('/').pop().split('\\').pop()}`);
+    readmeContent = second ? generatePictureTag(first, second) : `![Vibe Dashboard](${first})`;
   } else {
     readmeContent = markdown;
   }
@@ -74,13 +80,25 @@ export async function generateDashboard(options) {
     return { success: false, error: readmeResult.message };
   }
 
-  // Write SVG if path provided and SVG generated
-  let svgResult = null;
-  if (svgPath && svg) {
-    svgResult = await writeSVG(svgPath, svg);
+  // Write SVG(s) if path provided and SVG generated
+  const svgMessages = [];
+  for (const file of svgFiles) {
+    const svgResult = await writeSVG(file.path, file.svg);
     if (!svgResult.success) {
       console.warn(`Warning: ${svgResult.message}`);
     }
+    svgMessages.push(svgResult.message);
+  }
+
+  // Budget alert for CI, only written when there is something to act on
+  let alert = null;
+  if (alertPath && data.budget && data.budget.status !== 'ok') {
+    await writeBudgetAlert(alertPath, data.budget, {
+      currencySymbol: config.currencySymbol,
+      currency: config.currency || BASE_CURRENCY,
+      asOf: (resolveAsOf(config.asOf, timezone) || new Date()).toISOString()
+    });
+    alert = alertPath;
   }
 
   return {
@@ -88,13 +106,259 @@ export async function generateDashboard(options) {
     message: 'Dashboard generated successfully',
     details: {
       readme: readmeResult.message,
-      svg: svgResult?.message || 'SVG not generated',
-      sources: Array.isArray(inputPath) ? inputPath.length : 1,
-      period: config.period || 'all'
+      svg: svgMessages.join(', ') || 'SVG not generated',
+      sources: sourceCount,
+      collapsedDays,
+      sourceErrors,
+      history,
+      period: config.period || 'all',
+      asOf: config.asOf || null,
+      budget: data.budget,
+      pricing: data.pricing,
+      alert
     }
   };
 }
 
+/**
+ * Generate a badge for one summary metric
+ * @param {object} options - Badge options
+ * @param {string} options.configPath - Path to config file (optional)
+ * @param {string|string[]} options.inputPath - Path(s) to cc.json file(s) (default ./cc.json when no other input is given)
+ * @param {string} options.inputDir - Directory of Claude Code session logs (optional)
+ * @param {string} options.historyPath - History file to read all-time data from, never written (optional, overrides config.history)
+ * @param {string|Date} options.asOf - Reference date to render as of (optional, overrides config.asOf)
+ * @param {string} options.metric - Metric to show (see BADGE_METRICS, default 'tokens')
+ * @param {string} options.style - Badge style (see BADGE_STYLES, default 'flat')
+ * @param {string} options.label - Label text (optional)
+ * @param {string} options.color - Message color (optional)
+ * @param {string} options.labelColor - Label color (optional)
+ * @param {string} options.outputPath - Path to save the SVG badge (optional)
+ * @param {string} options.endpointPath - Path to save a shields.io endpoint JSON (optional)
+ * @param {object} options.config - Direct config object (optional, overrides configPath)
+ * @returns {Promise<object>} Result with success status and details
+ */
+export async function generateBadgeFile(options) {
+  const { metric, style, label, color, labelColor, outputPath, endpointPath } = options;
+  const badgeOptions = { metric, style, label, color, labelColor };
+
+  const badgeErrors = validateBadge(badgeOptions);
+  if (badgeErrors.length > 0) {
+    return { success: false, error: `Badge error: ${badgeErrors.join(', ')}` };
+  }
+  if (!outputPath && !endpointPath) {
+    return { success: false, error: 'Badge error: Nothing to write, give an output path or an endpoint path' };
+  }
+
+  const prepared = await prepareConfig(options);
+  if (prepared.error) {
+    return { success: false, error: prepared.error };
+  }
+  const { config } = prepared;
+
+  // Badges only read the history; recording it is left to generate
+  const loaded = await loadDashboardData(config, { ...options, readOnlyHistory: true });
+  if (loaded.error) {
+    return { success: false, error: loaded.error, sourceErrors: loaded.sourceErrors };
+  }
+  const { data, sourceErrors } = loaded;
+
+  const messages = [];
+  if (outputPath) {
+    const svgResult = await writeSVG(outputPath, generateBadge(data, badgeOptions, config));
+    if (!svgResult.success) {
+      return { success: false, error: svgResult.message };
+    }
+    messages.push(svgResult.message.replace(/^SVG/, 'Badge'));
+  }
+
+  const endpoint = generateBadgeEndpoint(data, badgeOptions, config);
+  if (endpointPath) {
+    try {
+      await writeBadgeEndpoint(endpointPath, endpoint);
+    } catch (error) {
+      return { success: false, error: `Failed to write badge endpoint: ${error.message}` };
+    }
+    messages.push(`Endpoint saved to ${endpointPath}`);
+  }
+
+  return {
+    success: true,
+    message: 'Badge generated successfully',
+    details: {
+      files: messages.join(', '),
+      label: endpoint.label,
+      value: endpoint.message,
+      sourceErrors,
+      period: config.period || 'all',
+      asOf: config.asOf || null
+    }
+  };
+}
+
+/**
+ * Load, merge and check the configuration of a run
+ * @param {object} options - Options of generateDashboard or generateBadgeFile ({ configPath, asOf, config })
+ * @returns {Promise<object>} { config } or { error }
+ */
+async function prepareConfig({ configPath, asOf, config: directConfig }) {
+  // Load and merge config
+  let config;
+  try {
+    config = await loadConfig(configPath, directConfig);
+  } catch (error) {
+    return { error: `Config error: ${error.message}` };
+  }
+  if (asOf) {
+    config.asOf = asOf;
+  }
+
+  if (!isValidPeriod(config.period || 'all')) {
+    return { error: `Config error: Invalid period: ${JSON.stringify(config.period)}` };
+  }
+  if (!isValidTimeZone(config.timezone || 'UTC')) {
+    return { error: `Config error: Invalid timezone: ${config.timezone}` };
+  }
+  if (config.asOf && !resolveAsOf(config.asOf, config.timezone || 'UTC')) {
+    return { error: `Config error: Invalid asOf date: ${config.asOf}` };
+  }
+  const settingErrors = [
+    ...validateThemes(config.theme, config.customThemes),
+    ...validateThemePair(config, config.customThemes),
+    ...validateLayout(config.layout),
+    ...validateWidth(config.width),
+    ...validateWidgets(config.widgets),
+    ...validateBudget(config.budget),
+    ...validateForecast(config.forecast),
+    ...validateHeatmapMetric(config.heatmapMetric),
+    ...validatePricing(config.pricing),
+    ...validateCurrency(config.currency, config.exchangeRate)
+  ];
+  if (settingErrors.length > 0) {
+    return { error: `Config error: ${settingErrors.join(', ')}` };
+  }
+
+  // Read a rates file once, so processing only sees a number
+  if (config.currency) {
+    try {
+      config.exchangeRate = await loadExchangeRate(config.currency, config.exchangeRate);
+    } catch (error) {
+      return { error: `Config error: ${error.message}` };
+    }
+  }
+
+  return { config };
+}
+
+/**
+ * Load every input (-i files, a session log directory and config.sources), record
+ * it into the history and process it for the configured period
+ * @param {object} config - Checked configuration (see prepareConfig)
+ * @param {object} options - Options of generateDashboard or generateBadgeFile ({ inputPath, inputDir, historyPath })
+ * @param {boolean} options.readOnlyHistory - Combine the inputs with the history without saving it (default false)
+ * @returns {Promise<object>} { data, sourceCount, collapsedDays, sourceErrors, history } or { error, sourceErrors }
+ */
+async function loadDashboardData(config, { inputPath, inputDir, historyPath: historyOption, readOnlyHistory = false }) {
+  const timezone = config.timezone || 'UTC';
+  let data;
+  let sourceCount;
+  let collapsedDays = [];
+  let sourceErrors = [];
+  let history = null;
+  try {
+    const inputPaths = [inputPath].flat().filter(Boolean);
+    const configSources = config.sources || [];
+    if (inputPaths.length === 0 && !inputDir && configSources.length === 0) {
+      inputPaths.push('./cc.json');
+    }
+
+    const labels = config.sourceLabels || {};
+    let dataArray = await Promise.all(inputPaths.map((path) => loadUsageFile(path, labels, { timezone })));
+
+    if (inputDir) {
+      const sessionData = await parseSessionLogs(inputDir, { timezone, pricing: config.pricing });
+      dataArray.push({ ...sessionData, source: labels[inputDir] || 'session-logs' });
+    }
+
+    if (configSources.length > 0) {
+      // Unreachable config sources are reported but don't stop generation
+      const resolved = await resolveSources(configSources, { labels, timeout: config.sourceTimeout, timezone });
+      dataArray.push(...resolved.entries);
+      sourceErrors = resolved.errors;
+      for (const { source, error } of sourceErrors) {
+        console.warn(`Warning: Skipped source ${source}: ${error}`);
+      }
+    }
+
+    if (dataArray.length === 0) {
+      return { error: 'No usage data could be loaded from any source', sourceErrors };
+    }
+
+    // Record into the history and read every day ever recorded back from it.
+    // Read-only runs record into the loaded copy only, so the file is left as it was.
+    const historyPath = historyOption || config.history;
+    if (historyPath) {
+      const store = await loadHistory(historyPath);
+      const changes = recordUsage(store, dataArray);
+      if (!readOnlyHistory) {
+        await saveHistory(historyPath, store);
+      }
+      history = { path: historyPath, ...changes, days: Object.keys(store.days).length };
+
+      // Session and block records aren't kept in the history, so carry over the latest ones
+      const latest = new Map(dataArray.map((data) => [data.source, data]));
+      dataArray = historyToData(store).map((data) => {
+        const current = latest.get(data.source);
+        for (const key of ['sessions', 'blocks']) {
+          if (current?.[key]) data[key] = current[key];
+        }
+        return data;
+      });
+    }
+
+    const merged = mergeUsageData(dataArray, {
+      strategy: config.mergeStrategy,
+      fingerprints: config.sourceFingerprints
+    });
+
+    collapsedDays = merged.collapsedDays || [];
+    if (collapsedDays.length > 0) {
+      console.warn(`Warning: ${formatCollapsedDays(collapsedDays)}`);
+    }
+
+    sourceCount = dataArray.length;
+    data = processData(merged, config.period || 'all', config);
+    if (sourceCount > 1) {
+      data.sourceCount = sourceCount;
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { error: `Input file not found: ${error.path || inputPath || inputDir}` };
+    }
+    return { error: `Failed to parse input: ${error.message}` };
+  }
+
+  // Validate data
+  const validation = validateData(data.raw);
+  if (!validation.isValid) {
+    return { error: `Invalid data: ${validation.errors.join(', ')}` };
+  }
+
+  return { data, sourceCount, collapsedDays, sourceErrors, history };
+}
+
+/**
+ * Describe days dropped while merging sources of the same origin
+ * @param {object[]} collapsedDays - Entries from mergeUsageData
+ * @returns {string} Human readable summary
+ */
+function formatCollapsedDays(collapsedDays) {
+  const details = collapsedDays.map((entry) =>
+    `${entry.date} (${entry.sources.join(', ')} → kept ${entry.kept})`
+  );
+  return `Collapsed ${collapsedDays.length} duplicate day(s) from the same origin: ${details.join('; ')}`;
+}
+
 /**
  * Load configuration from file and/or merge with defaults
  * @param {string} configPath - Path to config file (optional)
@@ -137,9 +401,8 @@ export function generateFromData(rawData, config = {}) {
     mergedData = rawData;
   }
 
-  // Apply period filter
-  const filteredData = filterByPeriod(mergedData, mergedConfig.period || 'all');
-  const data = processData(filteredData, mergedConfig.period);
+  // processData applies the period filter itself and needs the unfiltered data for comparisons
+  const data = processData(mergedData, mergedConfig.period || 'all', mergedConfig);
 
   if (Array.isArray(rawData) && rawData.length > 1) {
     data.sourceCount = rawData.length;
@@ -149,12 +412,39 @@ export function generateFromData(rawData, config = {}) {
 }
 
 // Re-export utilities for external use
-export { mergeConfig, getDefaultConfig, getPeriodRange } from './utils.js';
-export { processData, validateData, mergeUsageData, filterByPeriod, parseMultipleUsageData } from './parser.js';
-export { generate, generateMarkdown, generateSVG } from './generator.js';
-export { updateReadme, hasMarkers, addMarkers } from './updater.js';
+export { mergeConfig, getDefaultConfig, getPeriodRange, isValidPeriod, isValidTimeZone, getDateKey, resolveAsOf, getPreviousPeriodRange, PERIODS } from './utils.js';
+export {
+  processData,
+  validateData,
+  mergeUsageData,
+  filterByPeriod,
+  parseMultipleUsageData,
+  getSourceBreakdown,
+  getToolBreakdown,
+  getProjectBreakdown,
+  getBlockStats,
+  getCacheStats,
+  repriceData,
+  getPeriodComparison
+} from './parser.js';
+export { registerAdapter, getAdapters, detectAdapter } from './adapters.js';
+export { getBudgetStatus, validateBudget } from './budget.js';
+export { forecastUsage, validateForecast } from './forecast.js';
+export { buildHeatmap, validateHeatmapMetric } from './heatmap.js';
+export { convertCosts, getCurrencyFormat, loadExchangeRate, validateCurrency } from './currency.js';
+export { getModelPricing, calculateCost, estimateCacheSavings, getMissingPricing, validatePricing, MODEL_PRICING, PRICING_VERSION } from './pricing.js';
+export { getActivityStats, getStreaks } from './activity.js';
+export { parseSessionLogs } from './transcripts.js';
+export { resolveSources } from './sources.js';
+export { loadHistory, saveHistory, recordUsage, historyToData } from './history.js';
+export { getTheme, getAutoTheme, listThemes, validateThemes, validateThemePair, isValidColor, THEMES, THEME_COLOR_KEYS, AUTO_THEME } from './themes.js';
+export { resolveWidgets, layoutWidgets, getLayoutWidth, validateLayout, validateWidth, validateWidgets, LAYOUT_PRESETS, LAYOUTS, WIDGET_TYPES } from './layout.js';
+export { generateBadge, generateBadgeEndpoint, getBadgeValue, validateBadge, resolveBadgeColor, BADGE_METRICS, BADGE_STYLES, BADGE_COLORS } from './badge.js';
+export { generate, generateMarkdown, generateSVG, generateThemePreview } from './generator.js';
+export { updateReadme, hasMarkers, addMarkers, getThemeVariantPath, generatePictureTag } from './updater.js';
 
 export default {
   generateDashboard,
+  generateBadgeFile,
   generateFromData
 };
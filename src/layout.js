@@ -0,0 +1,325 @@
+/**
+ * Default card width in pixels (layouts may set their own, see LAYOUT_WIDTHS)
+ */
+export const DEFAULT_WIDTH = 900;
+
+/**
+ * Narrowest and widest card width accepted by the `width` config entry
+ */
+export const MIN_WIDTH = 400;
+export const MAX_WIDTH = 1600;
+
+/**
+ * Horizontal padding between the card edge and its widgets
+ */
+export const CARD_PADDING = 25;
+
+/**
+ * Space left below the last widget
+ */
+export const CARD_BOTTOM = 10;
+
+/**
+ * Widgets the SVG card can show
+ * Tiles are small stats flowed side by side in rows; the other widgets take
+ * the full card width and are stacked unless they are given a `width`.
+ */
+export const WIDGET_TYPES = [
+  'title',
+  'totalTokens',
+  'totalCost',
+  'dailyAverage',
+  'today',
+  'week',
+  'month',
+  'forecast',
+  'chart',
+  'sparkline',
+  'heatmap',
+  'models',
+  'sources',
+  'tools',
+  'projects',
+  'blocks',
+  'cache',
+  'budget',
+  'activity',
+  'footer'
+];
+
+/**
+ * Per-widget options and the type of value each accepts
+ */
+const WIDGET_OPTIONS = {
+  width: 'number',  // Minimum width; widgets with a width are flowed side by side and share out the row's spare space
+  height: 'number',  // Chart or sparkline height
+  days: 'integer',  // Days in the chart or sparkline (default: chartDays)
+  limit: 'integer',  // Rows in a breakdown (default: 5, projectLimit for projects)
+  streaks: 'boolean',  // Activity widget: show the streak rows
+  activity: 'boolean'  // Activity widget: show the active days and averages rows
+};
+
+/**
+ * showItems entry that toggles each widget in the layout presets
+ */
+const WIDGET_SHOW_ITEMS = {
+  totalTokens: 'totalTokens',
+  totalCost: 'totalCost',
+  dailyAverage: 'dailyAverage',
+  forecast: 'forecast',
+  chart: 'periodChart',
+  sparkline: 'periodChart',
+  heatmap: 'heatmap',
+  models: 'modelBreakdown',
+  sources: 'sourceBreakdown',
+  tools: 'toolBreakdown',
+  projects: 'projectBreakdown',
+  blocks: 'billingBlocks',
+  cache: 'cache',
+  budget: 'budget',
+  footer: 'lastUpdated'
+};
+
+const CARD_WIDGETS = [
+  'title',
+  'totalTokens',
+  'totalCost',
+  'today',
+  'week',
+  'month',
+  'forecast',
+  'chart',
+  'heatmap',
+  'models',
+  'sources',
+  'tools',
+  'projects',
+  'blocks',
+  'cache',
+  'budget',
+  'activity',
+  'footer'
+];
+
+/**
+ * Give widgets a width so they are flowed side by side
+ * @param {string[]} types - Widget types
+ * @param {number} width - Minimum width of each widget
+ * @returns {object[]} Widgets with options
+ */
+function withWidth(types, width) {
+  return types.map((type) => ({ type, width }));
+}
+
+/**
+ * Widget lists of the SVG layouts
+ * Preset widgets are toggled by showItems; widgets listed in `config.widgets`
+ * are always shown when there is data for them.
+ */
+export const LAYOUT_PRESETS = {
+  card: CARD_WIDGETS,
+  detailed: CARD_WIDGETS.flatMap((type) => {
+    if (type === 'totalCost') return [type, 'dailyAverage'];
+    if (type === 'models') return [{ type, limit: 10 }];
+    return [type];
+  }),
+  // The heatmap layout swaps the period chart for an always shown heatmap
+  heatmap: CARD_WIDGETS
+    .filter((type) => type !== 'chart')
+    .map((type) => (type === 'heatmap' ? { type, always: true } : type)),
+  minimal: ['title', 'totalTokens', 'totalCost', 'month', 'footer'],
+  // Two rows of key stats and a sparkline
+  compact: ['title', 'totalTokens', 'totalCost', 'today', 'month', 'sparkline', 'footer'],
+  // One tile per row, for placing cards side by side
+  vertical: [
+    'title',
+    ...withWidth(['totalTokens', 'totalCost', 'dailyAverage', 'today', 'week', 'month', 'forecast'], 350),
+    'sparkline',
+    'models',
+    'sources',
+    'tools',
+    'projects',
+    'activity',
+    'footer'
+  ],
+  // Every tile in one row and the breakdowns in two columns
+  wide: [
+    'title',
+    'totalTokens',
+    'totalCost',
+    'dailyAverage',
+    'today',
+    'week',
+    'month',
+    'forecast',
+    'chart',
+    'heatmap',
+    ...withWidth(['models', 'sources', 'tools', 'projects', 'cache', 'budget'], 560),
+    'blocks',
+    'activity',
+    'footer'
+  ]
+};
+
+/**
+ * Layouts that can be selected with `layout`
+ */
+export const LAYOUTS = Object.keys(LAYOUT_PRESETS);
+
+/**
+ * Card width of each layout when `width` isn't set
+ */
+export const LAYOUT_WIDTHS = {
+  minimal: 500,
+  compact: 400,
+  vertical: 400,
+  wide: 1200
+};
+
+/**
+ * Check the `layout` config entry
+ * @param {string} layout - Layout name
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateLayout(layout) {
+  if (layout === null || layout === undefined || LAYOUTS.includes(layout)) return [];
+  return [`layout must be one of ${LAYOUTS.join(', ')} (got ${JSON.stringify(layout)})`];
+}
+
+/**
+ * Get the card width for a config
+ * @param {object} config - Configuration ({ width, layout })
+ * @returns {number} `width`, else the layout's width, else DEFAULT_WIDTH
+ */
+export function getLayoutWidth(config) {
+  return config.width || LAYOUT_WIDTHS[config.layout] || DEFAULT_WIDTH;
+}
+
+/**
+ * Check the `width` config entry
+ * @param {number} width - Card width in pixels
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateWidth(width) {
+  if (width === null || width === undefined) return [];
+  if (typeof width === 'number' && width >= MIN_WIDTH && width <= MAX_WIDTH) return [];
+  return [`width must be a number from ${MIN_WIDTH} to ${MAX_WIDTH}`];
+}
+
+/**
+ * Check the `widgets` config entry
+ * @param {Array<string|object>} widgets - Widget types, or { type, ...options } objects
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateWidgets(widgets) {
+  if (widgets === null || widgets === undefined) return [];
+  if (!Array.isArray(widgets)) {
+    return ['widgets must be an array like ["title", "totalCost", { "type": "chart", "days": 30 }]'];
+  }
+
+  const errors = [];
+  widgets.forEach((widget, i) => {
+    const { type, ...options } = typeof widget === 'string' ? { type: widget } : (widget || {});
+    if (!WIDGET_TYPES.includes(type)) {
+      errors.push(`widgets[${i}] must be one of ${WIDGET_TYPES.join(', ')} (got ${JSON.stringify(type)})`);
+      return;
+    }
+    for (const [name, value] of Object.entries(options)) {
+      const kind = WIDGET_OPTIONS[name];
+      if (!kind) {
+        errors.push(`widgets[${i}].${name} is not a widget option (${Object.keys(WIDGET_OPTIONS).join(', ')})`);
+      } else if (kind === 'boolean' ? typeof value !== 'boolean' : !(typeof value === 'number' && value > 0 && (kind === 'number' || Number.isInteger(value)))) {
+        errors.push(`widgets[${i}].${name} must be ${kind === 'boolean' ? 'true or false' : `a positive ${kind}`}`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Resolve the widgets to render, from `config.widgets` or the layout preset
+ * Preset widgets hidden by showItems are left out. The activity widget gets
+ * its rows from showItems.streaks and showItems.activity.
+ * @param {object} config - Configuration ({ widgets, layout, showItems })
+ * @returns {Array<object>} [{ type, ...options }] in render order
+ */
+export function resolveWidgets(config) {
+  const normalize = (widget) => (typeof widget === 'string' ? { type: widget } : { ...widget });
+
+  if (Array.isArray(config.widgets) && config.widgets.length > 0) {
+    return config.widgets.map(normalize);
+  }
+
+  const showItems = config.showItems || {};
+  const preset = LAYOUT_PRESETS[config.layout] || LAYOUT_PRESETS.card;
+  return preset.map(normalize).filter((widget) => {
+    if (widget.always) return true;
+    if (widget.type === 'chart' || widget.type === 'sparkline') return showItems.periodChart ?? showItems.weeklyChart;  // backward compat
+    if (widget.type === 'activity') {
+      widget.streaks = Boolean(showItems.streaks);
+      widget.activity = Boolean(showItems.activity);
+      return widget.streaks || widget.activity;
+    }
+    const showItem = WIDGET_SHOW_ITEMS[widget.type];
+    return !showItem || Boolean(showItems[showItem]);
+  });
+}
+
+/**
+ * Place measured widgets on the card
+ * Block widgets take the full content width and are stacked. Consecutive
+ * inline widgets are flowed into rows: a row takes widgets while their widths
+ * fit, then shares the spare width out evenly. The card grows wider when a
+ * widget needs more room than `width` gives it.
+ * @param {Array<object>} widgets - Measured widgets ({ inline, width, minWidth, height })
+ * @param {object} options - Options
+ * @param {number} options.width - Card width (default DEFAULT_WIDTH)
+ * @param {number} options.padding - Horizontal padding (default CARD_PADDING)
+ * @param {number} options.bottom - Space below the last widget (default CARD_BOTTOM)
+ * @returns {object} { width, height, placements: [{ widget, x, y, width }] }
+ */
+export function layoutWidgets(widgets, { width = DEFAULT_WIDTH, padding = CARD_PADDING, bottom = CARD_BOTTOM } = {}) {
+  const needed = Math.max(0, ...widgets.map((widget) => (widget.inline ? widget.width : widget.minWidth) || 0));
+  const cardWidth = Math.max(width, needed + padding * 2);
+  const contentWidth = cardWidth - padding * 2;
+
+  const placements = [];
+  let y = 0;
+  let row = [];
+
+  const flushRow = () => {
+    if (row.length === 0) return;
+    const spare = Math.floor((contentWidth - row.reduce((sum, widget) => sum + widget.width, 0)) / row.length);
+    let x = padding;
+    for (const widget of row) {
+      placements.push({ widget, x, y, width: widget.width + spare });
+      x += widget.width + spare;
+    }
+    y += Math.max(...row.map((widget) => widget.height));
+    row = [];
+  };
+
+  for (const widget of widgets) {
+    if (widget.inline) {
+      const used = row.reduce((sum, entry) => sum + entry.width, 0);
+      if (used + widget.width > contentWidth) flushRow();
+      row.push(widget);
+      continue;
+    }
+    flushRow();
+    placements.push({ widget, x: padding, y, width: contentWidth });
+    y += widget.height;
+  }
+  flushRow();
+
+  return { width: cardWidth, height: y + bottom, placements };
+}
+
+export default {
+  validateLayout,
+  getLayoutWidth,
+  validateWidth,
+  validateWidgets,
+  resolveWidgets,
+  layoutWidgets
+};
@@ -1,86 +1,159 @@
 import { readFile } from 'node:fs/promises';
-import { calculatePercentage, shortenModelName, getPeriodRange, isDateInRange } from './utils.js';
+import { createHash } from 'node:crypto';
+import { basename } from 'node:path';
+import {
+  calculatePercentage,
+  shortenModelName,
+  getPeriodRange,
+  getPreviousPeriodRange,
+  isDateInRange,
+  getDateKey,
+  resolveAsOf
+} from './utils.js';
+import { getBudgetStatus } from './budget.js';
+import { forecastUsage } from './forecast.js';
+import { getActivityStats } from './activity.js';
+import { buildHeatmap } from './heatmap.js';
+import { convertCosts, getExchangeRate } from './currency.js';
+import { PRICING_VERSION, getModelPricing, calculateCost, estimateCacheSavings, getMissingPricing } from './pricing.js';
+import {
+  DAY_TOKEN_FIELDS,
+  createEmptyData,
+  addModelStats,
+  detectAdapter,
+  parseRawContent,
+  transformUsageData,
+  transformCcusageFormat,
+  getSourceFingerprint,
+  validateInternalFormat
+} from './adapters.js';
+
+export { transformCcusageFormat, getSourceFingerprint };
 
 /**
- * Transform ccusage raw format to internal format
- * @param {object} rawData - Raw ccusage data with daily[] and totals{}
- * @returns {object} Transformed data for internal use
+ * Fields identifying where a data object came from, kept through day selection
  */
-export function transformCcusageFormat(rawData) {
-  // If already in internal format, return as-is
-  if (rawData.totalCost !== undefined && !rawData.daily) {
-    return rawData;
-  }
+const SOURCE_META_FIELDS = ['source', 'fingerprint', 'exportedAt', 'adapter', 'tool', 'granularity', 'extra'];
 
-  // Transform from ccusage format (daily[], totals{}) to internal format
-  const daily = rawData.daily || [];
-  const totals = rawData.totals || {};
+/**
+ * Dimensions that attribute { cost, tokens } to a source, tool or project, per day and in total
+ */
+const ATTRIBUTIONS = [
+  { total: 'bySource', day: 'sources', key: 'source' },
+  { total: 'byTool', day: 'tools', key: 'tool' },
+  { total: 'byProject', day: 'projects', key: 'project' }
+];
 
-  const byDay = {};
-  const byModel = {};
+/**
+ * Per-record lists (ccusage sessions and billing blocks) kept alongside byDay,
+ * with the day each record belongs to
+ */
+const RECORD_LISTS = [
+  { key: 'sessions', getDate: (session) => session.lastActivity },
+  { key: 'blocks', getDate: (block) => block.date || block.start.slice(0, 10) }
+];
 
-  for (const day of daily) {
-    byDay[day.date] = {
-      cost: day.totalCost || 0,
-      tokens: day.totalTokens || 0
-    };
+/**
+ * Strategies for combining days reported by more than one source of the same origin
+ */
+export const MERGE_STRATEGIES = ['sum', 'max-per-day', 'prefer-latest'];
 
-    // Aggregate model breakdowns
-    if (day.modelBreakdowns) {
-      for (const model of day.modelBreakdowns) {
-        const modelName = model.modelName;
-        if (!byModel[modelName]) {
-          byModel[modelName] = {
-            cost: 0,
-            inputTokens: 0,
-            outputTokens: 0
-          };
-        }
-        byModel[modelName].cost += model.cost || 0;
-        byModel[modelName].inputTokens += model.inputTokens || 0;
-        byModel[modelName].outputTokens += model.outputTokens || 0;
-      }
+/**
+ * Check whether a day entry carries measured per-model and per-category detail
+ * Days whose split was estimated (see recordUsage) don't count, so they take the proportional path.
+ * @param {object} day - byDay entry
+ * @returns {boolean}
+ */
+export function hasDayDetail(day) {
+  return Boolean(day && day.models && typeof day.inputTokens === 'number' && !day.estimated);
+}
+
+/**
+ * Check whether every day in byDay carries detail, so period figures can be exact
+ * @param {object} byDay - byDay map
+ * @returns {boolean}
+ */
+export function hasDailyDetail(byDay) {
+  const days = Object.values(byDay || {});
+  return days.length > 0 && days.every(hasDayDetail);
+}
+
+/**
+ * Sum detailed byDay entries into totals and a model breakdown
+ * @param {object} byDay - byDay map where every day has detail
+ * @returns {object} Totals and byModel in internal format
+ */
+export function summarizeDays(byDay) {
+  const summary = createEmptyData();
+  delete summary.byDay;
+
+  for (const day of Object.values(byDay || {})) {
+    summary.totalCost += day.cost || 0;
+    summary.totalInputTokens += day.inputTokens || 0;
+    summary.totalOutputTokens += day.outputTokens || 0;
+    summary.totalCacheCreationInputTokens += day.cacheCreationTokens || 0;
+    summary.totalCacheReadInputTokens += day.cacheReadTokens || 0;
+
+    for (const [model, stats] of Object.entries(day.models || {})) {
+      addModelStats(summary.byModel, model, stats);
     }
   }
 
-  return {
-    totalCost: totals.totalCost || 0,
-    totalInputTokens: totals.inputTokens || 0,
-    totalOutputTokens: totals.outputTokens || 0,
-    totalCacheCreationInputTokens: totals.cacheCreationTokens || 0,
-    totalCacheReadInputTokens: totals.cacheReadTokens || 0,
-    byModel,
-    byDay
-  };
+  return summary;
+}
+
+/**
+ * Derive a source label from a file path
+ * @param {string} path - Path to the usage file (e.g. "data/desktop-cc.json")
+ * @param {object} labels - Optional map of path or file name to label
+ * @returns {string} Source label (e.g. "desktop")
+ */
+export function getSourceLabel(path, labels = {}) {
+  const fileName = basename(path);
+  if (labels[path]) return labels[path];
+  if (labels[fileName]) return labels[fileName];
+  return fileName.replace(/\.(json|csv)$/i, '').replace(/-cc$/i, '') || fileName;
 }
 
 /**
- * Parse ccusage JSON data from file
+ * Read a ccusage JSON file into the internal format, tagged with its source
  * @param {string} jsonPath - Path to the cc.json file
+ * @param {object} labels - Optional map of path or file name to source label
+ * @param {object} options - Options passed to the adapter (e.g. { timezone })
+ * @returns {Promise<object>} Internal usage data with a `source` label
+ */
+export async function loadUsageFile(jsonPath, labels = {}, options = {}) {
+  const content = await readFile(jsonPath, 'utf-8');
+  const rawData = parseRawContent(content);
+  return { ...transformUsageData(rawData, options), source: getSourceLabel(jsonPath, labels) };
+}
+
+/**
+ * Parse a usage export from file, auto-detecting its format
+ * @param {string} jsonPath - Path to the cc.json (or other supported) file
  * @returns {Promise<object>} Parsed usage data
  */
 export async function parseUsageData(jsonPath) {
   const content = await readFile(jsonPath, 'utf-8');
-  const rawData = JSON.parse(content);
-  const data = transformCcusageFormat(rawData);
+  const data = transformUsageData(parseRawContent(content));
   return processData(data);
 }
 
 /**
  * Parse and merge multiple ccusage JSON files
  * @param {string[]} jsonPaths - Array of paths to cc.json files
+ * @param {object} options - Options
+ * @param {object} options.labels - Map of path or file name to source label
+ * @param {string} options.strategy - Merge strategy (see mergeUsageData)
+ * @param {object} options.fingerprints - Map of source label to origin fingerprint
  * @returns {Promise<object>} Merged and processed usage data
  */
-export async function parseMultipleUsageData(jsonPaths) {
+export async function parseMultipleUsageData(jsonPaths, options = {}) {
   const dataArray = await Promise.all(
-    jsonPaths.map(async (path) => {
-      const content = await readFile(path, 'utf-8');
-      const rawData = JSON.parse(content);
-      return transformCcusageFormat(rawData);
-    })
+    jsonPaths.map((path) => loadUsageFile(path, options.labels))
   );
 
-  const merged = mergeUsageData(dataArray);
+  const merged = mergeUsageData(dataArray, options);
   const processed = processData(merged);
   processed.sourceCount = dataArray.length;
   return processed;
@@ -88,105 +161,345 @@ export async function parseMultipleUsageData(jsonPaths) {
 
 /**
  * Merge multiple ccusage data objects into one
+ *
+ * Sources sharing an origin fingerprint (embedded in the export or given in
+ * `options.fingerprints`) are treated as copies of the same ccusage database.
+ * With the `max-per-day` or `prefer-latest` strategy a day reported by several
+ * of them is only counted once; `sum` adds everything.
+ *
  * @param {object[]} dataArray - Array of raw ccusage data objects
- * @returns {object} Merged raw data
+ * @param {object} options - Merge options
+ * @param {string} options.strategy - 'sum' (default), 'max-per-day' or 'prefer-latest'
+ * @param {object} options.fingerprints - Map of source label to origin fingerprint
+ * @returns {object} Merged raw data, with `collapsedDays` listing deduplicated days
  */
-export function mergeUsageData(dataArray) {
+export function mergeUsageData(dataArray, options = {}) {
+  const { strategy = 'sum', fingerprints = {} } = options;
+
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy: ${strategy} (expected ${MERGE_STRATEGIES.join(', ')})`);
+  }
+
   if (!dataArray || dataArray.length === 0) {
-    return {
-      totalCost: 0,
-      totalInputTokens: 0,
-      totalOutputTokens: 0,
-      totalCacheCreationInputTokens: 0,
-      totalCacheReadInputTokens: 0,
-      byModel: {},
-      byDay: {}
-    };
+    return createEmptyData();
   }
 
   if (dataArray.length === 1) {
     return dataArray[0];
   }
 
-  const merged = {
-    totalCost: 0,
-    totalInputTokens: 0,
-    totalOutputTokens: 0,
-    totalCacheCreationInputTokens: 0,
-    totalCacheReadInputTokens: 0,
-    byModel: {},
-    byDay: {}
-  };
+  let collapsedDays = [];
+  if (strategy !== 'sum') {
+    ({ dataArray, collapsedDays } = collapseDuplicateDays(dataArray, strategy, fingerprints));
+  }
+
+  const merged = createEmptyData();
+  if (collapsedDays.length > 0) {
+    merged.collapsedDays = collapsedDays;
+  }
+
+  dataArray.forEach((data, index) => {
+    const labels = { source: data.source || `source-${index + 1}`, tool: data.tool, project: data.project };
 
-  for (const data of dataArray) {
     // Sum totals
     merged.totalCost += data.totalCost || 0;
     merged.totalInputTokens += data.totalInputTokens || 0;
     merged.totalOutputTokens += data.totalOutputTokens || 0;
     merged.totalCacheCreationInputTokens += data.totalCacheCreationInputTokens || 0;
     merged.totalCacheReadInputTokens += data.totalCacheReadInputTokens || 0;
+    if (data.totalUnsplitTokens) {
+      merged.totalUnsplitTokens = (merged.totalUnsplitTokens || 0) + data.totalUnsplitTokens;
+    }
 
     // Merge byModel
     if (data.byModel) {
       for (const [model, stats] of Object.entries(data.byModel)) {
-        if (!merged.byModel[model]) {
-          merged.byModel[model] = { cost: 0, inputTokens: 0, outputTokens: 0 };
-        }
-        merged.byModel[model].cost += stats.cost || 0;
-        merged.byModel[model].inputTokens += stats.inputTokens || 0;
-        merged.byModel[model].outputTokens += stats.outputTokens || 0;
+        addModelStats(merged.byModel, model, stats);
+      }
+    }
+
+    // Merge bySource and byTool, keeping the attribution of already-merged inputs
+    for (const { total, day, key } of ATTRIBUTIONS) {
+      const totals = { cost: data.totalCost || 0, tokens: getTotalTokens(data) };
+      const contributions = data[total] || summarizeAttribution(data.byDay, day) ||
+        (labels[key] ? { [labels[key]]: totals } : null);
+      if (contributions) {
+        merged[total] = merged[total] || {};
+        addAttributions(merged[total], contributions);
       }
     }
 
     // Merge byDay
     if (data.byDay) {
       for (const [date, stats] of Object.entries(data.byDay)) {
-        if (!merged.byDay[date]) {
+        const isNewDay = !merged.byDay[date];
+        if (isNewDay) {
           merged.byDay[date] = { cost: 0, tokens: 0 };
         }
-        merged.byDay[date].cost += stats.cost || 0;
-        merged.byDay[date].tokens += stats.tokens || 0;
+        mergeDay(merged.byDay[date], stats, isNewDay);
+
+        for (const { day, key } of ATTRIBUTIONS) {
+          const contributions = stats[day] || (labels[key] ? { [labels[key]]: stats } : null);
+          if (contributions) {
+            merged.byDay[date][day] = merged.byDay[date][day] || {};
+            addAttributions(merged.byDay[date][day], contributions);
+          }
+        }
       }
     }
-  }
+
+    // Keep session and block records, remembering which source reported them
+    for (const { key } of RECORD_LISTS) {
+      if (data[key]) {
+        merged[key] = merged[key] || [];
+        merged[key].push(...data[key].map((record) => ({ source: labels.source, ...record })));
+      }
+    }
+
+    if (data.extra) {
+      merged.extra = { ...merged.extra, ...data.extra };
+    }
+  });
 
   return merged;
 }
 
+/**
+ * Drop days that another source of the same origin already reports
+ * @param {object[]} dataArray - Internal data objects to merge
+ * @param {string} strategy - 'max-per-day' or 'prefer-latest'
+ * @param {object} fingerprints - Map of source label to origin fingerprint
+ * @returns {object} { dataArray, collapsedDays }
+ */
+function collapseDuplicateDays(dataArray, strategy, fingerprints) {
+  const origins = new Map();
+  dataArray.forEach((data, index) => {
+    const origin = fingerprints[data.source] || data.fingerprint;
+    // Without a fingerprint every source is its own origin
+    const key = origin || `#${index}`;
+    if (!origins.has(key)) origins.set(key, []);
+    origins.get(key).push(index);
+  });
+
+  const dropped = dataArray.map(() => new Set());
+  const collapsedDays = [];
+
+  for (const [origin, indexes] of origins) {
+    if (indexes.length < 2) continue;
+
+    const dates = new Set(indexes.flatMap((i) => Object.keys(dataArray[i].byDay || {})));
+    for (const date of [...dates].sort()) {
+      const candidates = indexes.filter((i) => dataArray[i].byDay?.[date]);
+      if (candidates.length < 2) continue;
+
+      const kept = strategy === 'max-per-day'
+        ? pickLargestDay(dataArray, candidates, date)
+        : pickLatestExport(dataArray, candidates);
+
+      for (const i of candidates) {
+        if (i !== kept) dropped[i].add(date);
+      }
+      collapsedDays.push({
+        date,
+        origin,
+        sources: candidates.map((i) => dataArray[i].source || `source-${i + 1}`),
+        kept: dataArray[kept].source || `source-${kept + 1}`
+      });
+    }
+  }
+
+  return {
+    dataArray: dataArray.map((data, i) =>
+      dropped[i].size > 0 ? selectDays(data, (date) => !dropped[i].has(date)) : data
+    ),
+    collapsedDays
+  };
+}
+
+/**
+ * Pick the source reporting the most usage for a day
+ * @param {object[]} dataArray - Internal data objects
+ * @param {number[]} candidates - Indexes of sources reporting the day
+ * @param {string} date - Day to compare
+ * @returns {number} Index of the kept source
+ */
+function pickLargestDay(dataArray, candidates, date) {
+  return candidates.reduce((best, i) => {
+    const day = dataArray[i].byDay[date];
+    const bestDay = dataArray[best].byDay[date];
+    if ((day.tokens || 0) !== (bestDay.tokens || 0)) {
+      return (day.tokens || 0) > (bestDay.tokens || 0) ? i : best;
+    }
+    return (day.cost || 0) > (bestDay.cost || 0) ? i : best;
+  });
+}
+
+/**
+ * Pick the most recent export, by `exportedAt` or else by its last reported day
+ * @param {object[]} dataArray - Internal data objects
+ * @param {number[]} candidates - Indexes of sources reporting the day
+ * @returns {number} Index of the kept source (later inputs win ties)
+ */
+function pickLatestExport(dataArray, candidates) {
+  const recency = (data) => {
+    const exportedAt = data.exportedAt ? new Date(data.exportedAt) : null;
+    if (exportedAt && !isNaN(exportedAt.getTime())) return exportedAt.toISOString();
+    const dates = Object.keys(data.byDay || {}).sort();
+    return dates[dates.length - 1] || '';
+  };
+
+  return candidates.reduce((best, i) => (recency(dataArray[i]) >= recency(dataArray[best]) ? i : best));
+}
+
+/**
+ * Sum all token categories of an internal data object
+ * @param {object} data - Internal usage data
+ * @returns {number} Total tokens, including tokens known only as a total
+ */
+function getTotalTokens(data) {
+  return (data.totalInputTokens || 0) +
+    (data.totalOutputTokens || 0) +
+    (data.totalCacheCreationInputTokens || 0) +
+    (data.totalCacheReadInputTokens || 0) +
+    (data.totalUnsplitTokens || 0);
+}
+
+/**
+ * Add { cost, tokens } attributions (per source or tool) into an accumulator
+ * @param {object} target - Map of name to stats (mutated)
+ * @param {object} contributions - Map of name to stats to add
+ */
+function addAttributions(target, contributions) {
+  for (const [name, stats] of Object.entries(contributions)) {
+    if (!target[name]) {
+      target[name] = { cost: 0, tokens: 0 };
+    }
+    target[name].cost += stats.cost || 0;
+    target[name].tokens += stats.tokens || 0;
+  }
+}
+
+/**
+ * Rebuild a total attribution map (bySource, byTool) from per-day attribution
+ * @param {object} byDay - byDay map
+ * @param {string} dayKey - Per-day key ('sources' or 'tools')
+ * @returns {object|null} Attribution map, or null if no day carries it
+ */
+function summarizeAttribution(byDay, dayKey) {
+  const days = Object.values(byDay || {}).filter((day) => day[dayKey]);
+  if (days.length === 0) return null;
+
+  const totals = {};
+  for (const day of days) {
+    addAttributions(totals, day[dayKey]);
+  }
+  return totals;
+}
+
+/**
+ * Add one source's day entry into a merged day entry
+ * @param {object} target - Merged day entry (mutated)
+ * @param {object} day - Day entry to add
+ * @param {boolean} isNewDay - Whether target was just created for this day
+ */
+function mergeDay(target, day, isNewDay) {
+  target.cost += day.cost || 0;
+  target.tokens += day.tokens || 0;
+
+  // Detail is only meaningful if every contribution to the day has it
+  if (!hasDayDetail(day) || (!isNewDay && !hasDayDetail(target))) {
+    for (const field of DAY_TOKEN_FIELDS) {
+      delete target[field];
+    }
+    delete target.models;
+    return;
+  }
+
+  if (isNewDay) {
+    for (const field of DAY_TOKEN_FIELDS) {
+      target[field] = 0;
+    }
+    target.models = {};
+  }
+
+  for (const field of DAY_TOKEN_FIELDS) {
+    target[field] += day[field] || 0;
+  }
+  for (const [model, stats] of Object.entries(day.models)) {
+    addModelStats(target.models, model, stats);
+  }
+}
+
 /**
  * Filter data by period
  * @param {object} data - Raw ccusage data
- * @param {string} period - 'day', 'week', 'month', 'all'
+ * @param {string|object} period - Any period accepted by getPeriodRange (e.g. 'week', 'quarter', 'last-90-days', { from, to })
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone deciding which day "today" is (default: UTC)
+ * @param {string|Date} options.asOf - Reference date to filter as of (default: now); later days are dropped
  * @returns {object} Filtered data
  */
-export function filterByPeriod(data, period) {
-  if (period === 'all') {
+export function filterByPeriod(data, period, options = {}) {
+  const timeZone = options.timezone || 'UTC';
+  if (period === 'all' && !options.asOf) {
     return data;
   }
 
-  const range = getPeriodRange(period);
-  const filtered = {
-    totalCost: 0,
-    totalInputTokens: 0,
-    totalOutputTokens: 0,
-    totalCacheCreationInputTokens: 0,
-    totalCacheReadInputTokens: 0,
-    byModel: {},
-    byDay: {}
-  };
+  const referenceDate = resolveAsOf(options.asOf, timeZone);
+  if (!referenceDate) {
+    throw new Error(`Invalid asOf date: ${options.asOf}`);
+  }
+
+  if (period === 'all') {
+    const lastDay = getDateKey(referenceDate, timeZone);
+    return selectDays(data, (date) => date <= lastDay);
+  }
+
+  const range = getPeriodRange(period, referenceDate, timeZone);
+  return selectDays(data, (date) => isDateInRange(date, range));
+}
+
+/**
+ * Keep only the days matching a predicate and recompute totals for them
+ * @param {object} data - Internal usage data
+ * @param {function(string): boolean} predicate - Called with each YYYY-MM-DD date
+ * @returns {object} Data restricted to the selected days
+ */
+function selectDays(data, predicate) {
+  const filteredDays = {};
 
-  // Filter byDay and recalculate totals
   if (data.byDay) {
     for (const [date, stats] of Object.entries(data.byDay)) {
-      if (isDateInRange(date, range)) {
-        filtered.byDay[date] = { ...stats };
-        filtered.totalCost += stats.cost || 0;
+      if (predicate(date)) {
+        filteredDays[date] = { ...stats };
       }
     }
   }
 
-  // For period filtering, we need to recalculate model stats from daily data
-  // Since ccusage doesn't provide daily model breakdown, we'll estimate proportionally
+  const meta = {};
+  for (const field of SOURCE_META_FIELDS) {
+    if (data[field] !== undefined) meta[field] = data[field];
+  }
+  for (const { total, day } of ATTRIBUTIONS) {
+    const attribution = summarizeAttribution(filteredDays, day);
+    if (attribution) meta[total] = attribution;
+  }
+  for (const { key, getDate } of RECORD_LISTS) {
+    if (data[key]) meta[key] = data[key].filter((record) => predicate(getDate(record)));
+  }
+
+  // Exact figures when every selected day carries its own model/token detail
+  if (hasDailyDetail(filteredDays)) {
+    return { ...summarizeDays(filteredDays), byDay: filteredDays, ...meta };
+  }
+
+  const filtered = { ...createEmptyData(), ...meta };
+  filtered.byDay = filteredDays;
+  for (const stats of Object.values(filteredDays)) {
+    filtered.totalCost += stats.cost || 0;
+  }
+
+  // Legacy inputs have no daily model breakdown, so estimate proportionally
   const totalOriginalCost = data.totalCost || 1;
   const filteredCostRatio = filtered.totalCost / totalOriginalCost;
 
@@ -195,15 +508,17 @@ export function filterByPeriod(data, period) {
   filtered.totalOutputTokens = Math.round((data.totalOutputTokens || 0) * filteredCostRatio);
   filtered.totalCacheCreationInputTokens = Math.round((data.totalCacheCreationInputTokens || 0) * filteredCostRatio);
   filtered.totalCacheReadInputTokens = Math.round((data.totalCacheReadInputTokens || 0) * filteredCostRatio);
+  if (data.totalUnsplitTokens) {
+    filtered.totalUnsplitTokens = Math.round(data.totalUnsplitTokens * filteredCostRatio);
+  }
 
-  // Estimate model breakdown proportionally
-  if (data.byModel) {
+  // Estimate model breakdown proportionally; a window without days has no models
+  if (data.byModel && Object.keys(filteredDays).length > 0) {
     for (const [model, stats] of Object.entries(data.byModel)) {
-      filtered.byModel[model] = {
-        cost: (stats.cost || 0) * filteredCostRatio,
-        inputTokens: Math.round((stats.inputTokens || 0) * filteredCostRatio),
-        outputTokens: Math.round((stats.outputTokens || 0) * filteredCostRatio)
-      };
+      filtered.byModel[model] = { cost: (stats.cost || 0) * filteredCostRatio };
+      for (const field of DAY_TOKEN_FIELDS) {
+        filtered.byModel[model][field] = Math.round((stats[field] || 0) * filteredCostRatio);
+      }
     }
   }
 
@@ -213,40 +528,264 @@ export function filterByPeriod(data, period) {
 /**
  * Parse ccusage data from a raw object
  * @param {object} data - Raw ccusage data object
- * @param {string} period - Optional period filter ('day', 'week', 'month', 'all')
+ * @param {string|object} period - Optional period filter (any period accepted by getPeriodRange)
+ * @param {object} options - Processing options (usually the config)
+ * @param {object} options.projectAliases - Map of project path or name to display name
+ * @param {string} options.projectNames - How to show unaliased projects ('basename', 'full', 'hash')
+ * @param {string} options.projectHashSalt - Salt mixed into hashed project names
+ * @param {string} options.timezone - IANA timezone for period boundaries
+ * @param {string|Date} options.asOf - Reference date to process as of (default: now)
+ * @param {object} options.budget - Budget config ({ monthly?, weekly?, warnAt? })
+ * @param {object|boolean} options.forecast - Forecast config (true or { method?, window? })
+ * @param {boolean} options.reprice - Recompute costs from token counts with the pricing table
+ * @param {object} options.pricing - Pricing overrides per model (see validatePricing)
+ * @param {string} options.currency - ISO 4217 code to convert costs to
+ * @param {number} options.exchangeRate - Units of `currency` per USD
  * @returns {object} Processed usage data
  */
-export function processData(data, period = 'all') {
-  const filteredData = filterByPeriod(data, period);
+export function processData(data, period = 'all', options = {}) {
+  // Reprice first so every figure below uses the same costs, then convert from USD
+  if (options.reprice) data = repriceData(data, options);
+  data = convertCosts(data, getExchangeRate(options));
+
+  const filteredData = filterByPeriod(data, period, options);
   const summary = calculateSummary(filteredData);
   const models = getModelBreakdown(filteredData);
   const dailyUsage = getDailyUsage(filteredData);
+  const sources = getSourceBreakdown(filteredData);
+  const tools = getToolBreakdown(filteredData);
+  const projects = getProjectBreakdown(filteredData, options);
+  const blocks = getBlockStats(filteredData);
+  const cache = getCacheStats(filteredData, options);
+  const comparison = getPeriodComparison(data, period, options);
+  const forecast = forecastUsage(getDailyUsage(data), options.forecast, options);
+  const budget = getBudgetStatus(data, options.budget, options, forecast);
+  const activity = getActivityStats(data, filteredData, period, options);
+  const heatmap = buildHeatmap(data, options);
+  // The version of a repriced run is the latest price date it applied
+  const applied = options.reprice ? getAppliedPricing(data, options.pricing) : [];
+  const pricing = {
+    version: applied.map((entry) => entry.from).filter(Boolean).sort().at(-1) || PRICING_VERSION,
+    repriced: Boolean(options.reprice),
+    applied,
+    missingModels: getMissingPricing(data.byModel || summarizeDays(data.byDay).byModel, options.pricing)
+  };
 
   return {
     summary,
     models,
     dailyUsage,
+    sources,
+    tools,
+    projects,
+    blocks,
+    cache,
+    comparison,
+    budget,
+    forecast,
+    activity,
+    heatmap,
+    pricing,
     raw: filteredData,
     period
   };
 }
 
+/**
+ * Split a day's cost over an attribution map (sources, tools, projects) by token share
+ * @param {object} attribution - Map of name to { cost, tokens }
+ * @param {number} cost - Cost to split
+ * @returns {object} Attribution map with the new costs (unchanged without tokens)
+ */
+function splitCostByTokens(attribution, cost) {
+  const tokens = Object.values(attribution).reduce((sum, stats) => sum + (stats.tokens || 0), 0);
+  if (!tokens) return attribution;
+
+  return Object.fromEntries(Object.entries(attribution).map(([name, stats]) => [
+    name,
+    { ...stats, cost: (cost * (stats.tokens || 0)) / tokens }
+  ]));
+}
+
+/**
+ * Check whether a day can be repriced from its own model split
+ * @param {object} day - byDay entry
+ * @returns {boolean}
+ */
+function isPriceableDay(day) {
+  return hasDayDetail(day) && Object.keys(day.models).length > 0;
+}
+
+/**
+ * Recompute costs from token counts with the pricing table
+ * Models with known pricing get their cost from their tokens, at the prices in
+ * effect on each day; days with a model split are re-summed from it, and their
+ * source, tool and project costs are re-split by token share. Models without
+ * pricing keep their recorded cost. Legacy inputs with only a total model split
+ * are priced at the latest prices and scale their days to the new total.
+ * Session and block records keep their recorded costs.
+ * @param {object} data - Internal usage data
+ * @param {object} options - Options
+ * @param {object} options.pricing - Pricing overrides per model (see validatePricing)
+ * @returns {object} Repriced copy of the data
+ */
+export function repriceData(data, options = {}) {
+  const priceModels = (models, date) => Object.fromEntries(Object.entries(models).map(([name, stats]) => [
+    name,
+    { ...stats, cost: calculateCost(name, stats, options.pricing, date) ?? stats.cost ?? 0 }
+  ]));
+  const sumCost = (entries) => Object.values(entries).reduce((sum, stats) => sum + (stats.cost || 0), 0);
+  const days = Object.values(data.byDay || {});
+
+  const byDay = {};
+  for (const [date, day] of Object.entries(data.byDay || {})) {
+    if (!isPriceableDay(day)) {
+      byDay[date] = day;
+      continue;
+    }
+    const models = priceModels(day.models, date);
+    const cost = sumCost(models);
+    byDay[date] = { ...day, cost, models };
+    for (const { day: key } of ATTRIBUTIONS) {
+      if (day[key]) byDay[date][key] = splitCostByTokens(day[key], cost);
+    }
+  }
+
+  const repriced = { ...data, byDay };
+  if (data.byModel && days.length > 0 && days.every(isPriceableDay)) {
+    // Prices differ from day to day, so model totals are re-summed from the days
+    repriced.byModel = Object.fromEntries(Object.entries(data.byModel).map(([name, stats]) => [
+      name,
+      { ...stats, cost: Object.values(byDay).reduce((sum, day) => sum + (day.models[name]?.cost || 0), 0) }
+    ]));
+  } else if (data.byModel) {
+    repriced.byModel = priceModels(data.byModel);
+  }
+
+  if (data.byModel && !days.some(isPriceableDay)) {
+    repriced.totalCost = sumCost(repriced.byModel);
+    const ratio = data.totalCost ? repriced.totalCost / data.totalCost : null;
+    if (ratio !== null) {
+      for (const [date, day] of Object.entries(byDay)) {
+        byDay[date] = { ...day, cost: (day.cost || 0) * ratio };
+      }
+    }
+  } else {
+    repriced.totalCost = sumCost(byDay);
+  }
+
+  for (const { total, day } of ATTRIBUTIONS) {
+    if (data[total]) {
+      repriced[total] = summarizeAttribution(byDay, day) || splitCostByTokens(data[total], repriced.totalCost);
+    }
+  }
+
+  return repriced;
+}
+
+/**
+ * List the pricing entries repriceData applies, so reports can say which prices were used
+ * @param {object} data - Internal usage data
+ * @param {object} overrides - Pricing overrides per model (see validatePricing)
+ * @returns {Array<object>} [{ model, from, source }] sorted by model and date
+ */
+function getAppliedPricing(data, overrides) {
+  const applied = new Map();
+  const add = (name, date) => {
+    const pricing = getModelPricing(name, overrides, date);
+    if (pricing) {
+      applied.set(`${name}|${pricing.source}|${pricing.from}`, { model: name, from: pricing.from, source: pricing.source });
+    }
+  };
+
+  const days = Object.entries(data.byDay || {});
+  for (const [date, day] of days) {
+    if (!isPriceableDay(day)) continue;
+    for (const name of Object.keys(day.models)) add(name, date);
+  }
+  if (data.byModel && !(days.length > 0 && days.every(([, day]) => isPriceableDay(day)))) {
+    for (const name of Object.keys(data.byModel)) add(name);
+  }
+
+  return [...applied.values()].sort((a, b) =>
+    a.model.localeCompare(b.model) || String(a.from).localeCompare(String(b.from)));
+}
+
+/**
+ * Compare a period with the equivalent period before it (e.g. this week vs last week)
+ * Both windows are taken from `byDay` of the unfiltered data.
+ * @param {object} data - Internal usage data (not yet filtered by period)
+ * @param {string|object} period - Any period accepted by getPeriodRange
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone for period boundaries
+ * @param {string|Date} options.asOf - Reference date (default: now)
+ * @returns {object|null} { previousRange: { from, to }, tokens, cost, models } or null when there is no previous period
+ */
+export function getPeriodComparison(data, period, options = {}) {
+  if (!period || period === 'all') return null;
+
+  const timeZone = options.timezone || 'UTC';
+  const referenceDate = resolveAsOf(options.asOf, timeZone);
+  if (!referenceDate) return null;
+  const previousRange = getPreviousPeriodRange(period, referenceDate, timeZone);
+  if (!previousRange) return null;
+
+  const currentData = filterByPeriod(data, period, options);
+  const previousData = selectDays(data, (date) => isDateInRange(date, previousRange));
+  const current = calculateSummary(currentData);
+  const previous = calculateSummary(previousData);
+
+  // Percentage change, or null when the previous period had nothing to compare against
+  const change = (now, before) => (before ? Number((((now - before) / before) * 100).toFixed(1)) : null);
+  const compare = (key) => ({ current: current[key], previous: previous[key], change: change(current[key], previous[key]) });
+
+  // Model share change is in percentage points, and only means something when the previous period had usage
+  const hasPrevious = previous.totalCost > 0 || previous.totalTokens > 0;
+  const previousShares = hasPrevious
+    ? Object.fromEntries(getModelBreakdown(previousData).map((model) => [model.name, model.percentage]))
+    : {};
+  const currentModels = getModelBreakdown(currentData);
+  const models = currentModels.map((model) => ({
+    name: model.name,
+    shortName: model.shortName,
+    percentage: model.percentage,
+    previousPercentage: previousShares[model.name] ?? 0,
+    change: hasPrevious ? model.percentage - (previousShares[model.name] ?? 0) : null
+  }));
+
+  return {
+    previousRange: {
+      from: previousRange.startDate.toISOString().slice(0, 10),
+      to: previousRange.endDate.toISOString().slice(0, 10)
+    },
+    tokens: compare('totalTokens'),
+    cost: compare('totalCost'),
+    models
+  };
+}
+
 /**
  * Calculate summary statistics from raw data
  * @param {object} data - Raw ccusage data
  * @returns {object} Summary statistics
  */
 export function calculateSummary(data) {
-  const totalInputTokens = data.totalInputTokens || 0;
-  const totalOutputTokens = data.totalOutputTokens || 0;
-  const totalCacheCreation = data.totalCacheCreationInputTokens || 0;
-  const totalCacheRead = data.totalCacheReadInputTokens || 0;
+  const byDay = data.byDay || {};
 
-  const totalTokens = totalInputTokens + totalOutputTokens + totalCacheCreation + totalCacheRead;
-  const totalCost = data.totalCost || 0;
+  // Fall back to daily detail when the input carries no top-level totals
+  const dayTotals = hasDailyDetail(byDay) ? summarizeDays(byDay) : {};
+
+  const totalInputTokens = data.totalInputTokens ?? dayTotals.totalInputTokens ?? 0;
+  const totalOutputTokens = data.totalOutputTokens ?? dayTotals.totalOutputTokens ?? 0;
+  const totalCacheCreation = data.totalCacheCreationInputTokens ?? dayTotals.totalCacheCreationInputTokens ?? 0;
+  const totalCacheRead = data.totalCacheReadInputTokens ?? dayTotals.totalCacheReadInputTokens ?? 0;
+
+  // Tokens recorded without a category split count towards the total only
+  const totalTokens = totalInputTokens + totalOutputTokens + totalCacheCreation + totalCacheRead +
+    (data.totalUnsplitTokens || 0);
+  const totalCost = data.totalCost ?? dayTotals.totalCost ?? 0;
 
   // Calculate period days from byDay data
-  const byDay = data.byDay || {};
   const days = Object.keys(byDay);
   const periodDays = days.length || 1;
 
@@ -273,22 +812,207 @@ export function calculateSummary(data) {
  * @returns {Array<object>} Model breakdown array sorted by cost
  */
 export function getModelBreakdown(data) {
-  const byModel = data.byModel || {};
-  const totalCost = data.totalCost || 0;
+  let byModel = data.byModel;
+  let totalCost = data.totalCost;
+
+  // Derive the breakdown from daily detail when it wasn't aggregated up front
+  if (!byModel && hasDailyDetail(data.byDay)) {
+    const dayTotals = summarizeDays(data.byDay);
+    byModel = dayTotals.byModel;
+    totalCost = totalCost ?? dayTotals.totalCost;
+  }
+
+  byModel = byModel || {};
+  totalCost = totalCost || 0;
 
-  const models = Object.entries(byModel).map(([name, stats]) => ({
+  const models = Object.entries(byModel).map(([name, stats]) => {
+    const tokens = DAY_TOKEN_FIELDS.reduce((sum, field) => sum + (stats[field] || 0), 0);
+    return {
+      name,
+      shortName: shortenModelName(name),
+      cost: stats.cost || 0,
+      inputTokens: stats.inputTokens || 0,
+      outputTokens: stats.outputTokens || 0,
+      cacheCreationTokens: stats.cacheCreationTokens || 0,
+      cacheReadTokens: stats.cacheReadTokens || 0,
+      tokens,
+      costPer1K: tokens ? ((stats.cost || 0) / tokens) * 1000 : 0,
+      percentage: calculatePercentage(stats.cost || 0, totalCost, 0)
+    };
+  });
+
+  // Sort by cost descending
+  models.sort((a, b) => b.cost - a.cost);
+
+  return models;
+}
+
+/**
+ * Turn an attribution map into a breakdown array with cost share
+ * @param {object} attribution - Map of name to { cost, tokens }
+ * @returns {Array<object>} Breakdown array sorted by cost
+ */
+function getAttributionBreakdown(attribution = {}) {
+  const totalCost = Object.values(attribution).reduce((sum, stats) => sum + (stats.cost || 0), 0);
+
+  const breakdown = Object.entries(attribution).map(([name, stats]) => ({
     name,
-    shortName: shortenModelName(name),
     cost: stats.cost || 0,
-    inputTokens: stats.inputTokens || 0,
-    outputTokens: stats.outputTokens || 0,
+    tokens: stats.tokens || 0,
     percentage: calculatePercentage(stats.cost || 0, totalCost, 0)
   }));
 
-  // Sort by cost descending
-  models.sort((a, b) => b.cost - a.cost);
+  breakdown.sort((a, b) => b.cost - a.cost);
 
-  return models;
+  return breakdown;
+}
+
+/**
+ * Get per-source usage breakdown with cost share
+ * @param {object} data - Internal usage data
+ * @returns {Array<object>} Source breakdown array sorted by cost
+ */
+export function getSourceBreakdown(data) {
+  return getAttributionBreakdown(data.bySource);
+}
+
+/**
+ * Get per-tool usage breakdown (Claude Code, OpenCode, ...) with cost share
+ * @param {object} data - Internal usage data
+ * @returns {Array<object>} Tool breakdown array sorted by cost
+ */
+export function getToolBreakdown(data) {
+  return getAttributionBreakdown(data.byTool);
+}
+
+/**
+ * Get the display name for a project
+ * Aliases (keyed by full path or by last path segment) win; otherwise the
+ * project is shown by its last path segment, its full path, or a short hash.
+ * @param {string} project - Project path or name as recorded
+ * @param {object} options - { projectAliases, projectNames, projectHashSalt }
+ * @returns {string} Display name
+ */
+export function getProjectName(project, options = {}) {
+  const { projectAliases = {}, projectNames = 'basename', projectHashSalt = '' } = options;
+  const name = project.split(/[\\/]/).filter(Boolean).pop() || project;
+
+  const alias = projectAliases[project] ?? projectAliases[name];
+  if (alias) return alias;
+
+  if (projectNames === 'full') return project;
+  if (projectNames === 'hash') {
+    const hash = createHash('sha256').update(projectHashSalt + project).digest('hex');
+    return `project-${hash.slice(0, 8)}`;
+  }
+  return name;
+}
+
+/**
+ * Get per-project usage breakdown with cost share
+ * Projects that share a display name (e.g. the same alias) are combined.
+ * @param {object} data - Internal usage data
+ * @param {object} options - Naming options (see getProjectName)
+ * @returns {Array<object>} Project breakdown array sorted by cost
+ */
+export function getProjectBreakdown(data, options = {}) {
+  const byName = {};
+  for (const [project, stats] of Object.entries(data.byProject || {})) {
+    addAttributions(byName, { [getProjectName(project, options)]: stats });
+  }
+  return getAttributionBreakdown(byName);
+}
+
+/**
+ * Summarize 5-hour billing blocks (from a ccusage blocks export)
+ * Blocks from several sources that start at the same time count as one window.
+ * @param {object} data - Internal usage data
+ * @returns {object|null} { count, activeCount, active, peak, averageCost, averageTokens }, or null without blocks
+ */
+export function getBlockStats(data) {
+  if (!data.blocks || data.blocks.length === 0) return null;
+
+  const windows = {};
+  for (const block of data.blocks) {
+    if (!windows[block.start]) {
+      windows[block.start] = { start: block.start, end: block.end, active: false, entries: 0, cost: 0, tokens: 0 };
+    }
+    const window = windows[block.start];
+    window.active = window.active || block.active;
+    window.entries += block.entries || 0;
+    window.cost += block.cost || 0;
+    window.tokens += block.tokens || 0;
+  }
+
+  const blocks = Object.values(windows).sort((a, b) => a.start.localeCompare(b.start));
+  const peak = blocks.reduce((best, block) =>
+    block.tokens > best.tokens || (block.tokens === best.tokens && block.cost > best.cost) ? block : best
+  );
+  const activeBlocks = blocks.filter((block) => block.active);
+  const totalCost = blocks.reduce((sum, block) => sum + block.cost, 0);
+  const totalTokens = blocks.reduce((sum, block) => sum + block.tokens, 0);
+
+  return {
+    count: blocks.length,
+    activeCount: activeBlocks.length,
+    active: activeBlocks[activeBlocks.length - 1] || null,
+    peak,
+    averageCost: totalCost / blocks.length,
+    averageTokens: Math.round(totalTokens / blocks.length)
+  };
+}
+
+/**
+ * Summarize prompt cache usage: hit ratio, cache reads vs fresh input and savings
+ * `freshInput` counts input not served from the cache, cache writes included, so
+ * the hit ratio is cacheRead / (cacheRead + freshInput). Savings compare each
+ * model's cache reads with its input price; models without known pricing add no savings.
+ * @param {object} data - Internal usage data
+ * @param {object} options - Options
+ * @param {object} options.pricing - Pricing overrides per model
+ * @param {string} options.currency - Currency costs were converted to
+ * @param {number} options.exchangeRate - Units of `currency` per USD
+ * @returns {object|null} { cacheRead, cacheCreation, freshInput, hitRatio, savings, models }, or null without cache usage
+ */
+export function getCacheStats(data, options = {}) {
+  const summary = calculateSummary(data);
+  const cacheRead = summary.totalCacheRead;
+  const cacheCreation = summary.totalCacheCreation;
+  if (cacheRead + cacheCreation === 0) return null;
+
+  const hitRatio = (read, fresh) => calculatePercentage(read, read + fresh, 1);
+  // Prices are in USD, while the data may already be converted
+  const rate = getExchangeRate(options);
+  const savings = (name, tokens) => {
+    const usd = estimateCacheSavings(name, tokens, options.pricing);
+    return usd === null ? null : usd * rate;
+  };
+
+  // Per-model figures need inputs that keep cache tokens per model
+  const models = getModelBreakdown(data)
+    .filter((model) => model.cacheReadTokens + model.cacheCreationTokens > 0)
+    .map((model) => ({
+      name: model.name,
+      shortName: model.shortName,
+      cacheRead: model.cacheReadTokens,
+      cacheCreation: model.cacheCreationTokens,
+      freshInput: model.inputTokens + model.cacheCreationTokens,
+      hitRatio: hitRatio(model.cacheReadTokens, model.inputTokens + model.cacheCreationTokens),
+      savings: savings(model.name, model.cacheReadTokens)
+    }))
+    .sort((a, b) => b.cacheRead - a.cacheRead);
+
+  const pricedModels = models.filter((model) => model.savings !== null);
+  const freshInput = summary.totalInputTokens + cacheCreation;
+
+  return {
+    cacheRead,
+    cacheCreation,
+    freshInput,
+    hitRatio: hitRatio(cacheRead, freshInput),
+    savings: pricedModels.length > 0 ? pricedModels.reduce((sum, model) => sum + model.savings, 0) : null,
+    models
+  };
 }
 
 /**
@@ -328,51 +1052,39 @@ export function getTopModel(models) {
 }
 
 /**
- * Validate ccusage data structure
- * @param {object} data - Data to validate (supports both ccusage and internal formats)
- * @returns {object} Validation result with isValid and errors
+ * Validate usage data structure
+ * @param {*} data - Data to validate (any format an adapter understands, or the internal format)
+ * @returns {object} Validation result with isValid, errors and the matched adapter name
  */
 export function validateData(data) {
   const errors = [];
 
-  if (!data || typeof data !== 'object') {
+  if (!data || (typeof data !== 'object' && typeof data !== 'string')) {
     errors.push('Data must be an object');
-    return { isValid: false, errors };
+    return { isValid: false, errors, adapter: null };
   }
 
-  // Check for ccusage format (daily[] and totals{})
-  const isCcusageFormat = Array.isArray(data.daily) || data.totals;
+  const adapter = detectAdapter(data);
 
-  if (isCcusageFormat) {
-    // Validate ccusage format
-    if (data.daily && !Array.isArray(data.daily)) {
-      errors.push('daily must be an array');
-    }
-    if (data.totals && typeof data.totals !== 'object') {
-      errors.push('totals must be an object');
-    }
-  } else {
-    // Validate internal format
-    if (typeof data.totalCost !== 'number') {
-      errors.push('totalCost must be a number');
-    }
-
-    if (data.byModel && typeof data.byModel !== 'object') {
-      errors.push('byModel must be an object');
-    }
-
-    if (data.byDay && typeof data.byDay !== 'object') {
-      errors.push('byDay must be an object');
-    }
+  if (adapter && adapter.validate) {
+    errors.push(...adapter.validate(data));
+  } else if (!adapter && typeof data === 'object') {
+    // Unrecognized objects are checked against the internal format
+    errors.push(...validateInternalFormat(data));
+  } else if (!adapter) {
+    errors.push('Unrecognized usage data format');
   }
 
   return {
     isValid: errors.length === 0,
-    errors
+    errors,
+    adapter: adapter ? adapter.name : null
   };
 }
 
 export default {
+  getSourceLabel,
+  loadUsageFile,
   parseUsageData,
   parseMultipleUsageData,
   mergeUsageData,
@@ -380,8 +1092,20 @@ export default {
   processData,
   calculateSummary,
   getModelBreakdown,
+  getSourceBreakdown,
+  getToolBreakdown,
+  getProjectName,
+  getProjectBreakdown,
+  getBlockStats,
+  getCacheStats,
+  repriceData,
+  getPeriodComparison,
   getDailyUsage,
   getTopModel,
   validateData,
-  transformCcusageFormat
+  transformCcusageFormat,
+  getSourceFingerprint,
+  hasDayDetail,
+  hasDailyDetail,
+  summarizeDays
 };
@@ -0,0 +1,171 @@
+import { parseISODate } from './utils.js';
+
+/**
+ * Model pricing in USD per million tokens
+ *
+ * Entries are matched against the model name in order, so more specific
+ * patterns come first. `from` is the day an entry's prices took effect; when
+ * a model's prices change, add an entry with the same pattern and a new
+ * `from`, and usage is priced with the entry in effect on its day.
+ * `cacheWrite` is the 5-minute cache write price.
+ */
+export const MODEL_PRICING = [
+  { match: /opus-4-[5-9]/, from: '2025-11-24', input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { match: /opus/, from: '2024-03-04', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: /sonnet/, from: '2024-03-04', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { match: /haiku-4/, from: '2025-10-15', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { match: /3-5-haiku|haiku-3-5/, from: '2024-11-04', input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  { match: /haiku/, from: '2024-03-13', input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 }
+];
+
+/**
+ * Version of the built-in pricing table: the latest day any of its prices took effect
+ */
+export const PRICING_VERSION = MODEL_PRICING.map((entry) => entry.from).sort().at(-1);
+
+/**
+ * Rates a pricing entry can set
+ */
+const RATE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+/**
+ * Check a `pricing` config entry (user overrides of the pricing table)
+ * @param {object} pricing - Map of model name (or part of it) to { input, output, cacheWrite?, cacheRead?, from? },
+ *   or to a list of such entries with `from` dates
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validatePricing(pricing) {
+  if (pricing === null || pricing === undefined) return [];
+  if (typeof pricing !== 'object' || Array.isArray(pricing)) {
+    return ['pricing must be an object like { "my-model": { "input": 3, "output": 15 } }'];
+  }
+
+  const errors = [];
+  for (const [model, value] of Object.entries(pricing)) {
+    const dated = Array.isArray(value);
+    if (dated && value.length === 0) {
+      errors.push(`pricing["${model}"] must list at least one entry`);
+      continue;
+    }
+
+    (dated ? value : [value]).forEach((rates, index) => {
+      const key = dated ? `pricing["${model}"][${index}]` : `pricing["${model}"]`;
+      if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        errors.push(`${key} must be an object of rates per million tokens`);
+        return;
+      }
+      for (const field of RATE_FIELDS) {
+        const required = field === 'input' || field === 'output';
+        if (rates[field] === undefined && !required) continue;
+        if (!(typeof rates[field] === 'number' && rates[field] >= 0)) {
+          errors.push(`${key}.${field} must be a number of at least 0`);
+        }
+      }
+      if ((dated || rates.from !== undefined) && !parseISODate(rates.from)) {
+        errors.push(`${key}.from must be a YYYY-MM-DD date`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Pick the entry in effect on a day
+ * @param {object[]} entries - Entries of one model, with optional `from` dates
+ * @param {string} date - YYYY-MM-DD day of the usage (latest entry when omitted)
+ * @returns {object} The latest entry that took effect by the day, or the earliest one for days before all of them
+ */
+function findEntryInEffect(entries, date) {
+  const newestFirst = [...entries].sort((a, b) => (b.from || '').localeCompare(a.from || ''));
+  if (!date) return newestFirst[0];
+  return newestFirst.find((entry) => !entry.from || entry.from <= date) || newestFirst.at(-1);
+}
+
+/**
+ * Look up the pricing of a model
+ * Overrides are matched first, using the longest key the model name contains
+ * (so an exact name wins). Missing cache rates in an override default to 1.25x
+ * (write) and 0.1x (read) the input rate. Of the entries for the matched model,
+ * the one in effect on `date` is used.
+ * @param {string} modelName - Model name (e.g. "claude-sonnet-4-20250514")
+ * @param {object} overrides - User pricing from config (see validatePricing)
+ * @param {string} date - YYYY-MM-DD day of the usage (default: the latest prices)
+ * @returns {object|null} { input, output, cacheWrite, cacheRead } per million tokens, with the entry's `from`
+ *   date and `source` ('config' or 'built-in'), or null for unknown models
+ */
+export function getModelPricing(modelName, overrides = {}, date = undefined) {
+  const name = String(modelName || '').toLowerCase();
+
+  const overrideKey = Object.keys(overrides || {})
+    .filter((key) => name.includes(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  if (overrideKey && validatePricing({ [overrideKey]: overrides[overrideKey] }).length === 0) {
+    const entries = [overrides[overrideKey]].flat();
+    const { input, output, cacheWrite = input * 1.25, cacheRead = input * 0.1, from = null } = findEntryInEffect(entries, date);
+    return { input, output, cacheWrite, cacheRead, from, source: 'config' };
+  }
+
+  // The first matching pattern decides the model; its dated entries decide the prices
+  const pattern = MODEL_PRICING.find(({ match }) => match.test(name))?.match;
+  if (!pattern) return null;
+
+  const entries = MODEL_PRICING.filter(({ match }) => match === pattern);
+  const { input, output, cacheWrite, cacheRead, from } = findEntryInEffect(entries, date);
+  return { input, output, cacheWrite, cacheRead, from, source: 'built-in' };
+}
+
+/**
+ * Compute what a model's token usage costs at list price
+ * @param {string} modelName - Model name
+ * @param {object} stats - Token counts ({ inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens })
+ * @param {object} overrides - User pricing from config
+ * @param {string} date - YYYY-MM-DD day of the usage (default: the latest prices)
+ * @returns {number|null} Cost in USD, or null for unknown models
+ */
+export function calculateCost(modelName, stats, overrides = {}, date = undefined) {
+  const pricing = getModelPricing(modelName, overrides, date);
+  if (!pricing) return null;
+
+  return ((stats.inputTokens || 0) * pricing.input +
+    (stats.outputTokens || 0) * pricing.output +
+    (stats.cacheCreationTokens || 0) * pricing.cacheWrite +
+    (stats.cacheReadTokens || 0) * pricing.cacheRead) / 1_000_000;
+}
+
+/**
+ * Estimate what cache reads saved compared to sending the same tokens as fresh input
+ * @param {string} modelName - Model name
+ * @param {number} cacheReadTokens - Tokens read from the cache
+ * @param {object} overrides - User pricing from config
+ * @returns {number|null} Savings in USD, or null for unknown models
+ */
+export function estimateCacheSavings(modelName, cacheReadTokens, overrides = {}) {
+  const pricing = getModelPricing(modelName, overrides);
+  if (!pricing) return null;
+  return (cacheReadTokens / 1_000_000) * (pricing.input - pricing.cacheRead);
+}
+
+/**
+ * List models that used tokens but have no pricing
+ * @param {object} byModel - Map of model name to stats
+ * @param {object} overrides - User pricing from config
+ * @returns {Array<object>} [{ name, tokens }] sorted by tokens descending
+ */
+export function getMissingPricing(byModel = {}, overrides = {}) {
+  return Object.entries(byModel)
+    .map(([name, stats]) => ({
+      name,
+      tokens: (stats.inputTokens || 0) + (stats.outputTokens || 0) +
+        (stats.cacheCreationTokens || 0) + (stats.cacheReadTokens || 0)
+    }))
+    .filter((model) => model.tokens > 0 && !getModelPricing(model.name, overrides))
+    .sort((a, b) => b.tokens - a.tokens);
+}
+
+export default {
+  validatePricing,
+  getModelPricing,
+  calculateCost,
+  estimateCacheSavings,
+  getMissingPricing
+};
@@ -0,0 +1,305 @@
+import { readdir } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { loadUsageFile, getSourceLabel } from './parser.js';
+import { parseRawContent, transformUsageData } from './adapters.js';
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Check whether a source location is an HTTP(S) URL
+ * @param {string} location - Path or URL
+ * @returns {boolean}
+ */
+export function isRemoteSource(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+/**
+ * Check whether a path contains glob characters
+ * @param {string} path - Local path
+ * @returns {boolean}
+ */
+export function hasGlobPattern(path) {
+  return /[*?[]/.test(path);
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `*`, `?`, `[...]`, `[!...]` and `**` (any number of directories).
+ * @param {string} pattern - Glob pattern (e.g. "data/*-cc.json")
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        const skipSlash = pattern[i + 2] === '/';
+        regex += skipSlash ? '(?:.*/)?' : '.*';
+        i += skipSlash ? 2 : 1;
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      // "[!...]" (or "[^...]") negates the class; a "]" right after the opening is literal
+      let start = i + 1;
+      const negate = pattern[start] === '!' || pattern[start] === '^';
+      if (negate) start++;
+      const end = pattern.indexOf(']', start + 1);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        const members = pattern.slice(start, end).replace(/[\\\]^]/g, '\\$&');
+        regex += negate ? `[^/${members}]` : `[${members}]`;
+        i = end;
+      }
+    } else {
+      regex += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * List files under a directory recursively
+ * @param {string} dirPath - Directory to walk
+ * @returns {Promise<string[]>} File paths
+ */
+async function listFiles(dirPath) {
+  const files = [];
+  const entries = await readdir(dirPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath)));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Expand a glob pattern to the matching local files
+ * @param {string} pattern - Glob pattern (e.g. "data/*-cc.json")
+ * @returns {Promise<string[]>} Sorted matching paths
+ */
+export async function expandGlob(pattern) {
+  const normalized = pattern.replace(/\\/g, '/');
+
+  // Walk from the deepest directory that has no glob characters
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(hasGlobPattern);
+  const baseDir = segments.slice(0, firstGlob).join('/') || '.';
+  const recursive = segments.slice(firstGlob).some((segment) => segment === '**') ||
+    segments.length - firstGlob > 1;
+
+  const candidates = recursive
+    ? await listFiles(baseDir)
+    : (await readdir(baseDir, { withFileTypes: true }))
+      .filter((entry) => entry.isFile())
+      .map((entry) => join(baseDir, entry.name));
+
+  const matcher = globToRegExp(normalized.replace(/^\.\//, ''));
+  return candidates
+    .map((file) => file.replace(/\\/g, '/'))
+    .filter((file) => matcher.test(file.replace(/^\.\//, '')))
+    .sort();
+}
+
+/**
+ * Normalize a `sources` config entry
+ * @param {string|object} entry - Path, glob or URL, or { path | url, label, fingerprint, authEnv, authHeader, timeout }
+ * @returns {object} Normalized entry with `location`
+ */
+export function normalizeSourceEntry(entry) {
+  if (typeof entry === 'string') {
+    return { location: entry };
+  }
+  if (entry && typeof entry === 'object' && (entry.url || entry.path)) {
+    return { ...entry, location: entry.url || entry.path };
+  }
+  throw new Error('Source entries must be a path, glob, URL, or an object with "path" or "url"');
+}
+
+/**
+ * Build request headers for a remote source
+ * @param {object} entry - Normalized source entry
+ * @returns {object} Headers
+ */
+function buildHeaders(entry) {
+  const headers = { Accept: 'application/json', ...(entry.headers || {}) };
+
+  if (entry.authEnv) {
+    const token = process.env[entry.authEnv];
+    if (!token) {
+      throw new Error(`Environment variable ${entry.authEnv} is not set`);
+    }
+    const headerName = entry.authHeader || 'Authorization';
+    // A custom header gets the raw token, Authorization gets a scheme prefix
+    const scheme = entry.authScheme ?? (headerName === 'Authorization' ? 'Bearer' : '');
+    headers[headerName] = scheme ? `${scheme} ${token}` : token;
+  }
+
+  return headers;
+}
+
+/**
+ * Fetch a remote usage export (any supported format) and convert it to the internal format
+ * @param {string} url - HTTP(S) URL
+ * @param {object} options - Options
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {object} options.headers - Request headers
+ * @param {string} options.timezone - IANA timezone for day boundaries
+ * @returns {Promise<object>} Internal usage data
+ */
+export async function fetchUsageData(url, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: options.headers,
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`Timed out after ${timeout}ms`);
+    }
+    throw new Error(error.cause?.message || error.message);
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+  }
+
+  const rawData = parseRawContent(await response.text());
+  const contentType = response.headers.get('content-type') || '';
+  if (typeof rawData === 'string' && contentType.includes('json')) {
+    throw new Error('Response is not valid JSON');
+  }
+
+  return transformUsageData(rawData, { timezone: options.timezone });
+}
+
+/**
+ * Derive a source label from a remote URL
+ * The host is part of the label, so exports with the same file name on
+ * different servers stay apart.
+ * @param {string} url - HTTP(S) URL (e.g. "https://a.example/usage/laptop-cc.json")
+ * @param {object} labels - Optional map of URL or file name to source label
+ * @returns {string} Source label (e.g. "a.example/laptop")
+ */
+function getRemoteSourceLabel(url, labels = {}) {
+  const { host, pathname } = new URL(url);
+  if (labels[url]) return labels[url];
+  if (labels[basename(pathname)]) return labels[basename(pathname)];
+  return `${host}/${getSourceLabel(pathname)}`;
+}
+
+/**
+ * Load one normalized source entry
+ * @param {object} entry - Normalized source entry
+ * @param {object} options - Resolve options
+ * @returns {Promise<object[]>} Loaded internal data objects (globs may yield several)
+ */
+async function loadSourceEntry(entry, options) {
+  const labels = options.labels || {};
+  const tag = (data, label) => {
+    const loaded = { ...data, source: label };
+    if (entry.fingerprint) loaded.fingerprint = entry.fingerprint;
+    return loaded;
+  };
+
+  if (isRemoteSource(entry.location)) {
+    const data = await fetchUsageData(entry.location, {
+      timeout: entry.timeout || options.timeout,
+      headers: buildHeaders(entry),
+      timezone: options.timezone
+    });
+    return [tag(data, entry.label || getRemoteSourceLabel(entry.location, labels))];
+  }
+
+  if (hasGlobPattern(entry.location)) {
+    const paths = await expandGlob(entry.location);
+    if (paths.length === 0) {
+      throw new Error('No files matched');
+    }
+    // A single label can't name several files, so matched files keep their own names
+    const label = paths.length === 1 ? entry.label : undefined;
+    return Promise.all(paths.map(async (path) => {
+      const data = await loadUsageFile(path, labels, { timezone: options.timezone });
+      return tag(data, label || data.source);
+    }));
+  }
+
+  const data = await loadUsageFile(entry.location, labels, { timezone: options.timezone });
+  return [tag(data, entry.label || data.source)];
+}
+
+/**
+ * Resolve `sources` config entries into usage data
+ *
+ * Each entry is loaded independently; a source that is missing, unreachable
+ * or invalid is reported in `errors` and does not stop the others. So is a
+ * source whose label is already taken, as it would be merged into the other.
+ *
+ * @param {Array<string|object>} sources - Entries from config.sources
+ * @param {object} options - Options
+ * @param {object} options.labels - Map of path or file name to source label
+ * @param {number} options.timeout - Default timeout for remote sources in milliseconds
+ * @param {string} options.timezone - IANA timezone for day boundaries
+ * @returns {Promise<object>} { entries: internal data[], errors: { source, error }[] }
+ */
+export async function resolveSources(sources = [], options = {}) {
+  const results = await Promise.all(sources.map(async (rawEntry) => {
+    let location = typeof rawEntry === 'string' ? rawEntry : rawEntry?.url || rawEntry?.path || String(rawEntry);
+    try {
+      const entry = normalizeSourceEntry(rawEntry);
+      location = entry.location;
+      return { location, entries: await loadSourceEntry(entry, options) };
+    } catch (error) {
+      const message = error.code === 'ENOENT' ? `File not found: ${error.path || location}` : error.message;
+      return { error: { source: location, error: message } };
+    }
+  }));
+
+  const entries = [];
+  const errors = [];
+  const labels = new Set();
+  for (const result of results) {
+    if (result.error) {
+      errors.push(result.error);
+      continue;
+    }
+    for (const data of result.entries) {
+      if (labels.has(data.source)) {
+        errors.push({ source: result.location, error: `Label "${data.source}" is already used by another source; give this one its own "label"` });
+        continue;
+      }
+      labels.add(data.source);
+      entries.push(data);
+    }
+  }
+
+  return { entries, errors };
+}
+
+export default {
+  isRemoteSource,
+  hasGlobPattern,
+  globToRegExp,
+  expandGlob,
+  normalizeSourceEntry,
+  fetchUsageData,
+  resolveSources
+};
@@ -0,0 +1,439 @@
+/**
+ * Color keys every theme defines
+ */
+export const THEME_COLOR_KEYS = [
+  'background',
+  'border',
+  'title',
+  'text',
+  'accent',
+  'barFilled',
+  'barEmpty',
+  'chartBg',
+  'increase',
+  'decrease',
+  'warning',
+  'danger'
+];
+
+/**
+ * Font stack used when a theme doesn't set `fontFamily`
+ */
+export const DEFAULT_FONT_FAMILY = "'Segoe UI', Ubuntu, Sans-Serif";
+
+/**
+ * Corner radius of the card background used when a theme doesn't set `borderRadius`
+ */
+export const DEFAULT_BORDER_RADIUS = 4.5;
+
+/**
+ * Built-in SVG themes
+ */
+export const THEMES = {
+  dark: {
+    background: '#0d1117',
+    border: '#30363d',
+    title: '#c9d1d9',
+    text: '#8b949e',
+    accent: '#58a6ff',
+    barFilled: '#58a6ff',
+    barEmpty: '#21262d',
+    chartBg: '#161b22',
+    increase: '#3fb950',
+    decrease: '#f85149',
+    warning: '#d29922',
+    danger: '#f85149'
+  },
+  light: {
+    background: '#ffffff',
+    border: '#d0d7de',
+    title: '#24292f',
+    text: '#57606a',
+    accent: '#0969da',
+    barFilled: '#0969da',
+    barEmpty: '#eaeef2',
+    chartBg: '#f6f8fa',
+    increase: '#1a7f37',
+    decrease: '#cf222e',
+    warning: '#9a6700',
+    danger: '#cf222e'
+  },
+  github_dark_dimmed: {
+    background: '#22272e',
+    border: '#444c56',
+    title: '#adbac7',
+    text: '#768390',
+    accent: '#539bf5',
+    barFilled: '#539bf5',
+    barEmpty: '#2d333b',
+    chartBg: '#2d333b',
+    increase: '#57ab5a',
+    decrease: '#e5534b',
+    warning: '#c69026',
+    danger: '#e5534b'
+  },
+  dracula: {
+    background: '#282a36',
+    border: '#44475a',
+    title: '#f8f8f2',
+    text: '#bd93f9',
+    accent: '#ff79c6',
+    barFilled: '#bd93f9',
+    barEmpty: '#44475a',
+    chartBg: '#21222c',
+    increase: '#50fa7b',
+    decrease: '#ff5555',
+    warning: '#f1fa8c',
+    danger: '#ff5555'
+  },
+  nord: {
+    background: '#2e3440',
+    border: '#4c566a',
+    title: '#eceff4',
+    text: '#d8dee9',
+    accent: '#88c0d0',
+    barFilled: '#81a1c1',
+    barEmpty: '#3b4252',
+    chartBg: '#3b4252',
+    increase: '#a3be8c',
+    decrease: '#bf616a',
+    warning: '#ebcb8b',
+    danger: '#bf616a'
+  },
+  tokyonight: {
+    background: '#1a1b27',
+    border: '#292e42',
+    title: '#c0caf5',
+    text: '#a9b1d6',
+    accent: '#bb9af7',
+    barFilled: '#7aa2f7',
+    barEmpty: '#24283b',
+    chartBg: '#16161e',
+    increase: '#9ece6a',
+    decrease: '#f7768e',
+    warning: '#e0af68',
+    danger: '#f7768e'
+  },
+  solarized_dark: {
+    background: '#002b36',
+    border: '#073642',
+    title: '#93a1a1',
+    text: '#839496',
+    accent: '#2aa198',
+    barFilled: '#268bd2',
+    barEmpty: '#073642',
+    chartBg: '#073642',
+    increase: '#859900',
+    decrease: '#dc322f',
+    warning: '#b58900',
+    danger: '#dc322f'
+  },
+  solarized_light: {
+    background: '#fdf6e3',
+    border: '#eee8d5',
+    title: '#586e75',
+    text: '#657b83',
+    accent: '#2aa198',
+    barFilled: '#268bd2',
+    barEmpty: '#eee8d5',
+    chartBg: '#eee8d5',
+    increase: '#859900',
+    decrease: '#dc322f',
+    warning: '#b58900',
+    danger: '#dc322f'
+  },
+  gruvbox: {
+    background: '#282828',
+    border: '#504945',
+    title: '#ebdbb2',
+    text: '#d5c4a1',
+    accent: '#fabd2f',
+    barFilled: '#fe8019',
+    barEmpty: '#3c3836',
+    chartBg: '#32302f',
+    increase: '#b8bb26',
+    decrease: '#fb4934',
+    warning: '#fabd2f',
+    danger: '#fb4934'
+  },
+  monokai: {
+    background: '#272822',
+    border: '#49483e',
+    title: '#f8f8f2',
+    text: '#cfcfc2',
+    accent: '#66d9ef',
+    barFilled: '#a6e22e',
+    barEmpty: '#3e3d32',
+    chartBg: '#3e3d32',
+    increase: '#a6e22e',
+    decrease: '#f92672',
+    warning: '#e6db74',
+    danger: '#f92672'
+  },
+  catppuccin_mocha: {
+    background: '#1e1e2e',
+    border: '#45475a',
+    title: '#cdd6f4',
+    text: '#bac2de',
+    accent: '#f5c2e7',
+    barFilled: '#cba6f7',
+    barEmpty: '#313244',
+    chartBg: '#181825',
+    increase: '#a6e3a1',
+    decrease: '#f38ba8',
+    warning: '#f9e2af',
+    danger: '#f38ba8'
+  },
+  high_contrast: {
+    background: '#000000',
+    border: '#ffffff',
+    title: '#ffffff',
+    text: '#ffffff',
+    accent: '#ffd700',
+    barFilled: '#ffd700',
+    barEmpty: '#333333',
+    chartBg: '#000000',
+    increase: '#00ff7f',
+    decrease: '#ff4d4d',
+    warning: '#ffd700',
+    danger: '#ff4d4d'
+  }
+};
+
+/**
+ * Theme name that follows the viewer's color scheme
+ */
+export const AUTO_THEME = 'auto';
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_COLOR_PATTERN = /^(?:rgb|hsl)a?\(\s*[\d.]+%?(?:\s*[,\s]\s*[\d.]+%?){2}(?:\s*[,/]\s*[\d.]+%?)?\s*\)$/i;
+const UNSAFE_FONT_PATTERN = /[<>{};&"\\]/;
+
+/**
+ * CSS color keywords (named colors plus "transparent" and "currentColor"), lowercased
+ */
+const NAMED_COLORS = new Set([
+  'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige', 'bisque', 'black',
+  'blanchedalmond', 'blue', 'blueviolet', 'brown', 'burlywood', 'cadetblue', 'chartreuse',
+  'chocolate', 'coral', 'cornflowerblue', 'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan',
+  'darkgoldenrod', 'darkgray', 'darkgreen', 'darkgrey', 'darkkhaki', 'darkmagenta', 'darkolivegreen',
+  'darkorange', 'darkorchid', 'darkred', 'darksalmon', 'darkseagreen', 'darkslateblue',
+  'darkslategray', 'darkslategrey', 'darkturquoise', 'darkviolet', 'deeppink', 'deepskyblue',
+  'dimgray', 'dimgrey', 'dodgerblue', 'firebrick', 'floralwhite', 'forestgreen', 'fuchsia',
+  'gainsboro', 'ghostwhite', 'gold', 'goldenrod', 'gray', 'green', 'greenyellow', 'grey', 'honeydew',
+  'hotpink', 'indianred', 'indigo', 'ivory', 'khaki', 'lavender', 'lavenderblush', 'lawngreen',
+  'lemonchiffon', 'lightblue', 'lightcoral', 'lightcyan', 'lightgoldenrodyellow', 'lightgray',
+  'lightgreen', 'lightgrey', 'lightpink', 'lightsalmon', 'lightseagreen', 'lightskyblue',
+  'lightslategray', 'lightslategrey', 'lightsteelblue', 'lightyellow', 'lime', 'limegreen', 'linen',
+  'magenta', 'maroon', 'mediumaquamarine', 'mediumblue', 'mediumorchid', 'mediumpurple',
+  'mediumseagreen', 'mediumslateblue', 'mediumspringgreen', 'mediumturquoise', 'mediumvioletred',
+  'midnightblue', 'mintcream', 'mistyrose', 'moccasin', 'navajowhite', 'navy', 'oldlace', 'olive',
+  'olivedrab', 'orange', 'orangered', 'orchid', 'palegoldenrod', 'palegreen', 'paleturquoise',
+  'palevioletred', 'papayawhip', 'peachpuff', 'peru', 'pink', 'plum', 'powderblue', 'purple',
+  'rebeccapurple', 'red', 'rosybrown', 'royalblue', 'saddlebrown', 'salmon', 'sandybrown', 'seagreen',
+  'seashell', 'sienna', 'silver', 'skyblue', 'slateblue', 'slategray', 'slategrey', 'snow',
+  'springgreen', 'steelblue', 'tan', 'teal', 'thistle', 'tomato', 'turquoise', 'violet', 'wheat',
+  'white', 'whitesmoke', 'yellow', 'yellowgreen',
+  'transparent', 'currentcolor'
+]);
+
+/**
+ * Check whether a value is a color that can be written into the SVG as-is
+ * Accepts hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba()/hsl()/hsla() and
+ * CSS color keywords like "steelblue" or "transparent".
+ * @param {string} value - Color value
+ * @returns {boolean}
+ */
+export function isValidColor(value) {
+  if (typeof value !== 'string') return false;
+  const color = value.trim();
+  return HEX_COLOR_PATTERN.test(color) || FUNCTION_COLOR_PATTERN.test(color) || NAMED_COLORS.has(color.toLowerCase());
+}
+
+/**
+ * Check one custom theme definition
+ * @param {string} name - Theme name
+ * @param {object} definition - Colors plus optional extends, fontFamily, borderRadius and hideBorder
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateThemeDefinition(name, definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return [`customThemes["${name}"] must be an object of theme colors`];
+  }
+
+  const errors = [];
+  const { extends: base, fontFamily, borderRadius, hideBorder } = definition;
+  if (base !== undefined && !THEMES[base]) {
+    errors.push(`customThemes["${name}"].extends must be a built-in theme (${Object.keys(THEMES).join(', ')})`);
+  }
+  for (const key of THEME_COLOR_KEYS) {
+    if (definition[key] !== undefined && !isValidColor(definition[key])) {
+      errors.push(`customThemes["${name}"].${key} must be a color like "#58a6ff" (got ${JSON.stringify(definition[key])})`);
+    }
+  }
+  if (fontFamily !== undefined && (typeof fontFamily !== 'string' || !fontFamily.trim() || UNSAFE_FONT_PATTERN.test(fontFamily))) {
+    errors.push(`customThemes["${name}"].fontFamily must be a CSS font-family list like "'Fira Code', monospace"`);
+  }
+  if (borderRadius !== undefined && !(typeof borderRadius === 'number' && borderRadius >= 0)) {
+    errors.push(`customThemes["${name}"].borderRadius must be a number of at least 0`);
+  }
+  if (hideBorder !== undefined && typeof hideBorder !== 'boolean') {
+    errors.push(`customThemes["${name}"].hideBorder must be true or false`);
+  }
+  return errors;
+}
+
+/**
+ * Check the `theme` and `customThemes` config entries
+ * @param {string} theme - Selected theme name
+ * @param {object} customThemes - Map of theme name to custom theme definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateThemes(theme, customThemes) {
+  if (customThemes !== null && customThemes !== undefined &&
+    (typeof customThemes !== 'object' || Array.isArray(customThemes))) {
+    return ['customThemes must be an object like { "my-theme": { "background": "#000000" } }'];
+  }
+
+  const errors = Object.entries(customThemes || {})
+    .flatMap(([name, definition]) => validateThemeDefinition(name, definition));
+
+  if (theme !== null && theme !== undefined && theme !== AUTO_THEME && !THEMES[theme] && !customThemes?.[theme]) {
+    errors.push(`Unknown theme "${theme}" (available: ${[...listThemes(customThemes).map((entry) => entry.name), AUTO_THEME].join(', ')})`);
+  }
+  return errors;
+}
+
+/**
+ * Check the `lightTheme` and `darkTheme` config entries used by the auto theme and dual SVGs
+ * @param {object} pair - { lightTheme, darkTheme } theme names
+ * @param {object} customThemes - Map of theme name to custom theme definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateThemePair({ lightTheme, darkTheme } = {}, customThemes = {}) {
+  const errors = [];
+  for (const [key, name] of Object.entries({ lightTheme, darkTheme })) {
+    if (name === null || name === undefined) continue;
+    if (!THEMES[name] && !customThemes?.[name]) {
+      errors.push(`${key} must be a built-in or custom theme name (got ${JSON.stringify(name)})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * List the themes that can be selected
+ * @param {object} customThemes - Map of theme name to custom theme definition
+ * @returns {Array<object>} [{ name, custom }] built-ins first, then custom themes
+ */
+export function listThemes(customThemes = {}) {
+  const custom = Object.keys(customThemes || {});
+  return [
+    ...Object.keys(THEMES).filter((name) => !custom.includes(name)).map((name) => ({ name, custom: false })),
+    ...custom.map((name) => ({ name, custom: true }))
+  ];
+}
+
+/**
+ * Resolve a theme by name
+ * Custom themes start from the theme they extend (dark by default), so they
+ * only need the keys they change. Unknown names fall back to dark; the config
+ * is checked with validateThemes before generating.
+ * @param {string} name - Theme name
+ * @param {object} customThemes - Map of theme name to custom theme definition
+ * @returns {object} Theme colors plus fontFamily, borderRadius and hideBorder
+ */
+export function getTheme(name, customThemes = {}) {
+  const custom = customThemes?.[name];
+  const definition = custom && validateThemeDefinition(name, custom).length === 0 ? custom : null;
+  const base = THEMES[definition?.extends] || THEMES[name] || THEMES.dark;
+
+  const theme = {
+    ...base,
+    fontFamily: DEFAULT_FONT_FAMILY,
+    borderRadius: DEFAULT_BORDER_RADIUS,
+    hideBorder: false
+  };
+  if (definition) {
+    for (const key of [...THEME_COLOR_KEYS, 'fontFamily', 'borderRadius', 'hideBorder']) {
+      if (definition[key] !== undefined) theme[key] = typeof definition[key] === 'string' ? definition[key].trim() : definition[key];
+    }
+  }
+  return theme;
+}
+
+/**
+ * Get the CSS custom property that holds a theme color
+ * @param {string} key - Color key (e.g. "barFilled")
+ * @returns {string} Property name (e.g. "--vd-bar-filled")
+ */
+function getColorVariable(key) {
+  return `--vd-${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Resolve the auto theme, which switches colors with prefers-color-scheme
+ * Colors are `var(--vd-...)` references; the light and dark values are kept
+ * under `variables` for getThemeStyles. Font and border come from the light theme.
+ * @param {object} pair - { lightTheme, darkTheme } theme names (default light and dark)
+ * @param {object} customThemes - Map of theme name to custom theme definition
+ * @returns {object} Theme like getTheme plus `variables: { light, dark }`
+ */
+export function getAutoTheme({ lightTheme, darkTheme } = {}, customThemes = {}) {
+  const light = getTheme(lightTheme || 'light', customThemes);
+  const dark = getTheme(darkTheme || 'dark', customThemes);
+
+  const theme = { ...light, variables: { light: {}, dark: {} } };
+  for (const key of THEME_COLOR_KEYS) {
+    const variable = getColorVariable(key);
+    theme[key] = `var(${variable})`;
+    theme.variables.light[variable] = light[key];
+    theme.variables.dark[variable] = dark[key];
+  }
+  return theme;
+}
+
+/**
+ * Get the CSS that defines the color variables of an auto theme
+ * @param {object} theme - Result of getAutoTheme (other themes need no variables)
+ * @returns {string} CSS rules, empty for themes without variables
+ */
+export function getThemeStyles(theme) {
+  if (!theme.variables) return '';
+
+  const declarations = (values) => Object.entries(values)
+    .map(([variable, value]) => `${variable}: ${value};`)
+    .join(' ');
+  return `svg { ${declarations(theme.variables.light)} }
+    @media (prefers-color-scheme: dark) { svg { ${declarations(theme.variables.dark)} } }`;
+}
+
+/**
+ * Move color attributes that reference CSS variables into style attributes
+ * Presentation attributes like fill="var(--x)" aren't resolved by every
+ * renderer, while the style property is.
+ * @param {string} svg - SVG markup
+ * @returns {string} SVG markup with var() colors in style attributes
+ */
+export function inlineColorVariables(svg) {
+  return svg.replace(/<[a-zA-Z][^<>]*>/g, (tag) => {
+    const properties = [];
+    const rest = tag.replace(/\s(fill|stroke)="(var\(--[\w-]+\))"/g, (_, property, value) => {
+      properties.push(`${property}: ${value}`);
+      return '';
+    });
+    if (properties.length === 0) return tag;
+    return rest.replace(/\s*(\/?)>$/, ` style="${properties.join('; ')}"$1>`);
+  });
+}
+
+export default {
+  isValidColor,
+  validateThemes,
+  validateThemePair,
+  listThemes,
+  getTheme,
+  getAutoTheme,
+  getThemeStyles,
+  inlineColorVariables
+};
@@ -0,0 +1,182 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { basename, join, relative, sep } from 'node:path';
+import { addModelStats, tagTool } from './adapters.js';
+import { calculateCost } from './pricing.js';
+import { getDateKey } from './utils.js';
+
+/**
+ * Find all Claude Code session log files under a directory
+ * @param {string} dirPath - Root directory (e.g. ~/.claude/projects)
+ * @returns {Promise<string[]>} Sorted list of .jsonl file paths
+ */
+export async function findSessionFiles(dirPath) {
+  const files = [];
+  const entries = await readdir(dirPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findSessionFiles(fullPath)));
+    } else if (entry.isFile() && entry.name.endsWith('.jsonl')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Parse a single session log line into a usage entry
+ * @param {string} line - One line of a session .jsonl file
+ * @param {string} defaultProject - Project to use when the line has no `cwd` (optional)
+ * @param {string} timeZone - IANA timezone deciding the entry's day (default: UTC)
+ * @param {object} pricing - User pricing from config, for lines without costUSD (optional)
+ * @returns {object|null} Usage entry or null if the line has no usage block
+ */
+export function parseSessionLine(line, defaultProject, timeZone = 'UTC', pricing = {}) {
+  if (!line || !line.trim()) return null;
+
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch {
+    // Session logs may end with a partially written line
+    return null;
+  }
+
+  const message = record?.message;
+  const usage = message?.usage;
+  if (!usage || !record.timestamp) return null;
+
+  const timestamp = new Date(record.timestamp);
+  if (isNaN(timestamp.getTime())) return null;
+
+  const entry = {
+    id: message.id ? `${message.id}:${record.requestId || ''}` : null,
+    date: getDateKey(timestamp, timeZone),
+    model: message.model || 'unknown',
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cost: 0
+  };
+
+  // Current Claude Code versions no longer log costUSD, so price the tokens instead
+  entry.cost = typeof record.costUSD === 'number'
+    ? record.costUSD
+    : calculateCost(entry.model, entry, pricing, entry.date) || 0;
+
+  const tokens = entry.inputTokens + entry.outputTokens + entry.cacheCreationTokens + entry.cacheReadTokens;
+  if (tokens === 0 && entry.cost === 0) return null;
+
+  const project = record.cwd || defaultProject;
+  if (project) entry.project = project;
+
+  return entry;
+}
+
+/**
+ * Aggregate session usage entries into the internal format
+ * @param {object[]} entries - Usage entries from parseSessionLine
+ * @returns {object} Internal usage data (byModel, byDay, totals)
+ */
+export function aggregateSessionEntries(entries) {
+  const data = {
+    totalCost: 0,
+    totalInputTokens: 0,
+    totalOutputTokens: 0,
+    totalCacheCreationInputTokens: 0,
+    totalCacheReadInputTokens: 0,
+    byModel: {},
+    byDay: {}
+  };
+
+  // The same assistant message is written again for every streamed chunk
+  // and when sessions are resumed, so only count each message once
+  const seen = new Set();
+
+  for (const entry of entries) {
+    if (entry.id) {
+      if (seen.has(entry.id)) continue;
+      seen.add(entry.id);
+    }
+
+    const tokens = entry.inputTokens + entry.outputTokens + entry.cacheCreationTokens + entry.cacheReadTokens;
+
+    data.totalCost += entry.cost;
+    data.totalInputTokens += entry.inputTokens;
+    data.totalOutputTokens += entry.outputTokens;
+    data.totalCacheCreationInputTokens += entry.cacheCreationTokens;
+    data.totalCacheReadInputTokens += entry.cacheReadTokens;
+
+    addModelStats(data.byModel, entry.model, entry);
+
+    if (!data.byDay[entry.date]) {
+      data.byDay[entry.date] = {
+        cost: 0,
+        tokens: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 0,
+        models: {}
+      };
+    }
+    const day = data.byDay[entry.date];
+    day.cost += entry.cost;
+    day.tokens += tokens;
+    day.inputTokens += entry.inputTokens;
+    day.outputTokens += entry.outputTokens;
+    day.cacheCreationTokens += entry.cacheCreationTokens;
+    day.cacheReadTokens += entry.cacheReadTokens;
+
+    addModelStats(day.models, entry.model, entry);
+
+    if (entry.project) {
+      data.byProject = data.byProject || {};
+      day.projects = day.projects || {};
+      for (const target of [data.byProject, day.projects]) {
+        if (!target[entry.project]) target[entry.project] = { cost: 0, tokens: 0 };
+        target[entry.project].cost += entry.cost;
+        target[entry.project].tokens += tokens;
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Read Claude Code session logs from a directory and build internal usage data
+ * @param {string} dirPath - Directory holding session logs (e.g. ~/.claude/projects)
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA timezone for day boundaries (default: UTC)
+ * @param {object} options.pricing - User pricing from config, for lines without costUSD (optional)
+ * @returns {Promise<object>} Internal usage data
+ */
+export async function parseSessionLogs(dirPath, options = {}) {
+  const files = await findSessionFiles(dirPath);
+  const entries = [];
+
+  for (const file of files) {
+    // Claude Code keeps one directory per project; lines normally name their cwd too
+    const [projectDir] = relative(dirPath, file).split(sep);
+    const defaultProject = projectDir.endsWith('.jsonl') ? basename(dirPath) : projectDir;
+
+    const content = await readFile(file, 'utf-8');
+    for (const line of content.split('\n')) {
+      const entry = parseSessionLine(line, defaultProject, options.timezone, options.pricing);
+      if (entry) entries.push(entry);
+    }
+  }
+
+  return tagTool(aggregateSessionEntries(entries), 'claude-code');
+}
+
+export default {
+  findSessionFiles,
+  parseSessionLine,
+  aggregateSessionEntries,
+  parseSessionLogs
+};
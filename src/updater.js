@@ -102,6 +102,33 @@ export async function writeSVG(svgPath, svgContent) {
   }
 }
 
+/**
+ * Get the path of a light or dark variant of an SVG
+ * @param {string} svgPath - SVG path (e.g. "./vibe-card.svg")
+ * @param {string} variant - "dark" or "light"
+ * @returns {string} Variant path (e.g. "./vibe-card-dark.svg")
+ */
+export function getThemeVariantPath(svgPath, variant) {
+  return /\.svg$/i.test(svgPath) ? svgPath.replace(/\.svg$/i, `-${variant}.svg`) : `${svgPath}-${variant}.svg`;
+}
+
+/**
+ * Build a <picture> that shows the dark or light SVG following the viewer's color mode
+ * GitHub picks the <source> matching its own theme setting, and the <img> is the
+ * fallback for renderers without <picture> support.
+ * @param {string} darkSrc - Image URL of the dark SVG
+ * @param {string} lightSrc - Image URL of the light SVG
+ * @param {string} alt - Alternative text
+ * @returns {string} HTML picture element
+ */
+export function generatePictureTag(darkSrc, lightSrc, alt = 'Vibe Dashboard') {
+  return `<picture>
+  <source media="(prefers-color-scheme: dark)" srcset="${darkSrc}">
+  <source media="(prefers-color-scheme: light)" srcset="${lightSrc}">
+  <img alt="${alt}" src="${lightSrc}">
+</picture>`;
+}
+
 /**
  * Check if README has markers
  * @param {string} readmePath - Path to the README file
@@ -149,6 +176,8 @@ export default {
   findMarkers,
   insertContent,
   writeSVG,
+  getThemeVariantPath,
+  generatePictureTag,
   hasMarkers,
   addMarkers,
   START_MARKER,
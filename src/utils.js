@@ -25,41 +25,110 @@ export function formatTokens(num) {
 
 /**
  * Format cost with currency symbol
+ * A { code, locale } format goes through Intl.NumberFormat, which picks the
+ * currency's decimals and symbol placement for the locale (e.g. "₩1,135,000").
  * @param {number} num - The cost amount
- * @param {string} symbol - Currency symbol (default: "$")
+ * @param {string|object} symbol - Currency symbol (default: "$"), or { code, locale } (see getCurrencyFormat)
  * @returns {string} Formatted cost (e.g., "$847.23")
  */
 export function formatCost(num, symbol = '$') {
-  if (num === null || num === undefined || isNaN(num)) {
-    return symbol + '0.00';
+  const value = num === null || num === undefined || isNaN(num) ? 0 : num;
+
+  if (symbol && typeof symbol === 'object') {
+    return new Intl.NumberFormat(symbol.locale || 'en', {
+      style: 'currency',
+      currency: symbol.code,
+      currencyDisplay: 'narrowSymbol'
+    }).format(value);
   }
-  return symbol + num.toFixed(2);
+  return symbol + value.toFixed(2);
+}
+
+/**
+ * Check whether a timezone is a valid IANA name (e.g. "Asia/Seoul")
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {object} { year, month, day, hour, minute } as zero-padded strings
+ */
+function getZonedParts(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const values = {};
+  for (const { type, value } of parts) {
+    values[type] = value;
+  }
+  return values;
+}
+
+/**
+ * Get the YYYY-MM-DD day key of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {string} Day key (e.g. "2025-01-14")
+ */
+export function getDateKey(date, timeZone = 'UTC') {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
 }
 
 /**
  * Format date to MM/DD format
- * @param {string|Date} date - Date to format
+ * @param {string|Date} date - Day key (YYYY-MM-DD) or instant
+ * @param {string} timeZone - IANA timezone used for Date instants (default: UTC)
  * @returns {string} Formatted date (e.g., "01/14")
  */
-export function formatDate(date) {
-  const d = typeof date === 'string' ? new Date(date) : date;
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${month}/${day}`;
+export function formatDate(date, timeZone = 'UTC') {
+  // Day keys are already calendar dates, so don't shift them through a timezone
+  const key = typeof date === 'string' ? date.slice(0, 10) : getDateKey(date, timeZone);
+  return `${key.slice(5, 7)}/${key.slice(8, 10)}`;
 }
 
 /**
  * Format date to full ISO format with time
  * @param {Date} date - Date to format
- * @returns {string} Formatted date (e.g., "2025-01-14 09:30 UTC")
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {string} Formatted date (e.g., "2025-01-14 09:30 UTC" or "2025-01-14 18:30 Asia/Seoul")
  */
-export function formatDateTime(date = new Date()) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(date.getUTCDate()).padStart(2, '0');
-  const hours = String(date.getUTCHours()).padStart(2, '0');
-  const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-  return `${year}-${month}-${day} ${hours}:${minutes} UTC`;
+export function formatDateTime(date = new Date(), timeZone = 'UTC') {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  return `${year}-${month}-${day} ${hour}:${minute} ${timeZone}`;
+}
+
+/**
+ * Format a change as an arrow and amount (e.g. "▲ 12.5%", "▼ 3pp")
+ * @param {number|null} change - Change amount; null when there is nothing to compare against
+ * @param {string} unit - Unit suffix (default: '%')
+ * @param {number} decimals - Decimal places (default: 1)
+ * @returns {string} Formatted change, or an empty string for null
+ */
+export function formatChange(change, unit = '%', decimals = 1) {
+  if (change === null || change === undefined || !isFinite(change)) return '';
+  const amount = Math.abs(change).toFixed(decimals);
+  if (Number(amount) === 0) return `– 0${unit}`;
+  return `${change > 0 ? '▲' : '▼'} ${amount}${unit}`;
 }
 
 /**
@@ -109,39 +178,167 @@ export function calculatePercentage(value, total, decimals = 0) {
  */
 export function getDefaultConfig() {
   return {
-    theme: 'dark',
+    theme: 'dark',  // Built-in theme name (see THEMES in themes.js), a key of customThemes, or 'auto'
+    lightTheme: 'light',  // Theme the auto theme and dual SVGs use for light mode
+    darkTheme: 'dark',  // Theme the auto theme and dual SVGs use for dark mode
+    dualTheme: false,  // Write -dark.svg and -light.svg and embed them with <picture> instead of one SVG
+    customThemes: {},  // Map of theme name to colors, fontFamily, borderRadius and hideBorder (optionally extending a built-in)
     layout: 'card',
-    period: 'all',  // 'day', 'week', 'month', 'all'
+    width: null,  // SVG card width in pixels (grows when a widget needs more room); null uses the layout's width
+    widgets: null,  // SVG widgets in order, e.g. ['title', 'totalCost', { type: 'chart', days: 30 }]; null uses the layout preset
+    period: 'all',  // 'day', 'week', 'month', 'calendar-month', 'last-month', 'quarter', 'year', 'ytd', 'last-N-days', 'all' or { from, to }
     showItems: {
       totalTokens: true,
       totalCost: true,
       periodChart: true,
       modelBreakdown: true,
       dailyAverage: true,
+      sourceBreakdown: true,
+      toolBreakdown: true,
+      billingBlocks: true,
+      projectBreakdown: true,
+      comparison: false,  // Change versus the previous period (needs a period other than 'all')
+      budget: true,  // Budget progress (needs a budget config)
+      forecast: true,  // Projected month/year spend (needs a forecast config)
+      streaks: false,  // Current and longest streak of active days
+      activity: false,  // Active vs calendar days, busiest day and per-day averages
+      cache: false,  // Cache hit ratio, cached vs fresh input, savings and a per-model split
+      heatmap: false,  // Contribution heatmap of the last 365 days (always shown by the heatmap layout)
       lastUpdated: true
     },
     chartDays: 14,
+    heatmapMetric: 'tokens',  // 'tokens' or 'cost' - what the heatmap colors are based on
     language: 'en',
     currencySymbol: '$',
-    sources: []  // Array of remote URLs or local paths to merge
+    currency: null,  // ISO 4217 code (e.g. "KRW") to convert costs to and format with Intl; null keeps currencySymbol
+    exchangeRate: null,  // Units of currency per USD, or a path to a JSON rates file (e.g. { "rates": { "KRW": 1350 } })
+    sources: [],  // Array of remote URLs, local paths or globs to merge
+    sourceTimeout: 10000,  // Timeout for remote sources in milliseconds
+    sourceLabels: {},  // Map of input path or file name to display label
+    mergeStrategy: 'sum',  // 'sum', 'max-per-day', 'prefer-latest'
+    sourceFingerprints: {},  // Map of source label to origin (e.g. "alice@desktop")
+    projectLimit: 5,  // Number of projects shown in the Projects section
+    projectNames: 'basename',  // 'basename', 'full', 'hash'
+    projectAliases: {},  // Map of project path or name to display name
+    projectHashSalt: '',  // Salt for hashed project names
+    history: null,  // Path to a history file (e.g. ./vibe-history.json) that keeps every recorded day
+    timezone: 'UTC',  // IANA timezone for day boundaries, periods and the footer (e.g. "Asia/Seoul")
+    budget: null,  // Spending limits in the configured currency, e.g. { monthly: 100, weekly: 30, warnAt: 80 }
+    forecast: null,  // true or { method: 'moving-average' | 'linear', window: 14 } to project month/year spend
+    reprice: false,  // Recompute costs from token counts with the pricing table (e.g. API cost for subscription users)
+    pricing: {},  // Per-model price overrides in USD per million tokens, e.g. { "my-model": { input: 3, output: 15 } } or a list of them with `from` dates
+    asOf: null  // Reference date (YYYY-MM-DD or ISO timestamp) to render as of; null means now
   };
 }
 
+/**
+ * Named periods accepted by getPeriodRange (besides last-N-days and { from, to } ranges)
+ */
+export const PERIODS = ['day', 'week', 'month', 'calendar-month', 'last-month', 'quarter', 'year', 'ytd', 'all'];
+
+const LAST_N_DAYS_PATTERN = /^last-(\d+)-days$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date
+ * @param {string} value - Date string
+ * @returns {Date|null} Date at UTC midnight, or null if invalid
+ */
+export function parseISODate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  // Reject dates that roll over, like 2025-02-30
+  return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+/**
+ * Resolve the reference date ("now") that periods, tiles and the footer are computed from
+ * @param {string|Date} asOf - A Date, an ISO timestamp, or a YYYY-MM-DD day (midnight in timeZone); now when omitted
+ * @param {string} timeZone - IANA timezone for YYYY-MM-DD days (default: UTC)
+ * @returns {Date|null} Reference date, or null if asOf is invalid
+ */
+export function resolveAsOf(asOf, timeZone = 'UTC') {
+  if (asOf === undefined || asOf === null || asOf === '') return new Date();
+
+  if (asOf instanceof Date) {
+    return isNaN(asOf.getTime()) ? null : new Date(asOf);
+  }
+  if (typeof asOf !== 'string') return null;
+
+  const day = parseISODate(asOf);
+  if (day) {
+    // Shift UTC midnight by the zone's offset so the day starts at local midnight
+    const { year, month, day: date, hour, minute } = getZonedParts(day, timeZone);
+    const offset = Date.UTC(Number(year), Number(month) - 1, Number(date), Number(hour), Number(minute)) - day.getTime();
+    return new Date(day.getTime() - offset);
+  }
+
+  if (!ISO_TIMESTAMP_PATTERN.test(asOf)) return null;
+  const timestamp = new Date(asOf);
+  return isNaN(timestamp.getTime()) ? null : timestamp;
+}
+
+/**
+ * Check whether a period is one getPeriodRange understands
+ * @param {string|object} period - Named period, 'last-N-days', or { from, to } with YYYY-MM-DD dates
+ * @returns {boolean}
+ */
+export function isValidPeriod(period) {
+  if (period && typeof period === 'object') {
+    const { from, to } = period;
+    if (!from && !to) return false;
+    if ((from && !parseISODate(from)) || (to && !parseISODate(to))) return false;
+    return !(from && to && from > to);
+  }
+  if (typeof period !== 'string') return false;
+  const lastDays = period.match(LAST_N_DAYS_PATTERN);
+  return PERIODS.includes(period) || Boolean(lastDays && Number(lastDays[1]) > 0);
+}
+
 /**
  * Get date range for a period
- * @param {string} period - 'day', 'week', 'month', 'all'
+ * @param {string|object} period - 'day', 'week', 'month', 'calendar-month', 'last-month',
+ *   'quarter', 'year', 'ytd', 'last-N-days', 'all', or { from, to } with YYYY-MM-DD dates
  * @param {Date} referenceDate - Reference date (default: now)
- * @returns {object} { startDate, endDate, days }
+ * @param {string} timeZone - IANA timezone deciding which day "today" is (default: UTC)
+ * @returns {object} { startDate, endDate, days } as UTC instants of calendar days, matching day keys
  */
-export function getPeriodRange(period, referenceDate = new Date()) {
-  const endDate = new Date(referenceDate);
+export function getPeriodRange(period, referenceDate = new Date(), timeZone = 'UTC') {
+  // Calendar days are represented as UTC midnights, like parsed YYYY-MM-DD day keys
+  const today = parseISODate(getDateKey(referenceDate, timeZone));
+
+  const endDate = new Date(today);
   endDate.setUTCHours(23, 59, 59, 999);
 
-  let startDate = new Date(referenceDate);
-  startDate.setUTCHours(0, 0, 0, 0);
+  let startDate = new Date(today);
+
+  const year = startDate.getUTCFullYear();
+  const month = startDate.getUTCMonth();
+  // Last moment of the month before `monthIndex` (Date.UTC handles year rollover)
+  const endOfMonthBefore = (monthIndex) => new Date(Date.UTC(year, monthIndex, 1) - 1);
+  const lastDays = typeof period === 'string' ? period.match(LAST_N_DAYS_PATTERN) : null;
 
   let days;
 
+  if (period && typeof period === 'object') {
+    // Custom range: an open start counts from the beginning of time
+    startDate = parseISODate(period.from) || new Date(0);
+    const to = parseISODate(period.to);
+    if (to) {
+      endDate.setTime(to.getTime() + DAY_MS - 1);
+    }
+    days = period.from ? Math.round((endDate - startDate + 1) / DAY_MS) : null;
+    return { startDate, endDate, days };
+  }
+
+  if (lastDays) {
+    days = Number(lastDays[1]);
+    startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+    return { startDate, endDate, days };
+  }
+
   switch (period) {
     case 'day':
       days = 1;
@@ -154,6 +351,27 @@ export function getPeriodRange(period, referenceDate = new Date()) {
       startDate.setUTCDate(startDate.getUTCDate() - 29);
       days = 30;
       break;
+    case 'calendar-month':
+      startDate = new Date(Date.UTC(year, month, 1));
+      endDate.setTime(endOfMonthBefore(month + 1).getTime());
+      break;
+    case 'last-month':
+      startDate = new Date(Date.UTC(year, month - 1, 1));
+      endDate.setTime(endOfMonthBefore(month).getTime());
+      break;
+    case 'quarter': {
+      const quarterStart = month - (month % 3);
+      startDate = new Date(Date.UTC(year, quarterStart, 1));
+      endDate.setTime(endOfMonthBefore(quarterStart + 3).getTime());
+      break;
+    }
+    case 'year':
+      startDate = new Date(Date.UTC(year, 0, 1));
+      endDate.setTime(endOfMonthBefore(12).getTime());
+      break;
+    case 'ytd':
+      startDate = new Date(Date.UTC(year, 0, 1));
+      break;
     case 'all':
     default:
       startDate = null;  // No start limit
@@ -161,9 +379,52 @@ export function getPeriodRange(period, referenceDate = new Date()) {
       break;
   }
 
+  if (startDate && days === undefined) {
+    days = Math.round((endDate - startDate + 1) / DAY_MS);
+  }
+
   return { startDate, endDate, days };
 }
 
+/**
+ * Get the date range of the period just before the current one
+ * Calendar periods step back to the previous month, quarter or year (ytd to the
+ * same span last year); rolling windows and custom ranges to the same number of
+ * days right before.
+ * @param {string|object} period - Any period accepted by getPeriodRange
+ * @param {Date} referenceDate - Reference date (default: now)
+ * @param {string} timeZone - IANA timezone deciding which day "today" is (default: UTC)
+ * @returns {object|null} { startDate, endDate, days }, or null when there is no previous period (e.g. 'all')
+ */
+export function getPreviousPeriodRange(period, referenceDate = new Date(), timeZone = 'UTC') {
+  const current = getPeriodRange(period, referenceDate, timeZone);
+  if (!current.startDate || !current.days) return null;
+
+  // The current range is already in calendar days, so no timezone is needed below
+  const dayBefore = new Date(current.startDate.getTime() - DAY_MS);
+  switch (period) {
+    case 'calendar-month':
+    case 'last-month':
+      return getPeriodRange('calendar-month', dayBefore);
+    case 'quarter':
+    case 'year':
+      return getPeriodRange(period, dayBefore);
+    case 'ytd': {
+      const end = current.endDate;
+      const sameDayLastYear = new Date(Date.UTC(end.getUTCFullYear() - 1, end.getUTCMonth(), end.getUTCDate()));
+      // February 29th falls back to the 28th
+      if (sameDayLastYear.getUTCMonth() !== end.getUTCMonth()) sameDayLastYear.setUTCDate(0);
+      return getPeriodRange('ytd', sameDayLastYear);
+    }
+  }
+
+  return {
+    startDate: new Date(current.startDate.getTime() - current.days * DAY_MS),
+    endDate: new Date(current.startDate.getTime() - 1),
+    days: current.days
+  };
+}
+
 /**
  * Check if a date is within a period range
  * @param {string|Date} date - Date to check
@@ -179,19 +440,59 @@ export function isDateInRange(date, range) {
 
 /**
  * Format period label for display
- * @param {string} period - 'day', 'week', 'month', 'all'
+ * @param {string|object} period - Any period accepted by getPeriodRange
  * @returns {string} Label key for i18n
  */
 export function getPeriodLabelKey(period) {
+  if (period && typeof period === 'object') {
+    if (period.from && period.to) return 'dateRange';
+    return period.from ? 'sinceDate' : 'untilDate';
+  }
+  if (typeof period === 'string' && LAST_N_DAYS_PATTERN.test(period)) {
+    return 'lastNDays';
+  }
+
   const labels = {
     day: 'today',
     week: 'thisWeek',
     month: 'thisMonth',
+    'calendar-month': 'calendarMonth',
+    'last-month': 'lastMonth',
+    quarter: 'thisQuarter',
+    year: 'thisYear',
+    ytd: 'yearToDate',
     all: 'allTime'
   };
   return labels[period] || 'allTime';
 }
 
+/**
+ * Get the placeholder values for a period's label
+ * @param {string|object} period - Any period accepted by getPeriodRange
+ * @param {Date} referenceDate - Reference date (default: now)
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {object} Params for t(), e.g. { n } or { from, to } or { q, year }
+ */
+export function getPeriodLabelParams(period, referenceDate = new Date(), timeZone = 'UTC') {
+  if (period && typeof period === 'object') {
+    return { from: period.from, to: period.to };
+  }
+
+  const lastDays = typeof period === 'string' ? period.match(LAST_N_DAYS_PATTERN) : null;
+  if (lastDays) {
+    return { n: Number(lastDays[1]) };
+  }
+
+  const [year, month] = getDateKey(referenceDate, timeZone).split('-').map(Number);
+  if (period === 'quarter') {
+    return { q: Math.floor((month - 1) / 3) + 1, year };
+  }
+  if (period === 'year') {
+    return { year };
+  }
+  return {};
+}
+
 /**
  * Merge user config with defaults
  * @param {object} userConfig - User provided config
@@ -224,6 +525,50 @@ export function escapeXml(str) {
     .replace(/'/g, '&#39;');
 }
 
+/**
+ * Estimate the rendered width of SVG text
+ * SVG has no text measurement before rendering, so widths are approximated
+ * from character classes and err on the wide side for common sans-serif fonts.
+ * Wide (CJK) characters count as a full em and emoji as a bit more.
+ * @param {string} text - Text
+ * @param {number} fontSize - Font size in pixels
+ * @param {object} options - Options
+ * @param {boolean} options.bold - Bold text (default false)
+ * @returns {number} Width in pixels
+ */
+export function estimateTextWidth(text, fontSize, { bold = false } = {}) {
+  let ems = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code > 0xffff) ems += 1.25;
+    else if (code >= 0x1100) ems += 1;
+    else if (/[il.,:;|!'`]/.test(char)) ems += 0.3;
+    else if (/[fjrtI()[\] ]/.test(char)) ems += 0.38;
+    else if (/[mwMW@%]/.test(char)) ems += 0.9;
+    else if (/[A-Z0-9$#&~]/.test(char)) ems += 0.68;
+    else ems += 0.58;
+  }
+  return ems * fontSize * (bold ? 1.08 : 1);
+}
+
+/**
+ * Shorten text with an ellipsis so it fits a width
+ * @param {string} text - Text
+ * @param {number} maxWidth - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @param {object} options - Options of estimateTextWidth
+ * @returns {string} The text, or as much of it as fits followed by "…"
+ */
+export function fitText(text, maxWidth, fontSize, options = {}) {
+  const chars = [...String(text)];
+  if (estimateTextWidth(text, fontSize, options) <= maxWidth) return String(text);
+
+  while (chars.length > 0 && estimateTextWidth(`${chars.join('').trimEnd()}…`, fontSize, options) > maxWidth) {
+    chars.pop();
+  }
+  return chars.length > 0 ? `${chars.join('').trimEnd()}…` : '';
+}
+
 /**
  * Shorten model name for display
  * @param {string} modelName - Full model name (e.g., "claude-opus-4-5-20250514")
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { getStreaks, getActivityStats } from '../src/activity.js';
+import { processData, filterByPeriod } from '../src/parser.js';
+
+const day = (tokens, cost = tokens / 1000) => ({ tokens, cost });
+
+const data = {
+  byDay: {
+    '2025-01-01': day(1000),
+    '2025-01-02': day(2000),
+    '2025-01-03': day(3000),
+    '2025-01-04': day(0, 0),
+    '2025-01-08': day(9000),
+    '2025-01-09': day(1000),
+    '2025-01-10': day(2000)
+  }
+};
+
+describe('getStreaks', () => {
+  it('should find the current and longest streak', () => {
+    expect(getStreaks(data.byDay, '2025-01-10')).toEqual({ current: 3, longest: 3, longestEnd: '2025-01-03' });
+  });
+
+  it('should keep the current streak until the end of the next day', () => {
+    expect(getStreaks(data.byDay, '2025-01-11').current).toBe(3);
+    expect(getStreaks(data.byDay, '2025-01-12').current).toBe(0);
+  });
+
+  it('should ignore days after today and days without usage', () => {
+    expect(getStreaks(data.byDay, '2025-01-04')).toEqual({ current: 3, longest: 3, longestEnd: '2025-01-03' });
+    expect(getStreaks({}, '2025-01-04')).toEqual({ current: 0, longest: 0, longestEnd: null });
+  });
+});
+
+describe('getActivityStats', () => {
+  const options = { asOf: '2025-01-10' };
+
+  it('should count active days against calendar days since the first recorded day', () => {
+    const stats = getActivityStats(data, data, 'all', options);
+
+    expect(stats.activeDays).toBe(6);
+    expect(stats.calendarDays).toBe(10);
+    expect(stats.averagePerActiveDay.tokens).toBe(3000);
+    expect(stats.averagePerCalendarDay.tokens).toBe(1800);
+    expect(stats.busiestDay).toEqual({ date: '2025-01-08', tokens: 9000, cost: 9 });
+  });
+
+  it('should use the period for day counts but all days for streaks', () => {
+    const week = filterByPeriod(data, 'week', options);
+    const stats = getActivityStats(data, week, 'week', options);
+
+    expect(stats.calendarDays).toBe(7);
+    expect(stats.activeDays).toBe(3);
+    expect(stats.longestStreak).toBe(3);
+    expect(stats.busiestDay.date).toBe('2025-01-08');
+  });
+
+  it('should stop calendar days at today', () => {
+    const stats = processData(data, 'calendar-month', options).activity;
+    expect(stats.calendarDays).toBe(10);
+  });
+
+  it('should handle empty data', () => {
+    const stats = getActivityStats({ byDay: {} }, { byDay: {} }, 'all', options);
+
+    expect(stats).toMatchObject({ currentStreak: 0, activeDays: 0, calendarDays: 0, busiestDay: null });
+    expect(stats.averagePerCalendarDay).toEqual({ tokens: 0, cost: 0 });
+  });
+});
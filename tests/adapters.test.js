@@ -0,0 +1,333 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  detectAdapter,
+  registerAdapter,
+  getAdapters,
+  parseRawContent,
+  parseCsv,
+  transformCsv,
+  transformUsageData
+} from '../src/adapters.js';
+import { mergeUsageData, validateData, getToolBreakdown, loadUsageFile } from '../src/parser.js';
+
+const ccusageDaily = {
+  daily: [
+    {
+      date: '2025-01-14',
+      inputTokens: 1000,
+      outputTokens: 500,
+      totalTokens: 1500,
+      totalCost: 1.5,
+      modelBreakdowns: [{ modelName: 'claude-sonnet-4-20250514', inputTokens: 1000, outputTokens: 500, cost: 1.5 }]
+    }
+  ],
+  totals: { totalCost: 1.5, inputTokens: 1000, outputTokens: 500 }
+};
+
+const openCodeDaily = {
+  tool: 'opencode',
+  daily: [
+    {
+      date: '2025-01-14',
+      inputTokens: 200,
+      outputTokens: 100,
+      totalTokens: 300,
+      totalCost: 0.5,
+      modelBreakdowns: [{ modelName: 'anthropic/claude-sonnet-4', inputTokens: 200, outputTokens: 100, cost: 0.5 }]
+    }
+  ],
+  totals: { totalCost: 0.5, inputTokens: 200, outputTokens: 100 }
+};
+
+const ccusageMonthly = {
+  monthly: [{ month: '2025-01', inputTokens: 3000, outputTokens: 1000, totalTokens: 4000, totalCost: 4 }],
+  totals: { totalCost: 4, inputTokens: 3000, outputTokens: 1000 }
+};
+
+const ccusageSessions = {
+  sessions: [
+    {
+      sessionId: '-home-user-api',
+      projectPath: 'home/user/api',
+      inputTokens: 1000,
+      outputTokens: 500,
+      cacheCreationTokens: 0,
+      cacheReadTokens: 0,
+      totalTokens: 1500,
+      totalCost: 2,
+      lastActivity: '2025-01-14',
+      modelsUsed: ['claude-sonnet-4-20250514'],
+      modelBreakdowns: [{ modelName: 'claude-sonnet-4-20250514', inputTokens: 1000, outputTokens: 500, cost: 2 }],
+      versions: ['1.0.51']
+    },
+    {
+      sessionId: '-home-user-web',
+      inputTokens: 300,
+      outputTokens: 100,
+      totalTokens: 400,
+      totalCost: 1,
+      lastActivity: '2025-01-15',
+      modelBreakdowns: [{ modelName: 'claude-opus-4-20250514', inputTokens: 300, outputTokens: 100, cost: 1 }]
+    }
+  ],
+  totals: { totalCost: 3, inputTokens: 1300, outputTokens: 600 }
+};
+
+const ccusageBlocks = {
+  blocks: [
+    {
+      id: '2025-01-14T10:00:00.000Z',
+      startTime: '2025-01-14T10:00:00.000Z',
+      endTime: '2025-01-14T15:00:00.000Z',
+      isActive: false,
+      isGap: false,
+      entries: 12,
+      tokenCounts: { inputTokens: 4000, outputTokens: 1000, cacheCreationInputTokens: 0, cacheReadInputTokens: 5000 },
+      totalTokens: 10000,
+      costUSD: 6,
+      models: ['claude-opus-4-20250514']
+    },
+    { id: 'gap-1', startTime: '2025-01-14T15:00:00.000Z', isGap: true, costUSD: 0 },
+    {
+      id: '2025-01-15T09:00:00.000Z',
+      startTime: '2025-01-15T09:00:00.000Z',
+      endTime: '2025-01-15T14:00:00.000Z',
+      isActive: true,
+      isGap: false,
+      entries: 3,
+      tokenCounts: { inputTokens: 1000, outputTokens: 500, cacheCreationInputTokens: 0, cacheReadInputTokens: 0 },
+      totalTokens: 1500,
+      costUSD: 1.5,
+      models: ['claude-sonnet-4-20250514'],
+      burnRate: { tokensPerMinute: 42 }
+    }
+  ]
+};
+
+const csv = [
+  'date,model,input,output,cost',
+  '2025-01-14,claude-sonnet-4,1000,500,1.25',
+  '2025-01-14,claude-opus-4,100,50,0.75',
+  '2025-01-15,claude-sonnet-4,2000,1000,2.5'
+].join('\n');
+
+describe('detectAdapter', () => {
+  it('should detect each built-in format', () => {
+    expect(detectAdapter(ccusageDaily).name).toBe('ccusage-daily');
+    expect(detectAdapter(openCodeDaily).name).toBe('ccusage-opencode');
+    expect(detectAdapter(ccusageMonthly).name).toBe('ccusage-monthly');
+    expect(detectAdapter(ccusageSessions).name).toBe('ccusage-session');
+    expect(detectAdapter(ccusageBlocks).name).toBe('ccusage-blocks');
+    expect(detectAdapter(csv).name).toBe('csv');
+    expect(detectAdapter({ totalCost: 1, byModel: {}, byDay: {} }).name).toBe('internal');
+  });
+
+  it('should not treat provider-qualified model names as OpenCode exports', () => {
+    const proxied = {
+      ...ccusageDaily,
+      daily: [{ date: '2025-01-14', totalCost: 1, modelBreakdowns: [{ modelName: 'anthropic/claude-sonnet-4', cost: 1 }] }]
+    };
+
+    expect(detectAdapter(proxied).name).toBe('ccusage-daily');
+    expect(detectAdapter({ ...proxied, source: 'opencode' }).name).toBe('ccusage-opencode');
+  });
+
+  it('should return null for unknown input', () => {
+    expect(detectAdapter('just some text')).toBeNull();
+    expect(detectAdapter(null)).toBeNull();
+  });
+});
+
+describe('ccusage session adapter', () => {
+  it('should attribute sessions to their last active day and project', () => {
+    const data = transformUsageData(ccusageSessions);
+
+    expect(data.totalCost).toBe(3);
+    expect(data.byDay['2025-01-14'].projects).toEqual({ 'home/user/api': { cost: 2, tokens: 1500 } });
+    expect(data.byProject['-home-user-web']).toEqual({ cost: 1, tokens: 400 });
+    expect(data.byModel['claude-opus-4-20250514'].cost).toBe(1);
+    expect(data.tool).toBe('claude-code');
+  });
+
+  it('should keep unknown session fields', () => {
+    const data = transformUsageData(ccusageSessions);
+    expect(data.sessions[0].extra).toEqual({ versions: ['1.0.51'] });
+  });
+
+  it('should file timestamped sessions under their day in the given timezone', () => {
+    const late = { sessions: [{ ...ccusageSessions.sessions[1], lastActivity: '2025-01-15T04:30:00.000Z' }] };
+
+    expect(Object.keys(transformUsageData(late).byDay)).toEqual(['2025-01-15']);
+    const data = transformUsageData(late, { timezone: 'America/Los_Angeles' });
+    expect(Object.keys(data.byDay)).toEqual(['2025-01-14']);
+    expect(data.sessions[0].lastActivity).toBe('2025-01-14');
+
+    // Plain days are already local and stay as they are
+    expect(Object.keys(transformUsageData(ccusageSessions, { timezone: 'Asia/Tokyo' }).byDay)).toEqual(['2025-01-14', '2025-01-15']);
+    expect(transformUsageData({ sessions: [{ ...late.sessions[0], lastActivity: 'yesterday' }] }).sessions).toEqual([]);
+  });
+});
+
+describe('ccusage blocks adapter', () => {
+  it('should build days from billing blocks and skip gaps', () => {
+    const data = transformUsageData(ccusageBlocks);
+
+    expect(data.totalCost).toBe(7.5);
+    expect(data.totalCacheReadInputTokens).toBe(5000);
+    expect(data.byDay['2025-01-14'].tokens).toBe(10000);
+    expect(data.blocks.map((block) => block.id)).toEqual(['2025-01-14T10:00:00.000Z', '2025-01-15T09:00:00.000Z']);
+    expect(data.blocks[1].active).toBe(true);
+  });
+
+  it('should bucket blocks by their start day in the given timezone', () => {
+    const data = transformUsageData(ccusageBlocks, { timezone: 'America/Los_Angeles' });
+
+    expect(Object.keys(data.byDay).sort()).toEqual(['2025-01-14', '2025-01-15']);
+    expect(data.byDay['2025-01-15'].cost).toBe(1.5);
+    expect(data.blocks[0].date).toBe('2025-01-14');
+
+    const early = transformUsageData({ blocks: [{ ...ccusageBlocks.blocks[2], startTime: '2025-01-15T04:00:00.000Z' }] }, { timezone: 'America/Los_Angeles' });
+    expect(Object.keys(early.byDay)).toEqual(['2025-01-14']);
+  });
+
+  it('should keep unknown block and report fields', () => {
+    const data = transformUsageData({ ...ccusageBlocks, schemaVersion: 2 });
+
+    expect(data.blocks[1].extra).toEqual({ burnRate: { tokensPerMinute: 42 } });
+    expect(data.extra).toEqual({ schemaVersion: 2 });
+  });
+});
+
+describe('CSV adapter', () => {
+  it('should parse quoted cells', () => {
+    expect(parseCsv('a,"b, c","say ""hi"""')).toEqual([['a', 'b, c', 'say "hi"']]);
+  });
+
+  it('should build per-day model detail from rows', () => {
+    const data = transformCsv(csv);
+
+    expect(data.totalCost).toBeCloseTo(4.5);
+    expect(data.totalInputTokens).toBe(3100);
+    expect(data.byDay['2025-01-14'].tokens).toBe(1650);
+    expect(Object.keys(data.byDay['2025-01-14'].models)).toEqual(['claude-sonnet-4', 'claude-opus-4']);
+    expect(data.byModel['claude-sonnet-4'].cost).toBeCloseTo(3.75);
+  });
+
+  it('should split usage by a tool column', () => {
+    const data = transformCsv('date,tool,model,input,output,cost\n2025-01-14,cursor,gpt-4o,100,50,0.2\n2025-01-14,aider,gpt-4o,100,50,0.3');
+
+    expect(data.byTool.cursor.cost).toBeCloseTo(0.2);
+    expect(data.byDay['2025-01-14'].tools.aider.tokens).toBe(150);
+  });
+
+  it('should only detect text with a full header row', () => {
+    expect(detectAdapter('date,cost\n2025-01-14,1')).toBeNull();
+    expect(detectAdapter('{"daily": [{"date": "2025-01-14"')).toBeNull();
+    expect(validateData('date,cost\n2025-01-14,1').errors).toEqual(['Unrecognized usage data format']);
+  });
+
+  it('should report invalid rows', () => {
+    const result = validateData('date,model,input,output,cost\n2025-01-14,sonnet,100,50,abc\nyesterday,sonnet,1,1,0');
+
+    expect(result.isValid).toBe(false);
+    expect(result.adapter).toBe('csv');
+    expect(result.errors).toEqual([
+      'CSV line 2 has a non-numeric cost "abc"',
+      'CSV line 3 has an invalid date "yesterday"'
+    ]);
+  });
+});
+
+describe('transformUsageData', () => {
+  it('should tag transformed data with the adapter and tool', () => {
+    const data = transformUsageData(openCodeDaily);
+
+    expect(data.adapter).toBe('ccusage-opencode');
+    expect(data.tool).toBe('opencode');
+    expect(data.byDay['2025-01-14'].tools.opencode.cost).toBe(0.5);
+  });
+
+  it('should transform an empty object to empty data', () => {
+    const data = transformUsageData({});
+
+    expect(data.adapter).toBe('ccusage-daily');
+    expect(data.totalCost).toBe(0);
+    expect(data.byModel).toEqual({});
+    expect(data.byDay).toEqual({});
+  });
+
+  it('should transform monthly reports to month-start days', () => {
+    const data = transformUsageData(ccusageMonthly);
+
+    expect(data.granularity).toBe('month');
+    expect(data.byDay['2025-01-01'].cost).toBe(4);
+  });
+
+  it('should reject unrecognized input', () => {
+    expect(() => transformUsageData(parseRawContent('not usage data'))).toThrow('Unrecognized usage data format');
+  });
+
+  it('should reject input that fails its adapter\'s validation', () => {
+    expect(() => transformUsageData({ daily: {} })).toThrow('Invalid ccusage-daily data: daily must be an array');
+    expect(() => transformUsageData('date,model,input,output\nsoon,sonnet,1,1')).toThrow('Invalid csv data');
+  });
+
+  it('should keep a per-tool split through merging', () => {
+    const merged = mergeUsageData([transformUsageData(ccusageDaily), transformUsageData(openCodeDaily)]);
+    const tools = getToolBreakdown(merged);
+
+    expect(merged.byDay['2025-01-14'].tools).toEqual({
+      'claude-code': { cost: 1.5, tokens: 1500 },
+      opencode: { cost: 0.5, tokens: 300 }
+    });
+    expect(tools.map((tool) => tool.name)).toEqual(['claude-code', 'opencode']);
+    expect(tools[0].percentage).toBe(75);
+  });
+});
+
+describe('registerAdapter', () => {
+  it('should check custom adapters before the built-ins', () => {
+    registerAdapter({
+      name: 'test-tool',
+      tool: 'test-tool',
+      detect: (raw) => Boolean(raw && raw.testTool),
+      transform: (raw) => ({ totalCost: raw.testTool, byModel: {}, byDay: {} })
+    });
+
+    expect(getAdapters()[0].name).toBe('test-tool');
+    const data = transformUsageData({ testTool: 3, totalCost: 3 });
+    expect(data.adapter).toBe('test-tool');
+    expect(data.byTool).toEqual({ 'test-tool': { cost: 3, tokens: 0 } });
+  });
+
+  it('should reject incomplete adapters', () => {
+    expect(() => registerAdapter({ name: 'broken' })).toThrow();
+  });
+});
+
+describe('parseRawContent', () => {
+  it('should fall back to the raw text for non-JSON formats', () => {
+    expect(parseRawContent(csv)).toBe(csv);
+    expect(parseRawContent('{"totalCost": 1}')).toEqual({ totalCost: 1 });
+  });
+
+  it('should report content that starts like JSON but doesn\'t parse', () => {
+    expect(() => parseRawContent('  [{"date": "2025-01-14"')).toThrow('Invalid JSON');
+  });
+
+  it('should fail on a truncated export instead of reading it as empty data', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'vibe-adapters-'));
+    const path = join(dir, 'cc.json');
+    const full = JSON.stringify(ccusageDaily);
+    try {
+      await writeFile(path, full.slice(0, full.length / 2), 'utf-8');
+
+      await expect(loadUsageFile(path)).rejects.toThrow('Invalid JSON');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
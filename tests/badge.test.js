@@ -0,0 +1,248 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  BADGE_METRICS,
+  BADGE_STYLES,
+  BADGE_COLORS,
+  resolveBadgeColor,
+  validateBadge,
+  getBadgeValue,
+  generateBadge,
+  generateBadgeEndpoint,
+  writeBadgeEndpoint
+} from '../src/badge.js';
+import { generateBadgeFile } from '../src/index.js';
+import { processData } from '../src/parser.js';
+import { getDefaultConfig } from '../src/utils.js';
+
+const sampleRawData = {
+  totalCost: 847.23,
+  totalInputTokens: 45000000,
+  totalOutputTokens: 12000000,
+  byModel: {
+    'claude-sonnet-4-20250514': { cost: 520.15, inputTokens: 30000000, outputTokens: 8000000 },
+    'claude-opus-4-20250514': { cost: 327.08, inputTokens: 15000000, outputTokens: 4000000 }
+  },
+  byDay: {
+    '2025-01-14': { cost: 45.23, tokens: 2500000 },
+    '2025-01-13': { cost: 38.12, tokens: 2100000 },
+    '2025-01-12': { cost: 52.87, tokens: 2900000 }
+  }
+};
+
+const config = { ...getDefaultConfig(), asOf: '2025-01-14' };
+const sampleData = processData(sampleRawData, 'all', config);
+
+describe('resolveBadgeColor', () => {
+  it('should map shields.io color names', () => {
+    expect(resolveBadgeColor('brightgreen')).toBe(BADGE_COLORS.brightgreen);
+    expect(resolveBadgeColor('Critical')).toBe('#e05d44');
+  });
+
+  it('should accept hex colors with or without "#"', () => {
+    expect(resolveBadgeColor('ff69b4')).toBe('#ff69b4');
+    expect(resolveBadgeColor('#333')).toBe('#333');
+  });
+
+  it('should reject values that are not colors', () => {
+    expect(resolveBadgeColor('#12345')).toBeNull();
+    expect(resolveBadgeColor('url(#x)')).toBeNull();
+    expect(resolveBadgeColor(42)).toBeNull();
+  });
+});
+
+describe('validateBadge', () => {
+  it('should accept every metric and style', () => {
+    for (const metric of BADGE_METRICS) {
+      for (const style of BADGE_STYLES) {
+        expect(validateBadge({ metric, style })).toEqual([]);
+      }
+    }
+    expect(validateBadge()).toEqual([]);
+  });
+
+  it('should report unknown metrics, styles and colors', () => {
+    const errors = validateBadge({ metric: 'lines', style: 'plastic', color: '#12', labelColor: 'url(#x)' });
+
+    expect(errors).toHaveLength(4);
+    expect(errors[0]).toContain('metric');
+    expect(errors[1]).toContain('style');
+    expect(errors[2]).toContain('color');
+    expect(errors[3]).toContain('labelColor');
+  });
+});
+
+describe('getBadgeValue', () => {
+  it('should format each metric', () => {
+    expect(getBadgeValue(sampleData, 'tokens', config)).toEqual({ label: 'tokens', message: '9.2M' });
+    expect(getBadgeValue(sampleData, 'cost', config)).toEqual({ label: 'cost', message: '$136.22' });
+    expect(getBadgeValue(sampleData, 'usage', config).message).toBe('9.2M / $136.22');
+    expect(getBadgeValue(sampleData, 'topModel', config).message).toBe('sonnet-4');
+    expect(getBadgeValue(sampleData, 'streak', config)).toEqual({ label: 'streak', message: '3 days' });
+  });
+
+  it('should add the period to the label', () => {
+    const monthConfig = { ...config, period: 'month' };
+    const data = processData(sampleRawData, 'month', monthConfig);
+
+    expect(getBadgeValue(data, 'cost', monthConfig).label).toBe('cost (This Month)');
+    expect(getBadgeValue(data, 'streak', monthConfig).label).toBe('streak');
+  });
+
+  it('should translate labels', () => {
+    const koConfig = { ...config, language: 'ko' };
+
+    expect(getBadgeValue(sampleData, 'tokens', koConfig).label).toBe('토큰');
+    expect(getBadgeValue(sampleData, 'streak', { ...config, language: 'ja' }).message).toBe('3日');
+  });
+
+  it('should fall back when there is no model', () => {
+    expect(getBadgeValue({ ...sampleData, models: [] }, 'topModel', config).message).toBe('none');
+  });
+});
+
+describe('generateBadge', () => {
+  it('should render a flat badge by default', () => {
+    const svg = generateBadge(sampleData, {}, config);
+
+    expect(svg).toMatch(/^<svg /);
+    expect(svg).toContain('height="20"');
+    expect(svg).toContain('rx="3"');
+    expect(svg).toContain('<linearGradient');
+    expect(svg).toContain('aria-label="tokens: 9.2M"');
+    expect(svg).toContain(`fill="${BADGE_COLORS.blue}"`);
+  });
+
+  it('should render flat-square badges without rounding or gradient', () => {
+    const svg = generateBadge(sampleData, { style: 'flat-square' }, config);
+
+    expect(svg).toContain('rx="0"');
+    expect(svg).not.toContain('<linearGradient');
+  });
+
+  it('should render for-the-badge badges taller and uppercase', () => {
+    const svg = generateBadge(sampleData, { metric: 'topModel', style: 'for-the-badge' }, config);
+
+    expect(svg).toContain('height="28"');
+    expect(svg).toContain('font-weight="bold"');
+    expect(svg).toContain('>TOP MODEL</text>');
+    expect(svg).toContain('>SONNET-4</text>');
+  });
+
+  it('should apply label and color overrides', () => {
+    const svg = generateBadge(sampleData, { metric: 'cost', label: 'spent <total>', color: 'ff69b4', labelColor: 'blue' }, config);
+
+    expect(svg).toContain('>spent &lt;total&gt;</text>');
+    expect(svg).toContain('fill="#ff69b4"');
+    expect(svg).toContain(`fill="${BADGE_COLORS.blue}"`);
+  });
+
+  it('should use dark text on light colors', () => {
+    const svg = generateBadge(sampleData, { color: 'ffff00' }, config);
+
+    expect(svg).toContain('fill="#333">9.2M</text>');
+  });
+
+  it('should grow with longer text', () => {
+    const width = (svg) => Number(svg.match(/width="(\d+)"/)[1]);
+
+    expect(width(generateBadge(sampleData, { label: 'a much longer label' }, config)))
+      .toBeGreaterThan(width(generateBadge(sampleData, {}, config)));
+  });
+
+  it('should leave out an empty label', () => {
+    const svg = generateBadge(sampleData, { label: '' }, config);
+
+    expect(svg).toContain('<rect width="0"');
+    expect(svg).toContain('aria-label="9.2M"');
+  });
+});
+
+describe('generateBadgeEndpoint', () => {
+  it('should follow the shields.io endpoint schema', () => {
+    expect(generateBadgeEndpoint(sampleData, { metric: 'cost' }, config)).toEqual({
+      schemaVersion: 1,
+      label: 'cost',
+      message: '$136.22',
+      color: 'orange'
+    });
+  });
+
+  it('should pass overrides through without "#"', () => {
+    const endpoint = generateBadgeEndpoint(sampleData, { label: 'vibe', color: '#ff69b4', labelColor: 'Grey', style: 'for-the-badge' }, config);
+
+    expect(endpoint).toMatchObject({ label: 'vibe', color: 'ff69b4', labelColor: 'grey', style: 'for-the-badge' });
+  });
+});
+
+describe('writeBadgeEndpoint', () => {
+  it('should write the endpoint JSON, creating directories', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'vibe-badge-'));
+    const path = join(dir, 'badges', 'tokens.json');
+    try {
+      await writeBadgeEndpoint(path, generateBadgeEndpoint(sampleData, {}, config));
+
+      expect(JSON.parse(await readFile(path, 'utf-8'))).toMatchObject({ schemaVersion: 1, message: '9.2M' });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('generateBadgeFile', () => {
+  it('should read the history without recording into it', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'vibe-badge-'));
+    const inputPath = join(dir, 'cc.json');
+    const historyPath = join(dir, 'history.json');
+    const stored = JSON.stringify({
+      version: 1,
+      days: { '2025-01-10': { 'cc.json': { cost: 10, tokens: 1000000 } } }
+    });
+    try {
+      await writeFile(inputPath, JSON.stringify(sampleRawData), 'utf-8');
+      await writeFile(historyPath, stored, 'utf-8');
+
+      const result = await generateBadgeFile({
+        configPath: join(dir, 'missing-config.json'),
+        inputPath,
+        historyPath,
+        asOf: '2025-01-14',
+        metric: 'cost',
+        outputPath: join(dir, 'badge.svg')
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.details.value).toBe('$146.22');
+      expect(await readFile(historyPath, 'utf-8')).toBe(stored);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should convert costs with an exchange rate given as an override', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'vibe-badge-'));
+    const inputPath = join(dir, 'cc.json');
+    try {
+      await writeFile(inputPath, JSON.stringify(sampleRawData), 'utf-8');
+      const options = {
+        configPath: join(dir, 'missing-config.json'),
+        inputPath,
+        asOf: '2025-01-14',
+        metric: 'cost',
+        outputPath: join(dir, 'badge.svg')
+      };
+
+      const result = await generateBadgeFile({ ...options, config: { currency: 'KRW', exchangeRate: 1000 } });
+      expect(result.success).toBe(true);
+      expect(result.details.value).toBe('₩136,220');
+
+      const missingRate = await generateBadgeFile({ ...options, config: { currency: 'KRW' } });
+      expect(missingRate.success).toBe(false);
+      expect(missingRate.error).toContain('exchangeRate');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { validateBudget, getBudgetStatus, isBudgetAtLeast, writeBudgetAlert } from '../src/budget.js';
+import { processData } from '../src/parser.js';
+
+// 2025-01-15 is a Wednesday
+const data = {
+  byDay: {
+    '2024-12-31': { cost: 50, tokens: 5000 },
+    '2025-01-06': { cost: 20, tokens: 2000 },
+    '2025-01-13': { cost: 10, tokens: 1000 },
+    '2025-01-15': { cost: 20, tokens: 2000 },
+    '2025-01-20': { cost: 99, tokens: 9900 }
+  }
+};
+
+describe('validateBudget', () => {
+  it('should accept monthly and weekly amounts', () => {
+    expect(validateBudget(null)).toEqual([]);
+    expect(validateBudget({ monthly: 100 })).toEqual([]);
+    expect(validateBudget({ weekly: 25, warnAt: 90 })).toEqual([]);
+  });
+
+  it('should report invalid budgets', () => {
+    expect(validateBudget(100)).toHaveLength(1);
+    expect(validateBudget({ warnAt: 80 })).toContain('budget needs a monthly or weekly amount');
+    expect(validateBudget({ monthly: -5 })).toContain('budget.monthly must be a positive number');
+    expect(validateBudget({ monthly: 5, warnAt: 150 })).toContain('budget.warnAt must be a percentage between 1 and 100');
+  });
+});
+
+describe('getBudgetStatus', () => {
+  it('should sum spend in the current month and week up to the reference date', () => {
+    const status = getBudgetStatus(data, { monthly: 100, weekly: 40 }, { asOf: '2025-01-15' });
+    const [monthly, weekly] = status.periods;
+
+    expect(monthly).toMatchObject({ period: 'monthly', spent: 50, remaining: 50, percentage: 50, from: '2025-01-01', to: '2025-01-31', status: 'ok' });
+    expect(weekly).toMatchObject({ period: 'weekly', spent: 30, percentage: 75, from: '2025-01-13', to: '2025-01-19', status: 'ok' });
+  });
+
+  it('should project spend to the end of the period', () => {
+    const status = getBudgetStatus(data, { monthly: 100, weekly: 40 }, { asOf: '2025-01-15' });
+
+    expect(status.periods[0].projected).toBeCloseTo((50 / 15) * 31);
+    expect(status.periods[1].projected).toBeCloseTo(70);
+    expect(status.periods.map((entry) => entry.projection)).toEqual(['run-rate', 'run-rate']);
+  });
+
+  it('should take the monthly projection from a sufficient forecast', () => {
+    const forecast = { sufficient: true, month: { to: '2025-01-31', cost: 123 } };
+    const status = getBudgetStatus(data, { monthly: 100, weekly: 40 }, { asOf: '2025-01-15' }, forecast);
+
+    expect(status.periods[0]).toMatchObject({ projected: 123, projection: 'forecast' });
+    expect(status.periods[1]).toMatchObject({ projected: 70, projection: 'run-rate' });
+
+    const insufficient = getBudgetStatus(data, { monthly: 100 }, { asOf: '2025-01-15' }, { sufficient: false, month: null });
+    expect(insufficient.periods[0].projection).toBe('run-rate');
+  });
+
+  it('should flag warning and over states', () => {
+    expect(getBudgetStatus(data, { weekly: 40, warnAt: 70 }, { asOf: '2025-01-15' }).status).toBe('warning');
+    expect(getBudgetStatus(data, { monthly: 100, weekly: 25 }, { asOf: '2025-01-15' }).status).toBe('over');
+    expect(getBudgetStatus(data, { monthly: 1000 }, { asOf: '2025-01-15' }).status).toBe('ok');
+  });
+
+  it('should return null without a valid budget', () => {
+    expect(getBudgetStatus(data, null)).toBeNull();
+    expect(getBudgetStatus(data, { monthly: 'lots' })).toBeNull();
+  });
+
+  it('should be part of processed data regardless of the period', () => {
+    const processed = processData(data, 'day', { budget: { monthly: 100 }, asOf: '2025-01-15' });
+    expect(processed.budget.periods[0].spent).toBe(50);
+  });
+
+  it('should read amounts in the configured currency', () => {
+    const processed = processData(data, 'all', { budget: { monthly: 100000 }, currency: 'KRW', exchangeRate: 1000, asOf: '2025-01-15' });
+    expect(processed.budget.periods[0]).toMatchObject({ spent: 50000, limit: 100000, percentage: 50, status: 'ok' });
+  });
+});
+
+describe('isBudgetAtLeast', () => {
+  it('should compare budget states', () => {
+    expect(isBudgetAtLeast({ status: 'over' }, 'warning')).toBe(true);
+    expect(isBudgetAtLeast({ status: 'warning' }, 'over')).toBe(false);
+    expect(isBudgetAtLeast(null, 'warning')).toBe(false);
+  });
+});
+
+describe('writeBudgetAlert', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'vibe-budget-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write the status as JSON', async () => {
+    const alertPath = join(dir, 'alerts', 'budget.json');
+    const status = getBudgetStatus(data, { weekly: 25 }, { asOf: '2025-01-15' });
+    await writeBudgetAlert(alertPath, status, { asOf: '2025-01-15T00:00:00.000Z' });
+
+    const alert = JSON.parse(await readFile(alertPath, 'utf-8'));
+    expect(alert.status).toBe('over');
+    expect(alert.asOf).toBe('2025-01-15T00:00:00.000Z');
+    expect(alert.periods[0].spent).toBe(30);
+  });
+});
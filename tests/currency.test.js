@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  isValidCurrency,
+  validateCurrency,
+  loadExchangeRate,
+  getExchangeRate,
+  convertCosts,
+  getCurrencyFormat
+} from '../src/currency.js';
+import { processData } from '../src/parser.js';
+
+describe('validateCurrency', () => {
+  it('should accept no currency and USD without a rate', () => {
+    expect(validateCurrency(null)).toEqual([]);
+    expect(validateCurrency('USD')).toEqual([]);
+  });
+
+  it('should accept a rate or a rates file', () => {
+    expect(validateCurrency('KRW', 1350)).toEqual([]);
+    expect(validateCurrency('EUR', './rates.json')).toEqual([]);
+  });
+
+  it('should reject unknown codes and missing rates', () => {
+    expect(isValidCurrency('krw')).toBe(false);
+    expect(validateCurrency('Won', 1350)).toHaveLength(1);
+    expect(validateCurrency('KRW')).toEqual(['exchangeRate must be a positive number of KRW per USD, or a path to a rates file']);
+    expect(validateCurrency('KRW', -1)).toHaveLength(1);
+  });
+});
+
+describe('loadExchangeRate', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'vibe-rates-'));
+    await writeFile(join(dir, 'api.json'), JSON.stringify({ base: 'USD', rates: { KRW: 1350.5 } }));
+    await writeFile(join(dir, 'flat.json'), JSON.stringify({ JPY: 150 }));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should return static rates and 1 without a currency', async () => {
+    expect(await loadExchangeRate('KRW', 1300)).toBe(1300);
+    expect(await loadExchangeRate(null, 1300)).toBe(1);
+    expect(await loadExchangeRate('USD')).toBe(1);
+  });
+
+  it('should read rates files with or without a rates object', async () => {
+    expect(await loadExchangeRate('KRW', join(dir, 'api.json'))).toBe(1350.5);
+    expect(await loadExchangeRate('JPY', join(dir, 'flat.json'))).toBe(150);
+  });
+
+  it('should fail for missing files and currencies', async () => {
+    await expect(loadExchangeRate('EUR', join(dir, 'api.json'))).rejects.toThrow('No EUR rate');
+    await expect(loadExchangeRate('EUR', join(dir, 'missing.json'))).rejects.toThrow('Failed to read exchange rates');
+  });
+});
+
+describe('getExchangeRate', () => {
+  it('should use the rate only with a currency', () => {
+    expect(getExchangeRate({ currency: 'KRW', exchangeRate: 1350 })).toBe(1350);
+    expect(getExchangeRate({ exchangeRate: 1350 })).toBe(1);
+    expect(() => getExchangeRate({ currency: 'KRW', exchangeRate: './rates.json' })).toThrow();
+  });
+});
+
+describe('convertCosts', () => {
+  const data = {
+    totalCost: 10,
+    byModel: { sonnet: { cost: 10, inputTokens: 100 } },
+    bySource: { laptop: { cost: 10, tokens: 100 } },
+    byDay: {
+      '2025-01-14': { cost: 10, tokens: 100, models: { sonnet: { cost: 10 } }, sources: { laptop: { cost: 10, tokens: 100 } } }
+    },
+    sessions: [{ id: 's1', cost: 4 }],
+    blocks: [{ id: 'b1', cost: 6 }]
+  };
+
+  it('should convert every cost', () => {
+    const converted = convertCosts(data, 1000);
+
+    expect(converted.totalCost).toBe(10000);
+    expect(converted.byModel.sonnet).toEqual({ cost: 10000, inputTokens: 100 });
+    expect(converted.bySource.laptop.cost).toBe(10000);
+    expect(converted.byDay['2025-01-14'].cost).toBe(10000);
+    expect(converted.byDay['2025-01-14'].models.sonnet.cost).toBe(10000);
+    expect(converted.byDay['2025-01-14'].sources.laptop.cost).toBe(10000);
+    expect(converted.sessions[0].cost).toBe(4000);
+    expect(converted.blocks[0].cost).toBe(6000);
+  });
+
+  it('should leave the input untouched', () => {
+    convertCosts(data, 1000);
+    expect(data.totalCost).toBe(10);
+    expect(convertCosts(data, 1)).toBe(data);
+  });
+
+  it('should be applied by processData', () => {
+    const result = processData(data, 'all', { currency: 'KRW', exchangeRate: 1000 });
+    expect(result.summary.totalCost).toBe(10000);
+  });
+
+  it('should convert cache savings computed from USD prices', () => {
+    const cached = {
+      totalCost: 1,
+      totalCacheReadInputTokens: 1000000,
+      byModel: { 'claude-sonnet-4-20250514': { cost: 1, cacheReadTokens: 1000000 } },
+      byDay: {}
+    };
+    const result = processData(cached, 'all', { currency: 'KRW', exchangeRate: 1000 });
+    expect(result.cache.savings).toBeCloseTo(2700);
+  });
+});
+
+describe('getCurrencyFormat', () => {
+  it('should keep currencySymbol without a currency', () => {
+    expect(getCurrencyFormat({ currencySymbol: '€' })).toBe('€');
+    expect(getCurrencyFormat({})).toBe('$');
+  });
+
+  it('should format by code and language with a currency', () => {
+    expect(getCurrencyFormat({ currency: 'KRW', currencySymbol: '$', language: 'ko' })).toEqual({ code: 'KRW', locale: 'ko' });
+  });
+});
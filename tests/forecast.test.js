@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { validateForecast, forecastUsage, MIN_FORECAST_DAYS } from '../src/forecast.js';
+import { processData } from '../src/parser.js';
+
+const days = (costs, start = 1) => costs.map((cost, i) => ({
+  date: `2025-01-${String(start + i).padStart(2, '0')}`,
+  cost,
+  tokens: cost * 1000
+}));
+
+describe('validateForecast', () => {
+  it('should accept true and known methods', () => {
+    expect(validateForecast(true)).toEqual([]);
+    expect(validateForecast({ method: 'linear', window: 28 })).toEqual([]);
+  });
+
+  it('should report unknown methods and short windows', () => {
+    expect(validateForecast({ method: 'magic' })).toHaveLength(1);
+    expect(validateForecast({ window: 3 })).toEqual([`forecast.window must be a whole number of at least ${MIN_FORECAST_DAYS} days`]);
+    expect(validateForecast('yes')).toHaveLength(1);
+  });
+});
+
+describe('forecastUsage', () => {
+  const options = { asOf: '2025-01-10' };
+
+  it('should project with a moving average by default', () => {
+    const forecast = forecastUsage(days(Array(10).fill(1)), true, options);
+
+    expect(forecast).toMatchObject({ estimate: true, method: 'moving-average', sufficient: true, basedOnDays: 10 });
+    expect(forecast.month).toMatchObject({ to: '2025-01-31', remainingDays: 21, actualCost: 10, cost: 31, tokens: 31000 });
+    expect(forecast.year).toMatchObject({ to: '2025-12-31', cost: 365 });
+  });
+
+  it('should follow the trend with the linear method', () => {
+    const forecast = forecastUsage(days([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]), { method: 'linear' }, options);
+
+    // 55 so far plus days 11..31 on the fitted line
+    expect(forecast.month.cost).toBeCloseTo(55 + 441);
+  });
+
+  it('should count days without usage as zero', () => {
+    const forecast = forecastUsage([...days([5]), ...days([5], 10)], true, options);
+    expect(forecast.month.cost).toBeCloseTo(10 + 21);
+  });
+
+  it('should only use the last window of days', () => {
+    const forecast = forecastUsage(days([...Array(3).fill(100), ...Array(7).fill(1)]), { window: 7 }, options);
+    expect(forecast.month.cost).toBeCloseTo(307 + 21);
+  });
+
+  it('should not project with less than a week of days', () => {
+    const forecast = forecastUsage(days([1, 2, 3], 8), true, options);
+
+    expect(forecast).toMatchObject({ estimate: true, sufficient: false, basedOnDays: 3, month: null, year: null });
+  });
+
+  it('should be disabled without a forecast config', () => {
+    expect(forecastUsage(days([1, 2, 3]), null, options)).toBeNull();
+    expect(processData({ byDay: {} }, 'all').forecast).toBeNull();
+  });
+});
@@ -1,7 +1,8 @@
 import { describe, it, expect } from 'vitest';
-import { generate, generateMarkdown, generateSVG, generateTextChart } from '../src/generator.js';
-import { processData } from '../src/parser.js';
-import { getDefaultConfig } from '../src/utils.js';
+import { generate, generateMarkdown, generateSVG, generateTextChart, generateThemePreview } from '../src/generator.js';
+import { processData, mergeUsageData } from '../src/parser.js';
+import { getDefaultConfig, getDateKey, estimateTextWidth } from '../src/utils.js';
+import { CARD_PADDING } from '../src/layout.js';
 
 const sampleRawData = {
   totalCost: 847.23,
@@ -41,12 +42,14 @@ describe('generate', () => {
     expect(typeof result.svg).toBe('string');
   });
 
-  it('should return null svg for minimal layout', () => {
+  it('should return a small svg for minimal layout', () => {
     const config = { ...defaultConfig, layout: 'minimal' };
     const result = generate(sampleData, config);
 
     expect(result.markdown).toBeTruthy();
-    expect(result.svg).toBeNull();
+    expect(result.svg).toContain('width="500"');
+    expect(result.svg).toContain('Total Cost');
+    expect(result.svg).not.toContain('Weekly Usage Chart');
   });
 });
 
@@ -170,8 +173,11 @@ describe('generateSVG', () => {
   it('should have larger height for detailed layout', () => {
     const config = { ...defaultConfig, layout: 'detailed' };
     const svg = generateSVG(sampleData, config);
+    const heightOf = (markup) => Number(markup.match(/height="(\d+)"/)[1]);
 
     expect(svg).toMatch(/height="\d{3}"/); // detailed layout has larger height
+    expect(heightOf(svg)).toBeGreaterThanOrEqual(heightOf(generateSVG(sampleData, defaultConfig)));
+    expect(svg).toContain('Daily Average');
   });
 
   it('should include title', () => {
@@ -179,6 +185,65 @@ describe('generateSVG', () => {
     expect(svg).toContain('VibeDashboard');
   });
 
+  it('should not leave a gap for hidden stats', () => {
+    const showItems = { ...defaultConfig.showItems, totalTokens: false };
+    const svg = generateSVG(sampleData, { ...defaultConfig, showItems });
+
+    expect(svg).not.toContain('Total Tokens');
+    expect(svg).toMatch(/<g transform="translate\(25, 60\)">\s*<text class="stat-label">Total Cost<\/text>/);
+  });
+
+  it('should render configured widgets in order', () => {
+    const config = { ...defaultConfig, widgets: ['totalCost', 'title', { type: 'chart', height: 60, days: 2 }] };
+    const svg = generateSVG(sampleData, config);
+
+    expect(svg.indexOf('Total Cost')).toBeLessThan(svg.indexOf('class="title"'));
+    expect(svg).toContain('height="60" rx="4"');
+    expect(svg.match(/rx="3" fill="#58a6ff"/g)).toHaveLength(2);
+    expect(svg).not.toContain('Model Breakdown');
+    expect(svg).not.toContain('Powered by');
+  });
+
+  it('should render the compact layout with a sparkline', () => {
+    const svg = generateSVG(sampleData, { ...defaultConfig, layout: 'compact' });
+
+    expect(svg).toContain('width="400"');
+    expect(svg).toContain('class="sparkline"');
+    expect(svg).toMatch(/<polyline points="0,[\d.]+ 175,[\d.]+ 350,[\d.]+"/);
+    expect(svg).not.toContain('Model Breakdown');
+  });
+
+  it('should put one tile per row in the vertical layout', () => {
+    const svg = generateSVG(sampleData, { ...defaultConfig, layout: 'vertical' });
+
+    expect(svg).toContain('width="400"');
+    expect(svg).toContain('<g transform="translate(25, 60)">');
+    expect(svg).toContain('<g transform="translate(25, 120)">');
+    expect(svg).toContain('Model Breakdown');
+  });
+
+  it('should put breakdowns side by side in the wide layout', () => {
+    const data = processData({
+      ...sampleRawData,
+      bySource: {
+        laptop: { cost: 500, inputTokens: 1000, outputTokens: 100 },
+        desktop: { cost: 347.23, inputTokens: 800, outputTokens: 80 }
+      }
+    });
+    const svg = generateSVG(data, { ...defaultConfig, layout: 'wide' });
+
+    expect(svg).toContain('width="1200"');
+    expect(svg).toMatch(/<!-- Model Breakdown -->\s*<g transform="translate\(25, 220\)">/);
+    expect(svg).toMatch(/<!-- Source Breakdown -->\s*<g transform="translate\(600, 220\)">/);
+  });
+
+  it('should use the configured width', () => {
+    const svg = generateSVG(sampleData, { ...defaultConfig, width: 600 });
+
+    expect(svg).toContain('width="600" height=');
+    expect(svg).toContain('<rect x="0" y="0" width="550" height="100"');
+  });
+
   it('should use dark theme colors by default', () => {
     const svg = generateSVG(sampleData, defaultConfig);
     expect(svg).toContain('#0d1117'); // dark background
@@ -191,6 +256,32 @@ describe('generateSVG', () => {
     expect(svg).toContain('#ffffff'); // light background
   });
 
+  it('should use extended built-in themes', () => {
+    const svg = generateSVG(sampleData, { ...defaultConfig, theme: 'dracula' });
+    expect(svg).toContain('fill="#282a36"');
+  });
+
+  it('should switch colors with the color scheme for the auto theme', () => {
+    const svg = generateSVG(sampleData, { ...defaultConfig, theme: 'auto', darkTheme: 'dracula' });
+
+    expect(svg).toContain('@media (prefers-color-scheme: dark)');
+    expect(svg).toContain('--vd-background: #282a36;');
+    expect(svg).toContain('style="fill: var(--vd-background); stroke: var(--vd-border)"');
+    expect(svg).not.toMatch(/(fill|stroke)="var\(/);
+  });
+
+  it('should apply custom theme colors, font and border', () => {
+    const config = {
+      ...defaultConfig,
+      theme: 'mine',
+      customThemes: { mine: { background: '#101010', fontFamily: "'Fira Code', monospace", borderRadius: 12, hideBorder: true } }
+    };
+    const svg = generateSVG(sampleData, config);
+
+    expect(svg).toContain('rx="12" fill="#101010"/>');
+    expect(svg).toContain("font: 600 20px 'Fira Code', monospace;");
+  });
+
   it('should include stats', () => {
     const svg = generateSVG(sampleData, defaultConfig);
 
@@ -205,3 +296,542 @@ describe('generateSVG', () => {
     expect(svg).toContain('UTC');
   });
 });
+
+describe('narrow layouts', () => {
+  const FONTS = {
+    title: [20, true],
+    'stat-label': [13, false],
+    'stat-value': [18, true],
+    'stat-value-small': [14, true],
+    'section-title': [14, true],
+    'model-label': [12, false],
+    footer: [11, false]
+  };
+
+  /**
+   * Find the right edge of every text element, following group translations
+   */
+  const textEdges = (svg) => {
+    const offsets = [0];
+    const edges = [];
+    for (const [tag, groupAttributes, textAttributes, content] of svg.matchAll(/<g\b([^>]*)>|<\/g>|<text\b([^>]*)>([\s\S]*?)<\/text>/g)) {
+      if (tag.startsWith('</g')) {
+        offsets.pop();
+      } else if (tag.startsWith('<g')) {
+        offsets.push(offsets.at(-1) + Number(groupAttributes.match(/translate\(([\d.-]+)/)?.[1] || 0));
+      } else {
+        const attributes = textAttributes;
+        const [size, bold] = FONTS[attributes.match(/class="([^"]+)"/)?.[1]] || [12, false];
+        const text = content.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+        const x = offsets.at(-1) + Number(attributes.match(/\bx="([\d.-]+)"/)?.[1] || 0);
+        edges.push({ text, right: x + estimateTextWidth(text, size, { bold }) });
+      }
+    }
+    return edges;
+  };
+
+  const longData = processData({
+    ...sampleRawData,
+    byProject: {
+      'a-very-long-monorepo-project-name/packages/frontend-dashboard': { cost: 600, tokens: 6000000 },
+      'another-rather-long-project-name': { cost: 247.23, tokens: 2000000 }
+    }
+  }, 'calendar-month', { ...defaultConfig, asOf: '2025-01-14', timezone: 'Asia/Seoul' });
+
+  for (const layout of ['compact', 'vertical']) {
+    for (const language of ['en', 'ko', 'ja']) {
+      it(`should keep every ${layout} text inside the card in ${language}`, () => {
+        const config = {
+          ...defaultConfig,
+          layout,
+          language,
+          period: 'calendar-month',
+          timezone: 'Asia/Seoul',
+          asOf: '2025-01-14',
+          showItems: { ...defaultConfig.showItems, streaks: true, activity: true, projectBreakdown: true }
+        };
+        const svg = generateSVG({ ...longData, pricing: { repriced: true, version: '2025-11-24' } }, config);
+        const width = Number(svg.match(/width="(\d+)"/)[1]);
+
+        for (const { text, right } of textEdges(svg)) {
+          expect(right, text).toBeLessThanOrEqual(width - CARD_PADDING);
+        }
+      });
+    }
+  }
+
+  it('should not nest parentheses in calendar month titles', () => {
+    for (const language of ['ko', 'ja']) {
+      const svg = generateSVG(sampleData, { ...defaultConfig, language, period: 'calendar-month' });
+      expect(svg).not.toMatch(/\([^)<]*\(/);
+    }
+  });
+});
+
+describe('source breakdown', () => {
+  const mergedData = processData(mergeUsageData([
+    { ...sampleRawData, source: 'desktop' },
+    { ...sampleRawData, totalCost: 100, source: 'laptop' }
+  ]));
+
+  it('should render a Sources section in markdown', () => {
+    const md = generateMarkdown(mergedData, defaultConfig);
+
+    expect(md).toContain('📦 Sources');
+    expect(md).toContain('| desktop |');
+    expect(md).toContain('| laptop |');
+  });
+
+  it('should render a Sources section in SVG', () => {
+    const svg = generateSVG(mergedData, defaultConfig);
+
+    expect(svg).toContain('Source Breakdown');
+    expect(svg).toContain('desktop');
+  });
+
+  it('should omit the Sources section for a single source', () => {
+    expect(generateMarkdown(sampleData, defaultConfig)).not.toContain('📦 Sources');
+    expect(generateSVG(sampleData, defaultConfig)).not.toContain('Source Breakdown');
+  });
+
+  it('should respect showItems.sourceBreakdown', () => {
+    const config = { ...defaultConfig, showItems: { ...defaultConfig.showItems, sourceBreakdown: false } };
+    expect(generateMarkdown(mergedData, config)).not.toContain('📦 Sources');
+  });
+});
+
+describe('tool breakdown', () => {
+  const toolData = processData(mergeUsageData([
+    { ...sampleRawData, source: 'desktop', tool: 'claude-code' },
+    { ...sampleRawData, totalCost: 100, source: 'laptop', tool: 'opencode' }
+  ]));
+
+  it('should show the per-tool split in markdown', () => {
+    const md = generateMarkdown(toolData, defaultConfig);
+
+    expect(md).toContain('🧰 Tools');
+    expect(md).toContain('claude-code');
+    expect(md).toContain('opencode');
+  });
+
+  it('should render a Tools section in SVG', () => {
+    const svg = generateSVG(toolData, defaultConfig);
+
+    expect(svg).toContain('Tool Breakdown');
+    expect(svg).toContain('opencode');
+  });
+
+  it('should omit the split for a single tool', () => {
+    expect(generateMarkdown(sampleData, defaultConfig)).not.toContain('🧰 Tools');
+    expect(generateSVG(sampleData, defaultConfig)).not.toContain('Tool Breakdown');
+  });
+});
+
+describe('billing blocks', () => {
+  const blockData = {
+    ...sampleData,
+    blocks: {
+      count: 12,
+      activeCount: 1,
+      active: { start: '2025-01-15T09:00:00.000Z', tokens: 300000, cost: 2.1 },
+      peak: { start: '2025-01-14T10:00:00.000Z', tokens: 1200000, cost: 8.4 },
+      averageCost: 3,
+      averageTokens: 400000
+    }
+  };
+
+  it('should show block stats in markdown', () => {
+    const md = generateMarkdown(blockData, defaultConfig);
+
+    expect(md).toContain('⏱️ Billing Blocks');
+    expect(md).toContain('12 blocks · Peak 1.2M / $8.40 · Active 300K / $2.10');
+  });
+
+  it('should render block stats in SVG', () => {
+    expect(generateSVG(blockData, defaultConfig)).toContain('Billing Blocks');
+  });
+
+  it('should omit block stats without blocks', () => {
+    expect(generateMarkdown(sampleData, defaultConfig)).not.toContain('Billing Blocks');
+    expect(generateSVG(sampleData, defaultConfig)).not.toContain('Billing Blocks');
+  });
+});
+
+describe('project breakdown', () => {
+  const projectData = {
+    ...sampleData,
+    projects: [
+      { name: 'api', cost: 6, tokens: 6000, percentage: 60 },
+      { name: 'web', cost: 3, tokens: 3000, percentage: 30 },
+      { name: 'cli', cost: 1, tokens: 1000, percentage: 10 }
+    ]
+  };
+
+  it('should render a top-N projects table in markdown', () => {
+    const md = generateMarkdown(projectData, { ...defaultConfig, projectLimit: 2 });
+
+    expect(md).toContain('📁 Projects');
+    expect(md).toContain('| api |');
+    expect(md).toContain('| web |');
+    expect(md).not.toContain('| cli |');
+  });
+
+  it('should render a Projects section in SVG', () => {
+    const svg = generateSVG(projectData, defaultConfig);
+
+    expect(svg).toContain('Project Breakdown');
+    expect(svg).toContain('cli');
+  });
+
+  it('should respect showItems.projectBreakdown', () => {
+    const config = { ...defaultConfig, showItems: { ...defaultConfig.showItems, projectBreakdown: false } };
+
+    expect(generateMarkdown(projectData, config)).not.toContain('📁 Projects');
+    expect(generateSVG(projectData, config)).not.toContain('Project Breakdown');
+  });
+});
+
+describe('period titles', () => {
+  it('should show a date range in markdown and SVG titles', () => {
+    const config = { ...defaultConfig, period: { from: '2025-01-01', to: '2025-03-31' } };
+
+    expect(generateMarkdown(sampleData, config)).toContain('## 🎸 Vibe Coding Stats (2025-01-01 – 2025-03-31)');
+    expect(generateSVG(sampleData, config)).toContain('VibeDashboard (2025-01-01 – 2025-03-31)');
+  });
+
+  it('should translate calendar period labels', () => {
+    expect(generateMarkdown(sampleData, { ...defaultConfig, period: 'last-month' })).toContain('(Last Month)');
+    expect(generateMarkdown(sampleData, { ...defaultConfig, period: 'last-90-days', language: 'ko' })).toContain('(최근 90일)');
+    expect(generateSVG(sampleData, { ...defaultConfig, period: 'ytd', language: 'ja' })).toContain('(年初来)');
+  });
+});
+
+describe('timezone', () => {
+  it('should show the update time in the configured timezone', () => {
+    const config = { ...defaultConfig, timezone: 'Asia/Seoul' };
+
+    expect(generateMarkdown(sampleData, config)).toMatch(/\d{4}-\d{2}-\d{2} \d{2}:\d{2} Asia\/Seoul/);
+    expect(generateSVG(sampleData, config)).toContain('Asia/Seoul');
+  });
+
+  it('should count today on the card by the configured timezone', () => {
+    const today = getDateKey(new Date(), 'Pacific/Kiritimati');
+    const data = {
+      ...sampleData,
+      dailyUsage: [{ date: today, cost: 1.23, tokens: 4567 }]
+    };
+
+    // Still tomorrow at UTC-12, so today's tile stays empty there
+    expect(generateSVG(data, { ...defaultConfig, timezone: 'Pacific/Kiritimati' })).toContain('4.6K / $1.23');
+    expect(generateSVG(data, { ...defaultConfig, timezone: 'Etc/GMT+12' })).not.toContain('4.6K / $1.23');
+  });
+});
+
+describe('asOf', () => {
+  const config = { ...defaultConfig, asOf: '2025-01-14' };
+
+  it('should render the same output on every run', () => {
+    expect(generate(sampleData, config)).toEqual(generate(sampleData, config));
+  });
+
+  it('should use the reference date for the footer and tiles', () => {
+    const svg = generateSVG(sampleData, config);
+
+    expect(generateMarkdown(sampleData, config)).toContain('Updated: 2025-01-14 00:00 UTC');
+    expect(svg).toContain('2025-01-14 00:00 UTC');
+    // Today's tile shows 2025-01-14 only
+    expect(svg).toContain('2.5M / $45.23');
+  });
+
+  it('should use the reference date for period labels', () => {
+    expect(generateMarkdown(sampleData, { ...config, period: 'quarter' })).toContain('(Q1 2025)');
+  });
+});
+
+describe('period comparison', () => {
+  const rawData = {
+    byDay: {
+      '2025-01-03': { cost: 4, tokens: 400, inputTokens: 400, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, models: { 'claude-sonnet-4': { cost: 4, inputTokens: 400, outputTokens: 0 } } },
+      '2025-01-14': { cost: 2, tokens: 200, inputTokens: 200, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, models: { 'claude-opus-4': { cost: 2, inputTokens: 200, outputTokens: 0 } } }
+    }
+  };
+  const config = {
+    ...defaultConfig,
+    period: 'week',
+    asOf: '2025-01-14',
+    showItems: { ...defaultConfig.showItems, comparison: true }
+  };
+  const data = processData(rawData, 'week', config);
+
+  it('should show changes in the markdown stats table', () => {
+    const md = generateMarkdown(data, config);
+
+    expect(md).toContain('| 💰 Total Cost | $2.00 (▼ 50.0%) |');
+    expect(md).toContain('| ↩️ Previous Period | 400 / $4.00 (2025-01-01 – 2025-01-07) |');
+    expect(md).toContain('(100%, ▲ 100pp)');
+  });
+
+  it('should add a change column to the detailed model table', () => {
+    const md = generateMarkdown(data, { ...config, layout: 'detailed' });
+    expect(md).toContain('| Model | Usage | Cost | Change |');
+  });
+
+  it('should color SVG changes with the theme', () => {
+    const svg = generateSVG(data, config);
+
+    expect(svg).toContain('.delta-down { font: 400 11px \'Segoe UI\', Ubuntu, Sans-Serif; fill: #f85149; }');
+    expect(svg).toContain('<text y="38" class="delta-down">▼ 50.0%</text>');
+    expect(svg).toContain('<tspan class="delta-up">▲ 100pp</tspan>');
+  });
+
+  it('should stay hidden unless enabled', () => {
+    const hidden = { ...config, showItems: defaultConfig.showItems };
+
+    expect(generateMarkdown(data, hidden)).not.toContain('Previous Period');
+    expect(generateSVG(data, hidden)).not.toContain('class="delta-down"');
+  });
+});
+
+describe('budget', () => {
+  const rawData = {
+    byDay: {
+      '2025-01-10': { cost: 90, tokens: 9000 }
+    }
+  };
+  const config = { ...defaultConfig, budget: { monthly: 100 }, asOf: '2025-01-15' };
+  const data = processData(rawData, 'all', config);
+
+  it('should render a budget row with a progress bar in markdown', () => {
+    const md = generateMarkdown(data, config);
+    expect(md).toContain('| 💳 Monthly Budget | █████████░ 90% · $90.00 / $100.00 · Run rate $186.00 ⚠️ |');
+  });
+
+  it('should project the budget with the forecast when one is configured', () => {
+    const daily = { byDay: Object.fromEntries(Array.from({ length: 14 }, (_, i) => [`2025-01-${String(i + 1).padStart(2, '0')}`, { cost: 5, tokens: 500 }])) };
+    const forecastConfig = { ...config, forecast: true, asOf: '2025-01-14' };
+    const md = generateMarkdown(processData(daily, 'all', forecastConfig), forecastConfig);
+
+    expect(md).toContain('$70.00 / $100.00 · Projected ~$155.00 |');
+    expect(md).toContain('Month end ~$155.00');
+    expect(md).not.toContain('Run rate');
+  });
+
+  it('should render a budget section in SVG colored by status', () => {
+    const svg = generateSVG(data, config);
+
+    expect(svg).toContain('<!-- Budget -->');
+    expect(svg).toContain('class="budget-warning"');
+    expect(svg).toContain('fill="#d29922"');
+  });
+
+  it('should not render without a budget', () => {
+    const plain = processData(rawData, 'all', defaultConfig);
+
+    expect(generateMarkdown(plain, defaultConfig)).not.toContain('Budget');
+    expect(generateSVG(plain, defaultConfig)).not.toContain('<!-- Budget -->');
+  });
+});
+
+describe('forecast', () => {
+  const rawData = {
+    byDay: Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`2025-01-${String(i + 1).padStart(2, '0')}`, { cost: 1, tokens: 1000 }]))
+  };
+  const config = { ...defaultConfig, forecast: true, asOf: '2025-01-10' };
+
+  it('should add a labeled estimate row to markdown', () => {
+    const md = generateMarkdown(processData(rawData, 'all', config), config);
+    expect(md).toContain('| 🔮 Projected (estimate) | Month end ~$31.00 / ~31K · Year end ~$365.00 / ~365K |');
+  });
+
+  it('should add a Projected tile to the SVG', () => {
+    const svg = generateSVG(processData(rawData, 'all', config), config);
+
+    expect(svg).toContain('🔮 Projected (estimate)');
+    expect(svg).toContain('~$31.00');
+    expect(svg).toContain('Year end ~$365.00');
+  });
+
+  it('should explain when there is not enough history', () => {
+    const short = { byDay: { '2025-01-09': { cost: 1, tokens: 1000 }, '2025-01-10': { cost: 1, tokens: 1000 } } };
+    const data = processData(short, 'all', config);
+
+    expect(generateMarkdown(data, config)).toContain('| 🔮 Projected (estimate) | Needs 7+ days of data |');
+    expect(generateSVG(data, config)).toContain('Needs 7+ days of data');
+  });
+});
+
+describe('streaks and activity', () => {
+  const rawData = {
+    byDay: {
+      '2025-01-08': { cost: 9, tokens: 9000 },
+      '2025-01-09': { cost: 1, tokens: 1000 },
+      '2025-01-10': { cost: 2, tokens: 2000 }
+    }
+  };
+  const config = {
+    ...defaultConfig,
+    asOf: '2025-01-10',
+    period: 'week',
+    showItems: { ...defaultConfig.showItems, streaks: true, activity: true }
+  };
+  const data = processData(rawData, 'week', config);
+
+  it('should add streak and activity rows to markdown', () => {
+    const md = generateMarkdown(data, config);
+
+    expect(md).toContain('| 🔥 Streak | 3 days (longest 3) |');
+    expect(md).toContain('| 🗓️ Active Days | 3 / 3 days (100%) |');
+    expect(md).toContain('| 🏆 Busiest Day | 2025-01-08 · 9K / $9.00 |');
+    expect(md).toContain('| ⚖️ Per Day | 4K / $4.00 per active day · 4K / $4.00 per calendar day |');
+  });
+
+  it('should add an activity section to the SVG', () => {
+    const svg = generateSVG(data, config);
+
+    expect(svg).toContain('<!-- Activity -->');
+    expect(svg).toContain('3 days (longest 3)');
+  });
+
+  it('should stay hidden by default', () => {
+    expect(generateMarkdown(data, { ...config, showItems: defaultConfig.showItems })).not.toContain('Streak');
+    expect(generateSVG(data, { ...config, showItems: defaultConfig.showItems })).not.toContain('<!-- Activity -->');
+  });
+});
+
+describe('heatmap', () => {
+  const rawData = {
+    byDay: {
+      '2024-06-01': { cost: 1, tokens: 1000 },
+      '2025-01-09': { cost: 2, tokens: 2000 },
+      '2025-01-10': { cost: 9, tokens: 9000 }
+    }
+  };
+  const config = {
+    ...defaultConfig,
+    asOf: '2025-01-10',
+    showItems: { ...defaultConfig.showItems, heatmap: true }
+  };
+  const data = processData(rawData, 'all', config);
+
+  it('should add a heatmap section with month labels and a legend to the SVG', () => {
+    const svg = generateSVG(data, config);
+
+    expect(svg).toContain('<!-- Contribution Heatmap -->');
+    expect(svg).toContain('class="heatmap heatmap-tokens"');
+    expect(svg).toContain('3 active days in the last year');
+    expect(svg).toContain('>Jun</text>');
+    expect(svg).toContain('>Less</text>');
+    expect(svg).toContain('>More</text>');
+    expect(svg).toContain('<!-- Weekly Usage Chart -->');
+  });
+
+  it('should color cells from the theme', () => {
+    const svg = generateSVG(data, { ...config, theme: 'light' });
+
+    expect(svg).toContain('fill="#eaeef2"');
+    expect(svg).toContain('fill="#0969da" fill-opacity="1"');
+  });
+
+  it('should add a text heatmap to markdown', () => {
+    const md = generateMarkdown(data, config);
+
+    expect(md).toContain('<summary>🟩 Activity Heatmap (3 active days in the last year)</summary>');
+    expect(md).toMatch(/^Fri .*█$/m);
+    expect(md).toContain('Less ·░▒▓█ More');
+  });
+
+  it('should replace the period chart in the heatmap layout', () => {
+    const layoutConfig = { ...config, layout: 'heatmap', showItems: defaultConfig.showItems };
+    const svg = generateSVG(data, layoutConfig);
+    const md = generateMarkdown(data, layoutConfig);
+
+    expect(svg).toContain('<!-- Contribution Heatmap -->');
+    expect(svg).not.toContain('<!-- Weekly Usage Chart -->');
+    expect(md).toContain('Activity Heatmap');
+    expect(md).not.toContain('Last 14 Days');
+  });
+
+  it('should stay hidden by default', () => {
+    const hidden = { ...config, showItems: defaultConfig.showItems };
+
+    expect(generateSVG(data, hidden)).not.toContain('Contribution Heatmap');
+    expect(generateMarkdown(data, hidden)).not.toContain('Activity Heatmap');
+  });
+});
+
+describe('cache', () => {
+  const rawData = {
+    ...sampleRawData,
+    byModel: {
+      'claude-sonnet-4-20250514': { cost: 520.15, inputTokens: 30000000, outputTokens: 8000000, cacheCreationTokens: 3000000, cacheReadTokens: 40000000 },
+      'claude-opus-4-20250514': { cost: 327.08, inputTokens: 15000000, outputTokens: 4000000, cacheCreationTokens: 2000000, cacheReadTokens: 23000000 }
+    }
+  };
+  const config = { ...defaultConfig, showItems: { ...defaultConfig.showItems, cache: true } };
+  const data = processData(rawData, 'all', config);
+
+  it('should add a cache row and per-model table to markdown', () => {
+    const md = generateMarkdown(data, config);
+
+    expect(md).toContain('| ♻️ Cache | 55.8% hit ratio · 63M cached / 50M fresh input · ~$418.50 saved |');
+    expect(md).toContain('<summary>♻️ Cache by Model</summary>');
+    expect(md).toContain('| sonnet-4 | 54.8% | 40M | 3M | 33M | ~$108.00 |');
+  });
+
+  it('should add a cache section to the SVG', () => {
+    const svg = generateSVG(data, config);
+
+    expect(svg).toContain('<!-- Cache -->');
+    expect(svg).toContain('55.8% hit ratio');
+    expect(svg).toContain('opus-4 57.5% hit ratio · ~$310.50 saved');
+  });
+
+  it('should stay hidden by default', () => {
+    const hidden = { ...config, showItems: defaultConfig.showItems };
+
+    expect(generateMarkdown(data, hidden)).not.toContain('Cache');
+    expect(generateSVG(data, hidden)).not.toContain('<!-- Cache -->');
+  });
+});
+
+describe('repricing', () => {
+  it('should note repriced costs in the footer', () => {
+    const config = { ...defaultConfig, reprice: true };
+    const data = processData(sampleRawData, 'all', config);
+
+    expect(generateMarkdown(data, config)).toContain(`Costs at API list prices (${data.pricing.version})`);
+    expect(generateSVG(data, config)).toContain('Costs at API list prices');
+    expect(generateMarkdown(processData(sampleRawData, 'all', defaultConfig), defaultConfig)).not.toContain('list prices');
+  });
+});
+
+describe('currency', () => {
+  it('should convert and format costs in the configured currency', () => {
+    const config = { ...defaultConfig, currency: 'KRW', exchangeRate: 1000, language: 'ko' };
+    const data = processData(sampleRawData, 'all', config);
+    const md = generateMarkdown(data, config);
+
+    expect(md).toContain('₩847,230');
+    expect(generateSVG(data, config)).toContain('₩847,230');
+  });
+
+  it('should keep plain currencySymbol formatting without a currency', () => {
+    const config = { ...defaultConfig, currencySymbol: '€' };
+    const md = generateMarkdown(processData(sampleRawData, 'all', config), config);
+
+    expect(md).toContain('€847.23');
+  });
+});
+
+describe('generateThemePreview', () => {
+  it('should render a tile for every theme', () => {
+    const svg = generateThemePreview({ mine: { extends: 'light', accent: '#ff00ff' } });
+
+    expect(svg).toMatch(/^<svg/);
+    expect(svg.match(/<!-- Theme: /g)).toHaveLength(13);
+    expect(svg).toContain('>tokyonight</text>');
+    expect(svg).toContain('>mine</text>');
+    expect(svg).toContain('fill="#ff00ff"');
+    expect(svg).toContain('height="740"');
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateHeatmapMetric,
+  getQuantileThresholds,
+  getHeatmapLevel,
+  buildHeatmap,
+  HEATMAP_DAYS
+} from '../src/heatmap.js';
+import { processData } from '../src/parser.js';
+
+const data = {
+  byDay: {
+    '2024-01-05': { tokens: 5000, cost: 50 },
+    '2025-01-01': { tokens: 100, cost: 4 },
+    '2025-01-02': { tokens: 200, cost: 3 },
+    '2025-01-03': { tokens: 300, cost: 2 },
+    '2025-01-04': { tokens: 400, cost: 1 },
+    '2025-01-06': { tokens: 0, cost: 0 }
+  }
+};
+
+describe('validateHeatmapMetric', () => {
+  it('should accept tokens, cost and no setting', () => {
+    expect(validateHeatmapMetric('tokens')).toEqual([]);
+    expect(validateHeatmapMetric('cost')).toEqual([]);
+    expect(validateHeatmapMetric(undefined)).toEqual([]);
+  });
+
+  it('should reject other metrics', () => {
+    expect(validateHeatmapMetric('requests')).toEqual(['heatmapMetric must be one of tokens, cost']);
+  });
+});
+
+describe('getQuantileThresholds', () => {
+  it('should split non-zero values into quartiles', () => {
+    expect(getQuantileThresholds([0, 1, 2, 3, 4, 5, 6, 7, 8])).toEqual([2, 4, 6]);
+  });
+
+  it('should return no thresholds without usage', () => {
+    expect(getQuantileThresholds([0, 0])).toEqual([]);
+  });
+});
+
+describe('getHeatmapLevel', () => {
+  const thresholds = [2, 4, 6];
+
+  it('should map values to levels', () => {
+    expect(getHeatmapLevel(0, thresholds)).toBe(0);
+    expect(getHeatmapLevel(1, thresholds)).toBe(1);
+    expect(getHeatmapLevel(2, thresholds)).toBe(1);
+    expect(getHeatmapLevel(3, thresholds)).toBe(2);
+    expect(getHeatmapLevel(6, thresholds)).toBe(3);
+    expect(getHeatmapLevel(100, thresholds)).toBe(4);
+  });
+});
+
+describe('buildHeatmap', () => {
+  const heatmap = buildHeatmap(data, { asOf: '2025-01-06' });
+  const cells = heatmap.weeks.flat().filter(Boolean);
+
+  it('should cover the last 365 days up to the reference date', () => {
+    expect(cells).toHaveLength(HEATMAP_DAYS);
+    expect(heatmap.from).toBe('2024-01-08');
+    expect(heatmap.to).toBe('2025-01-06');
+    expect(cells.find((cell) => cell.date === '2024-01-05')).toBeUndefined();
+  });
+
+  it('should lay out weeks from Sunday with weekdays as rows', () => {
+    // 2024-01-08 and 2025-01-06 were both Mondays
+    expect(heatmap.weeks[0][0]).toBeNull();
+    expect(heatmap.weeks[0][1].date).toBe('2024-01-08');
+    const lastWeek = heatmap.weeks[heatmap.weeks.length - 1];
+    expect(lastWeek[1].date).toBe('2025-01-06');
+    expect(lastWeek.slice(2)).toEqual([null, null, null, null, null]);
+  });
+
+  it('should color days by token quantiles', () => {
+    const level = (date) => cells.find((cell) => cell.date === date).level;
+    expect(heatmap.metric).toBe('tokens');
+    expect(heatmap.thresholds).toEqual([100, 200, 300]);
+    expect(level('2025-01-01')).toBe(1);
+    expect(level('2025-01-04')).toBe(4);
+    expect(level('2025-01-06')).toBe(0);
+    expect(heatmap.activeDays).toBe(4);
+    expect(heatmap.max).toBe(400);
+  });
+
+  it('should color days by cost', () => {
+    const byCost = buildHeatmap(data, { asOf: '2025-01-06', heatmapMetric: 'cost' });
+    const level = (date) => byCost.weeks.flat().find((cell) => cell?.date === date).level;
+    expect(byCost.metric).toBe('cost');
+    expect(level('2025-01-01')).toBe(4);
+    expect(level('2025-01-04')).toBe(1);
+  });
+
+  it('should label the week each month starts in', () => {
+    expect(heatmap.months[0]).toEqual({ week: 0, month: '2024-01' });
+    expect(heatmap.months.map((entry) => entry.month)).toContain('2024-02');
+    expect(heatmap.months[heatmap.months.length - 1].month).toBe('2025-01');
+  });
+
+  it('should use the timezone to pick today', () => {
+    const zoned = buildHeatmap(data, { asOf: '2025-01-06T20:00:00Z', timezone: 'Asia/Seoul' });
+    expect(zoned.to).toBe('2025-01-07');
+  });
+
+  it('should return null for an invalid asOf', () => {
+    expect(buildHeatmap(data, { asOf: 'soon' })).toBeNull();
+  });
+
+  it('should be included by processData regardless of period', () => {
+    const result = processData(data, 'week', { asOf: '2025-01-06' });
+    expect(result.heatmap.activeDays).toBe(4);
+  });
+});
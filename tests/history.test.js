@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createHistory,
+  loadHistory,
+  saveHistory,
+  recordUsage,
+  historyToData,
+  summarizeHistory,
+  compactHistory,
+  pruneHistory
+} from '../src/history.js';
+import { mergeUsageData, processData, hasDayDetail } from '../src/parser.js';
+
+const day = (tokens, cost) => ({
+  cost,
+  tokens,
+  inputTokens: tokens,
+  outputTokens: 0,
+  cacheCreationTokens: 0,
+  cacheReadTokens: 0,
+  models: { 'claude-sonnet-4-20250514': { cost, inputTokens: tokens, outputTokens: 0 } }
+});
+
+const usage = (source, byDay, extra = {}) => ({ totalCost: 0, byModel: {}, byDay, source, ...extra });
+
+describe('recordUsage', () => {
+  it('should key days by date and source', () => {
+    const history = createHistory();
+    const changes = recordUsage(history, [
+      usage('desktop', { '2025-01-14': day(100, 1) }, { tool: 'claude-code' }),
+      usage('laptop', { '2025-01-14': day(50, 0.5) })
+    ], { now: new Date('2025-01-15T00:00:00Z') });
+
+    expect(changes).toEqual({ added: 2, updated: 0 });
+    expect(Object.keys(history.days['2025-01-14'])).toEqual(['desktop', 'laptop']);
+    expect(history.sources.desktop).toEqual({ lastRecordedAt: '2025-01-15T00:00:00.000Z', tool: 'claude-code' });
+    expect(history.updatedAt).toBe('2025-01-15T00:00:00.000Z');
+  });
+
+  it('should keep days that later exports no longer contain', () => {
+    const history = createHistory();
+    recordUsage(history, [usage('desktop', { '2025-01-13': day(80, 0.8), '2025-01-14': day(100, 1) })]);
+    recordUsage(history, [usage('desktop', { '2025-01-14': day(120, 1.2), '2025-01-15': day(10, 0.1) })]);
+
+    expect(Object.keys(history.days).sort()).toEqual(['2025-01-13', '2025-01-14', '2025-01-15']);
+    expect(history.days['2025-01-14'].desktop.tokens).toBe(120);
+  });
+
+  it('should keep the larger value for a day', () => {
+    const history = createHistory();
+    recordUsage(history, [usage('desktop', { '2025-01-14': day(100, 1) })]);
+    const changes = recordUsage(history, [usage('desktop', { '2025-01-14': day(60, 0.6) })]);
+
+    expect(changes).toEqual({ added: 0, updated: 0 });
+    expect(history.days['2025-01-14'].desktop.tokens).toBe(100);
+  });
+
+  it('should not store per-day source attribution', () => {
+    const history = createHistory();
+    recordUsage(history, [usage('merged', { '2025-01-14': { ...day(100, 1), sources: { a: { cost: 1, tokens: 100 } } } })]);
+
+    expect(history.days['2025-01-14'].merged.sources).toBeUndefined();
+  });
+});
+
+describe('historyToData', () => {
+  it('should rebuild one data object per source with exact totals', () => {
+    const history = createHistory();
+    recordUsage(history, [
+      usage('desktop', { '2025-01-13': day(80, 0.8), '2025-01-14': day(100, 1) }, { tool: 'claude-code' }),
+      usage('laptop', { '2025-01-14': { cost: 0.5, tokens: 50 } })
+    ]);
+
+    const [desktop, laptop] = historyToData(history);
+    expect(desktop.source).toBe('desktop');
+    expect(desktop.tool).toBe('claude-code');
+    expect(desktop.totalCost).toBeCloseTo(1.8);
+    expect(desktop.totalInputTokens).toBe(180);
+    expect(desktop.byModel['claude-sonnet-4-20250514'].cost).toBeCloseTo(1.8);
+    expect(laptop.totalInputTokens).toBe(0);
+    expect(laptop.totalUnsplitTokens).toBe(50);
+
+    const merged = mergeUsageData(historyToData(history));
+    expect(merged.bySource.laptop).toEqual({ cost: 0.5, tokens: 50 });
+  });
+
+  it('should estimate the split of legacy days from their source', () => {
+    const history = createHistory();
+    recordUsage(history, [
+      usage('desktop', { '2025-01-14': { cost: 2, tokens: 100 } }, {
+        totalCost: 4,
+        totalInputTokens: 150,
+        totalOutputTokens: 50,
+        byModel: {
+          'claude-sonnet-4-20250514': { cost: 3, inputTokens: 100, outputTokens: 50 },
+          'claude-opus-4-20250514': { cost: 1, inputTokens: 50, outputTokens: 0 }
+        }
+      })
+    ]);
+
+    expect(history.days['2025-01-14'].desktop).toMatchObject({ inputTokens: 75, outputTokens: 25, estimated: true });
+
+    const [desktop] = historyToData(history);
+    expect(desktop.totalInputTokens).toBe(75);
+    expect(desktop.totalOutputTokens).toBe(25);
+    expect(desktop.totalUnsplitTokens).toBeUndefined();
+    expect(desktop.byModel['claude-sonnet-4-20250514']).toMatchObject({ cost: 1.5, inputTokens: 50, outputTokens: 25 });
+    expect(desktop.byModel['claude-opus-4-20250514']).toMatchObject({ cost: 0.5, inputTokens: 25, outputTokens: 0 });
+  });
+
+  it('should not report a round-tripped legacy day as exact', () => {
+    const history = createHistory();
+    const legacy = usage('desktop', { '2025-01-13': { cost: 1, tokens: 100 }, '2025-01-14': { cost: 3, tokens: 100 } }, {
+      totalCost: 4,
+      totalInputTokens: 200,
+      byModel: { 'claude-opus-4-20250514': { cost: 4, inputTokens: 200 } }
+    });
+    recordUsage(history, [legacy]);
+
+    const merged = mergeUsageData(historyToData(history));
+    expect(hasDayDetail(history.days['2025-01-14'].desktop)).toBe(false);
+    expect(hasDayDetail(merged.byDay['2025-01-14'])).toBe(false);
+    expect(merged.byModel['claude-opus-4-20250514'].cost).toBe(4);
+
+    // Period figures fall back to the cost-proportional estimate, as for the export itself
+    const day = processData(merged, 'day', { asOf: '2025-01-14' });
+    expect(day.summary).toMatchObject(processData(legacy, 'day', { asOf: '2025-01-14' }).summary);
+    expect(day.summary.totalInputTokens).toBe(150);
+  });
+
+  it('should keep the export time of each source for prefer-latest merging', () => {
+    const history = createHistory();
+    recordUsage(history, [
+      usage('old', { '2025-01-14': day(100, 1) }, { fingerprint: 'me@box', exportedAt: '2025-01-14T08:00:00Z' }),
+      usage('new', { '2025-01-14': day(50, 0.5) }, { fingerprint: 'me@box', exportedAt: '2025-01-15T08:00:00Z' })
+    ]);
+
+    expect(history.sources.new.exportedAt).toBe('2025-01-15T08:00:00Z');
+
+    const sources = historyToData(history);
+    expect(sources.map((data) => data.exportedAt)).toEqual(['2025-01-14T08:00:00Z', '2025-01-15T08:00:00Z']);
+    expect(mergeUsageData(sources, { strategy: 'prefer-latest' }).collapsedDays[0].kept).toBe('new');
+  });
+
+  it('should count days recorded without a split in the total only', () => {
+    const history = createHistory();
+    history.days['2025-01-13'] = { desktop: day(80, 0.8) };
+    history.days['2025-01-14'] = { desktop: { cost: 0.5, tokens: 50 } };
+
+    const { summary } = processData(mergeUsageData(historyToData(history)), 'all', { asOf: '2025-01-14' });
+    expect(summary.totalTokens).toBe(130);
+    expect(summary.totalInputTokens).toBe(80);
+  });
+});
+
+describe('history maintenance', () => {
+  const build = () => {
+    const history = createHistory();
+    recordUsage(history, [
+      usage('laptop', { '2025-01-13': day(80, 0.8), '2025-01-14': { cost: 0, tokens: 0 } }),
+      usage('work-laptop', { '2025-01-13': day(90, 0.9), '2025-01-15': day(10, 0.1) })
+    ]);
+    return history;
+  };
+
+  it('should summarize sources', () => {
+    const summary = summarizeHistory(build());
+
+    expect(summary[0]).toMatchObject({ source: 'work-laptop', days: 2, firstDate: '2025-01-13', lastDate: '2025-01-15' });
+    expect(summary[1].days).toBe(2);
+  });
+
+  it('should drop empty entries and fold renamed sources', () => {
+    const history = build();
+    const result = compactHistory(history, { merge: { laptop: 'work-laptop' } });
+
+    expect(result).toEqual({ removed: 1, merged: 1 });
+    expect(history.days['2025-01-14']).toBeUndefined();
+    expect(history.days['2025-01-13']).toEqual({ 'work-laptop': day(90, 0.9) });
+    expect(history.sources.laptop).toBeUndefined();
+  });
+
+  it('should prune old days or a source', () => {
+    const history = build();
+
+    expect(pruneHistory(history, { before: '2025-01-14' })).toBe(2);
+    expect(Object.keys(history.days).sort()).toEqual(['2025-01-14', '2025-01-15']);
+    expect(pruneHistory(history, { source: 'work-laptop' })).toBe(1);
+    expect(history.sources['work-laptop']).toBeUndefined();
+    expect(() => pruneHistory(history, {})).toThrow();
+  });
+});
+
+describe('history files', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'vibe-history-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should start empty when the file does not exist', async () => {
+    expect(await loadHistory(join(dir, 'missing.json'))).toEqual(createHistory());
+  });
+
+  it('should round-trip through disk', async () => {
+    const path = join(dir, 'nested', 'vibe-history.json');
+    const history = createHistory();
+    recordUsage(history, [usage('desktop', { '2025-01-14': day(100, 1) })]);
+
+    await saveHistory(path, history);
+    expect(await loadHistory(path)).toEqual(history);
+  });
+
+  it('should reject files that are not a history', async () => {
+    const path = join(dir, 'cc.json');
+    await writeFile(path, JSON.stringify({ daily: [] }));
+
+    await expect(loadHistory(path)).rejects.toThrow('Not a history file');
+  });
+});
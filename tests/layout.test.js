@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LAYOUT_PRESETS,
+  validateLayout,
+  getLayoutWidth,
+  validateWidth,
+  validateWidgets,
+  resolveWidgets,
+  layoutWidgets
+} from '../src/layout.js';
+import { getDefaultConfig } from '../src/utils.js';
+
+describe('validateLayout', () => {
+  it('should accept every preset', () => {
+    for (const layout of ['card', 'minimal', 'detailed', 'heatmap', 'compact', 'vertical', 'wide']) {
+      expect(validateLayout(layout)).toEqual([]);
+    }
+  });
+
+  it('should reject unknown layouts', () => {
+    expect(validateLayout('tiny')[0]).toContain('layout must be one of card');
+  });
+});
+
+describe('getLayoutWidth', () => {
+  it('should prefer the configured width over the layout width', () => {
+    expect(getLayoutWidth({ layout: 'card' })).toBe(900);
+    expect(getLayoutWidth({ layout: 'compact' })).toBe(400);
+    expect(getLayoutWidth({ layout: 'wide' })).toBe(1200);
+    expect(getLayoutWidth({ layout: 'compact', width: 600 })).toBe(600);
+  });
+});
+
+describe('validateWidth', () => {
+  it('should accept widths in range', () => {
+    expect(validateWidth(undefined)).toEqual([]);
+    expect(validateWidth(600)).toEqual([]);
+  });
+
+  it('should reject widths out of range', () => {
+    expect(validateWidth(200)).toEqual(['width must be a number from 400 to 1600']);
+    expect(validateWidth('900')).toHaveLength(1);
+  });
+});
+
+describe('validateWidgets', () => {
+  it('should accept widget names and options', () => {
+    expect(validateWidgets(['title', { type: 'chart', days: 30, height: 80 }, { type: 'activity', streaks: false }])).toEqual([]);
+  });
+
+  it('should report unknown widgets and bad options', () => {
+    const errors = validateWidgets(['title', 'pie', { type: 'models', limit: 2.5, color: 'red' }]);
+
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toContain('widgets[1] must be one of');
+    expect(errors[1]).toBe('widgets[2].limit must be a positive integer');
+    expect(errors[2]).toContain('widgets[2].color is not a widget option');
+    expect(validateWidgets('title')).toHaveLength(1);
+  });
+});
+
+describe('resolveWidgets', () => {
+  it('should use the card preset toggled by showItems', () => {
+    const types = resolveWidgets(getDefaultConfig()).map((widget) => widget.type);
+
+    expect(types).toContain('chart');
+    expect(types).not.toContain('heatmap');
+    expect(types).not.toContain('activity');
+    expect(types[0]).toBe('title');
+    expect(types[types.length - 1]).toBe('footer');
+  });
+
+  it('should leave out widgets hidden by showItems', () => {
+    const config = getDefaultConfig();
+    config.showItems = { ...config.showItems, totalTokens: false, lastUpdated: false, streaks: true };
+    const widgets = resolveWidgets(config);
+
+    expect(widgets.map((widget) => widget.type)).not.toContain('totalTokens');
+    expect(widgets.map((widget) => widget.type)).not.toContain('footer');
+    expect(widgets.find((widget) => widget.type === 'activity')).toEqual({ type: 'activity', streaks: true, activity: false });
+  });
+
+  it('should swap the chart for the heatmap in the heatmap layout', () => {
+    const types = resolveWidgets({ ...getDefaultConfig(), layout: 'heatmap' }).map((widget) => widget.type);
+
+    expect(types).toContain('heatmap');
+    expect(types).not.toContain('chart');
+  });
+
+  it('should use configured widgets as given', () => {
+    const widgets = resolveWidgets({ ...getDefaultConfig(), widgets: ['totalCost', { type: 'heatmap' }] });
+    expect(widgets).toEqual([{ type: 'totalCost' }, { type: 'heatmap' }]);
+  });
+
+  it('should show more models in the detailed preset', () => {
+    expect(LAYOUT_PRESETS.detailed).toContainEqual({ type: 'models', limit: 10 });
+    expect(LAYOUT_PRESETS.detailed).toContain('dailyAverage');
+  });
+});
+
+describe('layoutWidgets', () => {
+  const tile = (width) => ({ inline: true, width, height: 60 });
+  const block = (height, minWidth = 0) => ({ inline: false, height, minWidth });
+
+  it('should stack blocks and flow tiles into rows', () => {
+    const widgets = [block(45), tile(200), tile(200), tile(200), block(100)];
+    const { width, height, placements } = layoutWidgets(widgets, { width: 500 });
+
+    expect(width).toBe(500);
+    expect(placements.map(({ x, y }) => [x, y])).toEqual([[25, 0], [25, 45], [250, 45], [25, 105], [25, 165]]);
+    expect(placements[1].width).toBe(225);
+    expect(placements[3].width).toBe(450);
+    expect(height).toBe(275);
+  });
+
+  it('should widen the card for wide widgets', () => {
+    const { width, placements } = layoutWidgets([block(100, 800)], { width: 500 });
+
+    expect(width).toBe(850);
+    expect(placements[0].width).toBe(800);
+  });
+});
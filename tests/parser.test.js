@@ -1,14 +1,27 @@
 import { describe, it, expect } from 'vitest';
 import {
   processData,
+  getPeriodComparison,
   calculateSummary,
   getModelBreakdown,
   getDailyUsage,
   getTopModel,
   validateData,
   mergeUsageData,
-  filterByPeriod
+  filterByPeriod,
+  transformCcusageFormat,
+  hasDailyDetail,
+  getSourceLabel,
+  getSourceBreakdown,
+  getSourceFingerprint,
+  getBlockStats,
+  getCacheStats,
+  repriceData,
+  getProjectName,
+  getProjectBreakdown
 } from '../src/parser.js';
+import { getDateKey } from '../src/utils.js';
+import { PRICING_VERSION } from '../src/pricing.js';
 
 const sampleData = {
   totalCost: 847.23,
@@ -325,3 +338,698 @@ describe('filterByPeriod', () => {
     expect(filtered.byModel['claude-sonnet-4-20250514'].cost).toBeCloseTo(expectedModelCost, 2);
   });
 });
+
+describe('per-day model breakdowns', () => {
+  const today = new Date();
+  const formatDateStr = (daysAgo) => {
+    const d = new Date(today);
+    d.setUTCDate(d.getUTCDate() - daysAgo);
+    return d.toISOString().slice(0, 10);
+  };
+
+  const ccusageData = {
+    daily: [
+      {
+        date: formatDateStr(20),
+        inputTokens: 1000,
+        outputTokens: 500,
+        cacheCreationTokens: 100,
+        cacheReadTokens: 2000,
+        totalTokens: 3600,
+        totalCost: 90,
+        modelBreakdowns: [
+          { modelName: 'claude-opus-4-20250514', inputTokens: 1000, outputTokens: 500, cost: 90 }
+        ]
+      },
+      {
+        date: formatDateStr(1),
+        inputTokens: 400,
+        outputTokens: 100,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 500,
+        totalTokens: 1000,
+        totalCost: 10,
+        modelBreakdowns: [
+          { modelName: 'claude-sonnet-4-20250514', inputTokens: 400, outputTokens: 100, cost: 10 }
+        ]
+      }
+    ],
+    totals: {
+      inputTokens: 1400,
+      outputTokens: 600,
+      cacheCreationTokens: 100,
+      cacheReadTokens: 2500,
+      totalTokens: 4600,
+      totalCost: 100
+    }
+  };
+
+  it('should keep per-day models and token categories', () => {
+    const data = transformCcusageFormat(ccusageData);
+    const day = data.byDay[formatDateStr(1)];
+
+    expect(day.inputTokens).toBe(400);
+    expect(day.cacheReadTokens).toBe(500);
+    expect(day.models['claude-sonnet-4-20250514'].cost).toBe(10);
+    expect(hasDailyDetail(data.byDay)).toBe(true);
+  });
+
+  it('should compute exact period figures from daily detail', () => {
+    const data = transformCcusageFormat(ccusageData);
+    const filtered = filterByPeriod(data, 'week');
+
+    expect(filtered.totalCost).toBe(10);
+    expect(filtered.totalInputTokens).toBe(400);
+    expect(filtered.totalCacheReadInputTokens).toBe(500);
+    expect(Object.keys(filtered.byModel)).toEqual(['claude-sonnet-4-20250514']);
+    expect(filtered.byModel['claude-sonnet-4-20250514'].cost).toBe(10);
+  });
+
+  it('should merge per-day detail across sources', () => {
+    const data = transformCcusageFormat(ccusageData);
+    const merged = mergeUsageData([data, data]);
+    const day = merged.byDay[formatDateStr(1)];
+
+    expect(day.inputTokens).toBe(800);
+    expect(day.models['claude-sonnet-4-20250514'].cost).toBe(20);
+  });
+
+  it('should drop detail for days merged with legacy sources', () => {
+    const data = transformCcusageFormat(ccusageData);
+    const legacy = { totalCost: 5, byDay: { [formatDateStr(1)]: { cost: 5, tokens: 100 } } };
+    const merged = mergeUsageData([data, legacy]);
+
+    expect(merged.byDay[formatDateStr(1)].models).toBeUndefined();
+    expect(merged.byDay[formatDateStr(1)].cost).toBe(15);
+    expect(hasDailyDetail(merged.byDay)).toBe(false);
+  });
+
+  it('should derive summary and models from days when totals are missing', () => {
+    const { byDay } = transformCcusageFormat(ccusageData);
+    const summary = calculateSummary({ byDay });
+    const models = getModelBreakdown({ byDay });
+
+    expect(summary.totalCost).toBe(100);
+    expect(summary.totalInputTokens).toBe(1400);
+    expect(models[0].name).toBe('claude-opus-4-20250514');
+    expect(models[0].percentage).toBe(90);
+  });
+});
+
+describe('source attribution', () => {
+  const desktop = {
+    source: 'desktop',
+    totalCost: 30,
+    totalInputTokens: 300,
+    totalOutputTokens: 0,
+    byModel: {},
+    byDay: {
+      '2025-01-14': { cost: 10, tokens: 100 },
+      '2025-01-13': { cost: 20, tokens: 200 }
+    }
+  };
+  const laptop = {
+    source: 'laptop',
+    totalCost: 10,
+    totalInputTokens: 100,
+    totalOutputTokens: 0,
+    byModel: {},
+    byDay: {
+      '2025-01-14': { cost: 10, tokens: 100 }
+    }
+  };
+
+  it('should derive labels from file names', () => {
+    expect(getSourceLabel('data/desktop-cc.json')).toBe('desktop');
+    expect(getSourceLabel('cc.json')).toBe('cc');
+    expect(getSourceLabel('ci.json', { 'ci.json': 'CI runner' })).toBe('CI runner');
+  });
+
+  it('should keep bySource when merging', () => {
+    const merged = mergeUsageData([desktop, laptop]);
+
+    expect(merged.bySource).toEqual({
+      desktop: { cost: 30, tokens: 300 },
+      laptop: { cost: 10, tokens: 100 }
+    });
+    expect(merged.byDay['2025-01-14'].sources.laptop.cost).toBe(10);
+  });
+
+  it('should preserve attribution when merging merged data', () => {
+    const ci = { ...laptop, source: 'ci' };
+    const merged = mergeUsageData([mergeUsageData([desktop, laptop]), ci]);
+
+    expect(Object.keys(merged.bySource).sort()).toEqual(['ci', 'desktop', 'laptop']);
+  });
+
+  it('should rebuild bySource for a period', () => {
+    const todayStr = new Date().toISOString().slice(0, 10);
+    const merged = mergeUsageData([
+      { ...desktop, byDay: { [todayStr]: { cost: 10, tokens: 100 }, '2020-01-01': { cost: 20, tokens: 200 } } },
+      { ...laptop, byDay: { [todayStr]: { cost: 10, tokens: 100 } } }
+    ]);
+    const filtered = filterByPeriod(merged, 'day');
+
+    expect(filtered.bySource).toEqual({
+      desktop: { cost: 10, tokens: 100 },
+      laptop: { cost: 10, tokens: 100 }
+    });
+  });
+
+  it('should expose sources from processData sorted by cost', () => {
+    const result = processData(mergeUsageData([laptop, desktop]));
+
+    expect(result.sources.map((source) => source.name)).toEqual(['desktop', 'laptop']);
+    expect(result.sources[0].percentage).toBe(75);
+  });
+
+  it('should return no sources for unmerged data', () => {
+    expect(getSourceBreakdown(sampleData)).toEqual([]);
+  });
+});
+
+describe('merge strategies', () => {
+  const makeSource = (source, byDay, extra = {}) => ({
+    source,
+    totalCost: Object.values(byDay).reduce((sum, day) => sum + day.cost, 0),
+    totalInputTokens: Object.values(byDay).reduce((sum, day) => sum + day.tokens, 0),
+    totalOutputTokens: 0,
+    byModel: {},
+    byDay,
+    ...extra
+  });
+
+  const original = makeSource('desktop', {
+    '2025-01-12': { cost: 10, tokens: 100 },
+    '2025-01-13': { cost: 20, tokens: 200 }
+  }, { fingerprint: 'alice@desktop' });
+
+  const copy = makeSource('desktop-copy', {
+    '2025-01-13': { cost: 25, tokens: 250 },
+    '2025-01-14': { cost: 30, tokens: 300 }
+  }, { fingerprint: 'alice@desktop' });
+
+  const other = makeSource('laptop', {
+    '2025-01-13': { cost: 5, tokens: 50 }
+  }, { fingerprint: 'alice@laptop' });
+
+  it('should read embedded fingerprints', () => {
+    expect(getSourceFingerprint({ fingerprint: 'ci' })).toBe('ci');
+    expect(getSourceFingerprint({ hostname: 'desktop', user: 'alice' })).toBe('alice@desktop');
+    expect(getSourceFingerprint({ meta: { hostname: 'laptop' } })).toBe('laptop');
+    expect(getSourceFingerprint({ daily: [] })).toBeNull();
+  });
+
+  it('should keep fingerprints from ccusage exports', () => {
+    const data = transformCcusageFormat({ daily: [], totals: {}, hostname: 'desktop', exportedAt: '2025-01-14T00:00:00Z' });
+    expect(data.fingerprint).toBe('desktop');
+    expect(data.exportedAt).toBe('2025-01-14T00:00:00Z');
+  });
+
+  it('should add everything with the sum strategy', () => {
+    const merged = mergeUsageData([original, copy, other]);
+
+    expect(merged.byDay['2025-01-13'].cost).toBe(50);
+    expect(merged.collapsedDays).toBeUndefined();
+  });
+
+  it('should keep the largest day with max-per-day', () => {
+    const merged = mergeUsageData([original, copy, other], { strategy: 'max-per-day' });
+
+    // 2025-01-13 from the desktop origin counts once (250 tokens), plus the laptop
+    expect(merged.byDay['2025-01-13'].tokens).toBe(300);
+    expect(merged.byDay['2025-01-13'].cost).toBe(30);
+    expect(merged.byDay['2025-01-12'].cost).toBe(10);
+    expect(merged.byDay['2025-01-14'].cost).toBe(30);
+    expect(merged.totalCost).toBe(70);
+    expect(merged.collapsedDays).toEqual([
+      { date: '2025-01-13', origin: 'alice@desktop', sources: ['desktop', 'desktop-copy'], kept: 'desktop-copy' }
+    ]);
+  });
+
+  it('should keep the latest export with prefer-latest', () => {
+    const older = { ...copy, exportedAt: '2025-01-10T00:00:00Z' };
+    const newer = { ...original, exportedAt: '2025-01-15T00:00:00Z' };
+    const merged = mergeUsageData([newer, older], { strategy: 'prefer-latest' });
+
+    expect(merged.byDay['2025-01-13'].cost).toBe(20);
+    expect(merged.collapsedDays[0].kept).toBe('desktop');
+  });
+
+  it('should fall back to the last reported day for prefer-latest', () => {
+    const merged = mergeUsageData([original, copy], { strategy: 'prefer-latest' });
+
+    expect(merged.byDay['2025-01-13'].cost).toBe(25);
+  });
+
+  it('should use configured fingerprints', () => {
+    const a = makeSource('a', { '2025-01-13': { cost: 10, tokens: 100 } });
+    const b = makeSource('b', { '2025-01-13': { cost: 10, tokens: 100 } });
+
+    expect(mergeUsageData([a, b], { strategy: 'max-per-day' }).totalCost).toBe(20);
+    expect(mergeUsageData([a, b], { strategy: 'max-per-day', fingerprints: { a: 'pc', b: 'pc' } }).totalCost).toBe(10);
+  });
+
+  it('should keep the dropped source attributed for its remaining days', () => {
+    const merged = mergeUsageData([original, copy], { strategy: 'max-per-day' });
+
+    expect(merged.bySource).toEqual({
+      desktop: { cost: 10, tokens: 100 },
+      'desktop-copy': { cost: 55, tokens: 550 }
+    });
+  });
+
+  it('should reject unknown strategies', () => {
+    expect(() => mergeUsageData([original, copy], { strategy: 'average' })).toThrow('Unknown merge strategy');
+  });
+});
+
+describe('billing blocks', () => {
+  const block = (start, tokens, cost, active = false) => ({
+    id: start, start, end: null, active, entries: 1, cost, tokens, models: []
+  });
+  const withBlocks = (source, blocks) => ({
+    totalCost: blocks.reduce((sum, b) => sum + b.cost, 0),
+    byModel: {},
+    byDay: {},
+    blocks,
+    source
+  });
+
+  it('should return null without blocks', () => {
+    expect(getBlockStats(sampleData)).toBeNull();
+  });
+
+  it('should report count, peak and active block', () => {
+    const stats = getBlockStats(withBlocks('a', [
+      block('2025-01-14T10:00:00.000Z', 5000, 4),
+      block('2025-01-14T16:00:00.000Z', 9000, 6),
+      block('2025-01-15T09:00:00.000Z', 1000, 1, true)
+    ]));
+
+    expect(stats.count).toBe(3);
+    expect(stats.peak.start).toBe('2025-01-14T16:00:00.000Z');
+    expect(stats.active.tokens).toBe(1000);
+    expect(stats.averageTokens).toBe(5000);
+  });
+
+  it('should combine blocks from several sources that share a window', () => {
+    const merged = mergeUsageData([
+      withBlocks('desktop', [block('2025-01-14T10:00:00.000Z', 5000, 4)]),
+      withBlocks('laptop', [block('2025-01-14T10:00:00.000Z', 3000, 2)])
+    ]);
+    const stats = getBlockStats(merged);
+
+    expect(merged.blocks.map((b) => b.source)).toEqual(['desktop', 'laptop']);
+    expect(stats.count).toBe(1);
+    expect(stats.peak.tokens).toBe(8000);
+  });
+
+  it('should filter blocks and sessions with the selected days', () => {
+    const today = new Date().toISOString().split('T')[0];
+    const old = '2020-01-01';
+    const data = {
+      ...withBlocks('a', [block(`${today}T10:00:00.000Z`, 5000, 4), block(`${old}T10:00:00.000Z`, 1000, 1)]),
+      sessions: [{ id: 's1', project: 'api', lastActivity: old, cost: 1, tokens: 1000 }],
+      byDay: { [today]: { cost: 4, tokens: 5000 }, [old]: { cost: 1, tokens: 1000 } }
+    };
+    const filtered = filterByPeriod(data, 'week');
+
+    expect(filtered.blocks).toHaveLength(1);
+    expect(filtered.sessions).toHaveLength(0);
+  });
+});
+
+describe('project breakdown', () => {
+  const projectData = {
+    totalCost: 10,
+    byModel: {},
+    byDay: {},
+    byProject: {
+      '/home/alice/work/secret-client': { cost: 6, tokens: 6000 },
+      '/home/alice/oss/vibe': { cost: 3, tokens: 3000 },
+      '/home/alice/laptop/vibe': { cost: 1, tokens: 1000 }
+    }
+  };
+
+  it('should show projects by their last path segment by default', () => {
+    expect(getProjectName('/home/alice/oss/vibe')).toBe('vibe');
+    expect(getProjectName('C:\\code\\api')).toBe('api');
+  });
+
+  it('should apply aliases by full path or name', () => {
+    const options = { projectAliases: { '/home/alice/work/secret-client': 'Client work', vibe: 'VibeDashboard' } };
+
+    expect(getProjectName('/home/alice/work/secret-client', options)).toBe('Client work');
+    expect(getProjectName('/home/alice/oss/vibe', options)).toBe('VibeDashboard');
+  });
+
+  it('should hash project names when configured', () => {
+    const name = getProjectName('/home/alice/work/secret-client', { projectNames: 'hash' });
+
+    expect(name).toMatch(/^project-[0-9a-f]{8}$/);
+    expect(name).not.toContain('secret');
+    expect(getProjectName('/home/alice/work/secret-client', { projectNames: 'hash', projectHashSalt: 'x' })).not.toBe(name);
+  });
+
+  it('should combine projects that share a display name', () => {
+    const projects = getProjectBreakdown(projectData);
+
+    expect(projects.map((p) => p.name)).toEqual(['secret-client', 'vibe']);
+    expect(projects[1]).toEqual({ name: 'vibe', cost: 4, tokens: 4000, percentage: 40 });
+  });
+
+  it('should include projects in processData', () => {
+    const result = processData(projectData, 'all', { projectAliases: { 'secret-client': 'Client' } });
+    expect(result.projects[0].name).toBe('Client');
+  });
+
+  it('should keep per-day projects through merging and period filtering', () => {
+    const today = new Date().toISOString().split('T')[0];
+    const day = (project, cost) => ({ cost, tokens: cost * 100, projects: { [project]: { cost, tokens: cost * 100 } } });
+    const merged = mergeUsageData([
+      { totalCost: 3, byModel: {}, byDay: { [today]: day('/a/api', 1), '2020-01-01': day('/a/web', 2) } },
+      { totalCost: 1, byModel: {}, byDay: { [today]: day('/a/api', 1) } }
+    ]);
+
+    expect(merged.byProject['/a/api']).toEqual({ cost: 2, tokens: 200 });
+    expect(filterByPeriod(merged, 'week').byProject).toEqual({ '/a/api': { cost: 2, tokens: 200 } });
+  });
+});
+
+describe('calendar periods and date ranges', () => {
+  const data = {
+    totalCost: 6,
+    byModel: {},
+    byDay: {
+      '2024-12-31': { cost: 1, tokens: 100 },
+      '2025-01-01': { cost: 2, tokens: 200 },
+      '2025-01-15': { cost: 3, tokens: 300 }
+    }
+  };
+
+  it('should filter by a custom { from, to } range', () => {
+    const filtered = filterByPeriod(data, { from: '2025-01-01', to: '2025-01-10' });
+
+    expect(Object.keys(filtered.byDay)).toEqual(['2025-01-01']);
+    expect(filtered.totalCost).toBe(2);
+  });
+
+  it('should filter by an open-ended range', () => {
+    expect(Object.keys(filterByPeriod(data, { to: '2024-12-31' }).byDay)).toEqual(['2024-12-31']);
+    expect(Object.keys(filterByPeriod(data, { from: '2025-01-02' }).byDay)).toEqual(['2025-01-15']);
+  });
+
+  it('should decide which day is today from the timezone', () => {
+    // UTC+14 and UTC-12 are always on different calendar days
+    const ahead = getDateKey(new Date(), 'Pacific/Kiritimati');
+    const behind = getDateKey(new Date(), 'Etc/GMT+12');
+    const zoned = {
+      totalCost: 3,
+      byModel: {},
+      byDay: { [behind]: { cost: 1, tokens: 100 }, [ahead]: { cost: 2, tokens: 200 } }
+    };
+
+    expect(Object.keys(filterByPeriod(zoned, 'day', { timezone: 'Pacific/Kiritimati' }).byDay)).toEqual([ahead]);
+    expect(processData(zoned, 'day', { timezone: 'Etc/GMT+12' }).summary.totalCost).toBe(1);
+  });
+
+  it('should filter relative to an asOf date', () => {
+    expect(Object.keys(filterByPeriod(data, 'day', { asOf: '2025-01-01' }).byDay)).toEqual(['2025-01-01']);
+    expect(Object.keys(filterByPeriod(data, 'last-month', { asOf: '2025-02-10' }).byDay)).toEqual(['2025-01-01', '2025-01-15']);
+    expect(processData(data, 'week', { asOf: '2025-01-03' }).summary.totalCost).toBe(3);
+  });
+
+  it('should drop days after asOf for the all period', () => {
+    expect(Object.keys(filterByPeriod(data, 'all', { asOf: '2025-01-01' }).byDay)).toEqual(['2024-12-31', '2025-01-01']);
+    expect(() => filterByPeriod(data, 'all', { asOf: 'soon' })).toThrow('Invalid asOf date');
+  });
+});
+
+describe('period comparison', () => {
+  const day = (cost, models) => ({
+    cost,
+    tokens: cost * 100,
+    inputTokens: cost * 100,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    models: Object.fromEntries(Object.entries(models).map(([name, share]) => [name, { cost: cost * share, inputTokens: cost * 100 * share, outputTokens: 0 }]))
+  });
+  const data = {
+    byDay: {
+      '2025-01-03': day(4, { 'claude-sonnet-4': 1 }),
+      '2025-01-09': day(3, { 'claude-sonnet-4': 0.5, 'claude-opus-4': 0.5 }),
+      '2025-01-14': day(3, { 'claude-sonnet-4': 0.5, 'claude-opus-4': 0.5 })
+    }
+  };
+
+  it('should compare the current window with the one before it', () => {
+    const comparison = getPeriodComparison(data, 'week', { asOf: '2025-01-14' });
+
+    expect(comparison.previousRange).toEqual({ from: '2025-01-01', to: '2025-01-07' });
+    expect(comparison.cost).toEqual({ current: 6, previous: 4, change: 50 });
+    expect(comparison.tokens.change).toBe(50);
+    expect(comparison.models.find((model) => model.name === 'claude-opus-4')).toMatchObject({ percentage: 50, previousPercentage: 0, change: 50 });
+    expect(comparison.models.find((model) => model.name === 'claude-sonnet-4').change).toBe(-50);
+  });
+
+  it('should leave changes empty when the previous window had no usage', () => {
+    const comparison = getPeriodComparison(data, 'week', { asOf: '2025-01-05' });
+
+    expect(comparison.cost).toEqual({ current: 4, previous: 0, change: null });
+    expect(comparison.models[0].change).toBeNull();
+  });
+
+  it('should leave model changes empty when a legacy input has no previous days', () => {
+    const legacy = {
+      totalCost: 10,
+      totalInputTokens: 1000,
+      totalOutputTokens: 0,
+      byModel: {
+        'claude-opus-4-20250514': { cost: 5.7, inputTokens: 570, outputTokens: 0 },
+        'claude-sonnet-4-20250514': { cost: 4.3, inputTokens: 430, outputTokens: 0 }
+      },
+      byDay: { '2025-01-13': { cost: 4, tokens: 400 }, '2025-01-14': { cost: 6, tokens: 600 } }
+    };
+    const comparison = getPeriodComparison(legacy, 'week', { asOf: '2025-01-14' });
+
+    expect(comparison.cost).toEqual({ current: 10, previous: 0, change: null });
+    expect(comparison.models.map((model) => model.change)).toEqual([null, null]);
+    expect(comparison.models.map((model) => model.previousPercentage)).toEqual([0, 0]);
+    expect(filterByPeriod(legacy, 'last-month', { asOf: '2025-01-14' }).byModel).toEqual({});
+  });
+
+  it('should skip the comparison for all time', () => {
+    expect(getPeriodComparison(data, 'all')).toBeNull();
+    expect(processData(data, 'all').comparison).toBeNull();
+    expect(processData(data, 'week', { asOf: '2025-01-14' }).comparison.cost.previous).toBe(4);
+  });
+});
+
+describe('cache stats', () => {
+  const cachedReport = {
+    daily: [
+      {
+        date: '2025-01-14',
+        inputTokens: 1000000,
+        outputTokens: 200000,
+        cacheCreationTokens: 500000,
+        cacheReadTokens: 3500000,
+        totalTokens: 5200000,
+        totalCost: 5,
+        modelBreakdowns: [
+          { modelName: 'claude-sonnet-4-20250514', inputTokens: 800000, outputTokens: 150000, cacheCreationTokens: 200000, cacheReadTokens: 3000000, cost: 3 },
+          { modelName: 'custom-model', inputTokens: 200000, outputTokens: 50000, cacheCreationTokens: 300000, cacheReadTokens: 500000, cost: 2 }
+        ]
+      }
+    ],
+    totals: { totalCost: 5, inputTokens: 1000000, outputTokens: 200000, cacheCreationTokens: 500000, cacheReadTokens: 3500000 }
+  };
+
+  it('should keep cache tokens per model when transforming ccusage reports', () => {
+    const data = transformCcusageFormat(cachedReport);
+
+    expect(data.byModel['claude-sonnet-4-20250514']).toMatchObject({ cacheCreationTokens: 200000, cacheReadTokens: 3000000 });
+    expect(data.byDay['2025-01-14'].models['custom-model']).toMatchObject({ cacheCreationTokens: 300000, cacheReadTokens: 500000 });
+  });
+
+  it('should keep cache tokens per model when merging', () => {
+    const data = transformCcusageFormat(cachedReport);
+    const merged = mergeUsageData([{ ...data, source: 'a' }, { ...data, source: 'b' }]);
+
+    expect(merged.byModel['claude-sonnet-4-20250514'].cacheReadTokens).toBe(6000000);
+  });
+
+  it('should compute the hit ratio, split and savings', () => {
+    const cache = getCacheStats(transformCcusageFormat(cachedReport));
+
+    expect(cache.cacheRead).toBe(3500000);
+    expect(cache.cacheCreation).toBe(500000);
+    expect(cache.freshInput).toBe(1500000);
+    expect(cache.hitRatio).toBe(70);
+    // Only the priced model counts: 3M reads at $3.00 instead of $0.30
+    expect(cache.savings).toBeCloseTo(8.1);
+  });
+
+  it('should break cache usage down per model', () => {
+    const { models } = getCacheStats(transformCcusageFormat(cachedReport));
+
+    expect(models.map((model) => model.shortName)).toEqual(['sonnet-4', 'custom-model']);
+    expect(models[0]).toMatchObject({ cacheRead: 3000000, cacheCreation: 200000, freshInput: 1000000, hitRatio: 75 });
+    expect(models[1].savings).toBeNull();
+  });
+
+  it('should leave out per-model figures and savings for inputs without per-model cache tokens', () => {
+    const cache = getCacheStats(sampleData);
+
+    expect(cache.hitRatio).toBe(55.8);
+    expect(cache.models).toEqual([]);
+    expect(cache.savings).toBeNull();
+  });
+
+  it('should return null without cache usage', () => {
+    expect(getCacheStats({ totalInputTokens: 100, byModel: {}, byDay: {} })).toBeNull();
+  });
+
+  it('should be included by processData', () => {
+    expect(processData(transformCcusageFormat(cachedReport)).cache.hitRatio).toBe(70);
+  });
+});
+
+describe('repricing', () => {
+  const detailed = {
+    byDay: {
+      '2025-01-14': {
+        cost: 0,
+        tokens: 1300000,
+        inputTokens: 1000000,
+        outputTokens: 100000,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 200000,
+        models: {
+          'claude-sonnet-4-20250514': { cost: 0, inputTokens: 1000000, outputTokens: 100000, cacheCreationTokens: 0, cacheReadTokens: 200000 }
+        },
+        sources: { laptop: { cost: 0, tokens: 1000000 }, desktop: { cost: 0, tokens: 300000 } }
+      },
+      '2025-01-13': {
+        cost: 1,
+        tokens: 1000,
+        inputTokens: 1000,
+        outputTokens: 0,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 0,
+        models: { 'local-llama': { cost: 1, inputTokens: 1000, outputTokens: 0 } }
+      }
+    },
+    byModel: {
+      'claude-sonnet-4-20250514': { cost: 0, inputTokens: 1000000, outputTokens: 100000, cacheCreationTokens: 0, cacheReadTokens: 200000 },
+      'local-llama': { cost: 1, inputTokens: 1000, outputTokens: 0 }
+    },
+    bySource: { laptop: { cost: 0, tokens: 1000000 }, desktop: { cost: 0, tokens: 300000 } },
+    totalCost: 1
+  };
+
+  it('should recompute model, day and total costs from tokens', () => {
+    const repriced = repriceData(detailed);
+
+    // 3.00 input + 1.50 output + 0.06 cache reads
+    expect(repriced.byModel['claude-sonnet-4-20250514'].cost).toBeCloseTo(4.56);
+    expect(repriced.byDay['2025-01-14'].cost).toBeCloseTo(4.56);
+    expect(repriced.totalCost).toBeCloseTo(5.56);
+  });
+
+  it('should keep the recorded cost of models without pricing', () => {
+    const repriced = repriceData(detailed);
+
+    expect(repriced.byModel['local-llama'].cost).toBe(1);
+    expect(repriced.byDay['2025-01-13'].cost).toBe(1);
+  });
+
+  it('should split day costs over sources by token share', () => {
+    const repriced = repriceData(detailed);
+
+    expect(repriced.byDay['2025-01-14'].sources.desktop.cost).toBeCloseTo(4.56 * 0.3 / 1.3);
+    expect(repriced.bySource.laptop.cost).toBeCloseTo(4.56 / 1.3);
+  });
+
+  it('should apply pricing overrides', () => {
+    const repriced = repriceData(detailed, { pricing: { 'local-llama': { input: 1000, output: 0 } } });
+
+    expect(repriced.byModel['local-llama'].cost).toBe(1);
+    expect(repriceData(detailed, { pricing: { 'local-llama': { input: 2000, output: 0 } } }).byModel['local-llama'].cost).toBe(2);
+  });
+
+  it('should scale the days of legacy inputs to the new total', () => {
+    const legacy = {
+      totalCost: 10,
+      byModel: { 'claude-opus-4-20250514': { cost: 10, inputTokens: 1000000, outputTokens: 0 } },
+      byDay: { '2025-01-14': { cost: 6, tokens: 600000 }, '2025-01-13': { cost: 4, tokens: 400000 } }
+    };
+    const repriced = repriceData(legacy);
+
+    expect(repriced.totalCost).toBe(15);
+    expect(repriced.byDay['2025-01-14'].cost).toBe(9);
+  });
+
+  it('should leave the input untouched', () => {
+    repriceData(detailed);
+    expect(detailed.byDay['2025-01-14'].cost).toBe(0);
+  });
+
+  it('should reprice in processData when asked and report models without pricing', () => {
+    const result = processData(detailed, 'all', { reprice: true });
+
+    expect(result.summary.totalCost).toBeCloseTo(5.56);
+    expect(result.pricing.repriced).toBe(true);
+    expect(result.pricing.missingModels).toEqual([{ name: 'local-llama', tokens: 1000 }]);
+    expect(processData(detailed).summary.totalCost).toBe(1);
+  });
+
+  it('should price each day with the prices in effect on it and report them', () => {
+    const pricing = {
+      'local-llama': [
+        { from: '2025-01-14', input: 2000, output: 0 },
+        { from: '2024-01-01', input: 1000, output: 0 }
+      ]
+    };
+    const twoDays = {
+      byDay: {
+        '2025-01-13': detailed.byDay['2025-01-13'],
+        '2025-01-14': { ...detailed.byDay['2025-01-13'], cost: 1 }
+      },
+      byModel: { 'local-llama': { cost: 2, inputTokens: 2000, outputTokens: 0 } },
+      totalCost: 2
+    };
+    const repriced = repriceData(twoDays, { pricing });
+
+    expect(repriced.byDay['2025-01-13'].cost).toBe(1);
+    expect(repriced.byDay['2025-01-14'].cost).toBe(2);
+    expect(repriced.byModel['local-llama'].cost).toBe(3);
+    expect(repriced.totalCost).toBe(3);
+
+    const result = processData(twoDays, 'all', { reprice: true, pricing, asOf: '2025-01-14' });
+    expect(result.pricing.applied).toEqual([
+      { model: 'local-llama', from: '2024-01-01', source: 'config' },
+      { model: 'local-llama', from: '2025-01-14', source: 'config' }
+    ]);
+    expect(result.pricing.version).toBe('2025-01-14');
+  });
+
+  it('should report the built-in prices a repriced run applied', () => {
+    const result = processData(detailed, 'all', { reprice: true });
+
+    expect(result.pricing.applied).toEqual([{ model: 'claude-sonnet-4-20250514', from: '2024-03-04', source: 'built-in' }]);
+    expect(result.pricing.version).toBe('2024-03-04');
+    expect(processData(detailed).pricing).toMatchObject({ repriced: false, applied: [], version: PRICING_VERSION });
+  });
+
+  it('should expose cost per 1K tokens per model', () => {
+    const models = getModelBreakdown(repriceData(detailed));
+    const sonnet = models.find((model) => model.name === 'claude-sonnet-4-20250514');
+
+    expect(sonnet.tokens).toBe(1300000);
+    expect(sonnet.costPer1K).toBeCloseTo(4.56 / 1300);
+    expect(models.find((model) => model.name === 'local-llama').costPer1K).toBe(1);
+  });
+});
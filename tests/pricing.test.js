@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validatePricing,
+  getModelPricing,
+  calculateCost,
+  estimateCacheSavings,
+  getMissingPricing,
+  MODEL_PRICING,
+  PRICING_VERSION
+} from '../src/pricing.js';
+
+describe('MODEL_PRICING', () => {
+  it('should date every entry and take its version from the latest date', () => {
+    expect(MODEL_PRICING.every((entry) => /^\d{4}-\d{2}-\d{2}$/.test(entry.from))).toBe(true);
+    expect(PRICING_VERSION).toBe('2025-11-24');
+  });
+});
+
+describe('getModelPricing', () => {
+  it('should match model families', () => {
+    expect(getModelPricing('claude-sonnet-4-20250514')).toEqual({
+      input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3, from: '2024-03-04', source: 'built-in'
+    });
+    expect(getModelPricing('claude-opus-4-20250514').input).toBe(15);
+    expect(getModelPricing('anthropic/claude-sonnet-4').input).toBe(3);
+  });
+
+  it('should prefer more specific versions', () => {
+    expect(getModelPricing('claude-opus-4-5-20251101').input).toBe(5);
+    expect(getModelPricing('claude-haiku-4-5-20251001').input).toBe(1);
+    expect(getModelPricing('claude-3-5-haiku-20241022').input).toBe(0.8);
+    expect(getModelPricing('claude-3-haiku-20240307').input).toBe(0.25);
+  });
+
+  it('should return null for unknown models', () => {
+    expect(getModelPricing('gpt-4o')).toBeNull();
+    expect(getModelPricing(undefined)).toBeNull();
+  });
+});
+
+describe('validatePricing', () => {
+  it('should accept overrides with input and output rates', () => {
+    expect(validatePricing(undefined)).toEqual([]);
+    expect(validatePricing({ 'my-model': { input: 1, output: 2, cacheRead: 0.1 } })).toEqual([]);
+  });
+
+  it('should reject malformed overrides', () => {
+    expect(validatePricing([])).toHaveLength(1);
+    expect(validatePricing({ 'my-model': 3 })).toEqual(['pricing["my-model"] must be an object of rates per million tokens']);
+    expect(validatePricing({ 'my-model': { input: 1 } })).toEqual(['pricing["my-model"].output must be a number of at least 0']);
+    expect(validatePricing({ 'my-model': { input: 1, output: 2, cacheWrite: -1 } })).toHaveLength(1);
+  });
+
+  it('should check dated entries', () => {
+    expect(validatePricing({ 'my-model': [{ from: '2025-01-01', input: 1, output: 2 }] })).toEqual([]);
+    expect(validatePricing({ 'my-model': [] })).toEqual(['pricing["my-model"] must list at least one entry']);
+    expect(validatePricing({ 'my-model': [{ input: 1, output: 2 }] })).toEqual(['pricing["my-model"][0].from must be a YYYY-MM-DD date']);
+    expect(validatePricing({ 'my-model': { from: '2025-02-30', input: 1, output: 2 } })).toEqual(['pricing["my-model"].from must be a YYYY-MM-DD date']);
+  });
+});
+
+describe('pricing overrides', () => {
+  const overrides = {
+    'my-model': { input: 2, output: 8 },
+    sonnet: { input: 1, output: 5, cacheWrite: 1, cacheRead: 0.2 },
+    'claude-sonnet-4-20250514': { input: 2.5, output: 12, cacheWrite: 3, cacheRead: 0.25 }
+  };
+
+  it('should take precedence over the built-in table, preferring the longest match', () => {
+    expect(getModelPricing('claude-sonnet-4-20250514', overrides).input).toBe(2.5);
+    expect(getModelPricing('claude-sonnet-4-5', overrides).input).toBe(1);
+    expect(getModelPricing('claude-opus-4-20250514', overrides).input).toBe(15);
+  });
+
+  it('should default cache rates from the input rate', () => {
+    expect(getModelPricing('my-model', overrides)).toEqual({
+      input: 2, output: 8, cacheWrite: 2.5, cacheRead: 0.2, from: null, source: 'config'
+    });
+  });
+
+  it('should pick the dated entry in effect on the day', () => {
+    const dated = {
+      'my-model': [
+        { from: '2025-01-01', input: 2, output: 8 },
+        { from: '2025-06-01', input: 1, output: 4 }
+      ]
+    };
+
+    expect(getModelPricing('my-model', dated, '2025-03-15')).toMatchObject({ input: 2, from: '2025-01-01' });
+    expect(getModelPricing('my-model', dated, '2025-06-01')).toMatchObject({ input: 1, from: '2025-06-01' });
+    expect(getModelPricing('my-model', dated).input).toBe(1);
+    // Days before every entry use the earliest one
+    expect(getModelPricing('my-model', dated, '2024-12-31').input).toBe(2);
+    expect(calculateCost('my-model', { inputTokens: 1000000 }, dated, '2025-03-15')).toBe(2);
+  });
+});
+
+describe('calculateCost', () => {
+  it('should price every token category', () => {
+    const stats = { inputTokens: 1000000, outputTokens: 100000, cacheCreationTokens: 200000, cacheReadTokens: 2000000 };
+    // 3.00 + 1.50 + 0.75 + 0.60
+    expect(calculateCost('claude-sonnet-4-20250514', stats)).toBeCloseTo(5.85);
+  });
+
+  it('should return null for unknown models', () => {
+    expect(calculateCost('gpt-4o', { inputTokens: 1000 })).toBeNull();
+  });
+});
+
+describe('getMissingPricing', () => {
+  it('should list used models without pricing', () => {
+    const byModel = {
+      'claude-sonnet-4-20250514': { inputTokens: 100 },
+      'gpt-4o': { inputTokens: 100, outputTokens: 50 },
+      'local-llama': { inputTokens: 500 },
+      unused: { inputTokens: 0 }
+    };
+
+    expect(getMissingPricing(byModel)).toEqual([
+      { name: 'local-llama', tokens: 500 },
+      { name: 'gpt-4o', tokens: 150 }
+    ]);
+    expect(getMissingPricing(byModel, { llama: { input: 0, output: 0 } })).toEqual([{ name: 'gpt-4o', tokens: 150 }]);
+  });
+});
+
+describe('estimateCacheSavings', () => {
+  it('should price cache reads against fresh input', () => {
+    // 1M tokens at $3.00 instead of $0.30
+    expect(estimateCacheSavings('claude-sonnet-4-20250514', 1000000)).toBeCloseTo(2.7);
+  });
+
+  it('should return null for unknown models', () => {
+    expect(estimateCacheSavings('gpt-4o', 1000000)).toBeNull();
+  });
+});
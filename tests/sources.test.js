@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  isRemoteSource,
+  hasGlobPattern,
+  globToRegExp,
+  expandGlob,
+  normalizeSourceEntry,
+  resolveSources
+} from '../src/sources.js';
+
+const ccusageExport = (cost) => JSON.stringify({
+  daily: [{ date: '2025-01-14', totalCost: cost, totalTokens: 1000 }],
+  totals: { totalCost: cost, inputTokens: 1000 }
+});
+
+describe('source helpers', () => {
+  it('should detect remote sources', () => {
+    expect(isRemoteSource('https://raw.githubusercontent.com/u/r/main/cc.json')).toBe(true);
+    expect(isRemoteSource('http://localhost/cc.json')).toBe(true);
+    expect(isRemoteSource('./cc.json')).toBe(false);
+  });
+
+  it('should detect glob patterns', () => {
+    expect(hasGlobPattern('data/*-cc.json')).toBe(true);
+    expect(hasGlobPattern('data/desktop-cc.json')).toBe(false);
+  });
+
+  it('should convert globs to regular expressions', () => {
+    expect(globToRegExp('data/*-cc.json').test('data/desktop-cc.json')).toBe(true);
+    expect(globToRegExp('data/*-cc.json').test('data/nested/desktop-cc.json')).toBe(false);
+    expect(globToRegExp('data/**/*.json').test('data/nested/deep/a.json')).toBe(true);
+    expect(globToRegExp('data/**/*.json').test('data/a.json')).toBe(true);
+    expect(globToRegExp('cc?.json').test('cc1.json')).toBe(true);
+  });
+
+  it('should convert bracket expressions, including negated ones', () => {
+    expect(globToRegExp('cc[12].json').test('cc1.json')).toBe(true);
+    expect(globToRegExp('cc[12].json').test('cc3.json')).toBe(false);
+    expect(globToRegExp('[!.]*.json').test('desktop.json')).toBe(true);
+    expect(globToRegExp('[!.]*.json').test('.hidden.json')).toBe(false);
+    expect(globToRegExp('[!.]*.json').test('!x.json')).toBe(true);
+    expect(globToRegExp('cc[^0-9].json').test('cca.json')).toBe(true);
+    expect(globToRegExp('cc[^0-9].json').test('cc1.json')).toBe(false);
+    expect(globToRegExp('a[!b]c').test('a/c')).toBe(false);
+    expect(globToRegExp('a[]]c').test('a]c')).toBe(true);
+    expect(globToRegExp('a[b').test('a[b')).toBe(true);
+  });
+
+  it('should normalize source entries', () => {
+    expect(normalizeSourceEntry('a.json')).toEqual({ location: 'a.json' });
+    expect(normalizeSourceEntry({ url: 'https://x/a.json', label: 'ci' }).location).toBe('https://x/a.json');
+    expect(() => normalizeSourceEntry({ label: 'nothing' })).toThrow();
+  });
+});
+
+describe('resolveSources', () => {
+  let dir;
+  let server;
+  let baseUrl;
+  let lastAuthHeader;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'vibe-sources-'));
+    await mkdir(join(dir, 'data'));
+    await writeFile(join(dir, 'data', 'desktop-cc.json'), ccusageExport(10));
+    await writeFile(join(dir, 'data', 'laptop-cc.json'), ccusageExport(20));
+    await writeFile(join(dir, 'data', 'notes.txt'), 'ignored');
+
+    server = createServer((req, res) => {
+      lastAuthHeader = req.headers.authorization;
+      if (req.url === '/ci-cc.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(ccusageExport(5));
+      } else if (req.url === '/slow.json') {
+        setTimeout(() => res.end(ccusageExport(1)), 500);
+      } else {
+        res.writeHead(404, 'Not Found');
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should expand glob patterns', async () => {
+    const files = await expandGlob(join(dir, 'data', '*-cc.json'));
+    expect(files.map((f) => f.split('/').pop())).toEqual(['desktop-cc.json', 'laptop-cc.json']);
+  });
+
+  it('should load local paths and globs', async () => {
+    const { entries, errors } = await resolveSources([
+      join(dir, 'data', '*-cc.json'),
+      { path: join(dir, 'data', 'desktop-cc.json'), label: 'Desktop', fingerprint: 'alice@desktop' }
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(entries.map((e) => e.source)).toEqual(['desktop', 'laptop', 'Desktop']);
+    expect(entries[2].fingerprint).toBe('alice@desktop');
+    expect(entries[1].totalCost).toBe(20);
+  });
+
+  it('should fetch remote sources with an auth header from the environment', async () => {
+    process.env.VIBE_TEST_TOKEN = 'secret';
+    const { entries, errors } = await resolveSources([
+      { url: `${baseUrl}/ci-cc.json`, authEnv: 'VIBE_TEST_TOKEN' }
+    ]);
+    delete process.env.VIBE_TEST_TOKEN;
+
+    expect(errors).toEqual([]);
+    expect(entries[0].source).toBe(`${new URL(baseUrl).host}/ci`);
+    expect(entries[0].totalCost).toBe(5);
+    expect(lastAuthHeader).toBe('Bearer secret');
+  });
+
+  it('should report failing sources and continue with the rest', async () => {
+    const { entries, errors } = await resolveSources([
+      join(dir, 'data', 'desktop-cc.json'),
+      join(dir, 'missing.json'),
+      join(dir, 'none', '*.json'),
+      `${baseUrl}/gone.json`,
+      { url: `${baseUrl}/slow.json`, timeout: 50 },
+      { url: `${baseUrl}/ci-cc.json`, authEnv: 'VIBE_UNSET_TOKEN' }
+    ]);
+
+    expect(entries).toHaveLength(1);
+    expect(errors.map((e) => e.error)).toEqual([
+      `File not found: ${join(dir, 'missing.json')}`,
+      expect.stringContaining('File not found'),
+      'HTTP 404 Not Found',
+      'Timed out after 50ms',
+      'Environment variable VIBE_UNSET_TOKEN is not set'
+    ]);
+  });
+
+  it('should tell remote exports with the same file name apart by host', async () => {
+    const mirror = createServer(server.listeners('request')[0]);
+    await new Promise((resolve) => mirror.listen(0, '127.0.0.1', resolve));
+    const mirrorUrl = `http://127.0.0.1:${mirror.address().port}`;
+    try {
+      const { entries, errors } = await resolveSources([`${baseUrl}/ci-cc.json`, `${mirrorUrl}/ci-cc.json`]);
+
+      expect(errors).toEqual([]);
+      expect(entries.map((e) => e.source)).toEqual([`${new URL(baseUrl).host}/ci`, `${new URL(mirrorUrl).host}/ci`]);
+    } finally {
+      mirror.closeAllConnections();
+      await new Promise((resolve) => mirror.close(resolve));
+    }
+  });
+
+  it('should report sources whose label is already taken', async () => {
+    const { entries, errors } = await resolveSources([
+      join(dir, 'data', 'desktop-cc.json'),
+      { url: `${baseUrl}/ci-cc.json`, label: 'desktop' }
+    ]);
+
+    expect(entries.map((e) => e.source)).toEqual(['desktop']);
+    expect(errors).toEqual([{ source: `${baseUrl}/ci-cc.json`, error: expect.stringContaining('Label "desktop" is already used') }]);
+  });
+
+  it('should report globs that match nothing', async () => {
+    const { errors } = await resolveSources([join(dir, 'data', '*.csv')]);
+    expect(errors[0].error).toBe('No files matched');
+  });
+});
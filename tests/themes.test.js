@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+  THEMES,
+  AUTO_THEME,
+  THEME_COLOR_KEYS,
+  DEFAULT_FONT_FAMILY,
+  isValidColor,
+  validateThemes,
+  validateThemePair,
+  listThemes,
+  getTheme,
+  getAutoTheme,
+  getThemeStyles,
+  inlineColorVariables
+} from '../src/themes.js';
+
+describe('THEMES', () => {
+  it('should define every color key for every built-in theme', () => {
+    expect(Object.keys(THEMES).length).toBeGreaterThanOrEqual(12);
+    for (const theme of Object.values(THEMES)) {
+      for (const key of THEME_COLOR_KEYS) {
+        expect(isValidColor(theme[key])).toBe(true);
+      }
+    }
+  });
+});
+
+describe('isValidColor', () => {
+  it('should accept hex, functional and keyword colors', () => {
+    expect(isValidColor('#fff')).toBe(true);
+    expect(isValidColor('#58a6ff80')).toBe(true);
+    expect(isValidColor('rgb(88, 166, 255)')).toBe(true);
+    expect(isValidColor('hsla(210 100% 67% / 0.5)')).toBe(true);
+    expect(isValidColor('transparent')).toBe(true);
+  });
+
+  it('should reject values that could break the SVG', () => {
+    expect(isValidColor('#12345')).toBe(false);
+    expect(isValidColor('red"/><script>')).toBe(false);
+    expect(isValidColor('url(#x)')).toBe(false);
+    expect(isValidColor(123)).toBe(false);
+  });
+
+  it('should accept CSS color names in any case and reject other words', () => {
+    expect(isValidColor('SteelBlue')).toBe(true);
+    expect(isValidColor('currentColor')).toBe(true);
+    expect(isValidColor('banana')).toBe(false);
+    expect(validateThemes('custom', { custom: { background: 'banana' } })).toEqual([
+      'customThemes["custom"].background must be a color like "#58a6ff" (got "banana")'
+    ]);
+  });
+});
+
+describe('validateThemes', () => {
+  it('should accept built-in and custom theme names', () => {
+    expect(validateThemes('nord')).toEqual([]);
+    expect(validateThemes('mine', { mine: { extends: 'light', accent: '#ff0000', borderRadius: 0, hideBorder: true } })).toEqual([]);
+  });
+
+  it('should accept the auto theme', () => {
+    expect(validateThemes(AUTO_THEME)).toEqual([]);
+  });
+
+  it('should reject unknown themes', () => {
+    const errors = validateThemes('neon');
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain('Unknown theme "neon"');
+    expect(errors[0]).toContain('dracula');
+  });
+
+  it('should report invalid custom theme entries', () => {
+    const errors = validateThemes('mine', {
+      mine: { extends: 'neon', background: 'not a color!', fontFamily: 'x; } .title {', borderRadius: -1, hideBorder: 'yes' }
+    });
+    expect(errors).toHaveLength(5);
+    expect(errors[1]).toBe('customThemes["mine"].background must be a color like "#58a6ff" (got "not a color!")');
+    expect(validateThemes('dark', [])).toHaveLength(1);
+  });
+});
+
+describe('listThemes', () => {
+  it('should list built-ins before custom themes', () => {
+    const themes = listThemes({ mine: {}, dark: { accent: '#ff0000' } });
+    expect(themes[0]).toEqual({ name: 'light', custom: false });
+    expect(themes.slice(-2)).toEqual([{ name: 'mine', custom: true }, { name: 'dark', custom: true }]);
+    expect(themes).toHaveLength(Object.keys(THEMES).length + 1);
+  });
+});
+
+describe('getTheme', () => {
+  it('should return a built-in theme with default font and border', () => {
+    expect(getTheme('dracula')).toEqual({
+      ...THEMES.dracula,
+      fontFamily: DEFAULT_FONT_FAMILY,
+      borderRadius: 4.5,
+      hideBorder: false
+    });
+  });
+
+  it('should fall back to dark for unknown names', () => {
+    expect(getTheme('neon').background).toBe(THEMES.dark.background);
+  });
+
+  it('should fill a custom theme from the theme it extends', () => {
+    const theme = getTheme('mine', { mine: { extends: 'light', accent: ' #ff0000 ', fontFamily: 'monospace', hideBorder: true } });
+    expect(theme.background).toBe(THEMES.light.background);
+    expect(theme.accent).toBe('#ff0000');
+    expect(theme.fontFamily).toBe('monospace');
+    expect(theme.hideBorder).toBe(true);
+  });
+
+  it('should ignore an invalid custom theme', () => {
+    const theme = getTheme('mine', { mine: { background: 'javascript:' } });
+    expect(theme.background).toBe(THEMES.dark.background);
+  });
+});
+
+describe('validateThemePair', () => {
+  it('should accept built-in and custom themes for each mode', () => {
+    expect(validateThemePair({ lightTheme: 'solarized_light', darkTheme: 'mine' }, { mine: {} })).toEqual([]);
+    expect(validateThemePair({})).toEqual([]);
+  });
+
+  it('should reject unknown themes', () => {
+    expect(validateThemePair({ lightTheme: 'auto', darkTheme: 'dark' })).toEqual(['lightTheme must be a built-in or custom theme name (got "auto")']);
+  });
+});
+
+describe('getAutoTheme', () => {
+  it('should reference color variables with light and dark values', () => {
+    const theme = getAutoTheme({ darkTheme: 'nord' });
+
+    expect(theme.barFilled).toBe('var(--vd-bar-filled)');
+    expect(theme.variables.light['--vd-bar-filled']).toBe(THEMES.light.barFilled);
+    expect(theme.variables.dark['--vd-bar-filled']).toBe(THEMES.nord.barFilled);
+    expect(theme.fontFamily).toBe(DEFAULT_FONT_FAMILY);
+  });
+});
+
+describe('getThemeStyles', () => {
+  it('should switch variables with prefers-color-scheme', () => {
+    const css = getThemeStyles(getAutoTheme());
+
+    expect(css).toContain('svg { --vd-background: #ffffff;');
+    expect(css).toContain('@media (prefers-color-scheme: dark) { svg { --vd-background: #0d1117;');
+  });
+
+  it('should be empty for fixed themes', () => {
+    expect(getThemeStyles(getTheme('dark'))).toBe('');
+  });
+});
+
+describe('inlineColorVariables', () => {
+  it('should move var() colors into one style attribute per element', () => {
+    const svg = '<svg><rect rx="4" fill="var(--vd-background)" stroke="var(--vd-border)"/><text fill="#fff">a</text></svg>';
+
+    expect(inlineColorVariables(svg)).toBe(
+      '<svg><rect rx="4" style="fill: var(--vd-background); stroke: var(--vd-border)"/><text fill="#fff">a</text></svg>'
+    );
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  findSessionFiles,
+  parseSessionLine,
+  aggregateSessionEntries,
+  parseSessionLogs
+} from '../src/transcripts.js';
+import { calculateCost } from '../src/pricing.js';
+
+const makeLine = ({ id, requestId = 'req_1', model = 'claude-sonnet-4-20250514', timestamp, usage, costUSD }) =>
+  JSON.stringify({
+    type: 'assistant',
+    timestamp,
+    requestId,
+    costUSD,
+    message: {
+      id,
+      model,
+      usage: {
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: 0,
+        ...usage
+      }
+    }
+  });
+
+describe('parseSessionLine', () => {
+  it('should extract usage from an assistant message', () => {
+    const entry = parseSessionLine(makeLine({
+      id: 'msg_1',
+      timestamp: '2025-01-14T10:00:00.000Z',
+      usage: { input_tokens: 100, output_tokens: 50, cache_creation_input_tokens: 10, cache_read_input_tokens: 1000 },
+      costUSD: 0.25
+    }));
+
+    expect(entry).toEqual({
+      id: 'msg_1:req_1',
+      date: '2025-01-14',
+      model: 'claude-sonnet-4-20250514',
+      inputTokens: 100,
+      outputTokens: 50,
+      cacheCreationTokens: 10,
+      cacheReadTokens: 1000,
+      cost: 0.25
+    });
+  });
+
+  it('should price the tokens when the line has no costUSD', () => {
+    const usage = { input_tokens: 100000, output_tokens: 5000, cache_read_input_tokens: 200000 };
+    const line = makeLine({ id: 'msg_1', timestamp: '2025-01-14T10:00:00Z', usage });
+    const entry = parseSessionLine(line);
+
+    expect(entry.cost).toBeGreaterThan(0);
+    expect(entry.cost).toBeCloseTo(calculateCost('claude-sonnet-4-20250514', entry));
+    expect(parseSessionLine(line, undefined, 'UTC', { 'sonnet-4': { input: 1, output: 1 } }).cost)
+      .toBeCloseTo((100000 + 5000 + 200000 * 0.1) / 1_000_000);
+  });
+
+  it('should keep a zero cost for unpriced models without costUSD', () => {
+    const line = makeLine({ id: 'msg_1', model: 'local-llama', timestamp: '2025-01-14T10:00:00Z', usage: { input_tokens: 10 } });
+
+    expect(parseSessionLine(line).cost).toBe(0);
+  });
+
+  it('should take the project from cwd, falling back to the given default', () => {
+    const line = JSON.parse(makeLine({ id: 'msg_1', timestamp: '2025-01-14T10:00:00Z', usage: { input_tokens: 1 } }));
+
+    expect(parseSessionLine(JSON.stringify({ ...line, cwd: '/home/user/api' }), 'fallback').project).toBe('/home/user/api');
+    expect(parseSessionLine(JSON.stringify(line), 'fallback').project).toBe('fallback');
+  });
+
+  it('should bucket the entry into the day of the given timezone', () => {
+    const line = makeLine({ id: 'msg_1', timestamp: '2025-01-14T20:00:00Z', usage: { input_tokens: 1 } });
+
+    expect(parseSessionLine(line).date).toBe('2025-01-14');
+    expect(parseSessionLine(line, undefined, 'Asia/Seoul').date).toBe('2025-01-15');
+  });
+
+  it('should ignore lines without usage', () => {
+    expect(parseSessionLine(JSON.stringify({ type: 'user', timestamp: '2025-01-14T10:00:00Z', message: {} }))).toBeNull();
+    expect(parseSessionLine('')).toBeNull();
+  });
+
+  it('should ignore malformed lines', () => {
+    expect(parseSessionLine('{"type":"assistant",')).toBeNull();
+  });
+
+  it('should ignore entries with no tokens', () => {
+    expect(parseSessionLine(makeLine({ id: 'msg_1', timestamp: '2025-01-14T10:00:00Z', usage: {} }))).toBeNull();
+  });
+});
+
+describe('aggregateSessionEntries', () => {
+  const entry = (overrides) => ({
+    id: null,
+    date: '2025-01-14',
+    model: 'claude-sonnet-4-20250514',
+    inputTokens: 100,
+    outputTokens: 50,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    cost: 1,
+    ...overrides
+  });
+
+  it('should build totals, byModel and byDay', () => {
+    const data = aggregateSessionEntries([
+      entry({}),
+      entry({ date: '2025-01-13', model: 'claude-opus-4-20250514', cost: 2 })
+    ]);
+
+    expect(data.totalCost).toBe(3);
+    expect(data.totalInputTokens).toBe(200);
+    expect(data.byModel['claude-opus-4-20250514'].cost).toBe(2);
+    expect(data.byDay['2025-01-14'].cost).toBe(1);
+    expect(data.byDay['2025-01-14'].tokens).toBe(150);
+    expect(data.byDay['2025-01-13'].models['claude-opus-4-20250514'].cost).toBe(2);
+  });
+
+  it('should deduplicate repeated message IDs', () => {
+    const data = aggregateSessionEntries([
+      entry({ id: 'msg_1:req_1' }),
+      entry({ id: 'msg_1:req_1' }),
+      entry({ id: 'msg_2:req_2' })
+    ]);
+
+    expect(data.totalCost).toBe(2);
+    expect(data.byDay['2025-01-14'].tokens).toBe(300);
+  });
+});
+
+describe('parseSessionLogs', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'vibe-sessions-'));
+    await mkdir(join(dir, '-home-user-project-a'));
+    await mkdir(join(dir, '-home-user-project-b'));
+
+    const usage = { input_tokens: 100, output_tokens: 50 };
+    await writeFile(join(dir, '-home-user-project-a', 'session-1.jsonl'), [
+      makeLine({ id: 'msg_1', timestamp: '2025-01-14T10:00:00Z', usage, costUSD: 1 }),
+      makeLine({ id: 'msg_1', timestamp: '2025-01-14T10:00:01Z', usage, costUSD: 1 }),
+      makeLine({ id: 'msg_2', timestamp: '2025-01-13T10:00:00Z', usage, costUSD: 1 })
+    ].join('\n'));
+    await writeFile(join(dir, '-home-user-project-b', 'session-2.jsonl'), [
+      makeLine({ id: 'msg_3', model: 'claude-opus-4-20250514', timestamp: '2025-01-14T11:00:00Z', usage, costUSD: 3 })
+    ].join('\n'));
+    await writeFile(join(dir, 'notes.txt'), 'not a session log');
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should find session files recursively', async () => {
+    const files = await findSessionFiles(dir);
+    expect(files).toHaveLength(2);
+    expect(files.every((f) => f.endsWith('.jsonl'))).toBe(true);
+  });
+
+  it('should produce internal usage data', async () => {
+    const data = await parseSessionLogs(dir);
+
+    expect(data.totalCost).toBe(5);
+    expect(Object.keys(data.byDay).sort()).toEqual(['2025-01-13', '2025-01-14']);
+    expect(data.byDay['2025-01-14'].cost).toBe(4);
+    expect(data.byDay['2025-01-14'].tokens).toBe(300);
+    expect(data.byDay['2025-01-14'].inputTokens).toBe(200);
+    expect(data.byModel['claude-opus-4-20250514'].cost).toBe(3);
+    expect(data.tool).toBe('claude-code');
+  });
+
+  it('should attribute usage to the project directory', async () => {
+    const data = await parseSessionLogs(dir);
+
+    expect(data.byProject).toEqual({
+      '-home-user-project-a': { cost: 2, tokens: 300 },
+      '-home-user-project-b': { cost: 3, tokens: 150 }
+    });
+    expect(Object.keys(data.byDay['2025-01-14'].projects).sort()).toEqual(['-home-user-project-a', '-home-user-project-b']);
+  });
+});
@@ -2,6 +2,8 @@ import { describe, it, expect } from 'vitest';
 import {
   findMarkers,
   insertContent,
+  getThemeVariantPath,
+  generatePictureTag,
   START_MARKER,
   END_MARKER
 } from '../src/updater.js';
@@ -110,3 +112,22 @@ describe('marker constants', () => {
     expect(END_MARKER).toBe('<!-- VIBE-DASHBOARD:END -->');
   });
 });
+
+describe('getThemeVariantPath', () => {
+  it('should add the variant before the extension', () => {
+    expect(getThemeVariantPath('./vibe-card.svg', 'dark')).toBe('./vibe-card-dark.svg');
+    expect(getThemeVariantPath('out/CARD.SVG', 'light')).toBe('out/CARD-light.svg');
+    expect(getThemeVariantPath('card', 'dark')).toBe('card-dark.svg');
+  });
+});
+
+describe('generatePictureTag', () => {
+  it('should pick the dark or light image by color scheme', () => {
+    const tag = generatePictureTag('./card-dark.svg', './card-light.svg');
+
+    expect(tag).toMatch(/^<picture>/);
+    expect(tag).toContain('<source media="(prefers-color-scheme: dark)" srcset="./card-dark.svg">');
+    expect(tag).toContain('<source media="(prefers-color-scheme: light)" srcset="./card-light.svg">');
+    expect(tag).toContain('<img alt="Vibe Dashboard" src="./card-light.svg">');
+  });
+});
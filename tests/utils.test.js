@@ -10,10 +10,20 @@ import {
   getDefaultConfig,
   mergeConfig,
   escapeXml,
+  estimateTextWidth,
+  fitText,
   shortenModelName,
   getPeriodRange,
   isDateInRange,
-  getPeriodLabelKey
+  getPeriodLabelKey,
+  getPeriodLabelParams,
+  isValidPeriod,
+  parseISODate,
+  getDateKey,
+  isValidTimeZone,
+  resolveAsOf,
+  getPreviousPeriodRange,
+  formatChange
 } from '../src/utils.js';
 
 describe('formatTokens', () => {
@@ -67,6 +77,13 @@ describe('formatCost', () => {
     expect(formatCost(null)).toBe('$0.00');
     expect(formatCost(undefined)).toBe('$0.00');
   });
+
+  it('should format with Intl for a currency code', () => {
+    expect(formatCost(1135000.4, { code: 'KRW', locale: 'ko' })).toBe('₩1,135,000');
+    expect(formatCost(1234.5, { code: 'JPY', locale: 'ja' })).toBe('￥1,235');
+    expect(formatCost(1234.5, { code: 'EUR', locale: 'en' })).toBe('€1,234.50');
+    expect(formatCost(null, { code: 'USD', locale: 'en' })).toBe('$0.00');
+  });
 });
 
 describe('formatDate', () => {
@@ -79,6 +96,11 @@ describe('formatDate', () => {
     const date = new Date('2025-06-01');
     expect(formatDate(date)).toBe('06/01');
   });
+
+  it('should format Date objects in a timezone but leave day keys alone', () => {
+    expect(formatDate(new Date('2025-06-01T20:00:00Z'), 'Asia/Seoul')).toBe('06/02');
+    expect(formatDate('2025-06-01', 'America/Los_Angeles')).toBe('06/01');
+  });
 });
 
 describe('formatDateTime', () => {
@@ -86,6 +108,30 @@ describe('formatDateTime', () => {
     const date = new Date('2025-01-14T09:30:00Z');
     expect(formatDateTime(date)).toBe('2025-01-14 09:30 UTC');
   });
+
+  it('should format in a given timezone', () => {
+    const date = new Date('2025-01-14T20:30:00Z');
+    expect(formatDateTime(date, 'Asia/Seoul')).toBe('2025-01-15 05:30 Asia/Seoul');
+  });
+});
+
+describe('getDateKey', () => {
+  it('should return the calendar day of an instant in a timezone', () => {
+    const date = new Date('2025-01-14T20:30:00Z');
+    expect(getDateKey(date)).toBe('2025-01-14');
+    expect(getDateKey(date, 'Asia/Seoul')).toBe('2025-01-15');
+    expect(getDateKey(new Date('2025-01-14T03:00:00Z'), 'America/New_York')).toBe('2025-01-13');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('should accept IANA names and reject anything else', () => {
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
 });
 
 describe('generateProgressBar', () => {
@@ -176,6 +222,32 @@ describe('escapeXml', () => {
   });
 });
 
+describe('estimateTextWidth', () => {
+  it('should scale with font size, weight and character width', () => {
+    expect(estimateTextWidth('abc', 20)).toBeCloseTo(estimateTextWidth('abc', 10) * 2);
+    expect(estimateTextWidth('abc', 12, { bold: true })).toBeGreaterThan(estimateTextWidth('abc', 12));
+    expect(estimateTextWidth('WWW', 12)).toBeGreaterThan(estimateTextWidth('iii', 12));
+    expect(estimateTextWidth('한국어', 12)).toBeGreaterThan(estimateTextWidth('abc', 12));
+  });
+});
+
+describe('fitText', () => {
+  it('should keep text that fits', () => {
+    expect(fitText('short', 200, 12)).toBe('short');
+  });
+
+  it('should shorten text with an ellipsis to the width', () => {
+    const fitted = fitText('a-very-long-project-name-that-will-not-fit', 100, 12);
+
+    expect(fitted).toMatch(/^a-very-.*…$/);
+    expect(estimateTextWidth(fitted, 12)).toBeLessThanOrEqual(100);
+  });
+
+  it('should return an empty string when nothing fits', () => {
+    expect(fitText('abc', 2, 12)).toBe('');
+  });
+});
+
 describe('shortenModelName', () => {
   it('should shorten Claude model names', () => {
     expect(shortenModelName('claude-sonnet-4-20250514')).toBe('sonnet-4');
@@ -211,6 +283,67 @@ describe('getPeriodRange', () => {
     expect(range.startDate.toISOString().slice(0, 10)).toBe('2024-12-16');
   });
 
+  it('should take "today" from the timezone', () => {
+    // 2025-01-14T20:00Z is already January 15th in Seoul
+    const lateUtc = new Date('2025-01-14T20:00:00Z');
+    expect(getPeriodRange('day', lateUtc).startDate.toISOString().slice(0, 10)).toBe('2025-01-14');
+    expect(getPeriodRange('day', lateUtc, 'Asia/Seoul').startDate.toISOString().slice(0, 10)).toBe('2025-01-15');
+    expect(getPeriodRange('week', lateUtc, 'Asia/Seoul').startDate.toISOString().slice(0, 10)).toBe('2025-01-09');
+  });
+
+  const iso = (date) => date.toISOString().slice(0, 10);
+
+  it('should cover the calendar month for "calendar-month"', () => {
+    const range = getPeriodRange('calendar-month', referenceDate);
+    expect(iso(range.startDate)).toBe('2025-01-01');
+    expect(iso(range.endDate)).toBe('2025-01-31');
+    expect(range.days).toBe(31);
+  });
+
+  it('should cover the previous month for "last-month" across a year boundary', () => {
+    const range = getPeriodRange('last-month', referenceDate);
+    expect(iso(range.startDate)).toBe('2024-12-01');
+    expect(iso(range.endDate)).toBe('2024-12-31');
+    expect(range.days).toBe(31);
+  });
+
+  it('should cover the calendar quarter for "quarter"', () => {
+    const range = getPeriodRange('quarter', new Date('2025-05-20T12:00:00Z'));
+    expect(iso(range.startDate)).toBe('2025-04-01');
+    expect(iso(range.endDate)).toBe('2025-06-30');
+    expect(range.days).toBe(91);
+  });
+
+  it('should cover the calendar year for "year" and up to today for "ytd"', () => {
+    const year = getPeriodRange('year', referenceDate);
+    expect(iso(year.startDate)).toBe('2025-01-01');
+    expect(iso(year.endDate)).toBe('2025-12-31');
+    expect(year.days).toBe(365);
+
+    const ytd = getPeriodRange('ytd', referenceDate);
+    expect(iso(ytd.startDate)).toBe('2025-01-01');
+    expect(iso(ytd.endDate)).toBe('2025-01-14');
+    expect(ytd.days).toBe(14);
+  });
+
+  it('should support "last-N-days"', () => {
+    const range = getPeriodRange('last-90-days', referenceDate);
+    expect(range.days).toBe(90);
+    expect(iso(range.startDate)).toBe('2024-10-17');
+  });
+
+  it('should support custom { from, to } ranges', () => {
+    const range = getPeriodRange({ from: '2025-01-01', to: '2025-01-10' }, referenceDate);
+    expect(iso(range.startDate)).toBe('2025-01-01');
+    expect(range.endDate.toISOString()).toBe('2025-01-10T23:59:59.999Z');
+    expect(range.days).toBe(10);
+
+    const until = getPeriodRange({ to: '2024-12-31' }, referenceDate);
+    expect(isDateInRange('2020-06-01', until)).toBe(true);
+    expect(isDateInRange('2025-01-01', until)).toBe(false);
+    expect(until.days).toBeNull();
+  });
+
   it('should return null startDate for "all" period', () => {
     const range = getPeriodRange('all', referenceDate);
     expect(range.startDate).toBeNull();
@@ -251,8 +384,114 @@ describe('getPeriodLabelKey', () => {
     expect(getPeriodLabelKey('all')).toBe('allTime');
   });
 
+  it('should return label keys for calendar periods and ranges', () => {
+    expect(getPeriodLabelKey('calendar-month')).toBe('calendarMonth');
+    expect(getPeriodLabelKey('last-month')).toBe('lastMonth');
+    expect(getPeriodLabelKey('quarter')).toBe('thisQuarter');
+    expect(getPeriodLabelKey('ytd')).toBe('yearToDate');
+    expect(getPeriodLabelKey('last-90-days')).toBe('lastNDays');
+    expect(getPeriodLabelKey({ from: '2025-01-01', to: '2025-01-31' })).toBe('dateRange');
+    expect(getPeriodLabelKey({ from: '2025-01-01' })).toBe('sinceDate');
+  });
+
   it('should default to allTime for unknown periods', () => {
     expect(getPeriodLabelKey('unknown')).toBe('allTime');
     expect(getPeriodLabelKey(null)).toBe('allTime');
   });
 });
+
+describe('getPeriodLabelParams', () => {
+  it('should return placeholder values for labels', () => {
+    const referenceDate = new Date('2025-08-01T00:00:00Z');
+    expect(getPeriodLabelParams('quarter', referenceDate)).toEqual({ q: 3, year: 2025 });
+    expect(getPeriodLabelParams('year', referenceDate)).toEqual({ year: 2025 });
+    expect(getPeriodLabelParams('last-45-days')).toEqual({ n: 45 });
+    expect(getPeriodLabelParams({ from: '2025-01-01', to: '2025-01-31' })).toEqual({ from: '2025-01-01', to: '2025-01-31' });
+    expect(getPeriodLabelParams('week')).toEqual({});
+  });
+
+  it('should use the timezone for the current quarter and year', () => {
+    const newYearsEve = new Date('2024-12-31T18:00:00Z');
+    expect(getPeriodLabelParams('year', newYearsEve)).toEqual({ year: 2024 });
+    expect(getPeriodLabelParams('quarter', newYearsEve, 'Asia/Tokyo')).toEqual({ q: 1, year: 2025 });
+  });
+});
+
+describe('isValidPeriod', () => {
+  it('should accept named periods, last-N-days and date ranges', () => {
+    for (const period of ['day', 'week', 'month', 'calendar-month', 'last-month', 'quarter', 'year', 'ytd', 'all', 'last-7-days']) {
+      expect(isValidPeriod(period)).toBe(true);
+    }
+    expect(isValidPeriod({ from: '2025-01-01', to: '2025-03-31' })).toBe(true);
+    expect(isValidPeriod({ to: '2025-03-31' })).toBe(true);
+  });
+
+  it('should reject unknown periods and bad ranges', () => {
+    expect(isValidPeriod('fortnight')).toBe(false);
+    expect(isValidPeriod('last-0-days')).toBe(false);
+    expect(isValidPeriod({})).toBe(false);
+    expect(isValidPeriod({ from: '2025-02-30' })).toBe(false);
+    expect(isValidPeriod({ from: '2025-03-01', to: '2025-01-01' })).toBe(false);
+  });
+});
+
+describe('parseISODate', () => {
+  it('should parse valid dates as UTC midnight', () => {
+    expect(parseISODate('2025-01-14').toISOString()).toBe('2025-01-14T00:00:00.000Z');
+    expect(parseISODate('2025-13-01')).toBeNull();
+    expect(parseISODate('14/01/2025')).toBeNull();
+  });
+});
+
+describe('resolveAsOf', () => {
+  it('should resolve a day to midnight in the timezone', () => {
+    expect(resolveAsOf('2025-01-14').toISOString()).toBe('2025-01-14T00:00:00.000Z');
+    expect(resolveAsOf('2025-01-14', 'Asia/Seoul').toISOString()).toBe('2025-01-13T15:00:00.000Z');
+    expect(resolveAsOf('2025-01-14', 'America/New_York').toISOString()).toBe('2025-01-14T05:00:00.000Z');
+  });
+
+  it('should accept timestamps and Date objects', () => {
+    expect(resolveAsOf('2025-01-14T09:30:00Z').toISOString()).toBe('2025-01-14T09:30:00.000Z');
+    expect(resolveAsOf(new Date('2025-01-14T09:30:00Z')).toISOString()).toBe('2025-01-14T09:30:00.000Z');
+  });
+
+  it('should default to now and reject invalid dates', () => {
+    expect(Math.abs(resolveAsOf(undefined).getTime() - Date.now())).toBeLessThan(1000);
+    expect(resolveAsOf('2025-02-30')).toBeNull();
+    expect(resolveAsOf('yesterday')).toBeNull();
+    expect(resolveAsOf(new Date('nope'))).toBeNull();
+  });
+});
+
+describe('getPreviousPeriodRange', () => {
+  const referenceDate = new Date('2025-03-14T12:00:00Z');
+  const days = (range) => [range.startDate, range.endDate].map((date) => date.toISOString().slice(0, 10));
+
+  it('should step rolling windows back by their length', () => {
+    expect(days(getPreviousPeriodRange('week', referenceDate))).toEqual(['2025-03-01', '2025-03-07']);
+    expect(days(getPreviousPeriodRange('last-10-days', referenceDate))).toEqual(['2025-02-23', '2025-03-04']);
+    expect(days(getPreviousPeriodRange({ from: '2025-03-01', to: '2025-03-10' }, referenceDate))).toEqual(['2025-02-19', '2025-02-28']);
+  });
+
+  it('should step calendar periods back to the previous calendar period', () => {
+    expect(days(getPreviousPeriodRange('calendar-month', referenceDate))).toEqual(['2025-02-01', '2025-02-28']);
+    expect(days(getPreviousPeriodRange('last-month', referenceDate))).toEqual(['2025-01-01', '2025-01-31']);
+    expect(days(getPreviousPeriodRange('quarter', referenceDate))).toEqual(['2024-10-01', '2024-12-31']);
+    expect(days(getPreviousPeriodRange('ytd', referenceDate))).toEqual(['2024-01-01', '2024-03-14']);
+    expect(days(getPreviousPeriodRange('ytd', new Date('2024-02-29T12:00:00Z')))).toEqual(['2023-01-01', '2023-02-28']);
+  });
+
+  it('should return null without a previous period', () => {
+    expect(getPreviousPeriodRange('all', referenceDate)).toBeNull();
+    expect(getPreviousPeriodRange({ to: '2025-03-01' }, referenceDate)).toBeNull();
+  });
+});
+
+describe('formatChange', () => {
+  it('should show direction and amount', () => {
+    expect(formatChange(12.5)).toBe('▲ 12.5%');
+    expect(formatChange(-3, 'pp', 0)).toBe('▼ 3pp');
+    expect(formatChange(0)).toBe('– 0%');
+    expect(formatChange(null)).toBe('');
+  });
+});